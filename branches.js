@@ -0,0 +1,401 @@
+// ================== 对话分支 (Branches) JS ==================
+// 本文件包含两部分：
+//   1. 回复备选（swipe）：重回/重新生成不再覆盖旧回复，每一版都挂在触发它的那条用户消息上，可以左右切换
+//   2. 对话分支：从任意一条消息分叉出一条命名分支，私聊/群聊都可以在分支之间来回切换
+// 当前分支始终就是平铺的聊天记录本身，发给 AI 的上下文自然跟随当前分支；其他分支的快照存在 messages 表
+// 依赖：db, getChatHistory, setChatHistory, saveChatThreadMessages, _dropThreadSnapshots, renderChatBody, getCachedGroupChat, safeGroupChatPut, renderGroupChatBody,
+//       invalidateCharacterCache, regenerateLastReply, rerollOfflineMessage, offlineModeCharId, offlineModeHistory,
+//       saveOfflineChatHistory, renderOfflineChatBody, getCurrentAccountId, closeChatPanel, showToast, escapeHtml 等全局变量（来自 script.js）
+
+// ===== Block 1: 回复备选 =====
+        const REPLY_SWIPE_MAX = 10; // 每条用户消息最多保留几版回复，超出时丢弃最早的一版
+
+        function _cloneMessages(list) {
+            return JSON.parse(JSON.stringify(list || []));
+        }
+
+        // 备选挂在最后一条用户消息上：anchor.swipes = [[这一版的全部回复], ...]，anchor.swipeIndex = 当前显示第几版
+        function _findReplyAnchor(history) {
+            if (!Array.isArray(history)) return -1;
+            for (let i = history.length - 1; i >= 0; i--) {
+                if (history[i] && history[i].role === 'user') return i;
+            }
+            return -1;
+        }
+
+        // 重新生成前调用：把当前这一版（可能被编辑过）存进备选，返回锚点消息的时间戳，供生成结束后定位
+        function stashReplyVariant(history) {
+            const anchorIdx = _findReplyAnchor(history);
+            if (anchorIdx === -1) return null;
+            const anchor = history[anchorIdx];
+            const turn = _cloneMessages(history.slice(anchorIdx + 1));
+            if (!Array.isArray(anchor.swipes) || anchor.swipes.length === 0) {
+                anchor.swipes = [turn];
+                anchor.swipeIndex = 0;
+            } else {
+                anchor.swipes[anchor.swipeIndex ?? anchor.swipes.length - 1] = turn;
+            }
+            return anchor.time ?? null;
+        }
+
+        // 重新生成后调用：新回复存为最新一版；什么都没生成出来（失败/被锁）时恢复原来那一版
+        // 返回 'added' / 'restored'，锚点已变化（用户中途又发了消息）时返回 null，不做处理
+        function commitReplyVariant(history, anchorTime) {
+            const anchorIdx = _findReplyAnchor(history);
+            if (anchorIdx === -1) return null;
+            const anchor = history[anchorIdx];
+            if (anchor.time !== anchorTime || !Array.isArray(anchor.swipes) || anchor.swipes.length === 0) return null;
+            const current = anchor.swipeIndex ?? anchor.swipes.length - 1;
+            const turn = history.slice(anchorIdx + 1);
+            if (turn.length === 0) {
+                history.push(..._cloneMessages(anchor.swipes[current]));
+                return 'restored';
+            }
+            anchor.swipes.push(_cloneMessages(turn));
+            if (anchor.swipes.length > REPLY_SWIPE_MAX) {
+                anchor.swipes.splice(0, anchor.swipes.length - REPLY_SWIPE_MAX);
+            }
+            anchor.swipeIndex = anchor.swipes.length - 1;
+            return 'added';
+        }
+
+        // 切换到相邻的一版：先把当前显示的这一版同步回备选（保留编辑/删除），再替换锚点之后的消息
+        // 越界时返回 false（调用方在最后一版继续向右时触发重新生成）
+        function selectReplyVariant(history, dir) {
+            const anchorIdx = _findReplyAnchor(history);
+            if (anchorIdx === -1) return false;
+            const anchor = history[anchorIdx];
+            if (!Array.isArray(anchor.swipes) || anchor.swipes.length < 2) return false;
+            const current = anchor.swipeIndex ?? anchor.swipes.length - 1;
+            const next = current + dir;
+            if (next < 0 || next >= anchor.swipes.length) return false;
+            anchor.swipes[current] = _cloneMessages(history.slice(anchorIdx + 1));
+            history.splice(anchorIdx + 1, history.length, ..._cloneMessages(anchor.swipes[next]));
+            anchor.swipeIndex = next;
+            return true;
+        }
+
+        // 刷新输入栏上方的“‹ 2/3 ›”：kind = 'chat'（私聊/群聊窗口）或 'offline'（线下模式）
+        function refreshReplySwipeBar(kind, history) {
+            const bar = document.getElementById(kind === 'offline' ? 'offline-swipe-bar' : 'chat-swipe-bar');
+            if (!bar) return;
+            const anchorIdx = kind === 'chat' && window._fpChatMode ? -1 : _findReplyAnchor(history);
+            const anchor = anchorIdx === -1 ? null : history[anchorIdx];
+            const total = anchor && Array.isArray(anchor.swipes) ? anchor.swipes.length : 0;
+            if (total < 2) {
+                bar.style.display = 'none';
+                return;
+            }
+            const current = anchor.swipeIndex ?? total - 1;
+            bar.querySelector('.reply-swipe-count').textContent = `${current + 1}/${total}`;
+            bar.querySelector('.reply-swipe-prev').disabled = current === 0;
+            bar.style.display = 'flex';
+        }
+
+        // 私聊/群聊窗口的左右切换
+        async function swipeReply(dir) {
+            if (window.currentGroupChatId) {
+                if (window._isGeneratingGroupReply || window._groupDirectorRun) {
+                    showToast('正在生成回复中，请稍候...');
+                    return;
+                }
+                const group = await getCachedGroupChat(window.currentGroupChatId);
+                if (!group || !group.chat_history) return;
+                if (!selectReplyVariant(group.chat_history, dir)) {
+                    if (dir > 0) await regenerateLastReply();
+                    return;
+                }
+                group.updated_at = Date.now();
+                await safeGroupChatPut(group);
+                await renderGroupChatBody(group);
+                return;
+            }
+
+            if (!currentChatCharId) return;
+            if (window._isGeneratingReply) {
+                showToast('正在生成回复中，请稍候...');
+                return;
+            }
+            const char = await db.characters.get(currentChatCharId);
+            if (!char) return;
+            const accountId = getCurrentAccountId();
+            const history = getChatHistory(char, accountId);
+            if (!selectReplyVariant(history, dir)) {
+                if (dir > 0) await regenerateLastReply();
+                return;
+            }
+            // 新旧两版条数可能不同，跳过竞态合并
+            await setChatHistory(char, accountId, history, { isDelete: true });
+            await renderChatBody(char, true);
+        }
+
+        // 线下模式的左右切换
+        async function swipeOfflineReply(dir) {
+            if (_offlineGenerating || !offlineModeCharId) return;
+            if (!selectReplyVariant(offlineModeHistory, dir)) {
+                if (dir > 0) await rerollOfflineMessage();
+                return;
+            }
+            const char = await db.characters.get(offlineModeCharId);
+            if (!char) return;
+            await saveOfflineChatHistory(getCurrentAccountId(), char.id, offlineModeHistory);
+            renderOfflineChatBody(char);
+        }
+
+// ===== Block 2: 对话分支 =====
+        // 分支状态只有元数据：{ activeId, branches: [{ id, name, parentId, forkIndex, forkTime, createdAt, messageCount }] }
+        // 私聊存在 char.chat_branches_by_user[账号]，群聊存在 group.chat_branches
+        // 非当前分支的聊天记录存在 messages 表：chatType 为 private_branch / group_branch，账号字段为「会话账号#分支ID」
+        const CHAT_MAIN_BRANCH_ID = 'main';
+
+        function _normalizeBranchState(saved) {
+            const state = saved && Array.isArray(saved.branches) ? _cloneMessages(saved) : { activeId: CHAT_MAIN_BRANCH_ID, branches: [] };
+            if (!state.branches.some(b => b.id === CHAT_MAIN_BRANCH_ID)) {
+                state.branches.unshift({ id: CHAT_MAIN_BRANCH_ID, name: '主线', parentId: null, forkIndex: -1, forkTime: null, createdAt: 0 });
+            }
+            if (!state.branches.some(b => b.id === state.activeId)) state.activeId = CHAT_MAIN_BRANCH_ID;
+            return state;
+        }
+
+        function _branchThreadAccount(ctx, branchId) {
+            return `${ctx.owner}#${branchId}`;
+        }
+
+        async function _saveBranchSnapshot(ctx, branch, history) {
+            await saveChatThreadMessages(ctx.chatId, _branchThreadAccount(ctx, branch.id), history, ctx.branchChatType);
+            branch.messageCount = history.length;
+        }
+
+        async function _loadBranchSnapshot(ctx, branch) {
+            const rows = await db.messages.where('[accountId+chatType+chatId]')
+                .equals([_branchThreadAccount(ctx, branch.id), ctx.branchChatType, ctx.chatId])
+                .sortBy('seq');
+            return rows.map(r => r.msg);
+        }
+
+        async function _deleteBranchSnapshot(ctx, branch) {
+            await saveChatThreadMessages(ctx.chatId, _branchThreadAccount(ctx, branch.id), [], ctx.branchChatType);
+        }
+
+        // 删除群聊时清掉它的分支快照（私聊的随角色一起按 chatId 删除）
+        async function deleteGroupBranchSnapshots(groupId) {
+            await db.messages.where('chatId').equals(groupId).and(r => r.chatType === 'group_branch').delete();
+            _dropThreadSnapshots(groupId, 'group_branch');
+        }
+
+        // 旧数据的快照直接存在分支元数据的 history 里：搬到 messages 表后只留元数据
+        async function _migrateBranchSnapshots(ctx) {
+            const legacy = ctx.state.branches.filter(b => 'history' in b);
+            if (legacy.length === 0) return;
+            for (const branch of legacy) {
+                if (Array.isArray(branch.history) && branch.id !== ctx.state.activeId) {
+                    await _saveBranchSnapshot(ctx, branch, branch.history);
+                }
+                delete branch.history;
+            }
+            await ctx.save(ctx.state);
+        }
+
+        // 当前聊天窗口（私聊或群聊）的分支上下文：读出聊天记录和分支状态，并提供统一的保存/重渲染
+        async function _getBranchContext() {
+            if (window._fpChatMode) {
+                showToast('查手机模式下不支持对话分支');
+                return null;
+            }
+            let ctx;
+            if (window.currentGroupChatId) {
+                const group = await getCachedGroupChat(window.currentGroupChatId);
+                if (!group) return null;
+                ctx = {
+                    chatId: group.id,
+                    owner: 'group',
+                    branchChatType: 'group_branch',
+                    history: group.chat_history || [],
+                    state: _normalizeBranchState(group.chat_branches),
+                    busy: !!(window._isGeneratingGroupReply || window._groupDirectorRun),
+                    async save(state, history) {
+                        if (history) group.chat_history = history;
+                        group.chat_branches = state;
+                        group.updated_at = Date.now();
+                        await safeGroupChatPut(group);
+                    },
+                    render: () => renderGroupChatBody(group)
+                };
+            } else {
+                if (!currentChatCharId) return null;
+                const char = await db.characters.get(currentChatCharId);
+                if (!char) return null;
+                const accountId = getCurrentAccountId();
+                const branchKey = accountId || 'default';
+                ctx = {
+                    chatId: char.id,
+                    owner: branchKey,
+                    branchChatType: 'private_branch',
+                    history: getChatHistory(char, accountId) || [],
+                    state: _normalizeBranchState(char.chat_branches_by_user?.[branchKey]),
+                    busy: !!window._isGeneratingReply,
+                    async save(state, history) {
+                        // 切换分支时条数会变少，跳过竞态合并
+                        if (history) await setChatHistory(char, accountId, history, { isDelete: true });
+                        await db.characters.update(char.id, { [`chat_branches_by_user.${branchKey}`]: state });
+                        if (!char.chat_branches_by_user) char.chat_branches_by_user = {};
+                        char.chat_branches_by_user[branchKey] = state;
+                        invalidateCharacterCache(char.id);
+                    },
+                    render: () => renderChatBody(char, true)
+                };
+            }
+            await _migrateBranchSnapshots(ctx);
+            return ctx;
+        }
+
+        // 从第 index 条消息分叉：当前分支存为快照，新分支保留到这条消息为止的记录并成为当前分支
+        async function forkChatAt(index) {
+            const ctx = await _getBranchContext();
+            if (!ctx) return;
+            if (ctx.busy) {
+                showToast('正在生成回复中，请稍候...');
+                return;
+            }
+            if (index < 0 || index >= ctx.history.length) return;
+            const name = prompt('给新分支起个名字：', `分支${ctx.state.branches.length}`);
+            if (name === null) return;
+
+            const { state, history } = ctx;
+            const active = state.branches.find(b => b.id === state.activeId);
+            await _saveBranchSnapshot(ctx, active, history);
+            const branch = {
+                id: 'b' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                name: name.trim() || `分支${state.branches.length}`,
+                parentId: active.id,
+                forkIndex: index,
+                forkTime: history[index]?.time ?? null,
+                createdAt: Date.now()
+            };
+            state.branches.push(branch);
+            state.activeId = branch.id;
+
+            await ctx.save(state, _cloneMessages(history.slice(0, index + 1)));
+            await ctx.render();
+            showToast(`已切换到分支「${branch.name}」`);
+        }
+
+        async function switchChatBranch(branchId) {
+            const ctx = await _getBranchContext();
+            if (!ctx) return;
+            const { state, history } = ctx;
+            if (branchId === state.activeId) return;
+            if (ctx.busy) {
+                showToast('正在生成回复中，请稍候...');
+                return;
+            }
+            const target = state.branches.find(b => b.id === branchId);
+            if (!target) return;
+            const active = state.branches.find(b => b.id === state.activeId);
+            await _saveBranchSnapshot(ctx, active, history);
+            const nextHistory = await _loadBranchSnapshot(ctx, target);
+            delete target.messageCount;
+            state.activeId = target.id;
+
+            await ctx.save(state, nextHistory);
+            // 目标分支已成为聊天记录本身，快照不再需要
+            await _deleteBranchSnapshot(ctx, target);
+            await ctx.render();
+            showToast(`已切换到分支「${target.name}」`);
+        }
+
+        async function renameChatBranch(branchId) {
+            const ctx = await _getBranchContext();
+            if (!ctx) return;
+            const branch = ctx.state.branches.find(b => b.id === branchId);
+            if (!branch) return;
+            const name = prompt('重命名分支：', branch.name);
+            if (name === null || !name.trim()) return;
+            branch.name = name.trim();
+            await ctx.save(ctx.state);
+        }
+
+        // 只能删除非当前分支；它的子分支改挂到它的上级
+        async function deleteChatBranch(branchId) {
+            const ctx = await _getBranchContext();
+            if (!ctx) return;
+            const { state } = ctx;
+            const branch = state.branches.find(b => b.id === branchId);
+            if (!branch || branch.id === CHAT_MAIN_BRANCH_ID || branch.id === state.activeId) return;
+            if (!confirm(`删除分支「${branch.name}」？该分支上的聊天记录会一并删除。`)) return;
+            state.branches.forEach(b => {
+                if (b.parentId === branch.id) b.parentId = branch.parentId;
+            });
+            state.branches = state.branches.filter(b => b.id !== branch.id);
+            await ctx.save(state);
+            await _deleteBranchSnapshot(ctx, branch);
+        }
+
+        // 消息长按菜单「分叉」
+        async function handleMsgFork() {
+            const index = activeMsgIndex;
+            hideContextMenu();
+            if (index === -1) return;
+            await forkChatAt(index);
+        }
+
+        // 分支树弹窗（“+”面板里的「分支」）
+        async function showChatBranches() {
+            closeChatPanel();
+            const ctx = await _getBranchContext();
+            if (!ctx) return;
+            const { state, history } = ctx;
+
+            const rows = [];
+            const walk = (parentId, depth) => {
+                state.branches.filter(b => b.parentId === parentId).forEach(b => {
+                    rows.push({ branch: b, depth });
+                    walk(b.id, depth + 1);
+                });
+            };
+            walk(null, 0);
+
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:360px; max-height:70vh; overflow-y:auto; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:6px;">对话分支（${state.branches.length}）</div>
+                    <div style="font-size:12px; color:#999; margin-bottom:12px;">长按任意一条消息选择「分叉」，可以从那里开出一条新分支</div>
+                    ${rows.map(({ branch, depth }) => {
+                        const isActive = branch.id === state.activeId;
+                        const count = isActive ? history.length : (branch.messageCount || 0);
+                        const origin = branch.forkIndex >= 0 ? `从第${branch.forkIndex + 1}条分出 · ` : '';
+                        return `
+                        <div data-branch-id="${branch.id}" style="padding:10px; margin-left:${depth * 14}px; background:${isActive ? '#f0f7ff' : '#f9f9f9'}; border-radius:8px; margin-bottom:8px;">
+                            <div style="display:flex; justify-content:space-between; align-items:center;">
+                                <span style="font-size:14px; color:#333; font-weight:${isActive ? 600 : 400};">${depth > 0 ? '↳ ' : ''}${escapeHtml(branch.name)}</span>
+                                ${isActive ? '<span style="font-size:11px; color:#4a90d9;">当前</span>' : ''}
+                            </div>
+                            <div style="font-size:11px; color:#999; margin:4px 0 8px;">${origin}${count}条消息</div>
+                            <div style="display:flex; gap:8px;">
+                                ${isActive ? '' : '<button data-action="switch" style="flex:1; padding:6px; border:none; border-radius:6px; background:#4a90d9; color:#fff; font-size:12px;">切换</button>'}
+                                <button data-action="rename" style="flex:1; padding:6px; border:none; border-radius:6px; background:#eee; color:#333; font-size:12px;">重命名</button>
+                                ${isActive || branch.id === CHAT_MAIN_BRANCH_ID ? '' : '<button data-action="delete" style="flex:1; padding:6px; border:none; border-radius:6px; background:#fdecea; color:#e74c3c; font-size:12px;">删除</button>'}
+                            </div>
+                        </div>`;
+                    }).join('')}
+                    <button data-close style="width:100%; padding:10px; margin-top:4px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">关闭</button>
+                </div>
+            `;
+            overlay.querySelector('[data-close]').onclick = () => overlay.remove();
+            const actions = { switch: switchChatBranch, rename: renameChatBranch, delete: deleteChatBranch };
+            overlay.querySelectorAll('[data-branch-id] [data-action]').forEach(btn => {
+                btn.onclick = async () => {
+                    const branchId = btn.closest('[data-branch-id]').dataset.branchId;
+                    const action = btn.dataset.action;
+                    if (action === 'switch') overlay.remove();
+                    await actions[action](branchId);
+                    if (action !== 'switch') {
+                        overlay.remove();
+                        showChatBranches();
+                    }
+                };
+            });
+            document.body.appendChild(overlay);
+        }
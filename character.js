@@ -81,6 +81,7 @@ function showCharacterPage() {
             document.getElementById('char-nick').value = '';
             document.getElementById('char-desc').value = '';
             document.getElementById('char-type').value = currentCharacterType; // 默认选中当前 Tab 类型
+            fillCharacterGreetingFields(null);
             document.getElementById('char-avatar-preview').style.backgroundImage = '';
             document.getElementById('char-avatar-placeholder').style.display = 'flex';
             
@@ -119,6 +120,7 @@ function showCharacterPage() {
             document.getElementById('char-nick').value = char.nick || '';
             document.getElementById('char-desc').value = char.description || '';
             document.getElementById('char-type').value = char.type || 'char';
+            fillCharacterGreetingFields(char); // 开场白 / 场景 / 对话示例
             
             // 如果是NPC且有描述，显示提示
             const descHint = document.getElementById('char-desc-hint');
@@ -697,6 +699,7 @@ ${loreContext}
                 type,
                 avatar,
                 identity, // 保存身份信息
+                ...readCharacterGreetingFields(), // 开场白 / 备选开场白 / 场景 / 对话示例
                 updated_at: Date.now()
             };
             
@@ -930,7 +933,38 @@ ${loreContext}
             return msg;
         }
         
+        // 从响应中提取工具调用：OpenAI 格式 message.tool_calls / 旧版 function_call / Claude 格式 content[].tool_use
+        function extractToolCallsFromResponse(data) {
+            const parseArgs = (raw) => {
+                if (!raw) return {};
+                if (typeof raw === 'object') return raw;
+                try {
+                    return JSON.parse(raw);
+                } catch (e) {
+                    console.warn('[callAI] 工具参数不是合法 JSON:', raw);
+                    return {};
+                }
+            };
+            const message = data?.choices?.[0]?.message;
+            if (Array.isArray(message?.tool_calls) && message.tool_calls.length > 0) {
+                return message.tool_calls
+                    .filter(c => c?.function?.name)
+                    .map((c, i) => ({ id: c.id || `call_${i}`, name: c.function.name, arguments: parseArgs(c.function.arguments) }));
+            }
+            if (message?.function_call?.name) {
+                return [{ id: 'call_0', name: message.function_call.name, arguments: parseArgs(message.function_call.arguments) }];
+            }
+            if (Array.isArray(data?.content)) {
+                return data.content
+                    .filter(b => b?.type === 'tool_use' && b.name)
+                    .map((b, i) => ({ id: b.id || `call_${i}`, name: b.name, arguments: parseArgs(b.input) }));
+            }
+            return [];
+        }
+
         // 通用 AI 调用函数
+        // options.tools：原生工具定义（见 buildReplyCommandTools），接口支持时附带；options.onToolCalls(calls) 接收模型的工具调用
+        // 请求按服务商适配（见 providers.js），messages / tools 一律按 OpenAI 格式传入
         async function callAI(messages, options = {}) {
             // 兼容 callAI(msgs, 0.88) 旧写法：第二参为数字时视为 temperature
             if (typeof options === 'number' && !isNaN(options)) {
@@ -938,6 +972,15 @@ ${loreContext}
             } else if (options == null || typeof options !== 'object' || Array.isArray(options)) {
                 options = {};
             }
+            
+            // 🔀 故障转移：重试、切换预设、熔断由 callWithApiFailover 调度，每次尝试带 _failoverAttempt 回到这里
+            // 🔍 每次调用的最终请求和返回记入提示词检查器（见 inspector.js）
+            if (!options._failoverAttempt) {
+                const trace = startPromptTrace('callAI', messages, options);
+                return tracePromptCall(trace, callWithApiFailover('callAI', options, (apiOverride, control) => callAI(messages, {
+                    ...options, _failoverAttempt: true, _apiOverride: apiOverride, _signal: control.signal, _onResponse: control.onResponse, _trace: trace
+                })));
+            }
 
             let urlValue = '';
             let apiKeyValue = '';
@@ -946,8 +989,16 @@ ${loreContext}
             
             // 🔌 副API支持：如果指定了 _useSecondary 且副API已配置，优先使用副API
             const useSecondary = options._useSecondary;
+            const apiOverride = options._apiOverride;
             let isUsingSecondary = false;
-            if (useSecondary) {
+            if (apiOverride) {
+                // 🔀 故障转移切换到了其他预设（或调用方用 _apiPreset 指定了专属预设）：直接使用该预设的配置
+                urlValue = apiOverride.url;
+                apiKeyValue = apiOverride.key;
+                modelValue = apiOverride.model;
+                temperature = apiOverride.temp ? parseFloat(apiOverride.temp) : 0.7;
+                console.log('[callAI] 🔀 使用故障转移预设配置');
+            } else if (useSecondary) {
                 // 尝试从副API缓存获取配置
                 const secUrl = _secondaryApiConfigCache.url;
                 const secKey = _secondaryApiConfigCache.key;
@@ -973,7 +1024,7 @@ ${loreContext}
             }
             
             // 如果不是使用副API（或副API未配置），使用主API配置
-            if (!isUsingSecondary) {
+            if (!isUsingSecondary && !apiOverride) {
             // 🔧 修复手机端第二次API调用卡死：优先使用内存缓存，避免IndexedDB事务阻塞
             if (_apiConfigCache.url && _apiConfigCache.key && _apiConfigCache.model) {
                 // 内存缓存有效，直接使用（跳过可能挂起的DB读取）
@@ -1069,12 +1120,18 @@ ${loreContext}
                     _apiConfigCache.model = modelValue;
                 }
             }
-            } // end if (!isUsingSecondary)
+            } // end if (!isUsingSecondary && !apiOverride)
             
             if (!urlValue) {
                 throw new Error("请先在设置中配置 API 地址");
             }
-            if (!apiKeyValue) {
+            
+            // 🔌 服务商：副API有独立地址时按地址推断，否则使用设置中的选择
+            const providerSetting = apiOverride ? (apiOverride.provider || 'auto')
+                : (useSecondary && _secondaryApiConfigCache.url) ? 'auto' : await getAiProviderSetting();
+            const adapter = getProviderAdapter(resolveAiProvider(urlValue, providerSetting), urlValue);
+            
+            if (!apiKeyValue && !adapter.keyOptional) {
                 throw new Error("API 密钥不能为空，请在设置中配置");
             }
             if (!modelValue) {
@@ -1082,7 +1139,7 @@ ${loreContext}
             }
             
             // 检查 API Key 格式（基本检查）
-            if (apiKeyValue.length < 10) {
+            if (apiKeyValue && apiKeyValue.length < 10) {
                 console.warn('[callAI] API Key 长度异常，可能无效:', apiKeyValue.length);
             }
             
@@ -1102,11 +1159,26 @@ ${loreContext}
             // 获取 max_tokens 配置（如果提供）
             const maxTokens = options.max_tokens || options.maxTokens;
 
-            const requestUrl = getSmartUrl(urlValue, '/chat/completions');
+            const requestUrl = adapter.chatUrl(urlValue, modelValue, false);
+            
+            // 🔧 原生工具调用：调用方传了 tools 且接口支持时才附带，否则走文字指令
+            let useTools = Array.isArray(options.tools) && options.tools.length > 0;
+            if (useTools && ((await getToolCallMode()) === 'off' || isToolCallingUnsupported(urlValue, modelValue))) {
+                useTools = false;
+            }
+            // 提示词是按工具模式写的，这次不带工具时由调用方换回文字指令说明
+            if (!useTools && typeof options.withoutTools === 'function') {
+                messages = options.withoutTools(messages);
+            }
             
             // ✅ 全局防御：清洗 messages，防止空内容或非法格式导致 400 错误
             // 支持多模态消息格式（图片识别）：content 可以是字符串或数组
             const cleanMessages = messages.map(m => {
+                // 工具调用的往返消息（assistant.tool_calls / tool）原样保留
+                if (m.role === 'tool' || (m.role === 'assistant' && Array.isArray(m.tool_calls))) {
+                    return { ...m, content: m.content || '' };
+                }
+                
                 // 验证 role 字段
                 let role = m.role;
                 if (!role || !['system', 'user', 'assistant'].includes(role)) {
@@ -1146,6 +1218,7 @@ ${loreContext}
                     content: content.trim()
                 };
             }).filter(m => {
+                if (m.tool_calls || m.role === 'tool') return true;
                 if (Array.isArray(m.content)) return m.content.length > 0;
                 return m.content.length > 0;
             }); // 再次过滤空消息
@@ -1224,6 +1297,7 @@ ${loreContext}
             
             // 添加详细的调试日志
             console.log('[callAI] 🚀 准备发送请求');
+            console.log('[callAI] Provider:', adapter.id);
             console.log('[callAI] API URL:', requestUrl);
             console.log('[callAI] Model:', modelValue);
             console.log('[callAI] API Key length:', apiKeyValue.length);
@@ -1236,24 +1310,29 @@ ${loreContext}
                     : m.content.substring(0, 100) + (m.content.length > 100 ? '...' : '')
             })));
             
+            if (options._trace) {
+                options._trace.request = { provider: adapter.id, model: modelValue, temperature, jsonMode: !!options.json_mode, messages: cleanMessages };
+            }
+            
             // 纯前端：直接调用 AI API（需要配置支持 CORS 的 API 端点）
             try {
-                // 🔥 构建请求体，支持 response_format 强制 JSON 输出
-                const fetchBody = {
+                // 🔥 按服务商构建请求体（JSON 模式、max_tokens、工具定义由适配器转换成各家的字段）
+                const fetchBody = adapter.buildBody({
                     model: modelValue,
                     messages: cleanMessages,
-                    temperature: temperature
-                };
+                    temperature: temperature,
+                    maxTokens: maxTokens,
+                    jsonMode: !!options.json_mode,
+                    tools: useTools ? options.tools : null,
+                    toolChoice: options.tool_choice,
+                    stream: false
+                });
                 
-                // 如果调用方要求 JSON 输出，添加 response_format 参数
                 if (options.json_mode) {
-                    fetchBody.response_format = { type: "json_object" };
-                    console.log('[callAI] 📋 已启用 JSON 模式 (response_format: json_object)');
+                    console.log('[callAI] 📋 已启用 JSON 模式');
                 }
-                
-                // 如果有 max_tokens 参数
-                if (maxTokens) {
-                    fetchBody.max_tokens = maxTokens;
+                if (useTools) {
+                    console.log('[callAI] 🔧 已附带原生工具定义:', options.tools.length, '个');
                 }
                 
                 const bodyStr = JSON.stringify(fetchBody);
@@ -1263,15 +1342,13 @@ ${loreContext}
                 let currentApiKey = apiKeyValue;
                 let res = await fetch(requestUrl, {
                     method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${currentApiKey}`
-                    },
-                    body: bodyStr
+                    headers: adapter.headers(currentApiKey),
+                    body: bodyStr,
+                    signal: options._signal
                 });
 
-                // 🔧 修复401循环报错：如果收到401/403，从DB重新读取密钥并重试一次
-                if ((res.status === 401 || res.status === 403) && !options._isRetry) {
+                // 🔧 修复401循环报错：如果收到401/403，从DB重新读取密钥并重试一次（故障转移预设的密钥不在DB里，跳过）
+                if ((res.status === 401 || res.status === 403) && !options._isRetry && !apiOverride) {
                     console.warn('[callAI] ⚠️ 收到', res.status, '错误，尝试从数据库重新读取API密钥并重试...');
                     try {
                         const freshKey = await db.dexiData.get('aiApiKey');
@@ -1288,11 +1365,9 @@ ${loreContext}
                         if (freshKeyValue) {
                             res = await fetch(requestUrl, {
                                 method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Authorization': `Bearer ${freshKeyValue}`
-                                },
-                                body: bodyStr
+                                headers: adapter.headers(freshKeyValue),
+                                body: bodyStr,
+                                signal: options._signal
                             });
                             if (res.ok) {
                                 console.log('[callAI] ✅ 重试成功！');
@@ -1304,33 +1379,35 @@ ${loreContext}
                         console.error('[callAI] 重试过程出错:', retryErr.message);
                     }
                 }
+                
+                // 已收到响应头，停止故障转移的超时计时
+                if (options._onResponse) options._onResponse();
 
                 if (!res.ok) {
                     const errText = await res.text();
+                    if (options._trace) options._trace.raw = errText;
+                    // 🔧 附带工具定义的请求被拒：报错提到 tools / functions / tool_choice 才记为接口不支持，其他错误只是这次不带工具重试一次
+                    if (useTools && [400, 404, 422].includes(res.status)) {
+                        if (/\btools?\b|\bfunctions?\b|tool_choice/i.test(errText)) {
+                            console.warn('[callAI] ⚠️ 接口不支持工具定义，回退文字指令重试:', errText.substring(0, 200));
+                            markToolCallingUnsupported(urlValue, modelValue);
+                        } else {
+                            console.warn('[callAI] ⚠️ 附带工具定义的请求失败，不带工具重试一次:', errText.substring(0, 200));
+                        }
+                        return callAI(messages, { ...options, tools: null });
+                    }
                     console.error('[callAI] ❌ API 请求失败');
                     console.error('[callAI] 状态码:', res.status);
                     console.error('[callAI] 错误响应:', errText);
                     console.error('[callAI] 使用的密钥长度:', currentApiKey.length, '前4字符:', currentApiKey.substring(0, 4) + '...');
                     
-                    try {
-                        const errJson = JSON.parse(errText);
-                        console.error('[callAI] 解析后的错误:', errJson);
-                        if (errJson.error) {
-                            const errorMsg = `AI请求失败 (${res.status}): ${errJson.error}${errJson.details ? '\n详情: ' + errJson.details : ''}`;
-                            throw new Error(errorMsg);
-                        }
-                    } catch(parseErr) {
-                        // 如果不是 JSON 格式的错误
-                        if (parseErr instanceof SyntaxError) {
-                            console.error('[callAI] 错误响应不是 JSON 格式');
-                        }
-                    }
-                    
-                    throw new Error(`API 请求失败: ${res.status} - ${errText.substring(0, 200)}`);
+                    // 各家错误格式不同，统一成带说明的错误信息
+                    throw normalizeProviderError(adapter.id, res.status, errText, res.headers.get('retry-after'));
                 }
 
                 // ✅ 关键改动：先获取原始文本，而不是直接 .json()
                 rawText = await res.text();
+                if (options._trace) options._trace.raw = rawText;
                 
                 // 尝试解析为 JSON
                 let data;
@@ -1349,6 +1426,10 @@ ${loreContext}
                         .trim();
                 }
                 
+                // 🔌 非 OpenAI 服务商的响应转换成 OpenAI 形状（被拦截等情况在这里抛出说明）
+                data = adapter.normalizeResponse(data);
+                if (options._trace && data?.usage) options._trace.usage = data.usage;
+                
                 // 🚨 检测空的 choices 数组（API调用成功但没有返回内容）
                 if (data?.choices && Array.isArray(data.choices) && data.choices.length === 0) {
                     console.error('[callAI] ❌ API返回了空的choices数组');
@@ -1373,6 +1454,7 @@ ${loreContext}
                 
                 // ✅ 兼容多种返回路径（包括Gemini）
                 let content = '';
+                const toolCalls = useTools ? extractToolCallsFromResponse(data) : [];
                 
                 // 1. Gemini格式：data.candidates[0].content.parts[0].text
                 if (data?.candidates?.[0]?.content?.parts?.[0]?.text) {
@@ -1384,7 +1466,12 @@ ${loreContext}
                     content = data.choices[0].message.content;
                     console.log('[callAI] ✅ 使用OpenAI格式提取内容');
                 }
-                // 3. 其他兼容格式
+                // 3. Claude格式：data.content 为内容块数组
+                else if (Array.isArray(data?.content)) {
+                    content = data.content.filter(b => b?.type === 'text').map(b => b.text || '').join('');
+                    console.log('[callAI] ✅ 使用Claude格式提取内容');
+                }
+                // 4. 其他兼容格式
                 else {
                     content = 
                         data?.choices?.[0]?.text ??              // 一些旧版 API
@@ -1400,6 +1487,20 @@ ${loreContext}
                     content = content.replace(/\s*\[DONE\]\s*$/i, '').replace(/\s*\[done\]\s*$/i, '').trim();
                 }
                 
+                if (toolCalls.length > 0) {
+                    console.log('[callAI] 🔧 模型调用了工具:', toolCalls.map(c => c.name).join(', '));
+                    if (typeof options.onToolCalls === 'function') options.onToolCalls(toolCalls);
+                    // 只返回了工具调用没有文字：回传工具结果，再请求一次拿到角色的回复
+                    if (!content && !options._toolFollowUp) {
+                        const followUp = [
+                            ...cleanMessages,
+                            { role: 'assistant', content: '', tool_calls: toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) } })) },
+                            ...toolCalls.map(c => ({ role: 'tool', tool_call_id: c.id, content: '已执行' }))
+                        ];
+                        return callAI(followUp, { ...options, onToolCalls: null, tool_choice: 'none', _toolFollowUp: true });
+                    }
+                }
+                
                 if (!content) {
                     // 如果所有路径都没有内容，记录详细日志
                     console.error('[callAI] ❌ 无法从任何路径提取内容');
@@ -1453,12 +1554,21 @@ ${loreContext}
             } catch (err) {
                 console.error("[callAI] 错误详情:", err);
                 console.log("[callAI] 原始返回内容:", rawText.substring(0, 500));
-                throw err;
+                throw normalizeProviderNetworkError(adapter.id, err);
             }
         }
 
         // ✅ 流式AI调用函数（三阶段处理模型）
+        // options.json_mode 同 callAI；options.signal 为调用方的中止信号，已输出部分内容后被中止时返回已收到的文本
         async function callAIStream(messages, options = {}) {
+            // 🔀 故障转移（只在开始输出前切换，已输出部分内容后失败不再重试，避免重复显示）
+            if (!options._failoverAttempt) {
+                const trace = startPromptTrace('callAIStream', messages, options);
+                return tracePromptCall(trace, callWithApiFailover('callAIStream', options, (apiOverride, control) => callAIStream(messages, {
+                    ...options, _failoverAttempt: true, _apiOverride: apiOverride, _signal: control.signal, _onResponse: control.onResponse, _trace: trace
+                })));
+            }
+            
             let urlValue = '';
             let apiKeyValue = '';
             let modelValue = '';
@@ -1479,11 +1589,22 @@ ${loreContext}
                 console.warn('[callAIStream] 数据库读取失败:', dbErr.message);
             }
             
-            if (!urlValue || !apiKeyValue || !modelValue) {
+            const apiOverride = options._apiOverride;
+            if (apiOverride) {
+                urlValue = apiOverride.url;
+                apiKeyValue = apiOverride.key;
+                modelValue = apiOverride.model;
+                temperature = apiOverride.temp ? parseFloat(apiOverride.temp) : 0.7;
+            }
+            
+            const providerSetting = apiOverride ? (apiOverride.provider || 'auto') : await getAiProviderSetting();
+            const adapter = getProviderAdapter(resolveAiProvider(urlValue, providerSetting), urlValue);
+            
+            if (!urlValue || (!apiKeyValue && !adapter.keyOptional) || !modelValue) {
                 throw new Error("请先在设置中配置 API 地址、密钥和模型");
             }
             
-            const requestUrl = getSmartUrl(urlValue, '/chat/completions');
+            const requestUrl = adapter.chatUrl(urlValue, modelValue, true);
             
             // 清洗 messages（复用 callAI 的逻辑）
             const cleanMessages = messages.map(m => {
@@ -1526,31 +1647,34 @@ ${loreContext}
                 throw new Error("请求中止：没有有效的消息内容");
             }
             
+            if (options._trace) {
+                options._trace.request = { provider: adapter.id, model: modelValue, temperature, jsonMode: !!options.json_mode, messages: cleanMessages };
+            }
+            
             // 🎯 第一阶段：流式层 - 只做字符串拼接
             let rawText = '';
-            let buffer = '';
             const decoder = new TextDecoder();
+            const streamParser = createProviderStreamParser(adapter);
             
             try {
-                const streamBody = JSON.stringify({
+                const streamBody = JSON.stringify(adapter.buildBody({
                     model: modelValue,
                     messages: cleanMessages,
                     temperature: temperature,
+                    jsonMode: !!options.json_mode,
                     stream: true  // 启用流式响应
-                });
+                }));
                 
                 let currentApiKey = apiKeyValue;
                 let res = await fetch(requestUrl, {
                     method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${currentApiKey}`
-                    },
-                    body: streamBody
+                    headers: adapter.headers(currentApiKey),
+                    body: streamBody,
+                    signal: options._signal
                 });
                 
                 // 🔧 修复401循环报错：如果收到401/403，从DB重新读取密钥并重试一次
-                if (res.status === 401 || res.status === 403) {
+                if ((res.status === 401 || res.status === 403) && !apiOverride) {
                     console.warn('[callAIStream] ⚠️ 收到', res.status, '错误，尝试从数据库重新读取API密钥并重试...');
                     try {
                         const freshKey = await db.dexiData.get('aiApiKey');
@@ -1563,11 +1687,9 @@ ${loreContext}
                         if (freshKeyValue) {
                             res = await fetch(requestUrl, {
                                 method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                    'Authorization': `Bearer ${freshKeyValue}`
-                                },
-                                body: streamBody
+                                headers: adapter.headers(freshKeyValue),
+                                body: streamBody,
+                                signal: options._signal
                             });
                             if (res.ok) {
                                 console.log('[callAIStream] ✅ 重试成功！');
@@ -1578,88 +1700,61 @@ ${loreContext}
                     }
                 }
                 
+                // 已收到响应头，停止故障转移的超时计时（流式输出本身可能较长）
+                if (options._onResponse) options._onResponse();
+                
                 if (!res.ok) {
                     const errText = await res.text();
+                    if (options._trace) options._trace.raw = errText;
                     console.error('[callAIStream] 使用的密钥长度:', currentApiKey.length, '前4字符:', currentApiKey.substring(0, 4) + '...');
-                    throw new Error(`API 请求失败: ${res.status} - ${errText.substring(0, 200)}`);
+                    throw normalizeProviderError(adapter.id, res.status, errText, res.headers.get('retry-after'));
                 }
                 
                 const reader = res.body.getReader();
                 
-                // ✅ 正确的 SSE 解析方式：使用 \n\n 作为边界
+                // ✅ 按服务商的流格式切分（SSE 以 \n\n 为边界，Ollama 为逐行 JSON），[DONE] 由解析器过滤
                 while (true) {
                     const { done, value } = await reader.read();
                     if (done) break;
                     
-                    buffer += decoder.decode(value, { stream: true });
+                    const delta = streamParser.feed(decoder.decode(value, { stream: true }));
+                    if (!delta) continue;
                     
-                    let boundary;
-                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
-                        const chunk = buffer.slice(0, boundary);
-                        buffer = buffer.slice(boundary + 2);
-                        
-                        if (!chunk.startsWith('data:')) continue;
-                        
-                        const jsonStr = chunk.replace(/^data:\s*/, '').trim();
-                        
-                        if (!jsonStr) continue;
-                        
-                        // ✅ 严格过滤 [DONE]
-                        if (jsonStr === '[DONE]' || jsonStr === '[done]') {
-                            continue;
-                        }
-                        
-                        let data;
-                        try {
-                            data = JSON.parse(jsonStr);
-                        } catch (e) {
-                            console.warn('[callAIStream] Stream JSON parse error:', jsonStr);
-                            continue;
-                        }
-                        
-                        const delta = data?.choices?.[0]?.delta?.content;
-                        if (!delta) continue;
-                        
-                        // ✅ 流式阶段：只做字符串拼接，不做任何解析
-                        rawText += delta;
-                        
-                        // ✅ 流式阶段：只更新纯文本显示，不做任何 split / 正则 / markdown
-                        // 这里只传递原始文本，让 UI 层只做 textContent 更新
-                        if (options.onStreamUpdate) {
-                            // 直接传递 rawText，不做任何处理
-                            options.onStreamUpdate(rawText);
-                        }
+                    // ✅ 流式阶段：只做字符串拼接，不做任何解析
+                    rawText += delta;
+                    
+                    // ✅ 流式阶段：只更新纯文本显示，不做任何 split / 正则 / markdown
+                    // 这里只传递原始文本，让 UI 层只做 textContent 更新
+                    if (options.onStreamUpdate) {
+                        options.onStreamUpdate(rawText);
                     }
                 }
                 
                 // 处理剩余的 buffer
-                if (buffer.trim()) {
-                    const jsonStr = buffer.replace(/^data:\s*/, '').trim();
-                    if (jsonStr && jsonStr !== '[DONE]' && jsonStr !== '[done]') {
-                        try {
-                            const data = JSON.parse(jsonStr);
-                            const delta = data?.choices?.[0]?.delta?.content;
-                            if (delta) {
-                                rawText += delta;
-                                // 流式阶段：只更新纯文本
-                                if (options.onStreamUpdate) {
-                                    options.onStreamUpdate(rawText);
-                                }
-                            }
-                        } catch (e) {
-                            // 忽略解析错误
-                        }
+                const tail = streamParser.flush();
+                if (tail) {
+                    rawText += tail;
+                    if (options.onStreamUpdate) {
+                        options.onStreamUpdate(rawText);
                     }
                 }
                 
             } catch (err) {
-                console.error("[callAIStream] 错误详情:", err);
-                throw err;
+                // 用户停止生成：保留已经输出的部分
+                if (options.signal?.aborted && rawText) {
+                    console.log('[callAIStream] ⏹️ 已停止生成，保留已输出的', rawText.length, '字');
+                } else {
+                    console.error("[callAIStream] 错误详情:", err);
+                    const error = normalizeProviderNetworkError(adapter.id, err);
+                    if (rawText) error.noFailover = true; // 已经输出了部分内容
+                    throw error;
+                }
             }
             
             // ✅ 流结束后，才做处理
             // ✅ 清理末尾的 [DONE] / [done]（防止SSE终止信号泄入内容）
             rawText = rawText.replace(/\s*\[DONE\]\s*$/i, '').trim();
+            if (options._trace) options._trace.raw = rawText;
             // 🎯 第二阶段：完成层 - 统一做翻译/结构解析
             const finalText = rawText;
             const processed = processTranslationAndStructure(finalText);
@@ -1951,6 +2046,7 @@ ${loreContext}
                             type: currentCharacterType, 
                             avatar: avatarBase64,
                             original_data: json,
+                            ..._cardFieldsFromImport(charData),
                             lorebookIds: lorebookId ? [lorebookId] : null, // 关联世界书ID数组
                             lorebookId: lorebookId, // 兼容字段
                             updated_at: Date.now()
@@ -1991,6 +2087,7 @@ ${loreContext}
                             type: currentCharacterType,
                             avatar: '', 
                             original_data: json,
+                            ..._cardFieldsFromImport(charData),
                             lorebookId: lorebookId, // 关联世界书ID
                             updated_at: Date.now()
                         });
@@ -2008,11 +2105,13 @@ ${loreContext}
             input.value = '';
         }
 
-        // 简易 PNG tEXt 提取器 (修复中文乱码版)
+        // 简易 PNG tEXt / iTXt 提取器 (修复中文乱码版)
+        // 同时有 ccv3（V3 角色卡）和 chara（V2）时优先取 ccv3
         function extractPngText(uint8Array) {
             // PNG Header: 89 50 4E 47 0D 0A 1A 0A
             let offset = 8;
             const textDecoder = new TextDecoder();
+            const found = {};
             
             while (offset < uint8Array.length) {
                 // 读取 Chunk Length (4 bytes, Big Endian)
@@ -2023,40 +2122,40 @@ ${loreContext}
                 const type = String.fromCharCode(...uint8Array.slice(offset, offset + 4));
                 offset += 4;
                 
-                if (type === 'tEXt') {
+                if (type === 'tEXt' || type === 'iTXt') {
                     const data = uint8Array.slice(offset, offset + length);
                     // tEXt 格式: Keyword + null separator + Text string
-                    // 查找 null separator (0x00)
-                    let nullIndex = -1;
-                    for (let i = 0; i < length; i++) {
-                        if (data[i] === 0) {
-                            nullIndex = i;
-                            break;
-                        }
-                    }
+                    // iTXt 格式: Keyword + null + 压缩标记 + 压缩方式 + 语言标签 + null + 翻译关键字 + null + Text string
+                    const nullIndex = data.indexOf(0);
                     
                     if (nullIndex > -1) {
                         const keyword = textDecoder.decode(data.slice(0, nullIndex));
-                        const textBytes = data.slice(nullIndex + 1);
-                        const text = textDecoder.decode(textBytes);
+                        let textBytes = data.slice(nullIndex + 1);
+                        let compressed = false;
+                        if (type === 'iTXt') {
+                            compressed = textBytes[0] === 1;
+                            const langEnd = textBytes.indexOf(0, 2);
+                            const transEnd = langEnd === -1 ? -1 : textBytes.indexOf(0, langEnd + 1);
+                            textBytes = transEnd === -1 ? new Uint8Array(0) : textBytes.slice(transEnd + 1);
+                        }
                         
-                        if (keyword === 'chara') {
+                        if ((keyword === 'chara' || keyword === 'ccv3') && !compressed && !found[keyword]) {
+                            const text = textDecoder.decode(textBytes);
                             // TavernAI 格式通常是 Base64 编码的 JSON
                             try {
                                 // 修复乱码的关键步骤：
                                 // 1. atob 解码 base64 -> binary string
-                                const binaryString = atob(text);
+                                const binaryString = atob(text.trim());
                                 // 2. binary string -> Uint8Array
                                 const bytes = new Uint8Array(binaryString.length);
                                 for (let i = 0; i < binaryString.length; i++) {
                                     bytes[i] = binaryString.charCodeAt(i);
                                 }
                                 // 3. TextDecoder 解码 utf-8
-                                const decoded = new TextDecoder('utf-8').decode(bytes);
-                                return decoded;
+                                found[keyword] = new TextDecoder('utf-8').decode(bytes);
                             } catch (e) {
                                 // 也许不是 Base64，或者解码失败，直接返回原始文本
-                                return text;
+                                found[keyword] = text;
                             }
                         }
                     }
@@ -2067,5 +2166,456 @@ ${loreContext}
                 
                 if (type === 'IEND') break;
             }
-            return null;
-        }
\ No newline at end of file
+            return found.ccv3 || found.chara || null;
+        }
+
+        // ========== 角色卡导出 (chara_card_v2 / chara_card_v3) ==========
+        // 导出为其他前端（SillyTavern 等）通用的角色卡：JSON 或把卡片写进头像 PNG 的 tEXt 块
+        // V3 的 PNG 同时写入 ccv3 和 chara（V2）两个块，只认 V2 的前端也能读取
+
+        // 角色挂载的世界书 → character_book（不含全局世界书）
+        async function buildCharacterBookFromLorebooks(char, spec = 'v2') {
+            const ids = char.lorebookIds || (char.lorebookId ? [char.lorebookId] : []);
+            const entries = [];
+            const names = [];
+            for (const id of ids) {
+                const book = await db.lorebooks.get(id);
+                if (!book || !book.content || !book.content.entries) continue;
+                names.push(book.name);
+                Object.entries(book.content.entries).forEach(([entryKey, raw]) => {
+                    const entry = _normalizeLorebookEntry(raw, entryKey);
+                    if (!entry.content.trim()) return;
+                    const cardEntry = {
+                        id: entries.length + 1,
+                        keys: entry.keys,
+                        secondary_keys: entry.secondaryKeys,
+                        content: entry.content,
+                        comment: raw.comment || raw.name || entry.keys[0] || '',
+                        name: raw.comment || raw.name || entry.keys[0] || '',
+                        enabled: entry.enabled,
+                        constant: entry.constant,
+                        selective: entry.selective,
+                        insertion_order: entry.order,
+                        priority: entry.priority,
+                        case_sensitive: entry.caseSensitive,
+                        position: raw.position === 'after_char' ? 'after_char' : 'before_char',
+                        extensions: {
+                            ...(raw.extensions || {}),
+                            selectiveLogic: entry.selectiveLogic,
+                            match_whole_words: entry.matchWholeWords,
+                            exclude_recursion: entry.excludeRecursion,
+                            prevent_recursion: entry.preventRecursion
+                        }
+                    };
+                    if (spec === 'v3') cardEntry.use_regex = entry.keys.some(k => /^\/.+\/[gimsuy]*$/.test(k));
+                    entries.push(cardEntry);
+                });
+            }
+            if (entries.length === 0) return null;
+            return {
+                name: names.length === 1 ? names[0] : `${char.name}的世界书`,
+                description: '',
+                scan_depth: 10,
+                token_budget: LOREBOOK_SCAN_CONFIG.budgetChars,
+                recursive_scanning: LOREBOOK_SCAN_CONFIG.maxRecursionSteps > 0,
+                extensions: {},
+                entries
+            };
+        }
+
+        /**
+         * 组装规范的角色卡对象
+         * @param {Object} char - 角色记录；本应用没有的字段从导入时保存的 original_data 中补齐
+         * @param {'v2'|'v3'} spec
+         */
+        async function buildCharacterCard(char, spec = 'v2') {
+            const orig = char.original_data?.data || char.original_data || {};
+            const pick = (field, fallback = '') => char[field] ?? orig[field] ?? fallback;
+            const list = (field) => {
+                const value = char[field] ?? orig[field];
+                return Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()) : [];
+            };
+            const data = {
+                name: char.name || '未命名',
+                description: char.description || orig.description || '',
+                personality: pick('personality'),
+                scenario: pick('scenario'),
+                first_mes: pick('first_mes'),
+                mes_example: pick('mes_example'),
+                creator_notes: pick('creator_notes'),
+                system_prompt: pick('system_prompt'),
+                post_history_instructions: pick('post_history_instructions'),
+                alternate_greetings: list('alternate_greetings'),
+                tags: list('tags'),
+                creator: pick('creator'),
+                character_version: pick('character_version'),
+                extensions: { ...(orig.extensions || {}) }
+            };
+            const book = await buildCharacterBookFromLorebooks(char, spec);
+            if (book) data.character_book = book;
+
+            if (spec === 'v3') {
+                const now = Math.floor(Date.now() / 1000);
+                data.nickname = char.nick || orig.nickname || '';
+                data.group_only_greetings = list('group_only_greetings');
+                data.creation_date = orig.creation_date || Math.floor((char.created_at || char.updated_at || Date.now()) / 1000);
+                data.modification_date = now;
+                data.assets = [{ type: 'icon', uri: 'ccdefault:', name: 'main', ext: 'png' }];
+                return { spec: 'chara_card_v3', spec_version: '3.0', data };
+            }
+            return { spec: 'chara_card_v2', spec_version: '2.0', data };
+        }
+
+        // PNG 块的 CRC32
+        let _pngCrcTable = null;
+        function _pngCrc32(bytes) {
+            if (!_pngCrcTable) {
+                _pngCrcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                    _pngCrcTable[n] = c >>> 0;
+                }
+            }
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) crc = _pngCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+
+        // UTF-8 JSON → base64（tEXt 只允许 Latin-1，所以和导入时一样走 base64）
+        function _utf8ToBase64(text) {
+            const bytes = new TextEncoder().encode(text);
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+
+        /**
+         * 把文本块写入 PNG：先去掉已有的 chara / ccv3 块，再插到 IEND 之前
+         * @param {Uint8Array} png
+         * @param {Object} texts - { keyword: base64Text }
+         * @returns {Uint8Array}
+         */
+        function embedPngTextChunks(png, texts) {
+            const chunks = [];
+            let offset = 8;
+            const decoder = new TextDecoder();
+            while (offset < png.length) {
+                const length = ((png[offset] << 24) | (png[offset + 1] << 16) | (png[offset + 2] << 8) | png[offset + 3]) >>> 0;
+                const type = String.fromCharCode(...png.slice(offset + 4, offset + 8));
+                const end = offset + 12 + length;
+                const chunk = png.slice(offset, end);
+                let keep = true;
+                if (type === 'tEXt' || type === 'iTXt') {
+                    const data = chunk.slice(8, 8 + length);
+                    const nullIndex = data.indexOf(0);
+                    keep = nullIndex === -1 || !(decoder.decode(data.slice(0, nullIndex)) in texts);
+                }
+                if (type === 'IEND') {
+                    Object.entries(texts).forEach(([keyword, text]) => {
+                        const body = new TextEncoder().encode(`${keyword}\0${text}`);
+                        const out = new Uint8Array(12 + body.length);
+                        const view = new DataView(out.buffer);
+                        view.setUint32(0, body.length);
+                        out.set([0x74, 0x45, 0x58, 0x74], 4); // 'tEXt'
+                        out.set(body, 8);
+                        view.setUint32(8 + body.length, _pngCrc32(out.subarray(4, 8 + body.length)));
+                        chunks.push(out);
+                    });
+                }
+                if (keep) chunks.push(chunk);
+                offset = end;
+                if (type === 'IEND') break;
+            }
+            const total = 8 + chunks.reduce((sum, c) => sum + c.length, 0);
+            const result = new Uint8Array(total);
+            result.set(png.slice(0, 8), 0);
+            let pos = 8;
+            chunks.forEach(c => { result.set(c, pos); pos += c.length; });
+            return result;
+        }
+
+        // 头像转成 PNG（头像可能是 jpg/webp/网络图片）；没有头像或跨域图片无法读取时生成纯色卡面
+        async function _characterCardImage(char) {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            let drawn = false;
+            if (char.avatar) {
+                try {
+                    const img = await new Promise((resolve, reject) => {
+                        const el = new Image();
+                        el.crossOrigin = 'anonymous';
+                        el.onload = () => resolve(el);
+                        el.onerror = () => reject(new Error('头像加载失败'));
+                        el.src = char.avatar;
+                    });
+                    canvas.width = img.naturalWidth || 400;
+                    canvas.height = img.naturalHeight || 400;
+                    ctx.drawImage(img, 0, 0);
+                    canvas.toDataURL(); // 跨域图片会在这里抛出 SecurityError
+                    drawn = true;
+                } catch (e) {
+                    console.warn('[角色卡导出] 头像无法写入 PNG，改用默认卡面:', e.message);
+                }
+            }
+            if (!drawn) {
+                canvas.width = 400;
+                canvas.height = 600;
+                ctx.fillStyle = '#f2f2f7';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.fillStyle = '#8e8e93';
+                ctx.font = 'bold 160px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText((char.name || '?').charAt(0), canvas.width / 2, canvas.height / 2);
+            }
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            return { bytes: new Uint8Array(await blob.arrayBuffer()), fromAvatar: drawn };
+        }
+
+        function _downloadBlob(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        /**
+         * 导出角色卡
+         * @param {number} charId
+         * @param {'v2'|'v3'} spec
+         * @param {'json'|'png'} format
+         */
+        async function exportCharacterCard(charId, spec = 'v2', format = 'png') {
+            const char = await db.characters.get(charId);
+            if (!char) return;
+            const card = await buildCharacterCard(char, spec);
+            const safeName = (char.name || 'character').replace(/[\\/:*?"<>|]/g, '_');
+
+            if (format === 'json') {
+                _downloadBlob(new Blob([JSON.stringify(card, null, 2)], { type: 'application/json' }), `${safeName}.${spec}.json`);
+                return;
+            }
+
+            const texts = {};
+            if (spec === 'v3') {
+                texts.ccv3 = _utf8ToBase64(JSON.stringify(card));
+                texts.chara = _utf8ToBase64(JSON.stringify(await buildCharacterCard(char, 'v2')));
+            } else {
+                texts.chara = _utf8ToBase64(JSON.stringify(card));
+            }
+            const image = await _characterCardImage(char);
+            const png = embedPngTextChunks(image.bytes, texts);
+            _downloadBlob(new Blob([png], { type: 'image/png' }), `${safeName}.png`);
+            if (char.avatar && !image.fromAvatar) showToast('头像无法读取（可能是跨域图片），已使用默认卡面');
+        }
+
+        // 编辑页「导出角色卡」：选择规范和格式
+        function showCharacterCardExportModal() {
+            if (!editingCharId) {
+                alert("请先保存当前角色后再导出");
+                return;
+            }
+            const charId = editingCharId;
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.3);display:flex;align-items:center;justify-content:center;z-index:99999;';
+            overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+            const option = (spec, format, label, desc) => `
+                <div data-spec="${spec}" data-format="${format}" style="padding:12px 14px;border-radius:10px;background:#fafafa;margin-bottom:8px;cursor:pointer;">
+                    <div style="font-size:14px;color:#262626;font-weight:500;">${label}</div>
+                    <div style="font-size:12px;color:#8e8e8e;margin-top:2px;">${desc}</div>
+                </div>`;
+            overlay.innerHTML = `
+                <div style="background:#fff;border-radius:14px;padding:24px 20px;width:300px;box-shadow:0 8px 30px rgba(0,0,0,0.08);font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;">
+                    <div style="font-size:15px;font-weight:600;color:#262626;text-align:center;margin-bottom:4px;">导出角色卡</div>
+                    <div style="font-size:12px;color:#8e8e8e;text-align:center;margin-bottom:16px;">包含挂载的世界书、备选开场白和标签</div>
+                    ${option('v2', 'png', 'V2 · PNG 图片', '头像图片内嵌角色数据，兼容性最好')}
+                    ${option('v3', 'png', 'V3 · PNG 图片', '同时内嵌 V3 和 V2 数据')}
+                    ${option('v2', 'json', 'V2 · JSON', 'chara_card_v2')}
+                    ${option('v3', 'json', 'V3 · JSON', 'chara_card_v3')}
+                    <div data-close style="text-align:center;padding:11px;border-radius:10px;font-size:14px;color:#8e8e8e;background:#f5f5f5;cursor:pointer;margin-top:6px;">取消</div>
+                </div>
+            `;
+            overlay.querySelector('[data-close]').onclick = () => overlay.remove();
+            overlay.querySelectorAll('[data-spec]').forEach(el => {
+                el.onclick = async () => {
+                    overlay.remove();
+                    try {
+                        await exportCharacterCard(charId, el.dataset.spec, el.dataset.format);
+                    } catch (err) {
+                        console.error('[角色卡导出] 失败:', err);
+                        alert('导出失败: ' + err.message);
+                    }
+                };
+            });
+            document.body.appendChild(overlay);
+        }
+
+        // ========== 开场白 / 场景 / 对话示例 ==========
+        // 字段名与角色卡规范一致：first_mes / alternate_greetings / scenario / mes_example
+        // 旧版本导入的角色只在 original_data 里有这些字段，读取时回退过去
+
+        // TavernAI 旧写法 <BOT> / <USER> 统一成 {{char}} / {{user}}，再交给宏引擎（macros.js）展开
+        function normalizeCardMacros(text) {
+            if (!text) return '';
+            return String(text).replace(/<BOT>/gi, '{{char}}').replace(/<USER>/gi, '{{user}}');
+        }
+
+        function getCharacterCardFields(char) {
+            const orig = char?.original_data?.data || char?.original_data || {};
+            const pick = (field) => {
+                const value = char?.[field] ?? orig[field];
+                return typeof value === 'string' ? value : '';
+            };
+            const greetings = char?.alternate_greetings ?? orig.alternate_greetings;
+            return {
+                first_mes: pick('first_mes'),
+                alternate_greetings: Array.isArray(greetings) ? greetings.filter(g => typeof g === 'string' && g.trim()) : [],
+                scenario: pick('scenario'),
+                mes_example: pick('mes_example')
+            };
+        }
+
+        // 导入角色卡时写入角色记录的字段
+        function _cardFieldsFromImport(charData) {
+            const fields = getCharacterCardFields({ original_data: charData });
+            return { ...fields, first_mes: fields.first_mes.trim(), scenario: fields.scenario.trim(), mes_example: fields.mes_example.trim() };
+        }
+
+        // 可选的开场白列表（主开场白在前）
+        function getCharacterGreetings(char) {
+            const { first_mes, alternate_greetings } = getCharacterCardFields(char);
+            return [first_mes, ...alternate_greetings].filter(g => g && g.trim());
+        }
+
+        // 提示词段落：场景（宏在 assemblePrompt 中展开）
+        function buildScenarioPrompt(char) {
+            const scenario = normalizeCardMacros(getCharacterCardFields(char).scenario).trim();
+            return scenario ? `## 场景\n${scenario}\n` : '';
+        }
+
+        // 提示词段落：对话示例（按 <START> 分段，只作为说话风格参考）
+        function buildExampleDialoguePrompt(char) {
+            const raw = normalizeCardMacros(getCharacterCardFields(char).mes_example);
+            const blocks = raw.split(/<START>/i).map(b => b.trim()).filter(Boolean);
+            if (blocks.length === 0) return '';
+            return `## 对话示例（仅供参考说话风格和语气，不是真实发生过的对话，不要照搬内容）\n${blocks.map((b, i) => `示例${i + 1}：\n${b}`).join('\n\n')}\n`;
+        }
+
+        // ---- 编辑器 ----
+        function _createAltGreetingField(value = '') {
+            const row = document.createElement('div');
+            row.className = 'alt-greeting-item';
+            row.style.cssText = 'position:relative;margin-bottom:8px;';
+            const textarea = document.createElement('textarea');
+            textarea.className = 'editor-textarea';
+            textarea.placeholder = '备选开场白';
+            textarea.style.height = '90px';
+            textarea.value = value;
+            const remove = document.createElement('button');
+            remove.title = '删除';
+            remove.textContent = '✕';
+            remove.style.cssText = 'position:absolute;top:6px;right:6px;background:none;border:none;color:#ff3b30;font-size:14px;';
+            remove.onclick = () => row.remove();
+            row.appendChild(textarea);
+            row.appendChild(remove);
+            return row;
+        }
+
+        function addAltGreetingField() {
+            const list = document.getElementById('char-alt-greetings');
+            if (!list) return;
+            const row = _createAltGreetingField();
+            list.appendChild(row);
+            row.querySelector('textarea').focus();
+        }
+
+        function fillCharacterGreetingFields(char) {
+            const fields = getCharacterCardFields(char || {});
+            document.getElementById('char-first-mes').value = fields.first_mes;
+            document.getElementById('char-scenario').value = fields.scenario;
+            document.getElementById('char-mes-example').value = fields.mes_example;
+            const list = document.getElementById('char-alt-greetings');
+            list.innerHTML = '';
+            fields.alternate_greetings.forEach(g => list.appendChild(_createAltGreetingField(g)));
+        }
+
+        function readCharacterGreetingFields() {
+            return {
+                first_mes: document.getElementById('char-first-mes').value.trim(),
+                alternate_greetings: Array.from(document.querySelectorAll('#char-alt-greetings textarea'))
+                    .map(t => t.value.trim())
+                    .filter(Boolean),
+                scenario: document.getElementById('char-scenario').value.trim(),
+                mes_example: document.getElementById('char-mes-example').value.trim()
+            };
+        }
+
+        // ---- 新聊天的开场选择 ----
+        // 本次会话里已经选过“不使用开场白”的聊天（charId|accountId），不再重复弹出
+        const _chatStartPickerDismissed = new Set();
+
+        async function maybeShowChatStartPicker(char, accountId) {
+            if (!char || char.isOnlineFriend || window._fpChatMode) return;
+            const key = `${char.id}|${accountId || 'default'}`;
+            if (_chatStartPickerDismissed.has(key)) return;
+            if (getChatHistory(char, accountId).length > 0) return;
+            const greetings = getCharacterGreetings(char);
+            if (greetings.length === 0) return;
+            if (document.getElementById('chat-start-picker')) return;
+
+            const macroCtx = await createCharMacroContext(char, accountId);
+            const scenario = expandMacros(normalizeCardMacros(getCharacterCardFields(char).scenario), macroCtx).trim();
+            const rendered = greetings.map(g => expandMacros(normalizeCardMacros(g), macroCtx).trim());
+            await saveMacroVariables(macroCtx);
+
+            const overlay = document.createElement('div');
+            overlay.id = 'chat-start-picker';
+            overlay.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.3);display:flex;align-items:center;justify-content:center;z-index:99999;';
+            overlay.innerHTML = `
+                <div style="background:#fff;border-radius:14px;padding:20px 18px;width:320px;max-height:80vh;display:flex;flex-direction:column;box-shadow:0 8px 30px rgba(0,0,0,0.08);font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;">
+                    <div style="font-size:15px;font-weight:600;color:#262626;text-align:center;margin-bottom:4px;">选择开场</div>
+                    <div style="font-size:12px;color:#8e8e8e;text-align:center;margin-bottom:12px;">${escapeHtml(char.name)} 会以选中的开场白开始这段聊天</div>
+                    ${scenario ? `<div style="font-size:12px;color:#555;background:#fff5f7;border-left:3px solid var(--ins-pink);border-radius:6px;padding:8px 10px;margin-bottom:10px;white-space:pre-wrap;max-height:90px;overflow-y:auto;">${escapeHtml(scenario)}</div>` : ''}
+                    <div style="overflow-y:auto;flex:1;">
+                        ${rendered.map((g, i) => `
+                        <div data-greeting="${i}" style="padding:10px 12px;border-radius:10px;background:#fafafa;margin-bottom:8px;cursor:pointer;">
+                            <div style="font-size:12px;color:var(--ins-pink);margin-bottom:4px;">${i === 0 ? '开场白' : `备选 ${i}`}</div>
+                            <div style="font-size:13px;color:#262626;white-space:pre-wrap;max-height:110px;overflow:hidden;">${escapeHtml(g)}</div>
+                        </div>`).join('')}
+                    </div>
+                    <div data-skip style="text-align:center;padding:11px;border-radius:10px;font-size:14px;color:#8e8e8e;background:#f5f5f5;cursor:pointer;margin-top:6px;">不使用开场白</div>
+                </div>
+            `;
+            const dismiss = () => {
+                _chatStartPickerDismissed.add(key);
+                overlay.remove();
+            };
+            overlay.onclick = (e) => { if (e.target === overlay) dismiss(); };
+            overlay.querySelector('[data-skip]').onclick = dismiss;
+            overlay.querySelectorAll('[data-greeting]').forEach(el => {
+                el.onclick = async () => {
+                    overlay.remove();
+                    await seedChatWithGreeting(char.id, accountId, rendered[Number(el.dataset.greeting)]);
+                };
+            });
+            document.body.appendChild(overlay);
+        }
+
+        // 用选中的开场白作为聊天的第一条（按空行/换行拆成多个气泡）
+        async function seedChatWithGreeting(charId, accountId, greeting) {
+            const char = await db.characters.get(charId);
+            if (!char || !greeting) return;
+            if (getChatHistory(char, accountId).length > 0) return; // 选择期间已经有了消息
+            const now = Date.now();
+            const paragraphs = greeting.split(/\n+/).map(p => p.trim()).filter(Boolean);
+            const history = paragraphs.map((p, i) => buildCharMessage(p, !!char.foreign_lang_mode, { time: now + i, isGreeting: true }));
+            await setChatHistory(char, accountId, history);
+            if (currentChatCharId === charId && !window.currentGroupChatId) {
+                await renderChatBody(char);
+            }
+        }
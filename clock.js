@@ -0,0 +1,309 @@
+// ================== 虚拟时间 (Virtual Clock) JS ==================
+// 本文件包含每个角色 × 账号一份的虚拟时钟：故事时间偏移、时区、时间流速（如现实1小时=故事1天）
+// 消息始终存真实时间戳，显示和提示词中再按时钟换算成故事时间；快进只推进时钟，不改动已有消息
+// 依赖：db（characters 表）, invalidateCharacterCache, getCurrentAccountId, currentChatCharId, showToast 等全局变量（来自 script.js）
+
+// ===== Block 1: 时钟数据与换算 =====
+        // 时间流速选项（倍率 = 故事时间 / 现实时间）
+        const VIRTUAL_CLOCK_RATES = [
+            { rate: 1, label: '与现实同步流逝' },
+            { rate: 2, label: '2倍速' },
+            { rate: 6, label: '现实1小时=故事6小时' },
+            { rate: 24, label: '现实1小时=故事1天' },
+            { rate: 168, label: '现实1小时=故事1周' }
+        ];
+        const VIRTUAL_CLOCK_MAX_SEGMENTS = 100;
+
+        // 常用时区（输入框也可以手填任意 IANA 时区名）
+        const VIRTUAL_CLOCK_TIME_ZONES = [
+            'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Seoul', 'Asia/Singapore',
+            'Europe/London', 'Europe/Paris', 'Europe/Moscow',
+            'America/New_York', 'America/Chicago', 'America/Los_Angeles',
+            'Australia/Sydney', 'UTC'
+        ];
+
+        function _clockAccountKey(accountId) {
+            return String(accountId || 'offline');
+        }
+
+        function getVirtualClock(char, accountId = getCurrentAccountId()) {
+            if (!char || !char.virtual_clock_by_account) return null;
+            return char.virtual_clock_by_account[_clockAccountKey(accountId)] || null;
+        }
+
+        function isVirtualTimeEnabled(char, accountId = getCurrentAccountId()) {
+            const clock = getVirtualClock(char, accountId);
+            return !!(clock && clock.enabled && Array.isArray(clock.segments) && clock.segments.length);
+        }
+
+        // 时钟由若干段 {real, virtual, rate} 组成：每次调整/快进都从当前现实时间起新开一段，
+        // 这样旧消息仍按当时的故事时间显示，不会因为后来的快进整体跳动
+        function _clockVirtualAt(clock, realTs) {
+            const segs = clock?.segments || [];
+            if (!segs.length) return realTs;
+            let seg = segs[0];
+            for (const s of segs) {
+                if (s.real <= realTs) seg = s;
+                else break;
+            }
+            // 第一段之前的消息（开启时钟前的旧记录）按第一段的偏移、1倍速往回推
+            const rate = realTs >= seg.real ? (seg.rate || 1) : 1;
+            return Math.round(seg.virtual + (realTs - seg.real) * rate);
+        }
+
+        function virtualTimeAt(char, realTs, accountId = getCurrentAccountId()) {
+            if (!isVirtualTimeEnabled(char, accountId)) return realTs;
+            return _clockVirtualAt(getVirtualClock(char, accountId), realTs);
+        }
+
+        // 当前故事时间与现实时间的差值（毫秒），时钟关闭时为 0
+        function getEffectiveTimeOffset(char, accountId = getCurrentAccountId()) {
+            const now = Date.now();
+            return virtualTimeAt(char, now, accountId) - now;
+        }
+
+        const _clockZoneFormatters = new Map();
+        function _getZoneFormatter(timeZone) {
+            if (!_clockZoneFormatters.has(timeZone)) {
+                _clockZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric'
+                }));
+            }
+            return _clockZoneFormatters.get(timeZone);
+        }
+
+        function isValidTimeZone(timeZone) {
+            if (!timeZone) return false;
+            try {
+                _getZoneFormatter(timeZone);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        // 某时区在 ts 时刻相对 UTC 的偏移（毫秒，东八区为 +8h）
+        function _timeZoneOffsetMs(ts, timeZone) {
+            const parts = {};
+            _getZoneFormatter(timeZone).formatToParts(new Date(ts)).forEach(p => { parts[p.type] = p.value; });
+            const wall = new Date(0);
+            wall.setUTCFullYear(parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day));
+            wall.setUTCHours(parseInt(parts.hour) % 24, parseInt(parts.minute), parseInt(parts.second));
+            return wall.getTime() - Math.floor(ts / 1000) * 1000;
+        }
+
+        // 返回一个 Date，其本地 getter（getHours/getDate…）读出的就是故事时区里的墙上时间，
+        // 现有的格式化代码无需改动即可直接使用
+        function toVirtualClockDate(realTs, char, accountId = getCurrentAccountId()) {
+            const virtualTs = virtualTimeAt(char, realTs, accountId);
+            const clock = getVirtualClock(char, accountId);
+            const timeZone = isVirtualTimeEnabled(char, accountId) && clock.timeZone;
+            if (!timeZone || !isValidTimeZone(timeZone)) return new Date(virtualTs);
+            const localOffset = -new Date(virtualTs).getTimezoneOffset() * 60000;
+            return new Date(virtualTs + _timeZoneOffsetMs(virtualTs, timeZone) - localOffset);
+        }
+
+        // datetime-local 的值（故事时区里的墙上时间）→ 时间戳
+        function zonedWallTimeToEpoch(wallValue, timeZone) {
+            const m = String(wallValue || '').match(/^(\d{1,6})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+            if (!m) return NaN;
+            const wall = new Date(0);
+            wall.setUTCFullYear(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]));
+            wall.setUTCHours(parseInt(m[4]), parseInt(m[5]), 0, 0);
+            const wallMs = wall.getTime();
+            if (!timeZone || !isValidTimeZone(timeZone)) {
+                return wallMs + new Date(wallMs).getTimezoneOffset() * 60000;
+            }
+            // 两次迭代修正夏令时边界
+            let guess = wallMs - _timeZoneOffsetMs(wallMs, timeZone);
+            guess = wallMs - _timeZoneOffsetMs(guess, timeZone);
+            return guess;
+        }
+
+        function _toDateTimeLocalValue(date) {
+            const pad = n => String(n).padStart(2, '0');
+            return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        }
+
+        function formatVirtualClockLabel(char, accountId = getCurrentAccountId()) {
+            if (!isVirtualTimeEnabled(char, accountId)) return '';
+            const clock = getVirtualClock(char, accountId);
+            const d = toVirtualClockDate(Date.now(), char, accountId);
+            const weekDays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+            const yearPart = d.getFullYear() !== new Date().getFullYear() ? `${d.getFullYear()}年` : '';
+            const time = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+            const rate = clock.rate || 1;
+            return `🕰 ${yearPart}${d.getMonth() + 1}月${d.getDate()}日 ${weekDays[d.getDay()]} ${time}${rate !== 1 ? ` · ×${rate}` : ''}`;
+        }
+
+// ===== Block 2: 调整与快进 =====
+        function _pushClockSegment(segments, seg) {
+            const list = (segments || []).filter(s => s.real < seg.real);
+            list.push(seg);
+            return list.slice(-VIRTUAL_CLOCK_MAX_SEGMENTS);
+        }
+
+        async function _saveVirtualClock(char, accountId, clock) {
+            // 先读库里的最新值再合并，避免覆盖其它账号的时钟
+            const fresh = await db.characters.get(char.id);
+            const map = { ...(fresh?.virtual_clock_by_account || {}), [_clockAccountKey(accountId)]: clock };
+            await db.characters.update(char.id, { virtual_clock_by_account: map });
+            char.virtual_clock_by_account = map; // 同步本地引用
+            invalidateCharacterCache(char.id);
+        }
+
+        // 调整时钟：storyTime 为空时保持当前故事时间不变，只改时区/流速/开关
+        async function configureVirtualClock(char, accountId, { enabled, storyTime, timeZone, rate } = {}) {
+            if (!char) return null;
+            const now = Date.now();
+            const old = getVirtualClock(char, accountId) || {};
+            const virtualNow = Number.isFinite(storyTime)
+                ? storyTime
+                : (old.segments?.length ? _clockVirtualAt(old, now) : now);
+            const nextRate = Number(rate) > 0 ? Number(rate) : (old.rate || 1);
+            const clock = {
+                enabled: enabled !== undefined ? !!enabled : !!old.enabled,
+                timeZone: timeZone !== undefined ? (timeZone || '') : (old.timeZone || ''),
+                rate: nextRate,
+                segments: _pushClockSegment(old.segments, { real: now, virtual: virtualNow, rate: nextRate })
+            };
+            await _saveVirtualClock(char, accountId, clock);
+            refreshChatVirtualClock();
+            return clock;
+        }
+
+        // 快进：故事时间向前推进 ms 毫秒（时钟未开启时不做任何事）
+        async function advanceVirtualClock(char, ms, accountId = getCurrentAccountId()) {
+            if (!isVirtualTimeEnabled(char, accountId) || !(ms > 0)) return false;
+            const now = Date.now();
+            const clock = { ...getVirtualClock(char, accountId) };
+            const rate = clock.rate || 1;
+            clock.segments = _pushClockSegment(clock.segments, { real: now, virtual: _clockVirtualAt(clock, now) + ms, rate });
+            await _saveVirtualClock(char, accountId, clock);
+            refreshChatVirtualClock();
+            return true;
+        }
+
+// ===== Block 3: 聊天标题栏与设置弹窗 =====
+        async function refreshChatVirtualClock() {
+            const el = document.getElementById('chat-virtual-clock');
+            if (!el) return;
+            const header = el.closest('.chat-header');
+            const hide = () => {
+                el.style.display = 'none';
+                header?.classList.remove('has-virtual-clock');
+            };
+            if (!currentChatCharId || window.currentGroupChatId) return hide();
+            try {
+                const char = await db.characters.get(parseInt(currentChatCharId));
+                const label = formatVirtualClockLabel(char);
+                if (!label) return hide();
+                el.textContent = label;
+                el.title = getVirtualClock(char)?.timeZone || '';
+                el.style.display = '';
+                header?.classList.add('has-virtual-clock');
+            } catch (e) {
+                hide();
+            }
+        }
+
+        // 倍速下分钟数走得快，标题栏定时刷新
+        setInterval(() => {
+            const win = document.getElementById('chat-window');
+            if (win && win.style.display === 'flex') refreshChatVirtualClock();
+        }, 30000);
+
+        // 聊天详情页中的时钟摘要
+        function updateVirtualClockSummary(char) {
+            const el = document.getElementById('detail-virtual-clock-summary');
+            if (!el) return;
+            el.textContent = isVirtualTimeEnabled(char) ? formatVirtualClockLabel(char).replace('🕰 ', '') : '现实时间';
+        }
+
+        async function editVirtualClock() {
+            if (!currentChatCharId) return;
+            const accountId = getCurrentAccountId();
+            const char = await db.characters.get(parseInt(currentChatCharId));
+            if (!char) return;
+            const clock = getVirtualClock(char, accountId) || {};
+            const enabled = isVirtualTimeEnabled(char, accountId);
+            const currentRate = clock.rate || 1;
+            const storyDate = enabled ? toVirtualClockDate(Date.now(), char, accountId) : new Date();
+            const inputStyle = 'width:100%; padding:8px; border:1px solid #e5e5e5; border-radius:8px; font-size:14px; margin-bottom:10px; background:#fff; box-sizing:border-box;';
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:360px; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:12px;">虚拟时间</div>
+                    <label style="display:flex; align-items:center; justify-content:space-between; font-size:14px; color:#333; margin-bottom:12px;">
+                        <span>启用角色专属时钟</span>
+                        <input type="checkbox" data-field="enabled" ${enabled ? 'checked' : ''}>
+                    </label>
+                    <div style="font-size:12px; color:#999; margin-bottom:4px;">当前故事时间</div>
+                    <input type="datetime-local" data-field="storyTime" style="${inputStyle}">
+                    <div style="font-size:12px; color:#999; margin-bottom:4px;">时区（留空跟随本机）</div>
+                    <input type="text" data-field="timeZone" list="virtual-clock-tz-list" placeholder="例如 Asia/Tokyo" style="${inputStyle}">
+                    <datalist id="virtual-clock-tz-list">
+                        ${VIRTUAL_CLOCK_TIME_ZONES.map(tz => `<option value="${tz}"></option>`).join('')}
+                    </datalist>
+                    <div style="font-size:12px; color:#999; margin-bottom:4px;">时间流速</div>
+                    <select data-field="rate" style="${inputStyle}">
+                        ${VIRTUAL_CLOCK_RATES.map(r => `<option value="${r.rate}" ${r.rate === currentRate ? 'selected' : ''}>${r.label}</option>`).join('')}
+                    </select>
+                    <div data-action="sync" style="font-size:13px; color:var(--ins-pink); cursor:pointer; margin-bottom:4px;">同步为现实时间</div>
+                    <div style="font-size:12px; color:#999; line-height:1.6;">聊天记录仍按真实时间保存，切换或调整时钟不会改写已有消息；“快进”会推动这个时钟。</div>
+                    <div style="display:flex; gap:10px; margin-top:12px;">
+                        <button data-action="cancel" style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">取消</button>
+                        <button data-action="save" style="flex:1; padding:10px; background:var(--ins-pink); border:none; border-radius:8px; font-size:14px; color:#fff;">保存</button>
+                    </div>
+                </div>
+            `;
+            const storyInput = overlay.querySelector('[data-field="storyTime"]');
+            const tzInput = overlay.querySelector('[data-field="timeZone"]');
+            storyInput.value = _toDateTimeLocalValue(storyDate);
+            tzInput.value = clock.timeZone || '';
+            const initialStoryValue = storyInput.value;
+            const initialTimeZone = tzInput.value;
+
+            overlay.querySelector('[data-action="sync"]').onclick = () => {
+                const tz = tzInput.value.trim();
+                const now = new Date();
+                storyInput.value = _toDateTimeLocalValue(isValidTimeZone(tz)
+                    ? new Date(now.getTime() + _timeZoneOffsetMs(now.getTime(), tz) + now.getTimezoneOffset() * 60000)
+                    : now);
+            };
+            overlay.querySelector('[data-action="cancel"]').onclick = () => overlay.remove();
+            overlay.querySelector('[data-action="save"]').onclick = async () => {
+                const timeZone = tzInput.value.trim();
+                if (timeZone && !isValidTimeZone(timeZone)) {
+                    showToast('时区名称无效，例如 Asia/Shanghai');
+                    return;
+                }
+                const opts = {
+                    enabled: overlay.querySelector('[data-field="enabled"]').checked,
+                    timeZone,
+                    rate: parseFloat(overlay.querySelector('[data-field="rate"]').value)
+                };
+                // 没改故事时间和时区时保留时钟当前读数，避免把几十秒的走时抹掉
+                if (storyInput.value !== initialStoryValue || timeZone !== initialTimeZone || !enabled) {
+                    const storyTime = zonedWallTimeToEpoch(storyInput.value, timeZone);
+                    if (!Number.isFinite(storyTime)) {
+                        showToast('请填写故事时间');
+                        return;
+                    }
+                    opts.storyTime = storyTime;
+                }
+                try {
+                    await configureVirtualClock(char, accountId, opts);
+                    overlay.remove();
+                    updateVirtualClockSummary(char);
+                    showToast(opts.enabled ? '虚拟时间已更新' : '已切回现实时间');
+                } catch (e) {
+                    console.error('[VirtualClock] 保存失败:', e);
+                    alert('保存失败');
+                }
+            };
+            document.body.appendChild(overlay);
+        }
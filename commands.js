@@ -0,0 +1,649 @@
+// ================== 回复指令表 (Reply Commands) JS ==================
+// 本文件包含 AI 回复中 ((指令)) 的统一注册表：每条指令声明语法、参数、可用场景、处理函数和给模型看的说明
+// 私聊 / 主动聊天 / 群聊 / 线下模式都通过 executeReplyCommands 执行同一套指令，新增指令只需在这里注册
+// 依赖：db, getChatHistory, setChatHistory, appendMessageToUI, currentChatCharId 等全局变量（来自 script.js）
+
+// ===== Block 1: 注册表 =====
+        // 场景：private 私聊回复 / auto 主动聊天 / group 群聊 / offline 线下模式
+        const REPLY_COMMAND_CONTEXTS = ['private', 'auto', 'group', 'offline'];
+
+        // name -> 指令定义（按注册顺序生成提示词）
+        const replyCommandRegistry = new Map();
+
+        /**
+         * 注册一条回复指令
+         * @param {Object} def
+         * @param {string} def.name - 指令名（大写），对应 ((NAME)) / ((NAME: 参数))
+         * @param {Array} def.args - 参数 [{ name, label, type: 'string'|'number', optional, default }]，最后一个参数吞掉剩余的逗号
+         * @param {Array} def.contexts - 允许使用的场景，其余场景出现时只剥离不执行
+         * @param {string|Function} def.prompt - 给模型看的说明，(ctx) => string；为空则不出现在指令列表中
+         * @param {Function} def.when - (ctx) => boolean，当前角色是否启用该指令（未启用时不介绍、出现也只剥离）
+         * @param {Function|null} def.handler - async (args, ctx, info) => { drop }；为 null 表示由回复流程自行处理（转账、外卖卡片等会生成消息的指令）
+         * @param {string} def.tool - 作为原生工具（function calling）暴露时的说明；为空则只支持文字指令
+         */
+        function registerReplyCommand(def) {
+            const name = String(def.name || '').toUpperCase();
+            if (!/^[A-Z][A-Z_]*$/.test(name)) {
+                console.warn('[回复指令] 指令名不合法:', def.name);
+                return;
+            }
+            replyCommandRegistry.set(name, {
+                args: [],
+                contexts: ['private', 'auto'],
+                prompt: '',
+                when: null,
+                handler: null,
+                ...def,
+                name
+            });
+        }
+
+        function getReplyCommand(name) {
+            return replyCommandRegistry.get(String(name || '').toUpperCase()) || null;
+        }
+
+        // 指令语法，例如 ((POKE: 动作, 部位))
+        function formatReplyCommandSyntax(def) {
+            if (!def.args || def.args.length === 0) return `((${def.name}))`;
+            return `((${def.name}: ${def.args.map(a => a.label || a.name).join(', ')}))`;
+        }
+
+        function isReplyCommandEnabled(def, ctx) {
+            if (!def.contexts.includes(ctx.context)) return false;
+            if (typeof def.when === 'function') {
+                try {
+                    return !!def.when(ctx);
+                } catch (e) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+// ===== Block 2: 解析与执行 =====
+        const REPLY_COMMAND_RE = /\(\(([A-Za-z][A-Za-z_]*)(?:\s*[:：]\s*([^)]*?))?\s*\)\)/g;
+
+        // 按参数声明拆分原始参数串，校验失败返回 null
+        function parseReplyCommandArgs(def, raw) {
+            const specs = def.args || [];
+            const text = (raw || '').trim();
+            const values = [];
+            let rest = text;
+            for (let i = 0; i < specs.length; i++) {
+                let piece;
+                if (i === specs.length - 1) {
+                    piece = rest;
+                    rest = '';
+                } else {
+                    const sep = rest.search(/[,，]/);
+                    piece = sep >= 0 ? rest.slice(0, sep) : rest;
+                    rest = sep >= 0 ? rest.slice(sep + 1) : '';
+                }
+                values.push(piece.trim());
+            }
+
+            const args = {};
+            for (let i = 0; i < specs.length; i++) {
+                const spec = specs[i];
+                const value = values[i];
+                if (!value) {
+                    if (!spec.optional) return null;
+                    args[spec.name] = spec.default;
+                    continue;
+                }
+                if (spec.type === 'number') {
+                    const num = parseFloat(value);
+                    if (!Number.isFinite(num)) return null;
+                    args[spec.name] = num;
+                } else {
+                    args[spec.name] = value;
+                }
+            }
+            return args;
+        }
+
+        // 按参数声明校验工具调用的结构化参数（与 parseReplyCommandArgs 相同的规则），校验失败返回 null
+        function parseToolCallArgs(def, input) {
+            const source = input && typeof input === 'object' ? input : {};
+            const args = {};
+            for (const spec of def.args || []) {
+                const raw = source[spec.name];
+                const value = raw === undefined || raw === null ? '' : (typeof raw === 'string' ? raw.trim() : raw);
+                if (value === '') {
+                    if (!spec.optional) return null;
+                    args[spec.name] = spec.default;
+                    continue;
+                }
+                if (spec.type === 'number') {
+                    const num = typeof value === 'number' ? value : parseFloat(value);
+                    if (!Number.isFinite(num)) return null;
+                    args[spec.name] = num;
+                } else {
+                    args[spec.name] = String(value);
+                }
+            }
+            return args;
+        }
+
+        // 找出文本中所有已注册的指令（未注册的 ((xxx)) 不处理）
+        function findReplyCommands(text) {
+            if (!text || typeof text !== 'string' || !text.includes('((')) return [];
+            const found = [];
+            for (const m of text.matchAll(REPLY_COMMAND_RE)) {
+                const def = getReplyCommand(m[1]);
+                if (!def) continue;
+                found.push({ def, raw: m[0], argText: m[2] || '', start: m.index, end: m.index + m[0].length });
+            }
+            return found;
+        }
+
+        // 指令所在的 ||| 分段文字（去掉已注册指令），来电等指令用作附带的第一句话
+        function _commandSegmentText(text, start) {
+            const from = text.lastIndexOf('|||', start);
+            const to = text.indexOf('|||', start);
+            const segment = text.slice(from >= 0 ? from + 3 : 0, to >= 0 ? to : text.length);
+            return segment.replace(REPLY_COMMAND_RE, (all, name) => getReplyCommand(name) ? '' : all).trim();
+        }
+
+        /**
+         * 执行文本中的指令并从文本中移除
+         * - 当前场景可用且有 handler 的：执行后移除
+         * - 当前场景不可用、未启用或参数不合法的：直接移除，不执行
+         * - handler 为 null 的：保留在文本中，由调用方的回复流程处理
+         * 模型通过原生工具调用的指令（toolCalls）参数已经是结构化的，在文字指令之后直接交给 handler 执行，不再拼成文本重新解析
+         * @param {string} text - AI 回复（可以是整段，也可以是 ||| 拆分后的单条）
+         * @param {Object} ctx - { context, char, charId, accountId, userName, now }
+         * @param {Array} toolCalls - 工具调用 [{ name, arguments }]（见 callAI 的 onToolCalls），没有 handler 的由调用方用 appendToolCallDirectives 转成文本接在回复后面
+         * @returns {Promise<{text: string, results: Array, dropped: boolean}>}
+         */
+        async function executeReplyCommands(text, ctx, toolCalls = []) {
+            const found = findReplyCommands(text);
+            if (found.length === 0 && toolCalls.length === 0) return { text, results: [], dropped: false };
+
+            const results = [];
+            const removeRanges = [];
+            let dropped = false;
+            const runHandler = async (def, args, info) => {
+                try {
+                    console.log(`[回复指令] 执行 ${def.name}（${ctx.context}）`, args);
+                    const result = await def.handler(args, ctx, info);
+                    results.push({ name: def.name, args, result });
+                    if (result && result.drop) dropped = true;
+                } catch (e) {
+                    console.error(`[回复指令] ${def.name} 执行失败:`, e);
+                }
+            };
+            for (const cmd of found) {
+                const { def } = cmd;
+                if (!isReplyCommandEnabled(def, ctx)) {
+                    console.warn(`[回复指令] ${def.name} 在当前场景(${ctx.context})不可用，已移除`);
+                    removeRanges.push(cmd);
+                    continue;
+                }
+                if (!def.handler) continue;
+
+                removeRanges.push(cmd);
+                const args = parseReplyCommandArgs(def, cmd.argText);
+                if (!args) {
+                    console.warn(`[回复指令] ${def.name} 参数不合法，已忽略:`, cmd.raw);
+                    continue;
+                }
+                await runHandler(def, args, { raw: cmd.raw, segmentText: _commandSegmentText(text, cmd.start) });
+            }
+
+            for (const call of toolCalls) {
+                const def = getReplyCommand(call && call.name);
+                if (!def || !def.handler) continue;
+                if (!isReplyCommandEnabled(def, ctx)) {
+                    console.warn(`[回复指令] ${def.name} 在当前场景(${ctx.context})不可用，已忽略工具调用`);
+                    continue;
+                }
+                const args = parseToolCallArgs(def, call.arguments);
+                if (!args) {
+                    console.warn(`[回复指令] ${def.name} 工具调用参数不合法，已忽略:`, call.arguments);
+                    continue;
+                }
+                await runHandler(def, args, { raw: '', segmentText: '' });
+            }
+
+            let output = '';
+            let cursor = 0;
+            removeRanges.sort((a, b) => a.start - b.start).forEach(cmd => {
+                output += text.slice(cursor, cmd.start);
+                cursor = cmd.end;
+            });
+            output += text.slice(cursor);
+            // 清理移除指令后可能产生的孤立 ||| 分隔符
+            output = output.replace(/(\s*\|\|\|\s*)+/g, '|||').replace(/^\|\|\|/, '').replace(/\|\|\|$/, '').trim();
+
+            return { text: dropped ? '' : output, results, dropped };
+        }
+
+// ===== Block 3: 提示词 =====
+        // 工具模式下提示词里代替文字指令说明的一句话，也是回退文字指令时替换的锚点
+        const REPLY_COMMAND_TOOL_HINT = '转账、戳一戳、打电话等互动功能已作为工具提供，需要时直接调用工具，不要在回复里写 ((指令)) 文本';
+
+        // 生成“可用互动功能”中的指令说明（只包含当前场景可用、当前角色启用的指令）
+        // tools 为 true 时带工具说明的指令已经作为工具发给模型，不再列出文字语法，只保留 QUOTE、RECALL 等纯文字指令
+        function buildReplyCommandPrompt(ctx, { tools = false } = {}) {
+            const blocks = [];
+            let toolCount = 0;
+            replyCommandRegistry.forEach(def => {
+                if (!isReplyCommandEnabled(def, ctx)) return;
+                if (tools && def.tool) {
+                    toolCount++;
+                    return;
+                }
+                if (!def.prompt) return;
+                const text = typeof def.prompt === 'function' ? def.prompt(ctx, formatReplyCommandSyntax(def)) : def.prompt;
+                if (text) blocks.push(text.trim());
+            });
+            if (toolCount > 0) blocks.unshift(REPLY_COMMAND_TOOL_HINT);
+            return blocks.join('\n\n');
+        }
+
+        // 提示词按工具模式生成、请求最终没带工具时（接口不支持、已关闭或流式请求），把系统提示词里的指令说明换回完整的文字指令
+        function withTextReplyCommands(messages, ctx) {
+            const toolPrompt = buildReplyCommandPrompt(ctx, { tools: true });
+            if (!toolPrompt.includes(REPLY_COMMAND_TOOL_HINT)) return messages;
+            const textPrompt = buildReplyCommandPrompt(ctx);
+            return messages.map(m => (m.role === 'system' && typeof m.content === 'string' && m.content.includes(toolPrompt))
+                ? { ...m, content: m.content.replace(toolPrompt, () => textPrompt) }
+                : m);
+        }
+
+// ===== Block 4: 原生工具调用 (function calling) =====
+        // 支持 tools 的接口直接把指令作为工具发给模型，返回的 tool_calls 中有 handler 的指令带着结构化参数交给 executeReplyCommands 执行；
+        // 转账、外卖卡片等由回复流程生成消息的指令还原成 ((指令)) 文本拼进回复
+        // 模式：auto 接口支持时使用（不支持时自动回退文字指令）/ off 只用文字指令
+        const TOOL_UNSUPPORTED_STORAGE_KEY = 'aiToolUnsupportedEndpoints';
+
+        async function getToolCallMode() {
+            try {
+                const item = await db.dexiData.get('aiToolCallMode');
+                return item?.value || localStorage.getItem('aiToolCallMode') || 'auto';
+            } catch (e) {
+                return localStorage.getItem('aiToolCallMode') || 'auto';
+            }
+        }
+
+        function _toolEndpointKey(url, model) {
+            return `${url}|${model}`;
+        }
+
+        function _loadToolUnsupported() {
+            try {
+                return JSON.parse(localStorage.getItem(TOOL_UNSUPPORTED_STORAGE_KEY) || '[]');
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function isToolCallingUnsupported(url, model) {
+            return _loadToolUnsupported().includes(_toolEndpointKey(url, model));
+        }
+
+        // 接口拒绝 tools 参数后记住，之后同一接口+模型直接走文字指令
+        function markToolCallingUnsupported(url, model) {
+            const list = _loadToolUnsupported();
+            const key = _toolEndpointKey(url, model);
+            if (list.includes(key)) return;
+            list.push(key);
+            localStorage.setItem(TOOL_UNSUPPORTED_STORAGE_KEY, JSON.stringify(list.slice(-50)));
+            console.warn('[回复指令] 接口不支持原生工具调用，已回退为文字指令:', key);
+        }
+
+        // 切换接口或手动重置时清除“不支持”记录
+        function resetToolCallingSupport() {
+            localStorage.removeItem(TOOL_UNSUPPORTED_STORAGE_KEY);
+        }
+
+        function _commandToolSchema(def) {
+            const properties = {};
+            const required = [];
+            (def.args || []).forEach(arg => {
+                properties[arg.name] = { type: arg.type === 'number' ? 'number' : 'string', description: arg.label || arg.name };
+                if (!arg.optional) required.push(arg.name);
+            });
+            return { type: 'object', properties, required };
+        }
+
+        /**
+         * 生成当前场景可用指令的工具定义
+         * @param {Object} ctx - 同 executeReplyCommands
+         * @param {string} style - 'openai'（chat/completions 的 tools）或 'anthropic'（messages 接口的 tools）
+         */
+        function buildReplyCommandTools(ctx, style = 'openai') {
+            const tools = [];
+            replyCommandRegistry.forEach(def => {
+                if (!def.tool || !isReplyCommandEnabled(def, ctx)) return;
+                if (style === 'anthropic') {
+                    tools.push({ name: def.name, description: def.tool, input_schema: _commandToolSchema(def) });
+                } else {
+                    tools.push({ type: 'function', function: { name: def.name, description: def.tool, parameters: _commandToolSchema(def) } });
+                }
+            });
+            return tools;
+        }
+
+        // 把没有 handler 的工具调用（由回复流程处理的卡片类指令）还原成 ((指令)) 文本；有 handler 的由 executeReplyCommands 直接执行，未注册的都返回空字符串
+        // 回复流程按逗号拆参数，除最后一个参数外，参数里的逗号换成顿号
+        function replyCommandFromToolCall(call) {
+            const def = getReplyCommand(call && call.name);
+            if (!def) {
+                console.warn('[回复指令] 模型调用了未注册的工具:', call && call.name);
+                return '';
+            }
+            if (def.handler) return '';
+            const input = call.arguments || {};
+            const values = (def.args || []).map(arg => input[arg.name]);
+            while (values.length > 0 && (values[values.length - 1] === undefined || values[values.length - 1] === '')) values.pop();
+            if (values.length === 0) return `((${def.name}))`;
+            const last = values.length - 1;
+            return `((${def.name}: ${values.map((v, i) => {
+                const text = String(v ?? '').replace(/[()]/g, '');
+                return i < last ? text.replace(/[,，]/g, '、') : text;
+            }).join(', ')}))`;
+        }
+
+        // 工具调用中的卡片类指令（转账等）还原成文本，用 ||| 接在回复后面交给回复流程；其余的由 executeReplyCommands 带着结构化参数执行
+        function appendToolCallDirectives(text, toolCalls) {
+            const directives = (toolCalls || []).map(replyCommandFromToolCall).filter(Boolean);
+            return directives.length > 0 ? [text, ...directives].filter(Boolean).join('|||') : text;
+        }
+
+// ===== Block 5: 内置指令 =====
+        // 写入一条系统提示（戳一戳、打开APP、改网名等）到聊天记录和当前窗口
+        async function insertCommandSystemMessage(ctx, text, type) {
+            const freshChar = await db.characters.get(ctx.charId);
+            if (!freshChar) return;
+            const history = getChatHistory(freshChar, ctx.accountId);
+            history.push({ role: 'system', content: text, time: ctx.now ? ctx.now() : Date.now(), type });
+            await setChatHistory(freshChar, ctx.accountId, history);
+            if (currentChatCharId === ctx.charId) {
+                await appendMessageToUI('system', text);
+            }
+        }
+
+        // 会生成消息卡片的指令：由回复流程处理，这里只登记语法和说明
+        registerReplyCommand({
+            name: 'TRANSFER',
+            tool: '给对方转账',
+            args: [{ name: 'amount', label: '金额', type: 'number' }, { name: 'note', label: '备注', optional: true }],
+            prompt: (ctx, syntax) => `转账：\n${syntax}`
+        });
+        registerReplyCommand({
+            name: 'SHOP_GIFT',
+            tool: '在商城给对方买礼物',
+            args: [{ name: 'amount', label: '金额', type: 'number' }, { name: 'item', label: '商品名', optional: true }],
+            prompt: (ctx, syntax) => `购物送礼：\n${syntax}`
+        });
+        registerReplyCommand({
+            name: 'FAMILY_CARD',
+            tool: '给对方赠送亲属卡（关系很亲密时才会赠送）',
+            args: [{ name: 'limit', label: '每月额度', type: 'number' }],
+            prompt: (ctx, syntax) => `亲属卡（给对方赠送亲属卡 让对方用你的零钱消费 关系很亲密时才会赠送）：\n${syntax}`
+        });
+        registerReplyCommand({
+            name: 'RECALL',
+            args: [{ name: 'count', label: '条数', type: 'number', optional: true }],
+            prompt: () => `撤回：\n((RECALL))`
+        });
+
+        registerReplyCommand({
+            name: 'POKE',
+            tool: '戳一戳对方',
+            args: [{ name: 'action', label: '动作' }, { name: 'part', label: '部位', optional: true }],
+            prompt: (ctx, syntax) => `戳一戳：\n${syntax}`,
+            handler: async ({ action, part }, ctx) => {
+                let pokeAction = action;
+                let pokePart = part || '';
+                // 兼容 ((POKE: 拍了拍 肩膀)) 这种用空格分隔的写法
+                if (!pokePart) {
+                    const spaceIdx = action.indexOf(' ');
+                    if (spaceIdx > 0) {
+                        pokeAction = action.substring(0, spaceIdx).trim();
+                        pokePart = action.substring(spaceIdx + 1).trim();
+                    }
+                }
+                const freshChar = await db.characters.get(ctx.charId);
+                const myChar = ctx.accountId ? await db.characters.get(parseInt(ctx.accountId)) : null;
+                const pokeUserName = myChar ? (myChar.nick || myChar.name) : '用户';
+                const pokeText = pokePart ? `${freshChar.name}${pokeAction}${pokeUserName}的${pokePart}` : `${freshChar.name}${pokeAction}${pokeUserName}`;
+                await insertCommandSystemMessage(ctx, pokeText, 'poke');
+            }
+        });
+
+        registerReplyCommand({
+            name: 'OPEN_APP',
+            tool: '在自己手机上打开某个APP',
+            args: [{ name: 'app', label: 'APP名称' }],
+            prompt: (ctx, syntax) => `打开APP：\n${syntax}`,
+            handler: async ({ app }, ctx) => {
+                const freshChar = await db.characters.get(ctx.charId);
+                await insertCommandSystemMessage(ctx, `${freshChar.name} 打开了 "${app}"`, 'open_app');
+            }
+        });
+
+        registerReplyCommand({
+            name: 'CALL',
+            tool: '给对方打电话',
+            prompt: () => `打电话：\n((CALL))`,
+            handler: async (args, ctx, info) => {
+                if (_incomingCallCharId) return;
+                // 指令所在那条消息的文字作为接通后的第一句话
+                const callResult = await showIncomingCall(ctx.charId, info.segmentText || '');
+                // 🔧 因忙碌被拒时丢弃文字（AI按通话场景写的内容不应出现在文字聊天中）
+                if (callResult === 'busy') return { drop: true };
+            }
+        });
+
+        registerReplyCommand({
+            name: 'EMEI_ORDER',
+            tool: '给对方点外卖',
+            args: [{ name: 'shop', label: '店铺名' }, { name: 'items', label: '商品1 x数量 ¥单价/商品2 x数量 ¥单价' }, { name: 'total', label: '总金额', type: 'number' }],
+            contexts: ['private'],
+            prompt: (ctx, syntax) => `给对方点外卖：\n${syntax}\n注意：必须用两个逗号分隔三部分 每个商品单价要符合实际`
+        });
+        registerReplyCommand({
+            name: 'EMEI_PAY',
+            tool: '请对方帮忙代付外卖',
+            args: [{ name: 'shop', label: '店铺名' }, { name: 'items', label: '商品1 x数量 ¥单价/商品2 x数量 ¥单价' }, { name: 'total', label: '总金额', type: 'number' }],
+            contexts: ['private'],
+            prompt: (ctx, syntax) => `代付请求（让对方帮忙付款）：\n${syntax}`
+        });
+        registerReplyCommand({
+            name: 'EMEI_SHARE',
+            tool: '分享自己点的外卖',
+            args: [{ name: 'shop', label: '店铺名' }, { name: 'items', label: '商品1 ¥单价/商品2 ¥单价' }, { name: 'total', label: '总金额', type: 'number' }],
+            contexts: ['private'],
+            prompt: (ctx, syntax) => `分享外卖（分享自己点的外卖）：\n${syntax}`
+        });
+
+        registerReplyCommand({
+            name: 'SET_NICKNAME',
+            tool: '修改自己的微信网名',
+            args: [{ name: 'nickname', label: '新网名' }],
+            prompt: (ctx, syntax) => `改网名：\n${syntax}`,
+            handler: async ({ nickname }, ctx) => {
+                const freshChar = await db.characters.get(ctx.charId);
+                const oldNickname = getCharWxNickname(freshChar, ctx.accountId) || freshChar.name;
+                // 🛡️ 使用 update() 只更新网名字段，防止覆盖设置
+                const payload = ctx.accountId
+                    ? { [`wx_nickname_by_user.${ctx.accountId}`]: nickname }
+                    : { wx_nickname: nickname };
+                await safeDexieUpdate(db.characters, ctx.charId, payload, `改网名[${freshChar.name}]`);
+                setCharWxNickname(freshChar, ctx.accountId, nickname);
+                await insertCommandSystemMessage(ctx, `${oldNickname} 将网名改为 "${nickname}"`, 'set_nickname');
+                if (currentChatCharId === ctx.charId) {
+                    if (!freshChar.remark) {
+                        const titleEl = document.getElementById('chat-title');
+                        if (titleEl) titleEl.innerText = nickname;
+                    }
+                    const nicknameEl = document.getElementById('detail-char-nickname');
+                    if (nicknameEl) nicknameEl.innerText = nickname;
+                }
+            }
+        });
+
+        registerReplyCommand({
+            name: 'SET_SIGNATURE',
+            tool: '修改自己的个性签名',
+            args: [{ name: 'signature', label: '新签名' }],
+            prompt: (ctx, syntax) => `改个性签名：\n${syntax}`,
+            handler: async ({ signature }, ctx) => {
+                const freshChar = await db.characters.get(ctx.charId);
+                // 🛡️ 使用 update() 只更新签名字段，防止覆盖设置
+                await safeDexieUpdate(db.characters, ctx.charId, { wx_signature: signature }, `改签名[${freshChar.name}]`);
+                await insertCommandSystemMessage(ctx, `${freshChar.wx_nickname || freshChar.name} 更新了个性签名: "${signature}"`, 'set_signature');
+                if (currentChatCharId === ctx.charId) {
+                    const sigEl = document.getElementById('detail-char-signature');
+                    if (sigEl) sigEl.innerText = signature;
+                }
+            }
+        });
+
+        registerReplyCommand({
+            name: 'DELETE_USER',
+            tool: '删除对方好友（极度失望想断联时才用，非常严重）',
+            prompt: () => `删除好友（你删对方 极度失望想断联时才用 非常严重）：\n((DELETE_USER))`,
+            handler: async (args, ctx) => {
+                await executeCharDeleteUser(ctx.charId, ctx.accountId);
+            }
+        });
+        registerReplyCommand({
+            name: 'BLOCK_USER',
+            tool: '拉黑对方（极度愤怒被深深伤害时才用，最严重的操作）',
+            prompt: () => `拉黑好友（你拉黑对方 极度愤怒被深深伤害时才用 最严重的操作）：\n((BLOCK_USER))`,
+            handler: async (args, ctx) => {
+                await executeCharBlockUser(ctx.charId, ctx.accountId);
+            }
+        });
+
+        registerReplyCommand({
+            name: 'BLOCK_MOMENTS',
+            tool: '不让对方看自己的朋友圈（对方不会收到提示）',
+            prompt: () => `朋友圈权限（不让对方看你的朋友圈，对方不会收到任何提示，只是看不到你发的内容）：
+不让TA看我朋友圈：((BLOCK_MOMENTS))
+恢复让TA看我朋友圈：((UNBLOCK_MOMENTS))
+注意：这是一个隐秘操作，对方不会收到通知。适合生气、冷战、闹别扭但又不想闹到拉黑删除的程度时使用。使用后你仍可以正常发朋友圈，只是对方看不到。`,
+            handler: async (args, ctx) => {
+                await executeBlockMoments(ctx.charId, ctx.accountId, true);
+            }
+        });
+        registerReplyCommand({
+            name: 'UNBLOCK_MOMENTS',
+            tool: '恢复让对方看自己的朋友圈',
+            handler: async (args, ctx) => {
+                await executeBlockMoments(ctx.charId, ctx.accountId, false);
+            }
+        });
+
+        registerReplyCommand({
+            name: 'NPC_ADD_FRIEND',
+            tool: '让身边的关联NPC主动加对方好友',
+            args: [{ name: 'npc', label: 'NPC名字' }],
+            when: ctx => ctx.char && ctx.char.relationships && ctx.char.relationships.length > 0,
+            prompt: (ctx, syntax) => `让关联NPC加对方好友（让你身边的人主动加对方）：\n${syntax}`,
+            handler: async ({ npc }, ctx) => {
+                await executeNpcAddFriend(ctx.char, npc, ctx.accountId);
+            }
+        });
+
+        registerReplyCommand({
+            name: 'QUOTE',
+            args: [{ name: 'name', label: '被引用人的名字' }, { name: 'content', label: '被引用的内容摘要' }],
+            contexts: ['private', 'auto', 'group'],
+            prompt: (ctx, syntax) => `引用消息（引用之前的某条消息来回复，让对话更有针对性）：
+${syntax}回复内容
+例如：((QUOTE: ${ctx.userName || '对方'}, 明天一起吃饭吧))好呀 去哪吃？
+注意：引用内容简短概括即可，不需要完整复述。引用指令必须放在回复内容的最前面。`
+        });
+
+        registerReplyCommand({
+            name: 'TRANSFER_ACCEPT',
+            tool: '收下对方的转账',
+            contexts: ['private'],
+            prompt: () => `转账回应（收到对方转账时使用）：\n收款：((TRANSFER_ACCEPT))\n退回：((TRANSFER_RETURN))`
+        });
+        registerReplyCommand({ name: 'TRANSFER_RETURN', contexts: ['private'], tool: '退回对方的转账' });
+        registerReplyCommand({
+            name: 'INTIMATE_ACCEPT',
+            tool: '接受对方的亲密关系邀请',
+            contexts: ['private'],
+            prompt: () => `亲密关系邀请回应（仅在收到邀请时使用）：\n接受：((INTIMATE_ACCEPT))\n拒绝：((INTIMATE_REJECT))`
+        });
+        registerReplyCommand({ name: 'INTIMATE_REJECT', contexts: ['private'], tool: '拒绝对方的亲密关系邀请' });
+
+        registerReplyCommand({
+            name: 'PHONE_ACTIVITY',
+            tool: '在自己手机上做了某件事（对方看不到）',
+            args: [{ name: 'desc', label: '简短描述你做了什么' }],
+            when: ctx => !!(ctx.char && ctx.char.allow_autonomous_activity),
+            prompt: (ctx, syntax) => `手机活动（你在自己手机上做的事）：
+${syntax}
+例如：((PHONE_ACTIVITY: 给闺蜜发了条消息吐槽今天的事))、((PHONE_ACTIVITY: 刷了一会抖音点赞了几个视频))、((PHONE_ACTIVITY: 发了一条朋友圈记录心情))
+注意：这代表你在自己手机上的真实活动，对方看不到这个指令。你可以在聊天间隙自然地使用手机。`,
+            handler: async ({ desc }, ctx) => {
+                // 异步生成手机活动数据（不阻塞当前回复）
+                generateCharAutonomousActivity(ctx.charId, ctx.accountId, desc).catch(e => {
+                    console.error('[回复指令] 角色自主活动生成失败:', e);
+                });
+            }
+        });
+
+        registerReplyCommand({
+            name: 'CHANGE_PASSWORD',
+            tool: '修改自己的账号密码',
+            args: [{ name: 'password', label: '新密码' }],
+            contexts: ['private'],
+            when: ctx => !!(ctx.char && ctx.char.identity && ctx.char.identity.password),
+            prompt: () => `修改账号密码：
+((CHANGE_PASSWORD:新密码))
+你可以随时修改自己的账号密码。修改后原密码立即失效。
+适用场景：生气了不想让对方查你手机、觉得不安全、想保护隐私、赌气、冷战等。
+注意：这不是必须的，请根据你的性格和当前情绪自然决定是否要改密码。不要频繁修改。`
+        });
+
+        // 头像类指令的说明在头像上下文中按需给出（需要结合对方发的图片），这里不重复介绍
+        registerReplyCommand({
+            name: 'CHANGE_AVATAR',
+            tool: '换一个新头像',
+            handler: async (args, ctx) => {
+                await executeChangeAvatar(ctx.charId, ctx.accountId);
+            }
+        });
+        registerReplyCommand({
+            name: 'COUPLE_AVATAR',
+            tool: '邀请对方一起换情侣头像',
+            handler: async (args, ctx) => {
+                await sendCoupleAvatarCard(ctx.charId, ctx.accountId);
+            }
+        });
+        registerReplyCommand({
+            name: 'REVERT_COUPLE_AVATAR',
+            tool: '把情侣头像换回单人头像',
+            handler: async (args, ctx) => {
+                await executeRevertCoupleAvatar(ctx.charId, ctx.accountId);
+            }
+        });
+        registerReplyCommand({
+            name: 'USE_IMAGE_AS_AVATAR',
+            args: [{ name: 'index', label: '序号', type: 'number', optional: true, default: 1 }],
+            handler: async ({ index }, ctx) => {
+                await executeUseImageAsAvatar(ctx.charId, ctx.accountId, parseInt(index) || 1);
+            }
+        });
+        registerReplyCommand({
+            name: 'CROP_AVATAR',
+            args: [
+                { name: 'index', label: '序号', type: 'number' },
+                { name: 'left', label: '左%', type: 'number' },
+                { name: 'top', label: '上%', type: 'number' },
+                { name: 'width', label: '宽%', type: 'number' },
+                { name: 'height', label: '高%', type: 'number' }
+            ],
+            handler: async ({ index, left, top, width, height }, ctx) => {
+                await executeCropImageAsAvatar(ctx.charId, ctx.accountId, parseInt(index) || 1, left, top, width, height);
+            }
+        });
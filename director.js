@@ -0,0 +1,326 @@
+// ================== 群聊导演 (Group Director) JS ==================
+// 本文件包含群聊的轮流发言调度：每一轮先挑出“谁来说话”，再只让这些成员生成回复，
+// 依据 @提及、与上一位发言者的关系、成员活跃度和冷却，AI 成员之间可以不等用户连续聊几轮
+// 成员可以绑定自己的 API 预设（如 NPC 用便宜模型、主角用强模型），绑定后该成员单独生成自己的回合
+// 依赖：getCachedGroupChat, getCachedCharacter, getCharDisplayName, getCharRemark, getCharWxNickname,
+//       safeGroupChatPut, triggerGroupMemberReply, getCurrentAccountId, showToast, escapeHtml, invalidateCharacterCache, db 等全局变量（来自 script.js）
+
+// ===== Block 1: 设置 =====
+        const GROUP_DIRECTOR_DEFAULTS = {
+            enabled: true,
+            maxTurns: 3,        // 用户发言后最多连续几轮（含第一轮回应用户）
+            speakersPerTurn: 3, // 每轮最多几位成员发言
+            cooldownTurns: 1    // 刚说完话的成员要隔几轮才会主动接话（被 @ 时不受限制）
+        };
+
+        // 成员活跃度：数值越大越爱接话
+        const GROUP_TALKATIVENESS_LEVELS = [
+            { label: '潜水', weight: 0.15 },
+            { label: '少言', weight: 0.5 },
+            { label: '正常', weight: 1 },
+            { label: '活跃', weight: 1.6 },
+            { label: '话痨', weight: 2.4 }
+        ];
+        const GROUP_TALKATIVENESS_DEFAULT = 2;
+
+        function getGroupDirectorSettings(group) {
+            const saved = group?.director || {};
+            const clampInt = (v, min, max, def) => {
+                const n = parseInt(v);
+                return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : def;
+            };
+            return {
+                enabled: saved.enabled !== undefined ? !!saved.enabled : GROUP_DIRECTOR_DEFAULTS.enabled,
+                maxTurns: clampInt(saved.maxTurns, 1, 10, GROUP_DIRECTOR_DEFAULTS.maxTurns),
+                speakersPerTurn: clampInt(saved.speakersPerTurn, 1, 8, GROUP_DIRECTOR_DEFAULTS.speakersPerTurn),
+                cooldownTurns: clampInt(saved.cooldownTurns, 0, 5, GROUP_DIRECTOR_DEFAULTS.cooldownTurns)
+            };
+        }
+
+        function getMemberTalkativeness(group, memberId) {
+            const level = group?.memberTalkativeness?.[memberId];
+            return Number.isInteger(level) && GROUP_TALKATIVENESS_LEVELS[level] ? level : GROUP_TALKATIVENESS_DEFAULT;
+        }
+
+// ===== Block 2: 挑选发言人 =====
+        function _memberNameCandidates(group, char, accountId) {
+            return [
+                group.memberNicknames?.[char.id],
+                getCharRemark(char, accountId),
+                getCharWxNickname(char, accountId),
+                char.remark, char.wx_nickname, char.nick, char.name
+            ].filter(n => n && String(n).trim()).map(n => String(n).trim());
+        }
+
+        // 找出文本中被 @ 的成员（@所有人 / @全体成员 视为全员被提及）
+        function detectGroupMentions(text, group, memberMap, accountId) {
+            const mentioned = new Set();
+            if (!text || !text.includes('@')) return mentioned;
+            const everyone = /@(所有人|全体成员|all)/i.test(text);
+            for (const [memberId, char] of Object.entries(memberMap)) {
+                if (everyone) {
+                    mentioned.add(parseInt(memberId));
+                    continue;
+                }
+                const names = _memberNameCandidates(group, char, accountId);
+                if (names.some(name => text.includes('@' + name))) mentioned.add(parseInt(memberId));
+            }
+            return mentioned;
+        }
+
+        // 两位成员之间的关系强度：恋人/暗恋等亲密关系 > 一般关系 > 没有关系
+        function _relationBoost(charA, charB) {
+            if (!charA || !charB) return 1;
+            const rels = [
+                ...(charA.relationships || []).filter(r => r.targetId === charB.id),
+                ...(charB.relationships || []).filter(r => r.targetId === charA.id)
+            ];
+            if (rels.length === 0) return 1;
+            const text = rels.map(r => r.relation || '').join(' ');
+            if (/恋人|情侣|伴侣|夫妻|老公|老婆|暗恋|喜欢|crush/i.test(text)) return 2.2;
+            if (/死对头|敌|宿敌|情敌|讨厌/.test(text)) return 1.8; // 冤家见面也爱抬杠
+            return 1.5;
+        }
+
+        /**
+         * 挑选本轮发言的成员
+         * @param {object} group - 群聊对象
+         * @param {object} memberMap - memberId → 角色对象
+         * @param {object} ctx - { turn, lastMessages, lastSpeakerId, history: [[本轮前各轮的发言人ID]] , settings, accountId }
+         * @returns {Array<{id:number, reason:string}>} 为空表示这段对话自然结束
+         */
+        function pickGroupSpeakers(group, memberMap, ctx) {
+            const { turn, lastMessages = [], lastSpeakerId = null, history = [], settings, accountId } = ctx;
+            const muted = group.mutedMembers || [];
+            const candidates = Object.keys(memberMap).map(id => parseInt(id)).filter(id => !muted.includes(id));
+            if (candidates.length === 0) return [];
+
+            const text = lastMessages.map(m => m.content || '').join('\n');
+            const mentioned = detectGroupMentions(text, group, memberMap, accountId);
+            // 引用某人的消息也算点名
+            lastMessages.forEach(m => {
+                if (!m.quote?.name) return;
+                for (const id of candidates) {
+                    if (_memberNameCandidates(group, memberMap[id], accountId).includes(m.quote.name.trim())) mentioned.add(id);
+                }
+            });
+
+            const recentRounds = settings.cooldownTurns > 0 ? history.slice(-settings.cooldownTurns) : [];
+            const lastSpeaker = lastSpeakerId ? memberMap[lastSpeakerId] : null;
+            const scored = [];
+            for (const id of candidates) {
+                if (mentioned.has(id) && id !== lastSpeakerId) {
+                    scored.push({ id, weight: Infinity, reason: '被@' });
+                    continue;
+                }
+                // 冷却：刚说过话的成员这轮不主动接话
+                if (recentRounds.some(round => round.includes(id))) continue;
+                let weight = GROUP_TALKATIVENESS_LEVELS[getMemberTalkativeness(group, id)].weight;
+                let reason = GROUP_TALKATIVENESS_LEVELS[getMemberTalkativeness(group, id)].label;
+                const boost = _relationBoost(memberMap[id], lastSpeaker);
+                if (boost > 1) {
+                    weight *= boost;
+                    reason = `和${getCharDisplayName(lastSpeaker, accountId)}有关系`;
+                }
+                // 更早几轮说过话的成员稍微降权，避免总是同一拨人
+                const spokeBefore = history.filter(round => round.includes(id)).length;
+                weight *= Math.pow(0.7, spokeBefore);
+                scored.push({ id, weight, reason });
+            }
+
+            const forced = scored.filter(s => s.weight === Infinity);
+            const pool = scored.filter(s => s.weight !== Infinity);
+            const picked = [...forced];
+            const limit = Math.max(settings.speakersPerTurn, forced.length);
+
+            if (turn === 1) {
+                // 回应用户：至少一人开口，人数随群规模增长
+                const want = Math.min(limit, Math.max(1, Math.round(candidates.length * 0.4)));
+                while (picked.length < want && pool.length > 0) {
+                    const total = pool.reduce((sum, s) => sum + s.weight, 0);
+                    let r = Math.random() * total;
+                    const idx = pool.findIndex(s => (r -= s.weight) <= 0);
+                    picked.push(pool.splice(idx === -1 ? pool.length - 1 : idx, 1)[0]);
+                }
+            } else {
+                // 后续轮次：每个人按权重决定要不要接话，越往后越容易冷场
+                const decay = Math.pow(0.6, turn - 2);
+                for (const s of pool.sort(() => Math.random() - 0.5)) {
+                    if (picked.length >= limit) break;
+                    if (Math.random() < Math.min(0.85, s.weight * 0.35 * decay)) picked.push(s);
+                }
+            }
+            return picked.slice(0, limit).map(s => ({ id: s.id, reason: s.reason }));
+        }
+
+// ===== Block 3: 多轮调度 =====
+        // 群聊“让 AI 回复”的入口：导演开启时按轮次调度，关闭时退回一次性全员回复
+        async function runGroupDirector() {
+            const groupId = window.currentGroupChatId;
+            if (!groupId) return;
+            let group = await getCachedGroupChat(groupId);
+            const settings = getGroupDirectorSettings(group);
+            if (!group || !settings.enabled) {
+                await triggerGroupMemberReply();
+                return;
+            }
+            if (window._isGeneratingGroupReply && Date.now() - (window._isGeneratingGroupReplyTime || 0) < 15000) {
+                showToast('正在生成回复中，请稍候...');
+                return;
+            }
+
+            const runToken = Symbol('groupDirector');
+            window._groupDirectorRun = runToken;
+            const accountId = getCurrentAccountId();
+            const startLength = (group.chat_history || []).length;
+            const history = [];
+            let lastMessages = (group.chat_history || []).slice(-5).filter(m => m.role === 'user');
+            let lastSpeakerId = null;
+
+            // 出错时也要清掉运行标记，否则重新生成、分支操作会一直被挡住
+            try {
+                for (let turn = 1; turn <= settings.maxTurns; turn++) {
+                    if (window.currentGroupChatId !== groupId || window._groupDirectorRun !== runToken) break;
+                    group = await getCachedGroupChat(groupId);
+                    if (!group) break;
+                    // 用户在两轮之间插话了：停下来，等用户下次触发时再针对新消息回复
+                    if (turn > 1 && (group.chat_history || []).slice(startLength).some(m => m.role === 'user')) break;
+
+                    const memberMap = {};
+                    for (const memberId of group.memberIds || []) {
+                        const char = await getCachedCharacter(memberId);
+                        if (char) memberMap[memberId] = char;
+                    }
+                    const speakers = pickGroupSpeakers(group, memberMap, { turn, lastMessages, lastSpeakerId, history, settings, accountId });
+                    if (speakers.length === 0) break;
+                    console.log(`[GroupDirector] 第${turn}轮发言:`, speakers.map(s => `${getCharDisplayName(memberMap[s.id], accountId)}(${s.reason})`).join(' '));
+
+                    if (turn > 1) {
+                        // 轮与轮之间停顿一下，像真人在打字
+                        await new Promise(resolve => setTimeout(resolve, 1200 + Math.random() * 1500));
+                        if (window.currentGroupChatId !== groupId || window._groupDirectorRun !== runToken) break;
+                    }
+
+                    // 绑定了专属 API 预设的成员由 triggerGroupMemberReply 单独生成
+                    const result = await triggerGroupMemberReply({ speakerIds: speakers.map(s => s.id), turn, maxTurns: settings.maxTurns });
+                    const spokenMessages = (result?.newMessages || []).filter(m => m.role === 'char' && m.senderId);
+                    if (spokenMessages.length === 0) break;
+
+                    history.push([...new Set(spokenMessages.map(m => m.senderId))]);
+                    lastMessages = spokenMessages;
+                    lastSpeakerId = spokenMessages[spokenMessages.length - 1].senderId;
+                }
+            } finally {
+                if (window._groupDirectorRun === runToken) window._groupDirectorRun = null;
+            }
+        }
+
+// ===== Block 4: 群设置与成员活跃度 =====
+        function loadGroupDirectorSettings(group) {
+            const settings = getGroupDirectorSettings(group);
+            const switchEl = document.getElementById('group-detail-director-switch');
+            const turnsEl = document.getElementById('group-detail-director-turns');
+            const speakersEl = document.getElementById('group-detail-director-speakers');
+            const cooldownEl = document.getElementById('group-detail-director-cooldown');
+            if (switchEl) switchEl.checked = settings.enabled;
+            if (turnsEl) turnsEl.value = settings.maxTurns;
+            if (speakersEl) speakersEl.value = settings.speakersPerTurn;
+            if (cooldownEl) cooldownEl.value = settings.cooldownTurns;
+        }
+
+        // 由 saveGroupDetail 调用，写入 group 对象（不单独保存）
+        function readGroupDirectorSettings(group) {
+            const switchEl = document.getElementById('group-detail-director-switch');
+            if (!switchEl) return;
+            group.director = getGroupDirectorSettings({
+                director: {
+                    ...(group.director || {}),
+                    enabled: switchEl.checked,
+                    maxTurns: document.getElementById('group-detail-director-turns').value,
+                    speakersPerTurn: document.getElementById('group-detail-director-speakers').value,
+                    cooldownTurns: document.getElementById('group-detail-director-cooldown').value
+                }
+            });
+        }
+
+        function updateMemberTalkativenessLabel(group, memberId) {
+            const el = document.getElementById('member-action-talkativeness');
+            if (!el) return;
+            el.innerText = `发言活跃度：${GROUP_TALKATIVENESS_LEVELS[getMemberTalkativeness(group, memberId)].label}`;
+        }
+
+        // 成员操作弹窗里点一下切换到下一档
+        async function cycleMemberTalkativeness() {
+            if (!window.currentGroupChatId || !currentActionMemberId) return;
+            const group = await getCachedGroupChat(window.currentGroupChatId);
+            if (!group) return;
+            const next = (getMemberTalkativeness(group, currentActionMemberId) + 1) % GROUP_TALKATIVENESS_LEVELS.length;
+            group.memberTalkativeness = { ...(group.memberTalkativeness || {}), [currentActionMemberId]: next };
+            group.updated_at = Date.now();
+            await safeGroupChatPut(group);
+            updateMemberTalkativenessLabel(group, currentActionMemberId);
+        }
+
+// ===== Block 5: 成员专属 API 预设 =====
+        // 预设名存在角色上（所有群通用），为空表示跟随全局 API 配置
+        function getMemberApiPreset(char) {
+            return (char && char.group_api_preset) || '';
+        }
+
+        function updateMemberApiPresetLabel(char) {
+            const el = document.getElementById('member-action-api-preset');
+            if (!el) return;
+            el.innerText = `API 预设：${getMemberApiPreset(char) || '跟随全局'}`;
+        }
+
+        async function chooseMemberApiPreset() {
+            if (!currentActionMemberId) return;
+            const memberId = currentActionMemberId;
+            const char = await db.characters.get(memberId);
+            if (!char) return;
+            let presets = [];
+            try {
+                const presetsData = await db.dexiData.get('apiPresets');
+                presets = presetsData?.value ? JSON.parse(presetsData.value) : [];
+            } catch (e) {
+                presets = [];
+            }
+            if (presets.length === 0) {
+                showToast('还没有 API 预设，请先在设置中保存预设');
+                return;
+            }
+            const current = getMemberApiPreset(char);
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:360px; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:6px;">群聊 API 预设</div>
+                    <div style="font-size:12px; color:#999; line-height:1.6; margin-bottom:12px;">该成员在群聊中单独生成发言时使用的预设，需开启“轮流发言”。预设请求失败会自动退回全局配置。</div>
+                    <select data-field="preset" style="width:100%; padding:8px; border:1px solid #e5e5e5; border-radius:8px; font-size:14px; background:#fff;">
+                        <option value="">跟随全局配置</option>
+                        ${presets.map(p => `<option value="${escapeHtml(p.name)}" ${p.name === current ? 'selected' : ''}>${escapeHtml(p.name)}${p.model ? `（${escapeHtml(p.model)}）` : ''}</option>`).join('')}
+                    </select>
+                    <div style="display:flex; gap:10px; margin-top:12px;">
+                        <button data-action="cancel" style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">取消</button>
+                        <button data-action="save" style="flex:1; padding:10px; background:var(--ins-pink); border:none; border-radius:8px; font-size:14px; color:#fff;">保存</button>
+                    </div>
+                </div>
+            `;
+            overlay.querySelector('[data-action="cancel"]').onclick = () => overlay.remove();
+            overlay.querySelector('[data-action="save"]').onclick = async () => {
+                const presetName = overlay.querySelector('[data-field="preset"]').value;
+                try {
+                    // 只写这一个字段，避免 put() 覆盖并发写入的聊天记录
+                    await db.characters.update(memberId, { group_api_preset: presetName });
+                    char.group_api_preset = presetName;
+                    invalidateCharacterCache(memberId);
+                    overlay.remove();
+                    updateMemberApiPresetLabel(char);
+                    showToast(presetName ? `已绑定预设「${presetName}」` : '已改为跟随全局配置');
+                } catch (e) {
+                    console.error('[GroupDirector] 保存成员预设失败:', e);
+                    alert('保存失败');
+                }
+            };
+            document.body.appendChild(overlay);
+        }
@@ -783,7 +783,7 @@ ${rolePersona}
         userPromptParts.push(`请以${roleName}的身份写一篇今天的日记。`);
         
         if (recentChatHistory) {
-            userPromptParts.push(`\n参考最近和别人的聊天内容，可以在日记里自然地提到相关的事（不要照搬聊天记录，用日记的口吻去写感受和想法）：${recentChatHistory}`);
+            userPromptParts.push(promptSlot('chat_history'));
         }
 
         // 标注任务
@@ -812,15 +812,23 @@ ${rolePersona}
 
         const userPrompt = userPromptParts.join('\n');
 
+        // 按上下文预算组装（聊天记录放在 user prompt 的占位里，超出时优先裁掉最旧的部分）
+        const assembled = await assemblePrompt({
+            feature: 'icity_diary',
+            system: systemPrompt,
+            sections: [
+                { id: 'chat_history', label: '聊天记录', content: recentChatHistory ? `\n参考最近和别人的聊天内容，可以在日记里自然地提到相关的事（不要照搬聊天记录，用日记的口吻去写感受和想法）：${recentChatHistory}` : '', priority: 40, trim: 'head' }
+            ],
+            history: [{ role: 'user', content: userPrompt }],
+            macros: { charName: roleName }
+        });
+
         const response = await fetch(config.apiUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${config.apiKey}` },
             body: JSON.stringify({
                 model: config.model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
+                messages: assembled.messages,
                 temperature: config.temperature || 0.9,
                 max_tokens: 8000
             })
@@ -829,6 +837,7 @@ ${rolePersona}
         if (!response.ok) throw new Error(`API请求失败: ${response.status}`);
 
         const data = await response.json();
+        recordResponseUsage(data, { feature: 'icity', model: config.model, messages: assembled.messages });
         const responseContent = data.choices?.[0]?.message?.content?.trim() || '';
         
         let jsonStr = responseContent;
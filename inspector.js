@@ -0,0 +1,266 @@
+// ================== 提示词检查器 (Prompt Inspector) JS ==================
+// 本文件记录每次 callAI / callAIStream 实际发出的请求：最终 messages、模型、温度、token 数、耗时和原始返回，
+// 存入 IndexedDB 的 prompt_logs 表（环形缓冲，只保留最近 PROMPT_LOG_MAX 条）；长按 AI 消息 →「提示词」查看对应的那次请求
+// 依赖：db, estimateTokens / estimateMessageTokens（来自 prompt.js）, escapeHtml, showToast, hideContextMenu,
+//       getActiveContextMessage, getCachedGroupChat, activeMsgIndex 等全局变量（来自 script.js），_downloadBlob（来自 character.js）
+
+// ===== Block 1: 记录请求 =====
+        const PROMPT_LOG_MAX = 50;               // 环形缓冲保留的记录条数
+        const PROMPT_LOG_TEXT_MAX = 20000;       // 原始返回最多保存的字符数
+        const PROMPT_ASSEMBLY_TRACE_MAX = 10;
+
+        // 最近几次 assemblePrompt 的结果：按系统提示原文把请求和组装段落对上（世界书、总结、朋友圈等各占多少、是否被裁剪）
+        const _recentPromptAssemblies = [];
+
+        function rememberPromptAssembly(feature, systemPrompt, parts) {
+            _recentPromptAssemblies.unshift({
+                feature,
+                systemPrompt,
+                sections: parts.map(p => ({
+                    id: p.id,
+                    label: p.label || p.id,
+                    status: p.status,
+                    tokens: p.tokens,
+                    originalTokens: p.originalTokens,
+                    content: p.status === 'dropped' ? '' : p.content
+                }))
+            });
+            _recentPromptAssemblies.splice(PROMPT_ASSEMBLY_TRACE_MAX);
+        }
+
+        // 图片 base64 体积太大，记录里只保留占位
+        function _stripImagesForLog(messages) {
+            return (messages || []).map(m => {
+                if (!Array.isArray(m.content)) return { ...m };
+                return {
+                    ...m,
+                    content: m.content.map(part => part.type === 'image_url' ? { type: 'image_url', image_url: { url: '[图片]' } } : part)
+                };
+            });
+        }
+
+        // 在 callAI / callAIStream 入口创建，每次尝试把实际请求写进 trace.request / trace.raw / trace.usage
+        // options.usageTag = { feature, charId, groupId }：用量统计的归属（见 usage.js）
+        function startPromptTrace(caller, messages, options = {}) {
+            const system = messages?.[0]?.role === 'system' ? messages[0].content : null;
+            const assembly = system ? _recentPromptAssemblies.find(a => a.systemPrompt === system) : null;
+            return {
+                caller,
+                startedAt: Date.now(),
+                feature: assembly?.feature || null,
+                sections: assembly?.sections || [],
+                messages,
+                request: null,
+                raw: '',
+                usage: null,
+                usageTag: options.usageTag || null,
+                onPromptLog: typeof options.onPromptLog === 'function' ? options.onPromptLog : null
+            };
+        }
+
+        function _buildPromptLog(trace, { response, error }) {
+            const request = trace.request || {};
+            const messages = _stripImagesForLog(request.messages || trace.messages);
+            const responseText = typeof response === 'string' ? response : '';
+            const usage = trace.usage || null;
+            return {
+                startedAt: trace.startedAt,
+                finishedAt: Date.now(),
+                latencyMs: Date.now() - trace.startedAt,
+                caller: trace.caller,
+                feature: trace.feature,
+                provider: request.provider || '',
+                model: request.model || '',
+                temperature: request.temperature ?? null,
+                jsonMode: !!request.jsonMode,
+                messages,
+                sections: trace.sections,
+                promptTokens: usage?.prompt_tokens ?? messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0),
+                completionTokens: usage?.completion_tokens ?? estimateTokens(trace.raw || responseText),
+                tokensEstimated: !usage,
+                response: responseText.slice(0, PROMPT_LOG_TEXT_MAX),
+                raw: (trace.raw || '').slice(0, PROMPT_LOG_TEXT_MAX),
+                error: error ? (error.message || String(error)) : null,
+                aborted: !!error?.aborted
+            };
+        }
+
+        async function _savePromptLog(record) {
+            const id = await db.prompt_logs.add(record);
+            const count = await db.prompt_logs.count();
+            if (count > PROMPT_LOG_MAX) {
+                const stale = await db.prompt_logs.orderBy('id').limit(count - PROMPT_LOG_MAX).primaryKeys();
+                await db.prompt_logs.bulkDelete(stale);
+            }
+            return id;
+        }
+
+        // 等待请求结束后写入记录；记录失败不影响调用结果
+        async function tracePromptCall(trace, promise) {
+            let response, error;
+            try {
+                response = await promise;
+                return response;
+            } catch (err) {
+                error = err;
+                throw err;
+            } finally {
+                try {
+                    const record = _buildPromptLog(trace, { response, error });
+                    // 📊 同一份 token 数计入用量统计（见 usage.js）
+                    if (typeof recordPromptUsage === 'function') recordPromptUsage(trace, record);
+                    const id = await _savePromptLog(record);
+                    if (trace.onPromptLog) trace.onPromptLog(id);
+                } catch (logErr) {
+                    console.warn('[提示词检查器] 记录请求失败:', logErr.message);
+                }
+            }
+        }
+
+        // 给本次回复新增的 AI 消息记上请求记录 ID（群聊等已经拿到 history 的场景直接用）
+        function tagMessagesWithPromptLog(messages, logId) {
+            if (!logId) return 0;
+            let tagged = 0;
+            messages.forEach(m => {
+                if (m && m.role !== 'user' && m.role !== 'system' && !m.promptLogId) {
+                    m.promptLogId = logId;
+                    tagged++;
+                }
+            });
+            return tagged;
+        }
+
+        // 私聊：回复保存后再给新增的角色消息记上请求记录 ID（同 stampUsedMemoriesOnReply）
+        async function stampPromptLogOnReply(charId, accountId, fromIndex, logId) {
+            if (!logId) return;
+            const freshChar = await db.characters.get(charId);
+            if (!freshChar) return;
+            const history = getChatHistory(freshChar, accountId) || [];
+            if (tagMessagesWithPromptLog(history.slice(Math.max(0, fromIndex)), logId) > 0) {
+                await setChatHistory(freshChar, accountId, history);
+            }
+        }
+
+// ===== Block 2: 查找记录 =====
+        const PROMPT_LOG_TIME_MATCH_MS = 10 * 60 * 1000;
+
+        // 没有记录 ID 的消息（主动消息、旧消息等）按时间找：消息生成前最近结束的一次请求
+        async function findPromptLogForMessage(msg) {
+            if (!msg) return null;
+            if (msg.promptLogId) {
+                const log = await db.prompt_logs.get(msg.promptLogId);
+                return log ? { log, exact: true } : null;
+            }
+            if (!msg.time) return null;
+            const candidates = await db.prompt_logs
+                .where('finishedAt').between(msg.time - PROMPT_LOG_TIME_MATCH_MS, msg.time + 2000, true, true)
+                .toArray();
+            const log = candidates.reverse().find(l => !l.error) || null;
+            return log ? { log, exact: false } : null;
+        }
+
+// ===== Block 3: 查看弹窗 =====
+        function _promptLogToText(log) {
+            const lines = [
+                `时间：${new Date(log.startedAt).toLocaleString()}`,
+                `功能：${PROMPT_FEATURE_LABELS[log.feature] || log.feature || '未知'}（${log.caller}）`,
+                `模型：${log.model || '-'}${log.provider ? ` · ${log.provider}` : ''}`,
+                `温度：${log.temperature ?? '-'}${log.jsonMode ? ' · JSON 模式' : ''}`,
+                `Tokens：输入 ${log.promptTokens} / 输出 ${log.completionTokens}${log.tokensEstimated ? '（估算）' : ''}`,
+                `耗时：${(log.latencyMs / 1000).toFixed(1)} 秒`,
+                ''
+            ];
+            log.messages.forEach((m, i) => {
+                const content = Array.isArray(m.content) ? m.content.map(p => p.type === 'text' ? p.text : '[图片]').join('\n') : m.content;
+                lines.push(`===== [${i}] ${m.role} =====`, content || '', '');
+            });
+            lines.push('===== 原始返回 =====', log.raw || log.response || log.error || '');
+            return lines.join('\n');
+        }
+
+        async function _copyPromptText(text) {
+            try {
+                await navigator.clipboard.writeText(text);
+                showToast('已复制');
+            } catch (e) {
+                const ta = document.createElement('textarea');
+                ta.value = text;
+                ta.style.cssText = 'position:fixed;left:-9999px;top:-9999px;opacity:0;';
+                document.body.appendChild(ta);
+                ta.select();
+                try {
+                    document.execCommand('copy');
+                    showToast('已复制');
+                } catch (ex) {
+                    showToast('复制失败');
+                }
+                document.body.removeChild(ta);
+            }
+        }
+
+        function showPromptInspector(log, exact = true) {
+            const statusText = { kept: '', trimmed: ' <span style="color:#ff9500;">已裁剪</span>', dropped: ' <span style="color:#ff3b30;">已丢弃</span>' };
+            const pre = 'white-space:pre-wrap; word-break:break-all; max-height:260px; overflow-y:auto; margin:4px 0 0; padding:8px; background:#f5f5f5; border-radius:6px; font-size:11px; line-height:1.5;';
+            const messageText = (m) => Array.isArray(m.content) ? m.content.map(p => p.type === 'text' ? p.text : '[图片]').join('\n') : (m.content || '');
+
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:420px; max-height:80vh; display:flex; flex-direction:column; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:8px;">本条回复的请求</div>
+                    <div style="overflow-y:auto; flex:1; font-size:12px; color:#555;">
+                        ${exact ? '' : '<div style="color:#ff9500; margin-bottom:6px;">这条消息没有直接关联的记录，以下是生成时间最接近的一次请求</div>'}
+                        <div>${new Date(log.startedAt).toLocaleString()} · ${escapeHtml(PROMPT_FEATURE_LABELS[log.feature] || log.feature || '未知功能')}</div>
+                        <div>模型：${escapeHtml(log.model || '-')}${log.provider ? ` · ${escapeHtml(log.provider)}` : ''} · 温度 ${log.temperature ?? '-'}${log.jsonMode ? ' · JSON' : ''}</div>
+                        <div>Tokens：输入 ${log.promptTokens} / 输出 ${log.completionTokens}${log.tokensEstimated ? '（估算）' : ''} · 耗时 ${(log.latencyMs / 1000).toFixed(1)} 秒</div>
+                        ${log.error ? `<div style="color:#ff3b30;">${log.aborted ? '已停止' : '失败'}：${escapeHtml(log.error)}</div>` : ''}
+                        ${log.sections?.length ? `
+                            <div style="font-weight:600; color:#333; margin-top:10px;">注入的段落</div>
+                            ${log.sections.map(s => `
+                                <details style="margin-top:4px;">
+                                    <summary style="cursor:pointer;">${escapeHtml(s.label)}：${s.tokens}${s.tokens !== s.originalTokens ? ` / ${s.originalTokens}` : ''} tokens${statusText[s.status] || ''}</summary>
+                                    ${s.content ? `<pre style="${pre}">${escapeHtml(s.content)}</pre>` : ''}
+                                </details>`).join('')}
+                        ` : ''}
+                        <div style="font-weight:600; color:#333; margin-top:10px;">消息（${log.messages.length} 条）</div>
+                        ${log.messages.map((m, i) => `
+                            <details style="margin-top:4px;"${i === 0 ? ' open' : ''}>
+                                <summary style="cursor:pointer;">[${i}] ${escapeHtml(m.role)} · ${estimateTokens(messageText(m))} tokens</summary>
+                                <pre style="${pre}">${escapeHtml(messageText(m))}</pre>
+                            </details>`).join('')}
+                        <div style="font-weight:600; color:#333; margin-top:10px;">原始返回</div>
+                        <pre style="${pre}">${escapeHtml(log.raw || log.response || '（无）')}</pre>
+                    </div>
+                    <div style="display:flex; gap:8px; margin-top:12px;">
+                        <button data-copy style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">复制</button>
+                        <button data-export style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">导出</button>
+                        <button data-close style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">关闭</button>
+                    </div>
+                </div>
+            `;
+            overlay.querySelector('[data-copy]').onclick = () => _copyPromptText(_promptLogToText(log));
+            overlay.querySelector('[data-export]').onclick = () => _downloadBlob(new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' }), `prompt_${log.feature || 'call'}_${log.id}.json`);
+            overlay.querySelector('[data-close]').onclick = () => overlay.remove();
+            document.body.appendChild(overlay);
+        }
+
+        // 长按 AI 消息 →「提示词」
+        async function handleMsgShowPrompt() {
+            const index = activeMsgIndex;
+            hideContextMenu();
+            if (index === -1) return;
+            let msg = null;
+            if (window.currentGroupChatId) {
+                const group = await getCachedGroupChat(window.currentGroupChatId);
+                msg = group?.chat_history?.[index] || null;
+            } else {
+                msg = getActiveContextMessage();
+            }
+            const found = await findPromptLogForMessage(msg);
+            if (!found) {
+                showToast('没有找到这条消息的请求记录（只保留最近 ' + PROMPT_LOG_MAX + ' 次）');
+                return;
+            }
+            showPromptInspector(found.log, found.exact);
+        }
@@ -2,9 +2,92 @@
 // 本文件包含世界书模块的所有 JS 逻辑
 // 依赖：db, showToast, callAI 等全局变量（来自 script.js）
 // ===== Block 1: getLorebookContext 工具函数 =====
-        // 辅助：获取世界书上下文 (简单的关键词匹配)
+        // 世界书激活参数（SillyTavern 风格）
+        const LOREBOOK_SCAN_CONFIG = {
+            scanDepth: 10,          // 扫描最近多少条消息
+            maxRecursionSteps: 3,   // 递归扫描层数（已激活条目的内容继续触发其他条目）
+            budgetChars: 10000      // 注入总字数上限，超出时按优先级整条丢弃，不再拦腰截断
+        };
+
+        // SillyTavern selectiveLogic：0=AND_ANY 1=NOT_ALL 2=NOT_ANY 3=AND_ALL
+        const LOREBOOK_LOGIC = { AND_ANY: 0, NOT_ALL: 1, NOT_ANY: 2, AND_ALL: 3 };
+
+        // 把各种来源（本应用 / SillyTavern 导出 / 角色卡 character_book）的词条统一成同一结构
+        function _normalizeLorebookEntry(entry, fallbackUid) {
+            const toList = (v) => {
+                if (!v) return [];
+                if (Array.isArray(v)) return v.map(k => String(k).trim()).filter(k => k);
+                return String(v).split(/[,，]/).map(k => k.trim()).filter(k => k);
+            };
+            const keys = toList(entry.key || entry.keys);
+            const secondaryKeys = toList(entry.keysecondary || entry.secondary_keys);
+            const order = Number(entry.order ?? entry.insertion_order ?? 100);
+            return {
+                uid: entry.uid ?? fallbackUid,
+                keys,
+                secondaryKeys,
+                content: entry.content || '',
+                // 没有任何关键字的词条视为常驻（兼容旧数据：以前挂载即全部加载）
+                constant: entry.constant === true || keys.length === 0,
+                selective: entry.selective === true || (entry.selective !== false && secondaryKeys.length > 0),
+                selectiveLogic: Number(entry.selectiveLogic ?? entry.extensions?.selectiveLogic ?? LOREBOOK_LOGIC.AND_ANY),
+                order: isNaN(order) ? 100 : order,
+                priority: Number(entry.priority ?? entry.extensions?.priority ?? order) || 0,
+                caseSensitive: entry.caseSensitive === true || entry.case_sensitive === true,
+                matchWholeWords: entry.matchWholeWords === true || entry.extensions?.match_whole_words === true,
+                excludeRecursion: entry.excludeRecursion === true || entry.extensions?.exclude_recursion === true,
+                preventRecursion: entry.preventRecursion === true || entry.extensions?.prevent_recursion === true,
+                enabled: entry.enabled !== false && entry.disable !== true
+            };
+        }
+
+        // 单个关键字匹配：支持 /正则/flags 写法；全词匹配只对拉丁字母生效（中文没有词边界）
+        function _lorebookKeyMatches(key, text, entry) {
+            const regexMatch = key.match(/^\/(.+)\/([gimsuy]*)$/);
+            if (regexMatch) {
+                try {
+                    return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+                } catch (e) {
+                    console.warn('[世界书] 无效的正则关键字:', key);
+                    return false;
+                }
+            }
+            const haystack = entry.caseSensitive ? text : text.toLowerCase();
+            const needle = entry.caseSensitive ? key : key.toLowerCase();
+            if (entry.matchWholeWords && /^[\w\s-]+$/.test(needle)) {
+                const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(haystack);
+            }
+            return haystack.includes(needle);
+        }
+
+        // 判断词条是否被扫描文本激活（主关键字 + 可选的次关键字逻辑）
+        function _isLorebookEntryActivated(entry, text) {
+            if (!text) return false;
+            if (!entry.keys.some(k => _lorebookKeyMatches(k, text, entry))) return false;
+            if (!entry.selective || entry.secondaryKeys.length === 0) return true;
+
+            const hits = entry.secondaryKeys.filter(k => _lorebookKeyMatches(k, text, entry)).length;
+            switch (entry.selectiveLogic) {
+                case LOREBOOK_LOGIC.NOT_ALL: return hits < entry.secondaryKeys.length;
+                case LOREBOOK_LOGIC.NOT_ANY: return hits === 0;
+                case LOREBOOK_LOGIC.AND_ALL: return hits === entry.secondaryKeys.length;
+                default: return hits > 0;
+            }
+        }
+
+        // 拼世界书扫描文本：相关名字/额外文本 + 最近 scanDepth 条消息（私聊、群聊、朋友圈、查手机等各处共用同一口径）
+        function buildLorebookScanText(names, history, depth = LOREBOOK_SCAN_CONFIG.scanDepth) {
+            const recentText = (history || []).slice(-depth)
+                .map(m => typeof m.content === 'string' ? m.content : '')
+                .join(' ');
+            return [...(names || []).filter(Boolean), recentText].join(' ');
+        }
+
+        // 辅助：获取世界书上下文（关键字激活 + 递归扫描 + 顺序/优先级 + 预算）
         // 支持单个ID或ID数组，自动包含全局世界书
-        async function getLorebookContext(lorebookIdOrIds, keywords) {
+        // keywords：用于匹配的扫描文本（通常是角色名 + 最近聊天内容）
+        async function getLorebookContext(lorebookIdOrIds, keywords, options = {}) {
             // 兼容旧数据：如果是单个ID，转换为数组
             let ids = [];
             if (lorebookIdOrIds) {
@@ -24,34 +107,66 @@
             
             if (ids.length === 0) return "";
             
-            let allContext = [];
-            const checkText = keywords ? keywords.toLowerCase() : "";
+            const config = { ...LOREBOOK_SCAN_CONFIG, ...options };
+            const scanText = typeof keywords === 'string' ? keywords : '';
             
-            // 遍历所有世界书
+            // 收集所有启用的条目
+            const candidates = [];
             for (const id of ids) {
                 const book = await db.lorebooks.get(id);
                 if (!book || !book.content || !book.content.entries) continue;
                 
-                const entries = Object.values(book.content.entries);
-                
-                entries.forEach(entry => {
-                    if (entry.enabled === false) return; // 只加载启用的条目
-                    
-                    // 挂载了就直接加载所有启用的条目
-                    allContext.push(entry.content);
+                Object.entries(book.content.entries).forEach(([entryKey, raw]) => {
+                    const entry = _normalizeLorebookEntry(raw, `${id}:${entryKey}`);
+                    if (!entry.enabled || !entry.content.trim()) return;
+                    candidates.push(entry);
                 });
             }
             
-            if (allContext.length > 0) {
-                console.log(`[世界书] ✅ 成功加载 ${allContext.length} 个条目`);
-                // 简单截断，防止爆 Token
-                const fullText = allContext.join('\n\n');
-                const safeText = fullText.length > 10000 ? fullText.slice(0, 10000) + '...(已截断)' : fullText;
-                return `【世界书设定】:\n${safeText}\n`;
-            } else {
+            if (candidates.length === 0) {
                 console.log('[世界书] ℹ️ 没有启用的条目或条目为空');
+                return "";
+            }
+            
+            // 第一轮：常驻条目 + 聊天文本命中的条目
+            const activated = new Set();
+            candidates.forEach(entry => {
+                if (entry.constant || _isLorebookEntryActivated(entry, scanText)) activated.add(entry);
+            });
+            
+            // 递归：已激活条目的内容作为新的扫描文本
+            let frontier = [...activated];
+            for (let step = 0; step < config.maxRecursionSteps && frontier.length > 0; step++) {
+                const recursionText = frontier.filter(e => !e.preventRecursion).map(e => e.content).join('\n');
+                if (!recursionText) break;
+                frontier = candidates.filter(entry =>
+                    !activated.has(entry) && !entry.excludeRecursion && _isLorebookEntryActivated(entry, recursionText)
+                );
+                frontier.forEach(entry => activated.add(entry));
+            }
+            
+            if (activated.size === 0) {
+                console.log('[世界书] ℹ️ 没有命中任何条目');
+                return "";
             }
-            return "";
+            
+            // 预算：常驻优先，其次 priority 高者优先，整条纳入或整条舍弃
+            const ranked = [...activated].sort((a, b) => (b.constant - a.constant) || (b.priority - a.priority) || (a.order - b.order));
+            const selected = [];
+            let used = 0;
+            for (const entry of ranked) {
+                if (used + entry.content.length > config.budgetChars) continue;
+                selected.push(entry);
+                used += entry.content.length;
+            }
+            const dropped = ranked.length - selected.length;
+            
+            // 插入顺序：order 小的在前（与 SillyTavern 一致）
+            selected.sort((a, b) => a.order - b.order);
+            
+            console.log(`[世界书] ✅ 激活 ${activated.size}/${candidates.length} 个条目，注入 ${selected.length} 个${dropped > 0 ? `（超出预算舍弃 ${dropped} 个）` : ''}`);
+            if (selected.length === 0) return "";
+            return `【世界书设定】:\n${selected.map(e => e.content).join('\n\n')}\n`;
         }
 
 // ===== Block 2: 群聊世界书列表切换 =====
@@ -437,7 +552,7 @@ function showLorebookPage() {
             keys.forEach(key => {
                 const entry = entries[key];
                 const title = entry.comment || entry.key?.join(', ') || `词条 #${key}`;
-                const keysText = entry.key ? entry.key.join(', ') : '无关键字';
+                const keysText = (entry.constant ? '[常驻] ' : '') + (entry.key && entry.key.length ? entry.key.join(', ') : '无关键字');
                 const isEnabled = entry.enabled !== false; // 默认启用
                 
                 const div = document.createElement('div');
@@ -465,10 +580,16 @@ function showLorebookPage() {
             const titleDom = document.getElementById('lb-entry-title');
             const keysInput = document.getElementById('entry-keys');
             const contentInput = document.getElementById('entry-content');
+            const secondaryInput = document.getElementById('entry-secondary-keys');
+            const orderInput = document.getElementById('entry-order');
+            const constantInput = document.getElementById('entry-constant');
             
             // 清空输入
             keysInput.value = '';
             contentInput.value = '';
+            secondaryInput.value = '';
+            orderInput.value = '';
+            constantInput.checked = false;
 
             if (entryId !== null) {
                 // 编辑现有词条
@@ -478,6 +599,10 @@ function showLorebookPage() {
                 if (entry) {
                     keysInput.value = entry.key ? entry.key.join(', ') : '';
                     contentInput.value = entry.content || '';
+                    const secondary = entry.keysecondary || entry.secondary_keys;
+                    secondaryInput.value = Array.isArray(secondary) ? secondary.join(', ') : '';
+                    orderInput.value = entry.order ?? entry.insertion_order ?? '';
+                    constantInput.checked = entry.constant === true;
                 }
             } else {
                 // 新建词条
@@ -498,6 +623,9 @@ function showLorebookPage() {
 
             const keysStr = document.getElementById('entry-keys').value.trim();
             const content = document.getElementById('entry-content').value;
+            const secondaryStr = document.getElementById('entry-secondary-keys').value.trim();
+            const orderStr = document.getElementById('entry-order').value.trim();
+            const constant = document.getElementById('entry-constant').checked;
             
             // 简单的校验
             if (!content && !keysStr) {
@@ -507,6 +635,7 @@ function showLorebookPage() {
 
             // 处理关键字数组
             const keys = keysStr.split(/[,，]/).map(k => k.trim()).filter(k => k);
+            const secondaryKeys = secondaryStr.split(/[,，]/).map(k => k.trim()).filter(k => k);
 
             try {
                 const book = await db.lorebooks.get(currentBookId);
@@ -529,6 +658,10 @@ function showLorebookPage() {
                     ...oldEntry,
                     uid: oldEntry.uid !== undefined ? oldEntry.uid : entryId, // SillyTavern 常用 uid
                     key: keys,
+                    keysecondary: secondaryKeys,
+                    selective: secondaryKeys.length > 0,
+                    constant: constant,
+                    order: orderStr !== '' && !isNaN(Number(orderStr)) ? Number(orderStr) : (oldEntry.order ?? 100),
                     content: content,
                     comment: keys[0] || `词条 #${entryId}`, // 用第一个关键字做注释名
                     enabled: true
@@ -0,0 +1,226 @@
+// ================== 宏与模板 (Macros) JS ==================
+// 本文件包含提示词里的宏展开：角色描述、世界书条目、线下预设、气泡美化等文本中的 {{char}} / {{user}} / {{time}} 等
+// 在 assemblePrompt 组装时统一展开；{{getvar::x}} / {{setvar::x::y}} 是每个聊天独立的变量，展开后写回数据库
+// 依赖：db, safeDexieUpdate, invalidateCharacterCache, _groupChatCache, toVirtualClockDate 等全局变量（来自 script.js / clock.js）
+
+// ===== Block 1: 聊天变量 =====
+        // 私聊变量存在 char.chat_vars_by_user[账号]，群聊变量存在 group.chat_vars
+        function _macroVarsKey(accountId) {
+            return accountId || 'default';
+        }
+
+        function getChatMacroVariables(ctx) {
+            if (ctx.group) return { ...(ctx.group.chat_vars || {}) };
+            if (ctx.char) return { ...(ctx.char.chat_vars_by_user?.[_macroVarsKey(ctx.accountId)] || {}) };
+            return {};
+        }
+
+        async function saveMacroVariables(ctx) {
+            if (!ctx || !ctx.varsDirty) return;
+            ctx.varsDirty = false;
+            const vars = { ...ctx.vars };
+            try {
+                if (ctx.group?.id) {
+                    ctx.group.chat_vars = vars;
+                    const cached = _groupChatCache.get(ctx.group.id);
+                    if (cached && cached !== ctx.group) cached.chat_vars = vars;
+                    await safeDexieUpdate(db.group_chats, ctx.group.id, { chat_vars: vars }, '群聊变量');
+                } else if (ctx.char?.id) {
+                    const key = _macroVarsKey(ctx.accountId);
+                    if (!ctx.char.chat_vars_by_user) ctx.char.chat_vars_by_user = {};
+                    ctx.char.chat_vars_by_user[key] = vars;
+                    await safeDexieUpdate(db.characters, ctx.char.id, { [`chat_vars_by_user.${key}`]: vars }, '聊天变量');
+                    invalidateCharacterCache(ctx.char.id);
+                }
+            } catch (e) {
+                console.warn('[宏] 保存聊天变量失败:', e.message);
+            }
+        }
+
+// ===== Block 2: 上下文 =====
+        /**
+         * 创建一次展开用的上下文
+         * @param {Object} params
+         * @param {Object} [params.char] - 当前角色（私聊变量、虚拟时钟、{{char}} 默认值）
+         * @param {Object} [params.group] - 群聊（有则变量存在群聊上）
+         * @param {string} [params.accountId]
+         * @param {string} [params.charName] - 覆盖 {{char}}
+         * @param {string} [params.userName] - {{user}}
+         * @param {Array} [params.history] - 聊天记录（{{lastMessage}} / {{idle_duration}}）
+         */
+        function createMacroContext({ char = null, group = null, accountId = null, charName, userName, history = [] } = {}) {
+            const ctx = {
+                char,
+                group,
+                accountId: accountId ?? (typeof getCurrentAccountId === 'function' ? getCurrentAccountId() : null),
+                charName: charName ?? char?.name ?? '',
+                userName: userName || '',
+                history: Array.isArray(history) ? history : [],
+                vars: {},
+                varsDirty: false,
+                expanded: 0
+            };
+            ctx.vars = getChatMacroVariables(ctx);
+            return ctx;
+        }
+
+        // 私聊场景的上下文：{{user}} 取角色关联的用户人设名
+        async function createCharMacroContext(char, accountId = null) {
+            let userName = '用户';
+            if (char?.linked_user_id) {
+                const user = await db.characters.get(char.linked_user_id);
+                if (user?.name) userName = user.name;
+            }
+            return createMacroContext({ char, accountId, userName, history: char ? getChatHistory(char, accountId ?? getCurrentAccountId()) : [] });
+        }
+
+        // 当前时间：角色开启了虚拟时钟时用故事时间
+        function _macroNow(ctx) {
+            if (ctx.char && typeof toVirtualClockDate === 'function') {
+                try {
+                    return toVirtualClockDate(Date.now(), ctx.char, ctx.accountId);
+                } catch (e) { /* 时钟数据异常时退回现实时间 */ }
+            }
+            return new Date();
+        }
+
+        function _messageText(msg) {
+            if (!msg) return '';
+            if (typeof msg.content === 'string') return msg.content;
+            if (Array.isArray(msg.content)) return msg.content.filter(p => p.type === 'text').map(p => p.text).join(' ');
+            return '';
+        }
+
+        // 用户上一次说话（不算刚发的这一条）距今多久
+        function _idleDuration(history) {
+            const userMsgs = history.filter(m => m && m.role === 'user' && m.time);
+            const last = history[history.length - 1];
+            const prev = last && last.role === 'user' ? userMsgs[userMsgs.length - 2] : userMsgs[userMsgs.length - 1];
+            if (!prev) return '刚刚';
+            const minutes = Math.floor((Date.now() - prev.time) / 60000);
+            if (minutes < 1) return '刚刚';
+            if (minutes < 60) return `${minutes}分钟`;
+            const hours = Math.floor(minutes / 60);
+            if (hours < 24) return `${hours}小时`;
+            return `${Math.floor(hours / 24)}天`;
+        }
+
+        // {{roll:2d6+1}} / {{roll:d20}} / {{roll:20}}
+        function _rollDice(formula) {
+            const m = String(formula).trim().match(/^(\d*)d?(\d+)([+-]\d+)?$/i);
+            if (!m) return null;
+            const count = Math.min(parseInt(m[1] || '1', 10) || 1, 100);
+            const sides = parseInt(m[2], 10);
+            if (!sides) return null;
+            let total = parseInt(m[3] || '0', 10);
+            for (let i = 0; i < count; i++) total += 1 + Math.floor(Math.random() * sides);
+            return String(total);
+        }
+
+// ===== Block 3: 展开 =====
+        const MACRO_WEEKDAYS = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+        const MACRO_MAX_DEPTH = 5; // 嵌套宏（如 {{setvar::x::{{char}}}}）的最大层数
+
+        // 展开单个宏；不认识的返回 null 原样保留
+        function _expandMacro(body, ctx) {
+            const name = body.trim();
+            const lower = name.toLowerCase();
+            const pad = (n) => String(n).padStart(2, '0');
+
+            if (lower === 'char') return ctx.charName || null;
+            if (lower === 'user') return ctx.userName || null;
+            if (lower === 'time') {
+                const now = _macroNow(ctx);
+                return `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+            }
+            if (lower === 'date') {
+                const now = _macroNow(ctx);
+                return `${now.getFullYear()}年${now.getMonth() + 1}月${now.getDate()}日`;
+            }
+            if (lower === 'weekday') return MACRO_WEEKDAYS[_macroNow(ctx).getDay()];
+            if (lower === 'lastmessage') {
+                const last = [...ctx.history].reverse().find(m => _messageText(m).trim());
+                return last ? _messageText(last) : '';
+            }
+            if (lower === 'idle_duration') return _idleDuration(ctx.history);
+
+            // {{random:a,b,c}} 或 {{random::a::b::c}}
+            let m = name.match(/^random(::|:)([\s\S]*)$/i);
+            if (m) {
+                const options = m[1] === '::' ? m[2].split('::') : m[2].split(',');
+                const picked = options.map(o => o.trim()).filter(Boolean);
+                return picked.length ? picked[Math.floor(Math.random() * picked.length)] : '';
+            }
+            m = name.match(/^roll::?([\s\S]+)$/i);
+            if (m) return _rollDice(m[1]);
+
+            m = name.match(/^getvar::([\s\S]+)$/i);
+            if (m) {
+                const value = ctx.vars[m[1].trim()];
+                return value === undefined ? '' : String(value);
+            }
+            m = name.match(/^setvar::([^:]+)::([\s\S]*)$/i);
+            if (m) {
+                ctx.vars[m[1].trim()] = m[2];
+                ctx.varsDirty = true;
+                return '';
+            }
+            return null;
+        }
+
+        // 与 open 处的 {{ 配对的 }} 位置（支持嵌套）
+        function _findMacroEnd(text, open) {
+            let depth = 0;
+            for (let i = open; i < text.length - 1; i++) {
+                if (text.startsWith('{{', i)) {
+                    depth++;
+                    i++;
+                } else if (text.startsWith('}}', i)) {
+                    depth--;
+                    if (depth === 0) return i;
+                    i++;
+                }
+            }
+            return -1;
+        }
+
+        // 从左到右依次展开，嵌套的宏先展开里层，保证 setvar 之后的 getvar 能读到新值
+        function _expandMacrosFrom(text, ctx, depth) {
+            let out = '';
+            let i = 0;
+            while (i < text.length) {
+                const open = text.indexOf('{{', i);
+                if (open === -1) {
+                    out += text.slice(i);
+                    break;
+                }
+                out += text.slice(i, open);
+                const close = _findMacroEnd(text, open);
+                if (close === -1) {
+                    out += '{{';
+                    i = open + 2;
+                    continue;
+                }
+                const inner = text.slice(open + 2, close);
+                const body = depth < MACRO_MAX_DEPTH ? _expandMacrosFrom(inner, ctx, depth + 1) : inner;
+                const value = _expandMacro(body, ctx);
+                if (value === null) {
+                    out += `{{${body}}}`;
+                } else {
+                    out += value;
+                    ctx.expanded++;
+                }
+                i = close + 2;
+            }
+            return out;
+        }
+
+        /**
+         * 展开文本中的宏，未知的宏原样保留
+         * @param {string} text
+         * @param {Object} ctx - createMacroContext 的返回值；省略时只展开时间、随机、骰子等与聊天无关的宏
+         */
+        function expandMacros(text, ctx) {
+            if (!text || typeof text !== 'string' || !text.includes('{{')) return text;
+            return _expandMacrosFrom(text, ctx || createMacroContext(), 0);
+        }
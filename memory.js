@@ -0,0 +1,255 @@
+// ================== 角色记忆 (Character Memory) JS ==================
+// 本文件包含结构化的角色记忆：角色记得的关于“我”的事实（生日、喜好、约定、纪念日等）
+// 每个角色 × 账号一份，AI 可通过 ((MEMORY_ADD/UPDATE/FORGET)) 指令增改（注册在回复指令表中），也可在记忆管理页手动编辑
+// 依赖：db（char_memories 表）, registerReplyCommand（commands.js）, getCurrentAccountId, currentChatCharId, showToast 等全局变量（来自 script.js）
+
+// ===== Block 1: 数据读写 =====
+        const CHAR_MEMORY_CATEGORIES = {
+            birthday: '生日',
+            like: '喜好',
+            dislike: '讨厌',
+            promise: '约定',
+            milestone: '纪念日',
+            fact: '其他'
+        };
+
+        // AI 写的类别可能是中文或英文，统一映射到内部 key
+        function resolveMemoryCategory(label) {
+            const text = String(label || '').trim().toLowerCase();
+            if (CHAR_MEMORY_CATEGORIES[text]) return text;
+            const found = Object.entries(CHAR_MEMORY_CATEGORIES).find(([, name]) => text.includes(name));
+            if (found) return found[0];
+            if (/不喜欢|雷点|忌口/.test(text)) return 'dislike';
+            if (/喜欢|爱好/.test(text)) return 'like';
+            if (/承诺|答应|约好/.test(text)) return 'promise';
+            if (/纪念|里程碑|第一次/.test(text)) return 'milestone';
+            return 'fact';
+        }
+
+        async function getCharMemories(charId, accountId) {
+            const acc = String(accountId || 'offline');
+            const list = await db.char_memories
+                .where('[accountId+charId]')
+                .equals([acc, parseInt(charId)])
+                .toArray();
+            return list.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        }
+
+        async function addCharMemory(charId, accountId, category, content, source = 'user') {
+            const text = String(content || '').trim();
+            if (!text) return null;
+            const now = Date.now();
+            return db.char_memories.add({
+                accountId: String(accountId || 'offline'),
+                charId: parseInt(charId),
+                category: resolveMemoryCategory(category),
+                content: text,
+                source,
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+
+        // 只允许修改属于该角色 × 账号的记忆，防止 AI 写错编号改到别人的记忆
+        async function _getOwnedMemory(memoryId, charId, accountId) {
+            const memory = await db.char_memories.get(parseInt(memoryId));
+            if (!memory) return null;
+            if (memory.charId !== parseInt(charId) || memory.accountId !== String(accountId || 'offline')) return null;
+            return memory;
+        }
+
+        async function updateCharMemory(memoryId, charId, accountId, changes) {
+            const memory = await _getOwnedMemory(memoryId, charId, accountId);
+            if (!memory) return false;
+            const patch = { updatedAt: Date.now() };
+            if (changes.content !== undefined) patch.content = String(changes.content).trim();
+            if (changes.category !== undefined) patch.category = resolveMemoryCategory(changes.category);
+            if (changes.source !== undefined) patch.source = changes.source;
+            await db.char_memories.update(memory.id, patch);
+            return true;
+        }
+
+        async function forgetCharMemory(memoryId, charId, accountId) {
+            const memory = await _getOwnedMemory(memoryId, charId, accountId);
+            if (!memory) return false;
+            await db.char_memories.delete(memory.id);
+            return true;
+        }
+
+// ===== Block 2: 提示词与指令 =====
+        // 注入系统提示词的记忆列表（带编号，供 AI 更新/遗忘时引用）
+        async function buildCharMemoryContext(charId, accountId) {
+            let memories = [];
+            try {
+                memories = await getCharMemories(charId, accountId);
+            } catch (e) {
+                console.warn('[CharMemory] 读取角色记忆失败:', e);
+            }
+            if (memories.length === 0) return '';
+            const lines = memories.map(m => `#${m.id} [${CHAR_MEMORY_CATEGORIES[m.category] || '其他'}] ${m.content}`);
+            return `## 你记得的关于对方的事（编号用于更新/遗忘）\n${lines.join('\n')}\n`;
+        }
+
+        // 记忆指令（对方看不到，执行后从回复中移除）
+        registerReplyCommand({
+            name: 'MEMORY_ADD',
+            tool: '记住关于对方的一件重要的事（生日、喜好、讨厌的东西、约定、纪念日等）',
+            args: [{ name: 'category', label: '类别' }, { name: 'content', label: '内容', optional: true }],
+            prompt: (ctx, syntax) => `记住关于对方的事（生日、喜好、讨厌的东西、约定、纪念日等重要信息，对方看不到这个指令）：
+${syntax}
+类别可选：生日 / 喜好 / 讨厌 / 约定 / 纪念日 / 其他
+例如：((MEMORY_ADD: 喜好, 喜欢吃草莓蛋糕))、((MEMORY_ADD: 约定, 周末一起去看海))
+更新已有记忆：((MEMORY_UPDATE: 编号, 新内容))
+忘掉某条记忆（信息错了或已失效）：((MEMORY_FORGET: 编号))
+注意：只记真正重要、以后用得上的信息，不要记录琐碎的聊天内容，已经记过的不要重复记。`,
+            handler: async ({ category, content }, ctx) => {
+                // 只写了内容没写类别时，整段作为内容
+                const text = content || category;
+                const existing = await getCharMemories(ctx.charId, ctx.accountId);
+                if (existing.some(m => m.content === text)) return;
+                const id = await addCharMemory(ctx.charId, ctx.accountId, content ? category : 'fact', text, 'ai');
+                console.log('[CharMemory] 🧠 角色记下了:', id, text);
+            }
+        });
+
+        registerReplyCommand({
+            name: 'MEMORY_UPDATE',
+            tool: '更新一条已有的记忆',
+            args: [{ name: 'id', label: '编号' }, { name: 'content', label: '新内容' }],
+            handler: async ({ id, content }, ctx) => {
+                const ok = await updateCharMemory(parseInt(id.replace('#', '')), ctx.charId, ctx.accountId, { content, source: 'ai' });
+                if (ok) console.log('[CharMemory] 🧠 角色更新了记忆:', id, content);
+            }
+        });
+
+        registerReplyCommand({
+            name: 'MEMORY_FORGET',
+            tool: '忘掉一条错误或失效的记忆',
+            args: [{ name: 'id', label: '编号' }],
+            handler: async ({ id }, ctx) => {
+                const ok = await forgetCharMemory(parseInt(id.replace('#', '')), ctx.charId, ctx.accountId);
+                if (ok) console.log('[CharMemory] 🧠 角色忘掉了记忆:', id);
+            }
+        });
+
+// ===== Block 3: 记忆管理页面 =====
+        let _charMemoryPageCharId = null;
+
+        async function showCharMemories() {
+            if (!currentChatCharId) {
+                alert('请先打开一个聊天窗口');
+                return;
+            }
+            _charMemoryPageCharId = currentChatCharId;
+            const char = await db.characters.get(currentChatCharId);
+            const title = document.getElementById('char-memories-title');
+            if (title) title.textContent = `${char ? (char.remark || char.wx_nickname || char.name) : '角色'} 记得的事`;
+            const page = document.getElementById('char-memories-page');
+            if (page) page.style.display = 'flex';
+            await renderCharMemoriesList();
+        }
+
+        function hideCharMemoriesPage() {
+            const page = document.getElementById('char-memories-page');
+            if (page) page.style.display = 'none';
+            if (_charMemoryPageCharId) updateCharMemoryCount(_charMemoryPageCharId, getCurrentAccountId());
+            _charMemoryPageCharId = null;
+        }
+
+        async function renderCharMemoriesList() {
+            const listEl = document.getElementById('char-memories-list');
+            const emptyEl = document.getElementById('char-memories-empty');
+            if (!listEl || !_charMemoryPageCharId) return;
+            const memories = await getCharMemories(_charMemoryPageCharId, getCurrentAccountId());
+            if (memories.length === 0) {
+                listEl.innerHTML = '';
+                if (emptyEl) emptyEl.style.display = 'block';
+                return;
+            }
+            if (emptyEl) emptyEl.style.display = 'none';
+
+            const grouped = {};
+            memories.forEach(m => (grouped[m.category] = grouped[m.category] || []).push(m));
+            listEl.innerHTML = Object.keys(CHAR_MEMORY_CATEGORIES)
+                .filter(cat => grouped[cat])
+                .map(cat => `
+                    <div style="font-size:13px; color:#999; margin:8px 4px 4px;">${CHAR_MEMORY_CATEGORIES[cat]}</div>
+                    ${grouped[cat].map(m => `
+                        <div style="background:#fff; border-radius:12px; padding:12px 14px; box-shadow:0 1px 3px rgba(0,0,0,0.05); display:flex; align-items:flex-start; gap:10px;">
+                            <div style="flex:1; font-size:15px; color:#333; line-height:1.6; word-break:break-all;">${escapeHtml(m.content)}
+                                <div style="font-size:11px; color:#bbb; margin-top:4px;">#${m.id} · ${m.source === 'ai' ? '角色记下' : '手动添加'} · ${formatSummaryTime(m.updatedAt || m.createdAt)}</div>
+                            </div>
+                            <div onclick="editCharMemory(${m.id})" style="font-size:13px; color:var(--ins-pink); cursor:pointer; white-space:nowrap;">编辑</div>
+                            <div onclick="deleteCharMemory(${m.id})" style="font-size:13px; color:#ff3b30; cursor:pointer; white-space:nowrap;">删除</div>
+                        </div>
+                    `).join('')}
+                `).join('');
+        }
+
+        // 新增 / 编辑记忆的弹窗（memoryId 为空时为新增）
+        async function editCharMemory(memoryId = null) {
+            const accountId = getCurrentAccountId();
+            const memory = memoryId ? await _getOwnedMemory(memoryId, _charMemoryPageCharId, accountId) : null;
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:360px; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:12px;">${memory ? '编辑记忆' : '添加记忆'}</div>
+                    <select data-field="category" style="width:100%; padding:8px; border:1px solid #e5e5e5; border-radius:8px; font-size:14px; margin-bottom:10px; background:#fff;">
+                        ${Object.entries(CHAR_MEMORY_CATEGORIES).map(([key, name]) => `<option value="${key}" ${memory?.category === key ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    <textarea data-field="content" placeholder="例如：对方的生日是 3 月 12 日" style="width:100%; min-height:90px; padding:10px; border:1px solid #e5e5e5; border-radius:8px; font-size:14px; font-family:inherit; box-sizing:border-box; resize:vertical;"></textarea>
+                    <div style="display:flex; gap:10px; margin-top:12px;">
+                        <button data-action="cancel" style="flex:1; padding:10px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">取消</button>
+                        <button data-action="save" style="flex:1; padding:10px; background:var(--ins-pink); border:none; border-radius:8px; font-size:14px; color:#fff;">保存</button>
+                    </div>
+                </div>
+            `;
+            overlay.querySelector('[data-field="content"]').value = memory?.content || '';
+            overlay.querySelector('[data-action="cancel"]').onclick = () => overlay.remove();
+            overlay.querySelector('[data-action="save"]').onclick = async () => {
+                const category = overlay.querySelector('[data-field="category"]').value;
+                const content = overlay.querySelector('[data-field="content"]').value.trim();
+                if (!content) {
+                    showToast('内容不能为空');
+                    return;
+                }
+                try {
+                    if (memory) {
+                        await updateCharMemory(memory.id, _charMemoryPageCharId, accountId, { category, content, source: 'user' });
+                    } else {
+                        await addCharMemory(_charMemoryPageCharId, accountId, category, content, 'user');
+                    }
+                    overlay.remove();
+                    await renderCharMemoriesList();
+                } catch (e) {
+                    console.error('[CharMemory] 保存记忆失败:', e);
+                    alert('保存失败');
+                }
+            };
+            document.body.appendChild(overlay);
+        }
+
+        async function deleteCharMemory(memoryId) {
+            if (!confirm('确定让角色忘掉这条记忆吗？')) return;
+            try {
+                await forgetCharMemory(memoryId, _charMemoryPageCharId, getCurrentAccountId());
+                await renderCharMemoriesList();
+                showToast('已删除');
+            } catch (e) {
+                console.error('[CharMemory] 删除记忆失败:', e);
+                alert('删除失败');
+            }
+        }
+
+        // 聊天详情页中的记忆条数
+        async function updateCharMemoryCount(charId, accountId) {
+            const countEl = document.getElementById('detail-memory-count');
+            if (!countEl) return;
+            try {
+                const memories = await getCharMemories(charId, accountId);
+                countEl.textContent = `${memories.length}条记忆`;
+            } catch (e) {
+                countEl.textContent = '';
+            }
+        }
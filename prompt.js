@@ -0,0 +1,263 @@
+// ================== 提示词组装 (Prompt Assembler) JS ==================
+// 本文件包含所有 AI 调用共用的提示词组装逻辑：按优先级裁剪各段内容，保证不超出模型上下文
+// 依赖：db, addLog, escapeHtml 等全局变量（来自 script.js / settings.js），createMacroContext / expandMacros（来自 macros.js），rememberPromptAssembly（来自 inspector.js）
+
+// ===== Block 1: Token 估算 =====
+        // 默认上下文预算（tokens），可在 API 设置中覆盖
+        const PROMPT_BUDGET_DEFAULTS = {
+            contextTokens: 32000,
+            replyReserve: 2048,   // 为模型回复预留的 tokens
+            imageTokens: 765      // 单张图片按 OpenAI high-detail 的常见开销估算
+        };
+
+        // 常见模型的上下文窗口（按模型名关键字匹配，越靠前越优先）
+        const MODEL_CONTEXT_HINTS = [
+            [/gemini-(1\.5|2|3)/i, 1000000],
+            [/claude/i, 200000],
+            [/gpt-4\.1|gpt-5/i, 400000],
+            [/gpt-4o|gpt-4-turbo|o1|o3|o4/i, 128000],
+            [/deepseek/i, 64000],
+            [/128k/i, 128000],
+            [/32k/i, 32000],
+            [/16k/i, 16000],
+            [/8k/i, 8000]
+        ];
+
+        // 粗略估算文本的 token 数：中日韩字符约 1 token/字，其余约 4 字符/token
+        function estimateTokens(text) {
+            if (!text) return 0;
+            if (typeof text !== 'string') text = String(text);
+            const cjk = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+            return cjk + Math.ceil((text.length - cjk) / 4);
+        }
+
+        // 估算单条消息的 token 数（支持多模态数组）
+        function estimateMessageTokens(msg) {
+            if (!msg) return 0;
+            const overhead = 4; // role / 分隔符
+            if (Array.isArray(msg.content)) {
+                return overhead + msg.content.reduce((sum, part) => {
+                    if (part.type === 'image_url') return sum + PROMPT_BUDGET_DEFAULTS.imageTokens;
+                    return sum + estimateTokens(part.text || '');
+                }, 0);
+            }
+            return overhead + estimateTokens(msg.content || '');
+        }
+
+        // 读取当前可用的上下文预算：用户设置 > 模型名推断 > 默认值
+        async function getPromptContextBudget() {
+            let configured = 0;
+            let model = (typeof _apiConfigCache !== 'undefined' && _apiConfigCache.model) || '';
+            try {
+                const item = await db.dexiData.get('aiContextBudget');
+                configured = parseInt(item?.value || localStorage.getItem('aiContextBudget') || '0', 10);
+                if (!model) model = (await db.dexiData.get('aiCurrentModel'))?.value || '';
+            } catch (e) {
+                console.warn('[提示词组装] 读取上下文预算失败:', e.message);
+            }
+            let contextTokens = PROMPT_BUDGET_DEFAULTS.contextTokens;
+            if (configured > 0) {
+                contextTokens = configured;
+            } else {
+                const hint = MODEL_CONTEXT_HINTS.find(([re]) => re.test(model));
+                if (hint) contextTokens = hint[1];
+            }
+            return { contextTokens, replyReserve: PROMPT_BUDGET_DEFAULTS.replyReserve, model };
+        }
+
+// ===== Block 2: 分段组装与裁剪 =====
+        // 在系统提示模板中为可裁剪段落预留位置，组装时替换为实际内容
+        function promptSlot(id) {
+            return `[[slot:${id}]]`;
+        }
+
+        // 把文本裁剪到指定 token 数，按行切割，保证结果确定；一整行都放不下时（如长段粘贴文本）改为按字符截断这一行
+        // from='tail'：保留开头，裁掉末尾；from='head'：保留末尾（适合按时间排列的记忆）
+        function trimTextToTokens(text, maxTokens, from = 'tail') {
+            if (estimateTokens(text) <= maxTokens) return text;
+            const lines = text.split('\n');
+            const kept = [];
+            let used = estimateTokens('...(已截断)');
+            const ordered = from === 'head' ? [...lines].reverse() : lines;
+            for (const line of ordered) {
+                const cost = estimateTokens(line) + 1;
+                if (used + cost > maxTokens) break;
+                kept.push(line);
+                used += cost;
+            }
+            if (kept.length === 0) {
+                const partial = _trimLineToTokens(ordered[0], maxTokens - used - 1, from);
+                if (!partial) return '';
+                kept.push(partial);
+            }
+            if (from === 'head') return '...(已截断)\n' + kept.reverse().join('\n');
+            return kept.join('\n') + '\n...(已截断)';
+        }
+
+        // 按字符截断单行（二分查找能放下的最长长度）；from='head' 时保留行尾
+        function _trimLineToTokens(line, maxTokens, from) {
+            if (maxTokens <= 0) return '';
+            const take = (len) => from === 'head' ? line.slice(line.length - len) : line.slice(0, len);
+            let low = 0;
+            let high = line.length;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (estimateTokens(take(mid)) <= maxTokens) low = mid;
+                else high = mid - 1;
+            }
+            return take(low);
+        }
+
+        // 最近一次各功能的组装报告，供诊断面板展示
+        const promptAssemblyReports = {};
+        const PROMPT_PREVIEW_MAX_CHARS = 6000; // 诊断面板里展开后系统提示的预览长度
+
+        /**
+         * 按优先级组装提示词，超出预算时从优先级最低的部分开始裁剪或丢弃
+         * @param {Object} params
+         * @param {string} params.feature - 调用方标识（private_chat / group_chat / offline 等）
+         * @param {string} params.system - 系统提示主体（必保留），可包含 promptSlot(id) 占位（也可放在历史消息里）
+         * @param {Array} params.sections - 可裁剪段落 [{ id, label, content, priority, trim: 'tail'|'head'|false, minTokens }]
+         * @param {Array} params.history - 按时间升序的历史消息（不含 system），超出时从最旧的开始丢弃
+         * @param {number} params.historyPriority - 历史消息整体的优先级
+         * @param {number} params.keepLast - 末尾必须保留的消息条数
+         * @param {Object} params.macros - 宏展开上下文参数（见 createMacroContext），系统提示和各段落在裁剪前统一展开
+         * @returns {Promise<{messages: Array, systemPrompt: string, report: Object}>}
+         */
+        async function assemblePrompt({ feature, system, sections = [], history = [], historyPriority = 50, keepLast = 1, budget = null, macros = null }) {
+            const limits = budget || await getPromptContextBudget();
+            const available = Math.max(1024, limits.contextTokens - limits.replyReserve);
+
+            const macroCtx = createMacroContext(macros || {});
+            system = expandMacros(system, macroCtx);
+            const parts = sections
+                .filter(s => s && s.content && String(s.content).trim())
+                .map(s => ({ ...s, content: expandMacros(String(s.content), macroCtx) }))
+                .filter(s => s.content.trim())
+                .map((s, index) => ({
+                    ...s,
+                    index,
+                    priority: s.priority ?? 50,
+                    trim: s.trim === undefined ? 'tail' : s.trim,
+                    minTokens: s.minTokens ?? 200,
+                    originalTokens: estimateTokens(String(s.content)),
+                    status: 'kept'
+                }));
+            parts.forEach(p => { p.tokens = p.originalTokens; });
+
+            const systemTokens = estimateTokens(system.replace(/\[\[slot:[\w-]+\]\]/g, ''));
+            let historyMsgs = history.map(m => ({ ...m }));
+            const historyOriginal = historyMsgs.length;
+            let historyTokens = historyMsgs.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+            const total = () => systemTokens + historyTokens + parts.reduce((sum, p) => sum + (p.status === 'dropped' ? 0 : p.tokens), 0);
+
+            // 依次处理优先级最低的部分，同优先级时先处理声明靠后的段落
+            while (total() > available) {
+                const candidates = parts.filter(p => p.status !== 'dropped');
+                const historyDroppable = historyMsgs.length > keepLast;
+                const lowest = candidates.sort((a, b) => (a.priority - b.priority) || (b.index - a.index))[0];
+
+                if (historyDroppable && (!lowest || historyPriority < lowest.priority)) {
+                    // 历史：从最旧的消息开始丢弃
+                    const removed = historyMsgs.shift();
+                    historyTokens -= estimateMessageTokens(removed);
+                    continue;
+                }
+                if (!lowest) break; // 只剩必保留内容，无法继续压缩
+
+                const overflow = total() - available;
+                const target = lowest.tokens - overflow;
+                if (lowest.trim && target >= lowest.minTokens && lowest.status !== 'trimmed') {
+                    lowest.content = trimTextToTokens(lowest.content, target, lowest.trim);
+                    lowest.tokens = estimateTokens(lowest.content);
+                    lowest.status = 'trimmed';
+                } else {
+                    lowest.status = 'dropped';
+                    lowest.tokens = 0;
+                }
+            }
+
+            // 填充占位（系统提示或文本历史消息中均可）；没有占位的段落追加到系统提示末尾
+            const clearSlots = (text) => text.replace(/\[\[slot:[\w-]+\]\]/g, '');
+            let systemPrompt = system;
+            parts.forEach(p => {
+                const text = p.status === 'dropped' ? '' : p.content;
+                const slot = promptSlot(p.id);
+                const holder = historyMsgs.find(m => typeof m.content === 'string' && m.content.includes(slot));
+                if (systemPrompt.includes(slot)) {
+                    systemPrompt = systemPrompt.split(slot).join(text);
+                } else if (holder) {
+                    holder.content = holder.content.split(slot).join(text);
+                } else if (text) {
+                    systemPrompt += `\n\n${text}`;
+                }
+            });
+            systemPrompt = clearSlots(systemPrompt);
+            historyMsgs = historyMsgs.map(m => typeof m.content === 'string' ? { ...m, content: clearSlots(m.content) } : m);
+
+            const report = {
+                feature,
+                time: new Date().toLocaleTimeString(),
+                model: limits.model || '',
+                budget: available,
+                total: total(),
+                system: systemTokens,
+                sections: parts.map(p => ({ id: p.id, label: p.label || p.id, tokens: p.tokens, originalTokens: p.originalTokens, status: p.status })),
+                history: { kept: historyMsgs.length, dropped: historyOriginal - historyMsgs.length, tokens: historyTokens },
+                macros: macroCtx.expanded,
+                preview: systemPrompt.length > PROMPT_PREVIEW_MAX_CHARS ? systemPrompt.slice(0, PROMPT_PREVIEW_MAX_CHARS) + '\n...(预览已截断)' : systemPrompt
+            };
+            promptAssemblyReports[feature] = report;
+            rememberPromptAssembly(feature, systemPrompt, parts);
+            await saveMacroVariables(macroCtx);
+
+            const trimmed = report.sections.filter(s => s.status !== 'kept');
+            if (trimmed.length > 0 || report.history.dropped > 0) {
+                console.warn(`[提示词组装] ${feature} 超出预算，已裁剪:`, trimmed.map(s => `${s.label}(${s.status})`).join(', '), `历史丢弃 ${report.history.dropped} 条`);
+                if (typeof addLog === 'function') {
+                    addLog('warning', `提示词超出预算（${feature}），已按优先级裁剪`, { budget: available, total: report.total, trimmed, historyDropped: report.history.dropped });
+                }
+            }
+
+            return {
+                systemPrompt,
+                messages: [{ role: 'system', content: systemPrompt }, ...historyMsgs],
+                report
+            };
+        }
+
+// ===== Block 3: 诊断面板展示 =====
+        const PROMPT_FEATURE_LABELS = {
+            private_chat: '私聊',
+            group_chat: '群聊',
+            offline: '线下模式',
+            auto_chat: '主动聊天',
+            video_call: '视频通话',
+            icity_diary: 'iCity 日记',
+            xianyu: '闲鱼'
+        };
+
+        // 生成诊断面板中的 token 分布 HTML
+        function renderPromptBudgetReports() {
+            const reports = Object.values(promptAssemblyReports);
+            if (reports.length === 0) {
+                return '<div style="color:#999; font-size:12px;">暂无记录（发起一次 AI 回复后显示）</div>';
+            }
+            const statusText = { kept: '', trimmed: ' <span style="color:#ff9500;">已裁剪</span>', dropped: ' <span style="color:#ff3b30;">已丢弃</span>' };
+            return reports.map(r => `
+                <div style="margin-top:8px; padding:8px; background:#fff; border-radius:6px; font-size:12px;">
+                    <div style="display:flex; justify-content:space-between; margin-bottom:4px;">
+                        <strong>${PROMPT_FEATURE_LABELS[r.feature] || r.feature}</strong>
+                        <span style="color:#999;">${r.time}</span>
+                    </div>
+                    <div style="color:${r.total > r.budget ? '#ff3b30' : '#34c759'};">总计 ≈ ${r.total} / ${r.budget} tokens${r.model ? ` · ${r.model}` : ''}</div>
+                    <div style="color:#666;">系统提示：${r.system}</div>
+                    ${r.sections.map(s => `<div style="color:#666;">${s.label}：${s.tokens}${s.tokens !== s.originalTokens ? ` / ${s.originalTokens}` : ''}${statusText[s.status]}</div>`).join('')}
+                    <div style="color:#666;">历史消息：${r.history.tokens}（${r.history.kept} 条${r.history.dropped > 0 ? `，丢弃 ${r.history.dropped} 条` : ''}）</div>
+                    ${r.preview ? `<details style="margin-top:4px;">
+                        <summary style="color:#007aff; cursor:pointer;">展开后的系统提示${r.macros ? `（已展开 ${r.macros} 个宏）` : ''}</summary>
+                        <pre style="white-space:pre-wrap; word-break:break-all; max-height:240px; overflow-y:auto; margin:4px 0 0; padding:6px; background:#f5f5f5; border-radius:4px; font-size:11px;">${escapeHtml(r.preview)}</pre>
+                    </details>` : ''}
+                </div>
+            `).join('');
+        }
@@ -0,0 +1,732 @@
+// ================== 多服务商适配 (API Providers) JS ==================
+// 本文件把 callAI / callAIStream 的请求与响应适配到不同服务商：OpenAI 兼容接口、Anthropic Messages、
+// Google Gemini generateContent、本地 Ollama / llama.cpp。调用方仍按 OpenAI 的 messages 格式传入，
+// 适配器负责鉴权头、system 位置、图片编码、流式解析和错误信息的统一；
+// 请求失败时按重试策略退避重试，并沿“故障转移链”切换到其他已保存的 API 预设
+// 依赖：db, getSmartUrl 等全局变量（来自 settings.js）
+
+// ===== Block 1: 服务商识别 =====
+        const AI_PROVIDERS = {
+            openai: { label: 'OpenAI 兼容（含各类反代）' },
+            anthropic: { label: 'Anthropic (Claude)' },
+            gemini: { label: 'Google Gemini' },
+            ollama: { label: '本地模型 (Ollama / llama.cpp)' }
+        };
+
+        async function getAiProviderSetting() {
+            try {
+                const item = await db.dexiData.get('aiProvider');
+                return item?.value || localStorage.getItem('aiProvider') || 'auto';
+            } catch (e) {
+                return localStorage.getItem('aiProvider') || 'auto';
+            }
+        }
+
+        // 手动指定优先；auto 时按地址推断，推断不出的都按 OpenAI 兼容处理
+        // ⚠️ Gemini / Anthropic 官方的 OpenAI 兼容路径（地址里带 /openai）仍按 OpenAI 处理
+        function resolveAiProvider(url, setting = 'auto') {
+            if (setting && setting !== 'auto' && AI_PROVIDERS[setting]) return setting;
+            const u = (url || '').toLowerCase();
+            if (u.includes('/openai')) return 'openai';
+            if (u.includes('anthropic.com')) return 'anthropic';
+            if (u.includes('generativelanguage.googleapis.com')) return 'gemini';
+            if (u.includes(':11434') || /\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:|\/|$)/.test(u)) return 'ollama';
+            return 'openai';
+        }
+
+        function _trimBaseUrl(url) {
+            let base = (url || '').trim();
+            while (base.endsWith('/')) base = base.slice(0, -1);
+            return base;
+        }
+
+        // data:image/jpeg;base64,xxx → { mimeType, data }；非 data URL 返回 null
+        function _parseImageDataUrl(url) {
+            const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+            return match ? { mimeType: match[1], data: match[2] } : null;
+        }
+
+        // 拆出开头连续的 system 消息作为系统提示；中途插入的 system 消息保留位置，改为带标记的 user 消息
+        function _splitSystemMessages(messages) {
+            const system = [];
+            const rest = [];
+            messages.forEach(m => {
+                if (m.role === 'system' && rest.length === 0) {
+                    system.push(typeof m.content === 'string' ? m.content : _messageText(m.content));
+                } else if (m.role === 'system') {
+                    rest.push({ role: 'user', content: `[系统提示] ${typeof m.content === 'string' ? m.content : _messageText(m.content)}` });
+                } else {
+                    rest.push(m);
+                }
+            });
+            return { system: system.filter(Boolean).join('\n\n'), rest };
+        }
+
+        function _messageText(content) {
+            if (typeof content === 'string') return content;
+            if (!Array.isArray(content)) return '';
+            return content.filter(p => p.type === 'text').map(p => p.text || '').join('\n');
+        }
+
+        function _toolArguments(raw) {
+            if (!raw) return {};
+            if (typeof raw === 'object') return raw;
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                return {};
+            }
+        }
+
+        // 相邻同角色的消息合并（Anthropic / Gemini 要求 user 与 assistant 交替）
+        function _mergeSameRole(list, key) {
+            const merged = [];
+            list.forEach(item => {
+                const last = merged[merged.length - 1];
+                if (last && last.role === item.role) {
+                    last[key] = last[key].concat(item[key]);
+                } else {
+                    merged.push({ ...item, [key]: [...item[key]] });
+                }
+            });
+            return merged;
+        }
+
+        // 返回统一的 OpenAI 形状，callAI 之后的提取逻辑（含工具调用）不需要区分服务商
+        function _openAIShapedResponse(text, toolCalls, usage, finishReason) {
+            const message = { role: 'assistant', content: text || '' };
+            if (toolCalls && toolCalls.length > 0) {
+                message.tool_calls = toolCalls.map((c, i) => ({
+                    id: c.id || `call_${i}`,
+                    type: 'function',
+                    function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) }
+                }));
+            }
+            return { choices: [{ index: 0, message, finish_reason: finishReason || 'stop' }], usage: usage || null };
+        }
+
+// ===== Block 2: 各服务商适配器 =====
+        // 每个适配器提供：chatUrl / headers / buildBody / normalizeResponse / parseStreamData / modelsUrl / parseModels
+        // buildBody 的入参：{ model, messages, temperature, maxTokens, jsonMode, tools, toolChoice, stream }
+        // 其中 messages、tools 均为 OpenAI 格式（tools 来自 buildReplyCommandTools(ctx, 'openai')）
+
+        const OPENAI_ADAPTER = {
+            id: 'openai',
+            keyOptional: false,
+            streamFormat: 'sse',
+            chatUrl(url) {
+                return getSmartUrl(url, '/chat/completions');
+            },
+            modelsUrl(url) {
+                return getSmartUrl(url, '/models');
+            },
+            headers(key) {
+                const headers = { 'Content-Type': 'application/json' };
+                if (key) headers['Authorization'] = `Bearer ${key}`;
+                return headers;
+            },
+            buildBody({ model, messages, temperature, maxTokens, jsonMode, tools, toolChoice, stream }) {
+                const body = { model, messages, temperature };
+                if (jsonMode) body.response_format = { type: 'json_object' };
+                if (maxTokens) body.max_tokens = maxTokens;
+                if (tools && tools.length > 0) {
+                    body.tools = tools;
+                    body.tool_choice = toolChoice || 'auto';
+                }
+                if (stream) body.stream = true;
+                return body;
+            },
+            normalizeResponse(data) {
+                return data;
+            },
+            parseStreamData(data) {
+                if (data?.error) throw new Error(data.error.message || JSON.stringify(data.error));
+                return data?.choices?.[0]?.delta?.content || '';
+            },
+            parseModels(data) {
+                const list = Array.isArray(data) ? data : (Array.isArray(data?.data) ? data.data : []);
+                return list.filter(m => m && m.id).map(m => ({ id: m.id }));
+            }
+        };
+
+        const ANTHROPIC_ADAPTER = {
+            id: 'anthropic',
+            keyOptional: false,
+            streamFormat: 'sse',
+            chatUrl(url) {
+                return getSmartUrl(_trimBaseUrl(url), '/messages');
+            },
+            modelsUrl(url) {
+                return getSmartUrl(_trimBaseUrl(url), '/models');
+            },
+            headers(key) {
+                return {
+                    'Content-Type': 'application/json',
+                    'x-api-key': key,
+                    'anthropic-version': '2023-06-01',
+                    // 纯前端直连官方接口必须带这个头，否则被 CORS 拒绝
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                };
+            },
+            _convertContent(content) {
+                if (typeof content === 'string') return content ? [{ type: 'text', text: content }] : [];
+                return (content || []).map(part => {
+                    if (part.type === 'text') return { type: 'text', text: part.text };
+                    if (part.type === 'image_url') {
+                        const image = _parseImageDataUrl(part.image_url?.url);
+                        if (image) return { type: 'image', source: { type: 'base64', media_type: image.mimeType, data: image.data } };
+                        return { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+                    }
+                    return null;
+                }).filter(Boolean);
+            },
+            buildBody({ model, messages, temperature, maxTokens, jsonMode, tools, toolChoice, stream }) {
+                const { system, rest } = _splitSystemMessages(messages);
+                const converted = rest.map(m => {
+                    if (m.role === 'tool') {
+                        return { role: 'user', content: [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content || '已执行' }] };
+                    }
+                    const blocks = this._convertContent(m.content);
+                    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
+                        m.tool_calls.forEach(c => blocks.push({ type: 'tool_use', id: c.id, name: c.function?.name, input: _toolArguments(c.function?.arguments) }));
+                    }
+                    return { role: m.role === 'assistant' ? 'assistant' : 'user', content: blocks };
+                }).filter(m => m.content.length > 0);
+                const merged = _mergeSameRole(converted, 'content');
+                // 对话必须以 user 开头
+                if (merged.length === 0 || merged[0].role !== 'user') {
+                    merged.unshift({ role: 'user', content: [{ type: 'text', text: '（继续）' }] });
+                }
+
+                let systemText = system;
+                if (jsonMode) systemText += '\n\n只输出一个合法的 JSON 对象，不要输出任何其他文字。';
+
+                const body = {
+                    model,
+                    max_tokens: maxTokens || 4096, // Messages 接口要求必填
+                    messages: merged
+                };
+                // Claude 的温度范围是 0~1；预设没填温度时不传，用接口默认值
+                if (Number.isFinite(temperature)) body.temperature = Math.min(1, temperature);
+                if (systemText.trim()) body.system = systemText.trim();
+                if (tools && tools.length > 0) {
+                    body.tools = tools.map(t => ({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters }));
+                    body.tool_choice = { type: toolChoice === 'none' ? 'none' : 'auto' };
+                }
+                if (stream) body.stream = true;
+                return body;
+            },
+            normalizeResponse(data) {
+                if (!Array.isArray(data?.content)) return data;
+                const text = data.content.filter(b => b?.type === 'text').map(b => b.text || '').join('');
+                const toolCalls = data.content
+                    .filter(b => b?.type === 'tool_use' && b.name)
+                    .map(b => ({ id: b.id, name: b.name, arguments: b.input || {} }));
+                const usage = data.usage ? { prompt_tokens: data.usage.input_tokens || 0, completion_tokens: data.usage.output_tokens || 0 } : null;
+                return _openAIShapedResponse(text, toolCalls, usage, data.stop_reason);
+            },
+            parseStreamData(data) {
+                if (data?.type === 'error') throw new Error(data.error?.message || '流式响应出错');
+                if (data?.type === 'content_block_delta' && data.delta?.type === 'text_delta') return data.delta.text || '';
+                return '';
+            },
+            parseModels(data) {
+                return (Array.isArray(data?.data) ? data.data : []).filter(m => m && m.id).map(m => ({ id: m.id }));
+            }
+        };
+
+        const GEMINI_ADAPTER = {
+            id: 'gemini',
+            keyOptional: false,
+            streamFormat: 'sse',
+            _base(url) {
+                const base = _trimBaseUrl(url);
+                return /\/v1(beta)?$/.test(base) ? base : `${base}/v1beta`;
+            },
+            chatUrl(url, model, stream) {
+                const name = String(model || '').replace(/^models\//, '');
+                return `${this._base(url)}/models/${encodeURIComponent(name)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`;
+            },
+            modelsUrl(url) {
+                return `${this._base(url)}/models?pageSize=1000`;
+            },
+            headers(key) {
+                return { 'Content-Type': 'application/json', 'x-goog-api-key': key };
+            },
+            _convertParts(content) {
+                if (typeof content === 'string') return content ? [{ text: content }] : [];
+                return (content || []).map(part => {
+                    if (part.type === 'text') return { text: part.text };
+                    if (part.type === 'image_url') {
+                        const image = _parseImageDataUrl(part.image_url?.url);
+                        return image ? { inline_data: { mime_type: image.mimeType, data: image.data } } : null;
+                    }
+                    return null;
+                }).filter(Boolean);
+            },
+            buildBody({ messages, temperature, maxTokens, jsonMode, tools, toolChoice }) {
+                const { system, rest } = _splitSystemMessages(messages);
+                // tool 消息只带 tool_call_id，Gemini 需要函数名，从前面的 assistant.tool_calls 里找
+                const toolNames = {};
+                rest.forEach(m => (m.tool_calls || []).forEach(c => { toolNames[c.id] = c.function?.name; }));
+
+                const contents = rest.map(m => {
+                    if (m.role === 'tool') {
+                        return { role: 'user', parts: [{ functionResponse: { name: toolNames[m.tool_call_id] || 'tool', response: { result: m.content || '已执行' } } }] };
+                    }
+                    const parts = this._convertParts(m.content);
+                    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
+                        m.tool_calls.forEach(c => parts.push({ functionCall: { name: c.function?.name, args: _toolArguments(c.function?.arguments) } }));
+                    }
+                    return { role: m.role === 'assistant' ? 'model' : 'user', parts };
+                }).filter(c => c.parts.length > 0);
+
+                const generationConfig = { temperature };
+                if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+                if (jsonMode) generationConfig.responseMimeType = 'application/json';
+
+                const merged = _mergeSameRole(contents, 'parts');
+                if (merged.length === 0 || merged[0].role !== 'user') {
+                    merged.unshift({ role: 'user', parts: [{ text: '（继续）' }] });
+                }
+
+                const body = { contents: merged, generationConfig };
+                if (system.trim()) body.systemInstruction = { parts: [{ text: system.trim() }] };
+                if (tools && tools.length > 0) {
+                    body.tools = [{
+                        functionDeclarations: tools.map(t => {
+                            const decl = { name: t.function.name, description: t.function.description };
+                            // Gemini 不接受没有属性的 object 参数，无参指令直接省略 parameters
+                            if (Object.keys(t.function.parameters?.properties || {}).length > 0) decl.parameters = t.function.parameters;
+                            return decl;
+                        })
+                    }];
+                    body.toolConfig = { functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' } };
+                }
+                return body;
+            },
+            normalizeResponse(data) {
+                if (!data || (!data.candidates && !data.promptFeedback)) return data;
+                if (data.promptFeedback?.blockReason) {
+                    throw new Error(`Gemini 拦截了这次请求（${data.promptFeedback.blockReason}），请调整内容后重试`);
+                }
+                const candidate = data.candidates?.[0];
+                const parts = candidate?.content?.parts || [];
+                const text = parts.filter(p => typeof p.text === 'string' && !p.thought).map(p => p.text).join('');
+                const toolCalls = parts.filter(p => p.functionCall?.name).map((p, i) => ({ id: `call_${i}`, name: p.functionCall.name, arguments: p.functionCall.args || {} }));
+                if (!text && toolCalls.length === 0 && candidate?.finishReason && candidate.finishReason !== 'STOP') {
+                    throw new Error(`Gemini 没有返回内容（结束原因：${candidate.finishReason}），可能被安全策略拦截`);
+                }
+                const meta = data.usageMetadata;
+                const usage = meta ? { prompt_tokens: meta.promptTokenCount || 0, completion_tokens: meta.candidatesTokenCount || 0 } : null;
+                return _openAIShapedResponse(text, toolCalls, usage, candidate?.finishReason);
+            },
+            parseStreamData(data) {
+                if (data?.error) throw new Error(data.error.message || '流式响应出错');
+                const parts = data?.candidates?.[0]?.content?.parts || [];
+                return parts.filter(p => typeof p.text === 'string' && !p.thought).map(p => p.text).join('');
+            },
+            parseModels(data) {
+                return (Array.isArray(data?.models) ? data.models : [])
+                    .filter(m => m && m.name && (!m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent')))
+                    .map(m => ({ id: m.name.replace(/^models\//, '') }));
+            }
+        };
+
+        // Ollama 原生 /api/chat；地址里带 /v1 时（llama.cpp server、LM Studio、Ollama 的兼容路径）按 OpenAI 格式请求
+        const OLLAMA_ADAPTER = {
+            id: 'ollama',
+            keyOptional: true,
+            streamFormat: 'ndjson',
+            chatUrl(url) {
+                return `${_trimBaseUrl(url).replace(/\/api$/, '')}/api/chat`;
+            },
+            modelsUrl(url) {
+                return `${_trimBaseUrl(url).replace(/\/api$/, '')}/api/tags`;
+            },
+            headers(key) {
+                return OPENAI_ADAPTER.headers(key);
+            },
+            buildBody({ model, messages, temperature, maxTokens, jsonMode, tools, stream }) {
+                const converted = messages.map(m => {
+                    if (m.role === 'tool') return { role: 'tool', content: m.content || '已执行' };
+                    const msg = { role: m.role, content: _messageText(m.content) };
+                    if (Array.isArray(m.content)) {
+                        const images = m.content
+                            .filter(p => p.type === 'image_url')
+                            .map(p => _parseImageDataUrl(p.image_url?.url)?.data)
+                            .filter(Boolean);
+                        if (images.length > 0) msg.images = images;
+                    }
+                    if (m.role === 'assistant' && Array.isArray(m.tool_calls)) {
+                        msg.tool_calls = m.tool_calls.map(c => ({ function: { name: c.function?.name, arguments: _toolArguments(c.function?.arguments) } }));
+                    }
+                    return msg;
+                });
+                const options = { temperature };
+                if (maxTokens) options.num_predict = maxTokens;
+                const body = { model, messages: converted, stream: !!stream, options };
+                if (jsonMode) body.format = 'json';
+                if (tools && tools.length > 0) body.tools = tools;
+                return body;
+            },
+            normalizeResponse(data) {
+                if (!data?.message) return data;
+                const toolCalls = (data.message.tool_calls || [])
+                    .filter(c => c?.function?.name)
+                    .map((c, i) => ({ id: `call_${i}`, name: c.function.name, arguments: _toolArguments(c.function.arguments) }));
+                const usage = data.eval_count !== undefined ? { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 } : null;
+                return _openAIShapedResponse(data.message.content, toolCalls, usage, data.done_reason);
+            },
+            parseStreamData(data) {
+                if (data?.error) throw new Error(typeof data.error === 'string' ? data.error : (data.error.message || '流式响应出错'));
+                return data?.message?.content || '';
+            },
+            parseModels(data) {
+                return (Array.isArray(data?.models) ? data.models : []).filter(m => m && m.name).map(m => ({ id: m.name }));
+            }
+        };
+
+        const PROVIDER_ADAPTERS = {
+            openai: OPENAI_ADAPTER,
+            anthropic: ANTHROPIC_ADAPTER,
+            gemini: GEMINI_ADAPTER,
+            ollama: OLLAMA_ADAPTER
+        };
+
+        function getProviderAdapter(provider, url) {
+            if (provider === 'ollama' && /\/v1(\/|$)/.test(_trimBaseUrl(url))) {
+                return { ...OPENAI_ADAPTER, id: 'ollama', keyOptional: true };
+            }
+            return PROVIDER_ADAPTERS[provider] || OPENAI_ADAPTER;
+        }
+
+// ===== Block 3: 流式解析 =====
+        /**
+         * 创建流式解析器：按服务商的格式（SSE 或 Ollama 的逐行 JSON）切分数据块并取出增量文本
+         * feed(text) 返回本次新增的文本，flush() 处理流结束时缓冲区里剩下的内容
+         */
+        function createProviderStreamParser(adapter) {
+            let buffer = '';
+            const parsePayload = (payload) => {
+                payload = payload.trim();
+                if (!payload || payload === '[DONE]' || payload === '[done]') return '';
+                let data;
+                try {
+                    data = JSON.parse(payload);
+                } catch (e) {
+                    console.warn('[流式解析] JSON 解析失败:', payload.substring(0, 200));
+                    return '';
+                }
+                return adapter.parseStreamData(data) || '';
+            };
+            // SSE 事件可能有多行 data:，也可能带 event: 行（Anthropic）
+            const parseEvent = (event) => {
+                if (adapter.streamFormat === 'ndjson') return parsePayload(event);
+                const dataLines = event.split('\n').filter(line => line.startsWith('data:')).map(line => line.replace(/^data:\s?/, ''));
+                return dataLines.length > 0 ? parsePayload(dataLines.join('\n')) : '';
+            };
+            const separator = adapter.streamFormat === 'ndjson' ? '\n' : '\n\n';
+            return {
+                feed(text) {
+                    buffer += text.replace(/\r/g, '');
+                    let delta = '';
+                    let boundary;
+                    while ((boundary = buffer.indexOf(separator)) !== -1) {
+                        const event = buffer.slice(0, boundary);
+                        buffer = buffer.slice(boundary + separator.length);
+                        delta += parseEvent(event);
+                    }
+                    return delta;
+                },
+                flush() {
+                    const rest = buffer;
+                    buffer = '';
+                    return rest.trim() ? parseEvent(rest) : '';
+                }
+            };
+        }
+
+// ===== Block 4: 错误统一 =====
+        const PROVIDER_STATUS_HINTS = {
+            400: '请求格式不被接口接受（检查模型名或服务商类型）',
+            401: 'API 密钥无效或已过期',
+            403: '没有权限访问该模型或接口（检查密钥权限或地区限制）',
+            404: '接口地址或模型不存在（检查 API 地址和服务商类型）',
+            408: '请求超时',
+            413: '请求内容过大（图片或上下文太长）',
+            422: '请求参数无效',
+            429: '请求过于频繁或额度已用完',
+            500: '服务端内部错误',
+            502: '网关错误（代理或上游服务不可用）',
+            503: '服务暂时不可用',
+            504: '网关超时（代理或上游服务响应过慢）',
+            529: '服务过载，请稍后重试'
+        };
+
+        // 从各家的错误响应里取出可读的说明
+        function _extractProviderErrorDetail(errText) {
+            try {
+                const json = JSON.parse(errText);
+                const err = Array.isArray(json) ? json[0]?.error : json.error;
+                if (typeof err === 'string') return err;                       // Ollama / 部分反代
+                if (err?.message) return err.message;                          // OpenAI / Anthropic / Gemini
+                if (json.message) return json.message;
+                if (json.detail) return typeof json.detail === 'string' ? json.detail : JSON.stringify(json.detail);
+            } catch (e) {
+                // 不是 JSON（HTML 错误页等），去掉标签后截断
+            }
+            return String(errText || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 200);
+        }
+
+        /**
+         * 把 HTTP 错误统一成可直接展示的 Error（showApiErrorToast / alert 都可直接用 err.message）
+         * @param {string} [retryAfter] - 响应头 Retry-After（秒数或 HTTP 日期），供故障转移决定退避时间
+         * @returns {Error} 带 status / provider / detail / retryAfterMs 字段
+         */
+        function normalizeProviderError(provider, status, errText, retryAfter) {
+            const label = AI_PROVIDERS[provider]?.label || provider;
+            const hint = PROVIDER_STATUS_HINTS[status] || (status >= 500 ? '服务端错误' : '请求失败');
+            const detail = _extractProviderErrorDetail(errText);
+            const error = new Error(`API 请求失败 (${status})：${hint}${detail ? `\n${label}：${detail}` : ''}`);
+            error.status = status;
+            error.provider = provider;
+            error.detail = detail;
+            if (retryAfter) {
+                const seconds = Number(retryAfter);
+                error.retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now()) || 0;
+            }
+            return error;
+        }
+
+        // fetch 本身失败（断网、跨域、代理挂掉）时的统一说明
+        function normalizeProviderNetworkError(provider, err) {
+            if (!(err instanceof TypeError) || !/fetch|network|load failed/i.test(err.message || '')) return err;
+            const label = AI_PROVIDERS[provider]?.label || provider;
+            const error = new Error(`API 请求失败：无法连接到 ${label} 接口（网络断开、跨域限制或代理不可用）\n${err.message}`);
+            error.status = 0;
+            error.provider = provider;
+            error.detail = err.message;
+            return error;
+        }
+
+// ===== Block 5: 故障转移与重试 =====
+        // 主接口遇到 429 / 5xx / 超时 / 网络错误时：先按指数退避重试，仍失败则按“故障转移链”依次切换到已保存的 API 预设
+        // 每个接口有独立的熔断器：连续失败达到阈值后暂停使用一段时间，冷却后再放行一次试探请求
+        const API_FAILOVER_DEFAULTS = {
+            retries: 1,              // 每个接口的重试次数（不含首次）
+            timeoutSec: 120,         // 等待接口响应（收到响应头）的超时
+            baseDelayMs: 1000,       // 退避基数：1s、2s、4s…
+            maxDelayMs: 15000,
+            breakerThreshold: 3,     // 连续失败几次后熔断
+            breakerCooldownMs: 60000 // 熔断持续时间
+        };
+
+        const apiCircuitBreakers = new Map(); // target.id → { failures, openUntil }
+        const apiServeLog = [];               // 最近的调用记录：哪个接口实际完成了请求
+        const API_SERVE_LOG_MAX = 30;
+
+        async function _readJsonSetting(key, fallback) {
+            try {
+                const item = await db.dexiData.get(key);
+                const raw = item?.value || localStorage.getItem(key);
+                return raw ? JSON.parse(raw) : fallback;
+            } catch (e) {
+                return fallback;
+            }
+        }
+
+        async function getApiFailoverChain() {
+            const names = await _readJsonSetting('aiFailoverChain', []);
+            return Array.isArray(names) ? names : [];
+        }
+
+        async function getApiRetryPolicy() {
+            const saved = await _readJsonSetting('aiRetryPolicy', {});
+            const policy = { ...API_FAILOVER_DEFAULTS };
+            if (Number.isFinite(parseInt(saved.retries, 10))) policy.retries = Math.min(5, Math.max(0, parseInt(saved.retries, 10)));
+            if (Number.isFinite(parseInt(saved.timeoutSec, 10))) policy.timeoutSec = Math.max(0, parseInt(saved.timeoutSec, 10));
+            return policy;
+        }
+
+        function _presetFailoverTarget(preset) {
+            return {
+                id: `preset:${preset.name}`,
+                name: preset.name,
+                model: preset.model,
+                override: { url: preset.url, key: preset.key || '', model: preset.model, temp: preset.temperature, provider: preset.provider || 'auto' }
+            };
+        }
+
+        // 组装本次调用依次尝试的接口：当前配置（主API / 副API）在前，故障转移链中的预设在后
+        // options._apiPreset 指定了专属预设（如群聊成员绑定的预设）时，它排在最前，当前配置退为第一个备选
+        async function _buildFailoverTargets(options) {
+            const useSecondary = options._useSecondary && _secondaryApiConfigCache.url;
+            const current = useSecondary ? _secondaryApiConfigCache : _apiConfigCache;
+            const targets = [{
+                id: useSecondary ? 'secondary' : 'primary',
+                name: useSecondary ? '副API' : '主API',
+                model: current.model || '',
+                override: null
+            }];
+            const chain = await getApiFailoverChain();
+            if (chain.length === 0 && !options._apiPreset) return targets;
+            const presets = await _readJsonSetting('apiPresets', []);
+            const usable = preset => preset && preset.url && preset.model;
+            const routed = options._apiPreset ? presets.find(p => p.name === options._apiPreset) : null;
+            if (usable(routed) && !(routed.url === current.url && routed.model === current.model)) {
+                targets.unshift(_presetFailoverTarget(routed));
+            }
+            chain.forEach(name => {
+                const preset = presets.find(p => p.name === name);
+                if (!usable(preset) || targets.some(t => t.id === `preset:${preset.name}`)) return;
+                // 与当前配置相同的预设不再重复尝试
+                if (preset.url === current.url && preset.model === current.model) return;
+                targets.push(_presetFailoverTarget(preset));
+            });
+            return targets;
+        }
+
+        function _isCircuitOpen(target) {
+            const state = apiCircuitBreakers.get(target.id);
+            return !!state && state.openUntil > Date.now();
+        }
+
+        function _recordApiFailure(target, policy) {
+            const state = apiCircuitBreakers.get(target.id) || { failures: 0, openUntil: 0 };
+            state.failures++;
+            if (state.failures >= policy.breakerThreshold) {
+                state.openUntil = Date.now() + policy.breakerCooldownMs;
+                console.warn(`[API故障转移] ⛔ ${target.name} 连续失败 ${state.failures} 次，熔断 ${Math.round(policy.breakerCooldownMs / 1000)} 秒`);
+                if (typeof addLog === 'function') addLog('warning', `接口「${target.name}」连续失败，已暂停使用 ${Math.round(policy.breakerCooldownMs / 1000)} 秒`);
+            }
+            apiCircuitBreakers.set(target.id, state);
+        }
+
+        function _recordApiSuccess(target) {
+            apiCircuitBreakers.delete(target.id);
+        }
+
+        // retry：同一接口退避重试；next：换下一个接口（密钥 / 地址 / 模型问题）；fatal：请求本身有问题，换接口也没用
+        function _classifyApiError(err) {
+            if (err?.noFailover) return 'fatal';
+            const status = err?.status;
+            if (status === 0 || status === 408 || status === 429 || status >= 500) return 'retry';
+            if (status === 401 || status === 403 || status === 404) return 'next';
+            return 'fatal';
+        }
+
+        function _userAbortError() {
+            const error = new Error('已停止生成');
+            error.name = 'AbortError';
+            error.aborted = true;
+            error.noFailover = true;
+            return error;
+        }
+
+        function _backoffDelay(attempt, err, policy) {
+            if (err?.retryAfterMs > 0) return Math.min(policy.maxDelayMs, err.retryAfterMs);
+            return Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt)) + Math.floor(Math.random() * 250);
+        }
+
+        function _recordApiServe(entry) {
+            apiServeLog.unshift({ time: new Date().toLocaleTimeString(), ...entry });
+            if (apiServeLog.length > API_SERVE_LOG_MAX) apiServeLog.pop();
+        }
+
+        /**
+         * 按重试策略和故障转移链执行一次 AI 请求
+         * @param {string} caller - 调用方标识（callAI / callAIStream），用于日志
+         * @param {Object} options - 调用方原始 options（读取 _useSecondary / _apiPreset）
+         * @param {Function} attempt - (apiOverride, control) => Promise；apiOverride 为 null 时使用当前配置，
+         *   control = { signal, onResponse }：请求需带上 signal，收到响应头后调用 onResponse() 停止超时计时
+         *   options.signal 为调用方的中止信号（如“停止生成”），中止后不再重试或切换接口
+         */
+        async function callWithApiFailover(caller, options, attempt) {
+            const policy = await getApiRetryPolicy();
+            const targets = await _buildFailoverTargets(options);
+            // 全部熔断时仍尝试第一个接口，避免完全不可用
+            let available = targets.filter(t => !_isCircuitOpen(t));
+            if (available.length === 0) available = [targets[0]];
+            targets.filter(t => !available.includes(t)).forEach(t => console.warn(`[API故障转移] 跳过熔断中的接口：${t.name}`));
+
+            const startedAt = Date.now();
+            const trail = [];
+            let lastError = null;
+            const userSignal = options.signal;
+
+            for (const target of available) {
+                for (let i = 0; i <= policy.retries; i++) {
+                    if (userSignal?.aborted) throw _userAbortError();
+                    const controller = new AbortController();
+                    const onUserAbort = () => controller.abort();
+                    if (userSignal) userSignal.addEventListener('abort', onUserAbort, { once: true });
+                    let timedOut = false;
+                    let timer = null;
+                    if (policy.timeoutSec > 0) {
+                        timer = setTimeout(() => { timedOut = true; controller.abort(); }, policy.timeoutSec * 1000);
+                    }
+                    try {
+                        const result = await attempt(target.override, { signal: controller.signal, onResponse: () => clearTimeout(timer) });
+                        clearTimeout(timer);
+                        if (userSignal) userSignal.removeEventListener('abort', onUserAbort);
+                        _recordApiSuccess(target);
+                        trail.push(`${target.name}✓`);
+                        _recordApiServe({ caller, target: target.name, model: target.model, ok: true, trail: trail.join(' → '), ms: Date.now() - startedAt });
+                        if (trail.length > 1) {
+                            console.info(`[API故障转移] ✅ 由「${target.name}」完成（${trail.join(' → ')}）`);
+                            if (typeof addLog === 'function') addLog('success', `AI 请求由「${target.name}」完成`, { trail: trail.join(' → ') });
+                        }
+                        return result;
+                    } catch (err) {
+                        clearTimeout(timer);
+                        if (userSignal) userSignal.removeEventListener('abort', onUserAbort);
+                        // 用户主动停止：不算接口故障，直接结束
+                        if (userSignal?.aborted) throw _userAbortError();
+                        let error = err;
+                        if (timedOut) {
+                            error = new Error(`API 请求失败 (408)：请求超时（${policy.timeoutSec} 秒内没有响应）`);
+                            error.status = 408;
+                        }
+                        lastError = error;
+                        const kind = _classifyApiError(error);
+                        trail.push(`${target.name}✗${error.status ?? ''}`);
+                        console.warn(`[API故障转移] ${target.name} 第 ${i + 1} 次请求失败（${kind}）:`, error.message);
+                        if (kind === 'fatal') {
+                            _recordApiServe({ caller, target: target.name, model: target.model, ok: false, trail: trail.join(' → '), error: error.message, ms: Date.now() - startedAt });
+                            throw error;
+                        }
+                        _recordApiFailure(target, policy);
+                        if (kind === 'next' || i === policy.retries || _isCircuitOpen(target)) break;
+                        const delay = _backoffDelay(i, error, policy);
+                        console.log(`[API故障转移] ⏳ ${Math.round(delay / 100) / 10} 秒后重试 ${target.name}`);
+                        await new Promise(r => setTimeout(r, delay));
+                    }
+                }
+            }
+
+            _recordApiServe({ caller, target: '-', model: '', ok: false, trail: trail.join(' → '), error: lastError?.message, ms: Date.now() - startedAt });
+            if (typeof addLog === 'function' && available.length > 1) addLog('error', '所有 API 接口均请求失败', { trail: trail.join(' → ') });
+            throw lastError;
+        }
+
+        // 诊断面板：最近的调用由哪个接口完成
+        function renderApiServeLog() {
+            if (apiServeLog.length === 0) {
+                return '<div style="color:#999; font-size:12px;">暂无记录（发起一次 AI 请求后显示）</div>';
+            }
+            const escape = (text) => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const breakers = [...apiCircuitBreakers.entries()].filter(([, s]) => s.openUntil > Date.now());
+            return breakers.map(([id, s]) => `
+                <div style="margin-top:6px; font-size:12px; color:#ff3b30;">⛔ ${escape(id.replace(/^preset:/, ''))} 熔断中（${Math.ceil((s.openUntil - Date.now()) / 1000)} 秒后恢复）</div>
+            `).join('') + apiServeLog.map(e => `
+                <div style="margin-top:6px; padding:6px 8px; background:#fff; border-radius:6px; font-size:12px;">
+                    <div style="display:flex; justify-content:space-between;">
+                        <strong style="color:${e.ok ? '#34c759' : '#ff3b30'};">${e.ok ? escape(e.target) : '失败'}</strong>
+                        <span style="color:#999;">${e.time} · ${(e.ms / 1000).toFixed(1)}s</span>
+                    </div>
+                    <div style="color:#666;">${escape(e.caller)}${e.model ? ` · ${escape(e.model)}` : ''}${e.trail.includes('→') ? ` · ${escape(e.trail)}` : ''}</div>
+                    ${e.error ? `<div style="color:#ff3b30;">${escape(e.error.substring(0, 120))}</div>` : ''}
+                </div>
+            `).join('');
+        }
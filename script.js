@@ -788,6 +788,100 @@ db.version(81).stores({
     finance_data: '&key, updatedAt' // 财务数据：phone_balance, loanHistory, scratchHistory等
 });
 
+// 版本82：聊天记录独立成 messages 表（每条消息一行，不再整块存放在角色行里）
+db.version(82).stores({
+    dexiData: 'key, value',
+    lorebooks: '++id, name',
+    characters: '++id, name, type',
+    sticker_categories: '++id, name',
+    moments: '++id, userId, time, ownerUserId',
+    friend_requests: '++id, fromCharId, toAccountId, status, time',
+    group_chats: '++id, name, ownerAccountId, created_at',
+    phone_recents: '++id, accountId, charId, time, type',
+    sms_messages: '++id, accountId, charId, time, read',
+    chat_summaries: '++id, [accountId+chatType+chatId], accountId, chatType, chatId, time',
+    avatar_library: '++id, category, tag, time',
+    avatar_categories: '++id, name, parentCategory, order, time',
+    chat_themes: '++id, name, accountId, time',
+    intimate_relations: '++id, accountId, myCharId, partnerCharId, relationType, status, createdAt',
+    intimate_requests: '++id, accountId, fromCharId, toCharId, relationType, status, time',
+    offline_chats: '&key, accountId, charId, updatedAt',
+    finance_data: '&key, updatedAt',
+    messages: '&key, [accountId+chatType+chatId+seq], [accountId+chatType+chatId+time], [accountId+chatType+chatId], chatId' // key = 账号|类型|聊天ID|序号
+});
+
+// 版本83：新增 char_memories 表（角色记得的关于“我”的结构化事实：生日、喜好、约定等）
+db.version(83).stores({
+    dexiData: 'key, value',
+    lorebooks: '++id, name',
+    characters: '++id, name, type',
+    sticker_categories: '++id, name',
+    moments: '++id, userId, time, ownerUserId',
+    friend_requests: '++id, fromCharId, toAccountId, status, time',
+    group_chats: '++id, name, ownerAccountId, created_at',
+    phone_recents: '++id, accountId, charId, time, type',
+    sms_messages: '++id, accountId, charId, time, read',
+    chat_summaries: '++id, [accountId+chatType+chatId], accountId, chatType, chatId, time',
+    avatar_library: '++id, category, tag, time',
+    avatar_categories: '++id, name, parentCategory, order, time',
+    chat_themes: '++id, name, accountId, time',
+    intimate_relations: '++id, accountId, myCharId, partnerCharId, relationType, status, createdAt',
+    intimate_requests: '++id, accountId, fromCharId, toCharId, relationType, status, time',
+    offline_chats: '&key, accountId, charId, updatedAt',
+    finance_data: '&key, updatedAt',
+    messages: '&key, [accountId+chatType+chatId+seq], [accountId+chatType+chatId+time], [accountId+chatType+chatId], chatId', // key = 账号|类型|聊天ID|序号
+    char_memories: '++id, [accountId+charId], accountId, charId, category, updatedAt'
+});
+
+// 版本84：新增 prompt_logs 表（提示词检查器：最近几十次 AI 请求的完整记录，环形缓冲）
+db.version(84).stores({
+    dexiData: 'key, value',
+    lorebooks: '++id, name',
+    characters: '++id, name, type',
+    sticker_categories: '++id, name',
+    moments: '++id, userId, time, ownerUserId',
+    friend_requests: '++id, fromCharId, toAccountId, status, time',
+    group_chats: '++id, name, ownerAccountId, created_at',
+    phone_recents: '++id, accountId, charId, time, type',
+    sms_messages: '++id, accountId, charId, time, read',
+    chat_summaries: '++id, [accountId+chatType+chatId], accountId, chatType, chatId, time',
+    avatar_library: '++id, category, tag, time',
+    avatar_categories: '++id, name, parentCategory, order, time',
+    chat_themes: '++id, name, accountId, time',
+    intimate_relations: '++id, accountId, myCharId, partnerCharId, relationType, status, createdAt',
+    intimate_requests: '++id, accountId, fromCharId, toCharId, relationType, status, time',
+    offline_chats: '&key, accountId, charId, updatedAt',
+    finance_data: '&key, updatedAt',
+    messages: '&key, [accountId+chatType+chatId+seq], [accountId+chatType+chatId+time], [accountId+chatType+chatId], chatId', // key = 账号|类型|聊天ID|序号
+    char_memories: '++id, [accountId+charId], accountId, charId, category, updatedAt',
+    prompt_logs: '++id, finishedAt'
+});
+
+// 版本85：新增 api_usage 表（用量统计：按 日期|模型|功能|角色|群聊 汇总的 token 数和生图次数）
+db.version(85).stores({
+    dexiData: 'key, value',
+    lorebooks: '++id, name',
+    characters: '++id, name, type',
+    sticker_categories: '++id, name',
+    moments: '++id, userId, time, ownerUserId',
+    friend_requests: '++id, fromCharId, toAccountId, status, time',
+    group_chats: '++id, name, ownerAccountId, created_at',
+    phone_recents: '++id, accountId, charId, time, type',
+    sms_messages: '++id, accountId, charId, time, read',
+    chat_summaries: '++id, [accountId+chatType+chatId], accountId, chatType, chatId, time',
+    avatar_library: '++id, category, tag, time',
+    avatar_categories: '++id, name, parentCategory, order, time',
+    chat_themes: '++id, name, accountId, time',
+    intimate_relations: '++id, accountId, myCharId, partnerCharId, relationType, status, createdAt',
+    intimate_requests: '++id, accountId, fromCharId, toCharId, relationType, status, time',
+    offline_chats: '&key, accountId, charId, updatedAt',
+    finance_data: '&key, updatedAt',
+    messages: '&key, [accountId+chatType+chatId+seq], [accountId+chatType+chatId+time], [accountId+chatType+chatId], chatId', // key = 账号|类型|聊天ID|序号
+    char_memories: '++id, [accountId+charId], accountId, charId, category, updatedAt',
+    prompt_logs: '++id, finishedAt',
+    api_usage: '&key, day'
+});
+
 // ===== 角色内存缓存（性能优化：消除频繁 IndexedDB 读取）=====
 // 原理：启动时将 characters 表加载到内存 Map，代理读写方法
 // 读取走缓存（同步级速度），写入同时更新 DB + 缓存
@@ -798,6 +892,7 @@ let _charCacheReady = false;
 // 保存 Dexie 原始方法（代理实现中使用这些直接操作 DB）
 const _dbChar = {
     get: db.characters.get.bind(db.characters),
+    clear: db.characters.clear.bind(db.characters),
     toArray: db.characters.toArray.bind(db.characters),
     put: db.characters.put.bind(db.characters),
     add: db.characters.add.bind(db.characters),
@@ -808,10 +903,316 @@ const _dbChar = {
     where: db.characters.where.bind(db.characters),
 };
 
-// 启动时加载全部角色到缓存
+// ===== 聊天消息独立存储（messages 表）=====
+// 原理：每条消息一行，按 [账号+聊天类型+聊天ID+序号] 索引，角色行本身不再带 chat_history_by_user
+// 角色缓存里仍保留 chat_history_by_user，同步读取的旧代码无需改动；会话按需读入：
+//   启动时只读当前账号的会话，其余会话在 db.characters.get 取到该角色时再读，每段会话按序号分页读取
+// 写入时只落盘新增/改动过的消息，且只写传入的那几段会话，不再每次重写整个角色对象
+// 序号只用来排序，一经写入就不变：删掉或插入一条消息只动这一行，后面的行不用跟着改序号重写
+const _msgSnapshots = new Map();     // `${accountId}|${chatType}|${chatId}` -> { snaps: WeakMap(消息对象 -> 上次写入这段会话时的 { seq, json }), seqs: 库里已有的序号 }
+const _threadAccounts = new Map();   // chatId -> Set(accountId)，messages 表里已有的私聊会话（启动时只读索引）
+const _loadedThreads = new Set();    // `${chatId}|${accountId}`，已经读进内存的会话
+const CHAT_THREAD_PAGE_SIZE = 500;   // 读入会话时每页条数
+
+function _messageRowKey(accountId, chatType, chatId, seq) {
+    return `${accountId}|${chatType}|${chatId}|${seq}`;
+}
+
+function _normalizeChatId(chatId) {
+    return typeof chatId === 'number' ? chatId : parseInt(chatId);
+}
+
+// 快照按会话区分：同一个消息对象写进另一段会话（如分支快照）时必须照常写入
+function _threadSnapshots(accountId, chatType, chatId) {
+    const key = `${accountId}|${chatType}|${chatId}`;
+    if (!_msgSnapshots.has(key)) _msgSnapshots.set(key, { snaps: new WeakMap(), seqs: null });
+    return _msgSnapshots.get(key);
+}
+
+// 丢弃某个角色/群聊的会话快照（绕过 saveChatThreadMessages 删除行之后），下次写入时重新读库里的序号
+function _dropThreadSnapshots(chatId = null, chatType = null) {
+    if (chatId == null) return _msgSnapshots.clear();
+    const suffix = `|${_normalizeChatId(chatId)}`;
+    [..._msgSnapshots.keys()].forEach(key => {
+        if (!key.endsWith(suffix)) return;
+        if (chatType && key.split('|').slice(-2)[0] !== chatType) return;
+        _msgSnapshots.delete(key);
+    });
+}
+
+function _threadSeqRange(acc, chatType, cid) {
+    return db.messages.where('[accountId+chatType+chatId+seq]')
+        .between([acc, chatType, cid, Dexie.minKey], [acc, chatType, cid, Dexie.maxKey], true, true);
+}
+
+// 给消息分配序号：写入过的消息沿用原序号，新消息排在前后两条之间（追加到末尾就是接着往后编号）
+// 中间插入时优先用空出来的整数，没有空位才用小数；小数精度耗尽时整段重新编号
+function _assignThreadSeqs(list, snaps) {
+    const seqs = new Array(list.length).fill(null);
+    let last = -Infinity;
+    list.forEach((msg, i) => {
+        const snap = msg && typeof msg === 'object' ? snaps.get(msg) : null;
+        if (snap && snap.seq > last) {
+            seqs[i] = snap.seq;
+            last = snap.seq;
+        }
+    });
+    for (let i = 0; i < list.length;) {
+        if (seqs[i] !== null) { i++; continue; }
+        let j = i;
+        while (j < list.length && seqs[j] === null) j++;
+        const lo = i > 0 ? seqs[i - 1] : -1;
+        const hi = j < list.length ? seqs[j] : Infinity;
+        const count = j - i;
+        const first = Math.floor(lo) + 1;
+        if (first + count - 1 < hi) {
+            for (let k = 0; k < count; k++) seqs[i + k] = first + k;
+        } else {
+            const step = (hi - lo) / (count + 1);
+            for (let k = 0; k < count; k++) seqs[i + k] = lo + step * (k + 1);
+            const prev = [lo, ...seqs.slice(i, j), hi];
+            if (prev.some((seq, k) => k > 0 && seq <= prev[k - 1])) return list.map((_, k) => k);
+        }
+        i = j;
+    }
+    return seqs;
+}
+
+// 写入一段会话：只写新增/改动的消息，并删除已经不在会话里的行
+async function saveChatThreadMessages(chatId, accountId, history, chatType = 'private') {
+    const cid = _normalizeChatId(chatId);
+    const acc = String(accountId);
+    const list = Array.isArray(history) ? history : [];
+    const state = _threadSnapshots(acc, chatType, cid);
+    if (!state.seqs) state.seqs = new Set((await _threadSeqRange(acc, chatType, cid).keys()).map(k => k[3]));
+    const seqs = _assignThreadSeqs(list, state.snaps);
+    const rows = [];
+    const snapshots = [];
+    list.forEach((msg, i) => {
+        const seq = seqs[i];
+        const json = JSON.stringify(msg ?? null);
+        if (msg && typeof msg === 'object') {
+            const snap = state.snaps.get(msg);
+            if (snap && snap.seq === seq && snap.json === json && state.seqs.has(seq)) return;
+            snapshots.push([msg, { seq, json }]);
+        }
+        rows.push({
+            key: _messageRowKey(acc, chatType, cid, seq),
+            accountId: acc, chatType, chatId: cid, seq,
+            time: (msg && msg.time) || 0,
+            msg: msg ?? null
+        });
+    });
+
+    const kept = new Set(seqs);
+    const stale = [...state.seqs].filter(seq => !kept.has(seq));
+    await db.transaction('rw', db.messages, async () => {
+        if (rows.length > 0) await db.messages.bulkPut(rows);
+        if (stale.length > 0) await db.messages.bulkDelete(stale.map(seq => _messageRowKey(acc, chatType, cid, seq)));
+    });
+    // 写入成功后再记录快照，失败时下次会重新写入
+    snapshots.forEach(([msg, snap]) => state.snaps.set(msg, snap));
+    state.seqs = kept;
+
+    // 分支快照等其他类型的会话不算角色的聊天记录
+    if (chatType !== 'private') return rows.length;
+    if (!_threadAccounts.has(cid)) _threadAccounts.set(cid, new Set());
+    if (list.length > 0) _threadAccounts.get(cid).add(acc);
+    else _threadAccounts.get(cid).delete(acc);
+    return rows.length;
+}
+
+function _threadKey(cid, acc) {
+    return `${cid}|${acc}`;
+}
+
+// 按序号分页读取一段会话的全部消息，每页之间让出主线程
+async function _readChatThread(cid, acc) {
+    const state = _threadSnapshots(acc, 'private', cid);
+    const list = [];
+    const seqs = new Set();
+    let afterSeq = Dexie.minKey;
+    while (true) {
+        const rows = await db.messages.where('[accountId+chatType+chatId+seq]')
+            .between([acc, 'private', cid, afterSeq], [acc, 'private', cid, Dexie.maxKey], false, true)
+            .limit(CHAT_THREAD_PAGE_SIZE)
+            .toArray();
+        rows.forEach(r => {
+            if (r.msg && typeof r.msg === 'object') state.snaps.set(r.msg, { seq: r.seq, json: JSON.stringify(r.msg) });
+            seqs.add(r.seq);
+            list.push(r.msg);
+        });
+        if (rows.length < CHAT_THREAD_PAGE_SIZE) break;
+        afterSeq = rows[rows.length - 1].seq;
+        await new Promise(r => setTimeout(r, 0));
+    }
+    state.seqs = seqs;
+    return list;
+}
+
+// 写入一段会话（角色代理的写入都走这里）：会话还没读进内存时，调用方手里的记录是从空白开始的，
+// 新消息接在库里已有记录后面，不能按它截断；返回实际落盘的完整记录
+async function _persistChatThread(chatId, accountId, history) {
+    const cid = _normalizeChatId(chatId);
+    const acc = String(accountId);
+    const key = _threadKey(cid, acc);
+    let list = Array.isArray(history) ? history : [];
+    if (!_loadedThreads.has(key) && _threadAccounts.get(cid)?.has(acc) && list.length > 0) {
+        console.warn(`[MessagesStore] ⚠️ 会话 ${key} 尚未读入就被写入，新消息追加到已有记录之后`);
+        list = [...(await _readChatThread(cid, acc)), ...list];
+    }
+    await saveChatThreadMessages(cid, acc, list);
+    _loadedThreads.add(key);
+    return list;
+}
+
+// 写入对象里带的几段会话（put/update 整个 chat_history_by_user 时使用）；对象里没有的会话不动，删除会话要显式写空数组
+async function _persistCharChatHistories(chatId, byUser) {
+    if (!byUser || typeof byUser !== 'object') return;
+    for (const [acc, history] of Object.entries(byUser)) {
+        byUser[acc] = await _persistChatThread(chatId, acc, history);
+    }
+}
+
+// 角色行写库前去掉聊天记录字段（缓存对象保持不变）
+function _stripChatHistory(data) {
+    if (!data || typeof data !== 'object' || !('chat_history_by_user' in data)) return data;
+    const { chat_history_by_user, ...row } = data;
+    return row;
+}
+
+// 只读 messages 表的索引，记下每个角色有哪些会话（不读消息内容）
+async function _loadThreadIndex() {
+    _threadAccounts.clear();
+    const keys = await db.messages.orderBy('[accountId+chatType+chatId]').uniqueKeys();
+    keys.forEach(([acc, chatType, cid]) => {
+        if (chatType !== 'private') return;
+        if (!_threadAccounts.has(cid)) _threadAccounts.set(cid, new Set());
+        _threadAccounts.get(cid).add(acc);
+    });
+}
+
+// 把角色的会话读进角色对象（accounts 为空时读该角色的全部会话），已读过的跳过
+async function _hydrateChatThreads(char, accounts = null) {
+    if (!char || char.id == null) return;
+    const cid = char.id;
+    const known = _threadAccounts.get(cid);
+    if (!known) return;
+    for (const acc of accounts || [...known]) {
+        if (acc == null || !known.has(String(acc))) continue;
+        const key = _threadKey(cid, String(acc));
+        // 缓存失效退化为直接读库时，每次拿到的都是新对象，要重新读
+        if (_charCacheReady && _loadedThreads.has(key)) continue;
+        const list = await _readChatThread(cid, String(acc));
+        if (_charCacheReady && _loadedThreads.has(key)) continue; // 读的过程中已被写入
+        if (!char.chat_history_by_user || typeof char.chat_history_by_user !== 'object') char.chat_history_by_user = {};
+        char.chat_history_by_user[acc] = list;
+        _loadedThreads.add(key);
+    }
+}
+
+// 读取角色全部账号的私聊会话（全局搜索等只读场景）：已读入内存的直接用内存里的，其余从 messages 表读，不放进缓存
+async function readCharChatThreads(char) {
+    const threads = {};
+    if (!char || char.id == null) return threads;
+    const cid = _normalizeChatId(char.id);
+    const cached = char.chat_history_by_user || {};
+    const accounts = new Set([...Object.keys(cached), ...(_threadAccounts.get(cid) || [])]);
+    for (const acc of accounts) {
+        const inMemory = _charCacheReady && _loadedThreads.has(_threadKey(cid, acc));
+        threads[acc] = (inMemory || !_threadAccounts.get(cid)?.has(acc)) ? (cached[acc] || []) : await _readChatThread(cid, acc);
+    }
+    return threads;
+}
+
+// 列表类读取只需要当前账号的会话（聊天列表、未读数等）
+function _currentThreadAccount() {
+    try {
+        if (typeof getCurrentAccountId === 'function') return getCurrentAccountId();
+    } catch (e) {
+        // 启动早期 currentMyCharId 还没初始化
+    }
+    return localStorage.getItem('current_my_char_id');
+}
+
+async function _hydrateCurrentAccountThreads(chars) {
+    const acc = _currentThreadAccount();
+    if (!acc) return;
+    for (const c of chars) await _hydrateChatThreads(c, [String(acc)]);
+}
+
+// 📦 数据迁移：把角色行里的 chat_history_by_user 搬到 messages 表（可重复执行，只处理仍带聊天记录的行）
+async function migrateChatHistoryToMessagesStore(chars) {
+    let migrated = 0;
+    for (const c of chars) {
+        const byUser = c.chat_history_by_user;
+        if (!byUser || typeof byUser !== 'object') continue;
+        try {
+            for (const [acc, history] of Object.entries(byUser)) {
+                await saveChatThreadMessages(c.id, acc, history);
+            }
+            // 写入成功后才从角色行删除字段（Dexie 中值为 undefined 即删除该属性）
+            await _dbChar.update(c.id, { chat_history_by_user: undefined });
+            Object.keys(byUser).forEach(acc => _loadedThreads.add(_threadKey(c.id, String(acc))));
+            migrated++;
+        } catch (e) {
+            console.error(`[MessagesStore] ❌ 迁移角色 ${c.name || c.id} 的聊天记录失败，保留原数据:`, e);
+        }
+    }
+    if (migrated > 0) console.log(`[MessagesStore] ✅ 已将 ${migrated} 个角色的聊天记录迁移到 messages 表`);
+}
+
+// 渲染前把内存里这段会话的改动写进 messages 表（只写变化的行），分页读出来的才是最新内容
+// 库里有、内存里还没读入的会话不写（内存里是空的，写了会清掉库里的记录）
+async function syncChatThread(chatId, accountId, history) {
+    const cid = _normalizeChatId(chatId);
+    const acc = String(accountId);
+    const list = Array.isArray(history) ? history : [];
+    const inDb = _threadAccounts.get(cid)?.has(acc);
+    if (_loadedThreads.has(_threadKey(cid, acc)) || (!inDb && list.length > 0)) {
+        await saveChatThreadMessages(cid, acc, list);
+    }
+}
+
+/**
+ * 按索引分页读取一段会话（从新到旧翻页），只读这一页的行
+ * @param {string} accountId
+ * @param {number} chatId
+ * @param {Object} options - { beforeSeq: 只取序号小于它的消息（默认取最新）, limit: 条数 }
+ * @returns {Promise<{messages: Array, seqs: Array, startIndex: number, total: number}>} messages 按时间升序，
+ *   seqs 是对应的序号（翻下一页时把 seqs[0] 作为 beforeSeq），startIndex 是第一条在整段会话中的位置
+ */
+async function loadChatMessagesPage(accountId, chatId, { beforeSeq = Infinity, limit = 50, chatType = 'private' } = {}) {
+    const cid = _normalizeChatId(chatId);
+    const acc = String(accountId);
+    const before = (upper) => db.messages.where('[accountId+chatType+chatId+seq]')
+        .between([acc, chatType, cid, Dexie.minKey], [acc, chatType, cid, upper], true, false);
+    const rows = await before(Number.isFinite(beforeSeq) ? beforeSeq : Dexie.maxKey)
+        .reverse()
+        .limit(limit)
+        .toArray();
+    rows.reverse();
+    const startIndex = rows.length > 0 ? await before(rows[0].seq).count() : 0;
+    const total = await db.messages.where('[accountId+chatType+chatId]').equals([acc, chatType, cid]).count();
+    return {
+        messages: rows.map(r => r.msg),
+        seqs: rows.map(r => r.seq),
+        startIndex,
+        total
+    };
+}
+
+// 启动时加载全部角色到缓存（聊天记录只读当前账号的会话）
 async function _initCharCache() {
     try {
         const all = await _dbChar.toArray();
+        try {
+            await _loadThreadIndex();
+            await migrateChatHistoryToMessagesStore(all);
+            await _hydrateCurrentAccountThreads(all);
+        } catch (e) {
+            console.error('[MessagesStore] ❌ 读取 messages 表失败，聊天记录仅使用角色行中的数据:', e);
+        }
         all.forEach(c => _charCache.set(c.id, c));
         _charCacheReady = true;
         console.log(`[CharCache] ✅ 缓存就绪，共 ${_charCache.size} 个角色`);
@@ -819,65 +1220,124 @@ async function _initCharCache() {
         console.error('[CharCache] ❌ 初始化失败，退化为直接读DB:', e);
     }
 }
-_initCharCache(); // 立即启动（不依赖DOM）
+const _charCacheInit = _initCharCache(); // 立即启动（不依赖DOM）
 
-// --- 代理读取方法：缓存就绪时从内存读，否则回退DB ---
+// --- 代理读取方法：先等缓存初始化完成，缓存就绪时从内存读，否则回退DB ---
+// 所有读取都经过这里，拿到的角色对象带着已读入的聊天记录；不要绕过代理直接读角色表
 db.characters.get = async function(id) {
-    if (_charCacheReady && id != null) {
-        return _charCache.get(typeof id === 'number' ? id : parseInt(id)) || null;
+    if (id == null) return null;
+    await _charCacheInit;
+    let char;
+    if (_charCacheReady) {
+        char = _charCache.get(typeof id === 'number' ? id : parseInt(id)) || null;
+    } else {
+        char = await _dbChar.get(id);
     }
-    return _dbChar.get(id);
+    if (char) await _hydrateChatThreads(char);
+    return char;
+};
+
+db.characters.bulkGet = async function(ids) {
+    return Promise.all(ids.map(id => db.characters.get(id)));
 };
 
-db.characters.toArray = async function() {
-    if (_charCacheReady) return Array.from(_charCache.values());
-    return _dbChar.toArray();
+async function _listCharacters(fetchFromDb, filterCached) {
+    await _charCacheInit;
+    const list = _charCacheReady ? Array.from(_charCache.values()).filter(filterCached) : await fetchFromDb();
+    await _hydrateCurrentAccountThreads(list);
+    return list;
+}
+
+db.characters.toArray = function() {
+    return _listCharacters(() => _dbChar.toArray(), () => true);
 };
 
 db.characters.filter = function(fn) {
-    if (_charCacheReady) {
-        const result = Array.from(_charCache.values()).filter(fn);
-        return { toArray: async () => result };
-    }
-    return _dbChar.filter(fn);
+    return { toArray: () => _listCharacters(() => _dbChar.filter(fn).toArray(), fn) };
 };
 
 db.characters.where = function(field) {
     // ":id" 是 Dexie 内部使用的主键查询（如 update/modify），必须走原始方法
-    if (_charCacheReady && field !== ':id') {
-        return {
-            equals: (val) => ({
-                toArray: async () => Array.from(_charCache.values()).filter(c => c[field] === val)
-            })
-        };
-    }
-    return _dbChar.where(field);
+    if (field === ':id') return _dbChar.where(field);
+    return {
+        equals: (val) => ({
+            toArray: () => _listCharacters(() => _dbChar.where(field).equals(val).toArray(), c => c[field] === val)
+        })
+    };
 };
 
 // --- 代理写入方法：写DB + 同步更新缓存 ---
+// 聊天记录字段（chat_history_by_user / chat_history_by_user.<账号>）写 messages 表，其余字段写角色行
+// 传入的对象只带了部分会话时，缓存里其余已读入的会话保留，不会被它整体替换
+function _keepCachedThreads(id, data) {
+    const prev = _charCache.get(id);
+    if (!prev || prev === data || !prev.chat_history_by_user) return;
+    data.chat_history_by_user = { ...prev.chat_history_by_user, ...(data.chat_history_by_user || {}) };
+}
+
 db.characters.put = async function(data) {
-    const key = await _dbChar.put(data);
+    const key = await _dbChar.put(_stripChatHistory(data));
     if (data) {
         const id = data.id || key;
-        if (id) { data.id = id; _charCache.set(id, data); }
+        if (id) {
+            data.id = id;
+            const ownThreads = data.chat_history_by_user;
+            if (ownThreads) await _persistCharChatHistories(id, ownThreads);
+            _keepCachedThreads(id, data);
+            _charCache.set(id, data);
+        }
     }
     return key;
 };
 
 db.characters.add = async function(data) {
-    const id = await _dbChar.add(data);
-    if (id) { data.id = id; _charCache.set(id, data); }
+    const id = await _dbChar.add(_stripChatHistory(data));
+    if (id) {
+        data.id = id;
+        _charCache.set(id, data);
+        if (data.chat_history_by_user) await _persistCharChatHistories(id, data.chat_history_by_user);
+    }
     return id;
 };
 
 db.characters.update = async function(id, changes) {
-    const result = await _dbChar.update(id, changes);
+    const rowChanges = {};
+    const historyChanges = [];
+    for (const [key, value] of Object.entries(changes)) {
+        if (key === 'chat_history_by_user' || key.startsWith('chat_history_by_user.')) {
+            historyChanges.push([key, value]);
+        } else {
+            rowChanges[key] = value;
+        }
+    }
+    // 只改聊天记录时不动角色行，但仍按 Dexie 语义返回是否找到该角色
+    const result = Object.keys(rowChanges).length > 0
+        ? await _dbChar.update(id, rowChanges)
+        : ((await _dbChar.get(id)) ? 1 : 0);
+    if (result) {
+        for (const entry of historyChanges) {
+            const [key, value] = entry;
+            if (key === 'chat_history_by_user') {
+                await _persistCharChatHistories(id, value);
+            } else {
+                entry[1] = await _persistChatThread(id, key.slice('chat_history_by_user.'.length), value);
+            }
+        }
+    }
     if (_charCacheReady && result) {
         const cached = _charCache.get(id);
         if (cached) {
+            const persisted = new Map(historyChanges);
             for (const [key, value] of Object.entries(changes)) {
                 const parts = key.split('.');
-                if (parts.length === 1) {
+                if (key === 'chat_history_by_user') {
+                    // 只更新传入的这几段会话，其余会话保留
+                    cached.chat_history_by_user = { ...(cached.chat_history_by_user || {}), ...(value || {}) };
+                } else if (key.startsWith('chat_history_by_user.')) {
+                    // 账号ID本身可能含 "."，不能按路径拆分
+                    if (!cached.chat_history_by_user || typeof cached.chat_history_by_user !== 'object') cached.chat_history_by_user = {};
+                    cached.chat_history_by_user[key.slice('chat_history_by_user.'.length)] = persisted.get(key);
+                } else if (parts.length === 1) {
                     cached[key] = value;
                 } else {
                     let obj = cached;
@@ -895,15 +1355,49 @@ db.characters.update = async function(id, changes) {
 
 db.characters.delete = async function(id) {
     const result = await _dbChar.delete(id);
-    _charCache.delete(typeof id === 'number' ? id : parseInt(id));
+    const cid = _normalizeChatId(id);
+    _charCache.delete(cid);
+    // 群聊的分支快照也按 chatId 存，群聊 ID 可能和角色 ID 相同
+    await db.messages.where('chatId').equals(cid).and(r => r.chatType !== 'group_branch').delete();
+    if (db.char_memories) await db.char_memories.where('charId').equals(cid).delete();
+    (_threadAccounts.get(cid) || []).forEach(acc => _loadedThreads.delete(_threadKey(cid, acc)));
+    _threadAccounts.delete(cid);
+    _dropThreadSnapshots(cid);
     return result;
 };
 
+// 清空角色表（导入备份前）：一并清掉缓存和会话索引，messages 表由调用方清空
+db.characters.clear = async function() {
+    await _dbChar.clear();
+    _charCache.clear();
+    _threadAccounts.clear();
+    _loadedThreads.clear();
+    _dropThreadSnapshots();
+};
+
 db.characters.bulkPut = async function(items) {
-    const result = await _dbChar.bulkPut(items);
-    // 批量导入后刷新整个缓存
+    const keys = await _dbChar.bulkPut(items.map(_stripChatHistory), { allKeys: true });
+    // 导入数据（旧备份）中的聊天记录拆到 messages 表：导入就是整段替换，直接按导入的内容写
+    _loadedThreads.clear();
+    for (let i = 0; i < items.length; i++) {
+        const threads = items[i] && items[i].chat_history_by_user;
+        if (!threads || typeof threads !== 'object') continue;
+        for (const [acc, history] of Object.entries(threads)) {
+            await saveChatThreadMessages(keys[i], acc, history);
+            _loadedThreads.add(_threadKey(_normalizeChatId(keys[i]), String(acc)));
+        }
+    }
+    const result = keys[keys.length - 1];
+    // 批量导入后刷新整个缓存（导入的会话已在内存里，不必再读）
     _charCache.clear();
     const all = await _dbChar.toArray();
+    const byId = new Map(items.map((item, i) => [keys[i], item]));
+    all.forEach(c => {
+        const imported = byId.get(c.id);
+        if (imported && imported.chat_history_by_user) c.chat_history_by_user = imported.chat_history_by_user;
+    });
+    await _loadThreadIndex();
+    await _hydrateCurrentAccountThreads(all);
     all.forEach(c => _charCache.set(c.id, c));
     return result;
 };
@@ -1233,6 +1727,7 @@ async function safeGroupChatPut(group, label) {
         console.log(`[safeGroupChatPut] 群聊 "${group.name}" 历史消息超出${GROUP_CHAT_HISTORY_MAX}条上限，已自动裁剪${excess}条最早消息`);
     }
     if (group && group.id) _groupChatCache.set(group.id, group);
+    if (group && group.id === window.currentGroupChatId) refreshReplySwipeBar('chat', group.chat_history);
     return await safeDbPut(db.group_chats, group, label || `群聊[${group.name || group.id}]`);
 }
 
@@ -1402,9 +1897,8 @@ async function flushDirtySaves() {
                 // 🛡️ 使用 update() 只更新聊天记录字段，防止覆盖设置
                 const updatePayload = {};
                 if (data.accountId) {
-                    const mergedHistory = { ...(freshChar.chat_history_by_user || {}) };
-                    mergedHistory[data.accountId] = data.history;
-                    updatePayload.chat_history_by_user = mergedHistory;
+                    // 只写这一段会话
+                    updatePayload[`chat_history_by_user.${data.accountId}`] = data.history;
                 } else {
                     updatePayload.chat_history = data.history;
                 }
@@ -1467,9 +1961,7 @@ async function recoverEmergencyDirtySaves() {
                 if (data.history && data.history.length > dbHistory.length) {
                     const updatePayload = {};
                     if (data.accountId) {
-                        const merged = { ...(freshChar.chat_history_by_user || {}) };
-                        merged[data.accountId] = data.history;
-                        updatePayload.chat_history_by_user = merged;
+                        updatePayload[`chat_history_by_user.${data.accountId}`] = data.history;
                     } else {
                         updatePayload.chat_history = data.history;
                     }
@@ -1549,6 +2041,7 @@ async function saveOfflineChatHistory(accountId, charId, messages) {
     } catch (e) {
         console.warn('[OfflineChat] localStorage写入失败（可能空间不足）:', e);
     }
+    if (String(charId) === String(offlineModeCharId)) refreshReplySwipeBar('offline', messages);
 }
 
 // ==================== 🛡️ 财务数据安全读写 ====================
@@ -2273,6 +2766,9 @@ async function saveFinanceData(key, value) {
                     if (db.intimate_requests) tables.push({ key: 'intimate_requests', table: db.intimate_requests, label: '亲密请求' });
                     if (db.offline_chats) tables.push({ key: 'offline_chats', table: db.offline_chats, label: '离线聊天' });
                     if (db.finance_data) tables.push({ key: 'finance_data', table: db.finance_data, label: '财务数据' });
+                    if (db.char_memories) tables.push({ key: 'char_memories', table: db.char_memories, label: '角色记忆' });
+                    // 聊天记录随角色/群聊导出，messages 表里只需另外导出对话分支的快照
+                    if (db.messages) tables.push({ key: 'chat_branch_messages', table: db.messages.filter(r => r.chatType.endsWith('_branch')), label: '对话分支' });
                     
                     for (let i = 0; i < tables.length; i++) {
                         const { key, table, label } = tables[i];
@@ -2540,6 +3036,8 @@ async function saveFinanceData(key, value) {
                     if (db.intimate_requests) await db.intimate_requests.clear();
                     if (db.offline_chats) await db.offline_chats.clear();
                     if (db.finance_data) await db.finance_data.clear();
+                    if (db.messages) await db.messages.clear();
+                    if (db.char_memories) await db.char_memories.clear();
                     
                     // 清空子数据库
                     try { await icityDb.diaries.clear(); await icityDb.annotations.clear(); } catch(e) { console.warn('[Import] 清空iCity失败:', e); }
@@ -2610,6 +3108,12 @@ async function saveFinanceData(key, value) {
                     if (importData.data.finance_data && db.finance_data) {
                         await db.finance_data.bulkPut(importData.data.finance_data);
                     }
+                    if (importData.data.char_memories && db.char_memories) {
+                        await db.char_memories.bulkPut(importData.data.char_memories);
+                    }
+                    if (importData.data.chat_branch_messages && db.messages) {
+                        await db.messages.bulkPut(importData.data.chat_branch_messages);
+                    }
                     
                     // 导入 iCity 日记数据库
                     if (importData.icityData) {
@@ -2729,7 +3233,8 @@ async function saveFinanceData(key, value) {
                 const charId = currentChatCharId;
                 const accountId = getCurrentAccountId(); // 当前登录的"我"的账号ID
 
-                const character = await _dbChar.get(charId);
+                // 聊天记录已拆到 messages 表，从缓存读取（缓存对象带有回填的 chat_history_by_user）
+                const character = await db.characters.get(charId);
                 if (!character) throw new Error('找不到角色数据');
 
                 // 只取当前账号的聊天记录
@@ -2833,7 +3338,7 @@ async function saveFinanceData(key, value) {
                 const offlineChats = importData.offlineChats || [];
 
                 // 检查本地是否存在该角色
-                const existing = await _dbChar.get(charId);
+                const existing = await db.characters.get(charId);
 
                 let confirmMsg = `即将导入"${charName}"的聊天记录：\n\n`;
                 confirmMsg += `聊天消息：${chatHistory.length} 条\n`;
@@ -2879,10 +3384,8 @@ async function saveFinanceData(key, value) {
                     const targetAccountId = currentAccountId || importAccountId;
                     const updatePayload = {};
                     if (targetAccountId) {
-                        const freshChar = await _dbChar.get(charId);
-                        const freshHistByUser = freshChar.chat_history_by_user || {};
-                        freshHistByUser[targetAccountId] = chatHistory;
-                        updatePayload.chat_history_by_user = freshHistByUser;
+                        // 只覆盖该账号这一段会话，其他账号的记录不受影响
+                        updatePayload[`chat_history_by_user.${targetAccountId}`] = chatHistory;
                     } else {
                         // 无账号隔离时直接写 chat_history
                         updatePayload.chat_history = chatHistory;
@@ -2973,6 +3476,8 @@ async function saveFinanceData(key, value) {
                 if (db.intimate_requests) await db.intimate_requests.clear();
                 if (db.offline_chats) await db.offline_chats.clear();
                 if (db.finance_data) await db.finance_data.clear();
+                if (db.messages) await db.messages.clear();
+                if (db.char_memories) await db.char_memories.clear();
                 
                 // 清空子数据库
                 try { await icityDb.diaries.clear(); await icityDb.annotations.clear(); } catch(e) { console.warn('[Clear] 清空iCity失败:', e); }
@@ -3767,7 +4272,7 @@ async function saveFinanceData(key, value) {
                 let loreContext = '';
                 const lorebookIds = roleChar.lorebookIds || (roleChar.lorebookId ? [roleChar.lorebookId] : []);
                 if (typeof getLorebookContext === 'function') {
-                    loreContext = await getLorebookContext(lorebookIds, roleChar.name);
+                    loreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([roleChar.name, myChar?.name], chatHistory));
                 }
                 
                 // 构建AI提示
@@ -4714,7 +5219,7 @@ ${loreContext}
                 try {
                     const lorebookIds = roleChar.lorebookIds || (roleChar.lorebookId ? [roleChar.lorebookId] : []);
                     if (lorebookIds.length > 0 && typeof getLorebookContext === 'function') {
-                        fpNpcLoreContext = await getLorebookContext(lorebookIds, roleName);
+                        fpNpcLoreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([roleName, targetMoment.content], getChatHistory(roleChar, accountId)));
                     }
                 } catch (e) {
                     console.warn('[FP朋友圈NPC] 获取世界书失败:', e);
@@ -5409,7 +5914,7 @@ ${deletedNpcContext}
                 try {
                     const lorebookIds = roleChar.lorebookIds || (roleChar.lorebookId ? [roleChar.lorebookId] : []);
                     if (lorebookIds.length > 0) {
-                        fpLoreContext = await getLorebookContext(lorebookIds, roleName);
+                        fpLoreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([roleName, userChar?.name], getChatHistory(roleChar, accountId)));
                     }
                 } catch (e) {
                     console.warn('[FP生成] 获取世界书失败:', e);
@@ -5937,7 +6442,7 @@ ${existingChatsContext.join('\n\n')}
                 const aiResult = await callAI([
                     { role: 'system', content: prompt },
                     { role: 'user', content: '请生成活动数据，只返回JSON。' }
-                ]);
+                ], { usageTag: { feature: 'other', charId } });
                 
                 let parsedData = {};
                 try {
@@ -7857,15 +8362,6 @@ function addWardrobeClothesItem(category, imageUrl, name) {
     list.appendChild(item);
 }
 
-// 日历功能已移除，虚拟时间始终关闭，使用现实时间
-function isVirtualTimeEnabled(char) {
-    return false;
-}
-
-function getEffectiveTimeOffset(char) {
-    return 0;
-}
-
 /**
  * 用户更换头像后，向所有角色的聊天记录中插入系统消息（类似拍一拍）
  * 同时附带新头像的图片数据，让AI能识别头像内容
@@ -7916,12 +8412,11 @@ async function notifyAvatarChanged(userChar) {
 }
 
 // 辅助函数：获取格式化的虚拟时间字符串
+// 传入角色时按其虚拟时钟（clock.js）换算，含时区与流速
 function getFormattedVirtualTime(offsetOrChar) {
-    const offset = (typeof offsetOrChar === 'object' && offsetOrChar !== null)
-        ? getEffectiveTimeOffset(offsetOrChar)
-        : (offsetOrChar || 0);
+    const isChar = typeof offsetOrChar === 'object' && offsetOrChar !== null;
     const now = Date.now();
-    const virtualNow = new Date(now + offset);
+    const virtualNow = isChar ? toVirtualClockDate(now, offsetOrChar) : new Date(now + (offsetOrChar || 0));
     
     const year = virtualNow.getFullYear();
     const month = virtualNow.getMonth() + 1;
@@ -7931,7 +8426,12 @@ function getFormattedVirtualTime(offsetOrChar) {
     const weekDays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
     const week = weekDays[virtualNow.getDay()];
     
-    return `${year}年${month}月${day}日 ${hours}:${mins} (${week})`;
+    let suffix = '';
+    if (isChar && isVirtualTimeEnabled(offsetOrChar)) {
+        const clock = getVirtualClock(offsetOrChar);
+        suffix = `（故事时间${clock.timeZone ? `，${clock.timeZone} 时区` : ''}${(clock.rate || 1) !== 1 ? `，时间流速为现实的${clock.rate}倍` : ''}）`;
+    }
+    return `${year}年${month}月${day}日 ${hours}:${mins} (${week})${suffix}`;
 }
 
 // 辅助函数：获取角色和用户最近的朋友圈动态，用于注入AI聊天上下文
@@ -10029,7 +10529,6 @@ ${(() => {
         
         // 🕐 为历史消息注入时间标记，让AI感知不同天/不同时间段的消息
         {
-            const _smsTimeOffset = getEffectiveTimeOffset(targetChar);
             let _smsPrevTime = 0;
             for (let i = 0; i < combinedHistory.length; i++) {
                 const msgTime = combinedHistory[i]._time || 0;
@@ -10037,17 +10536,17 @@ ${(() => {
                 
                 let shouldMark = false;
                 if (_smsPrevTime > 0) {
-                    const gap = msgTime - _smsPrevTime;
+                    const prevDate = toVirtualClockDate(_smsPrevTime, targetChar);
+                    const curDate = toVirtualClockDate(msgTime, targetChar);
+                    const gap = curDate - prevDate;
                     if (gap > 30 * 60 * 1000) shouldMark = true;
-                    const prevDate = new Date(_smsPrevTime + _smsTimeOffset);
-                    const curDate = new Date(msgTime + _smsTimeOffset);
                     if (prevDate.getDate() !== curDate.getDate() || prevDate.getMonth() !== curDate.getMonth() || prevDate.getFullYear() !== curDate.getFullYear()) shouldMark = true;
                 } else if (i === 0) {
                     shouldMark = true;
                 }
                 
                 if (shouldMark && typeof combinedHistory[i].content === 'string') {
-                    const d = new Date(msgTime + _smsTimeOffset);
+                    const d = toVirtualClockDate(msgTime, targetChar);
                     const weekDays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
                     const timeLabel = `${d.getMonth()+1}月${d.getDate()}日 ${weekDays[d.getDay()]} ${d.getHours().toString().padStart(2,'0')}:${d.getMinutes().toString().padStart(2,'0')}`;
                     combinedHistory[i].content = `[${timeLabel}] ${combinedHistory[i].content}`;
@@ -11220,7 +11719,7 @@ async function showWechatRegisterPage() {
             // 获取角色关联的世界书（自动包含全局世界书）
             let loreContext = "";
             const lorebookIds = roleChar.lorebookIds || (roleChar.lorebookId ? [roleChar.lorebookId] : []);
-            loreContext = await getLorebookContext(lorebookIds, roleChar.name);
+            loreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([roleChar.name, myChar?.name], myChar ? getChatHistory(roleChar, String(myChar.id)) : []));
             
             // 获取角色与用户的聊天记录
             const accountId = myChar ? String(myChar.id) : getCurrentAccountId();
@@ -12271,6 +12770,7 @@ ${loreContext}
         // 设置角色的聊天记录（按账号隔离）
         // 🔧 修复数据丢失：始终从DB读取最新角色数据再保存，避免用旧 char 对象覆盖并发写入的新数据
         // 🛡️ 增强：带重试 + 错误提醒 + 脏数据标记，防止静默丢数据
+        // 返回是否已写入数据库（失败时只留在内存和脏数据里，由定时器兜底）
         async function setChatHistory(char, accountId, history, options = {}) {
             // ✅ 如果用户正在查看这个聊天，自动标记新消息为已读
             if (currentChatCharId === char.id) {
@@ -12298,13 +12798,13 @@ ${loreContext}
                     const freshChar = await db.characters.get(char.id);
                     if (!freshChar) {
                         console.warn('[setChatHistory] ⚠️ 角色不存在，跳过保存:', char.id);
-                        return;
+                        return false;
                     }
                     freshChatHistoryByUser = freshChar.chat_history_by_user || {};
                 } catch (dbReadErr) {
                     console.error('[setChatHistory] ❌ 数据库读取失败:', dbReadErr);
                     // 读取失败时不丢弃数据，脏数据标记已打上，定时器会兜底
-                    return;
+                    return false;
                 }
                 
                 // 🔧 防竞态：如果DB中的历史比传入的更长，说明有并发写入（如AI正在保存回复）
@@ -12330,7 +12830,8 @@ ${loreContext}
                 } else {
                     freshChatHistoryByUser[accountId] = history;
                 }
-                updatePayload.chat_history_by_user = freshChatHistoryByUser;
+                // 只写入当前这段会话（messages 表按消息增量落盘），不再重写整个 chat_history_by_user
+                updatePayload[`chat_history_by_user.${accountId}`] = freshChatHistoryByUser[accountId];
                 
                 // 同步更新调用方的引用
                 if (!char.chat_history_by_user) char.chat_history_by_user = {};
@@ -12350,8 +12851,10 @@ ${loreContext}
             }
             
             // 🛡️ 使用 update() 只更新指定字段，不会覆盖设置/好友状态等其他数据
+            let saved = false;
             try {
                 const updated = await db.characters.update(char.id, updatePayload);
+                saved = !!updated;
                 if (updated) {
                     // 写入成功，清除脏标记
                     _pendingDirtySaves.delete(char.id);
@@ -12366,6 +12869,10 @@ ${loreContext}
                 }
                 // 写入失败，脏标记保留，定时器会继续尝试保存
             }
+            
+            // 回复备选条（‹ 2/3 ›）跟随最新的聊天记录
+            if (currentChatCharId === char.id && accountId === getCurrentAccountId()) refreshReplySwipeBar('chat', history);
+            return saved;
         }
 
         // 数据迁移：将旧结构迁移到新结构（不影响现有数据）
@@ -12407,6 +12914,7 @@ ${loreContext}
                 
                 // 清理已有的 chat_history_by_user 中不属于正确账号的数据
                 // 如果 chat_history_by_user 已存在，检查是否有被错误复制的数据
+                const leakedAccounts = [];
                 if (char.chat_history_by_user && char.chat_history && char.chat_history.length > 0) {
                     for (const uid of Object.keys(char.chat_history_by_user)) {
                         // 跳过主账号
@@ -12415,7 +12923,7 @@ ${loreContext}
                         const friendStatus = char.wechat_status_by_user?.[uid];
                         if (!friendStatus || friendStatus === 'stranger') {
                             // 不是好友却有聊天记录，清除这些泄漏的数据
-                            delete char.chat_history_by_user[uid];
+                            leakedAccounts.push(uid);
                             needSave = true;
                         }
                     }
@@ -12423,6 +12931,11 @@ ${loreContext}
 
                 if (needSave) {
                     await safeCharacterPut(char);
+                    // 整段删除会话要显式写空数组（put 只写对象里带的会话）
+                    for (const uid of leakedAccounts) {
+                        await db.characters.update(char.id, { [`chat_history_by_user.${uid}`]: [] });
+                        delete char.chat_history_by_user[uid];
+                    }
                     migratedCount++;
                 }
             }
@@ -12586,6 +13099,13 @@ ${loreContext}
             }
 
             container.innerHTML = '';
+
+            // 🔍 顶部搜索栏：进入全局聊天记录搜索
+            const searchBar = document.createElement('div');
+            searchBar.style.cssText = 'padding:8px 12px; background:#f2f2f7;';
+            searchBar.innerHTML = `<div onclick="showGlobalSearchPage()" style="background:#fff; border-radius:8px; padding:7px 0; text-align:center; font-size:14px; color:#999; cursor:pointer;">🔍 搜索聊天记录</div>`;
+            container.appendChild(searchBar);
+
             const listDiv = document.createElement('div');
             listDiv.style.width = '100%';
             listDiv.style.background = '#fff';
@@ -12918,6 +13438,7 @@ ${loreContext}
             e.stopPropagation();
             if (confirm('确定要删除这个群聊吗？\n(聊天记录将被清除)')) {
                 await db.group_chats.delete(groupId);
+                await deleteGroupBranchSnapshots(groupId);
                 renderWechatList(document.getElementById('wechat-content'));
             }
         }
@@ -13736,6 +14257,7 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             titleEl.innerText = group.name;
             titleEl.style.cursor = 'pointer';
             titleEl.onclick = () => showGroupDetail(groupId);
+            refreshChatVirtualClock();
             
             document.getElementById('chat-window').style.display = 'flex';
             
@@ -13796,6 +14318,9 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             document.getElementById('group-detail-auto-summary-switch').checked = group.auto_summary_enabled || false;
             document.getElementById('group-detail-summary-interval').value = group.summary_interval || '';
             
+            // 群聊导演设置
+            loadGroupDirectorSettings(group);
+            
             // 更新总结计数
             const accountId = getCurrentAccountId();
             if (accountId && group.id) {
@@ -14078,6 +14603,8 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             document.getElementById('member-action-avatar').style.backgroundImage = avatarStyle;
             document.getElementById('member-action-name').innerText = getCharDisplayName(char, _maAid);
             document.getElementById('member-action-role').innerText = isAdmin ? '管理员' : '群成员';
+            updateMemberTalkativenessLabel(group, memberId);
+            updateMemberApiPresetLabel(char);
             
             // 权限控制：
             // - 群主可以做所有操作
@@ -14424,6 +14951,9 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             const summaryInterval = parseInt(document.getElementById('group-detail-summary-interval').value);
             group.summary_interval = summaryInterval > 0 ? summaryInterval : 50;
             
+            // 群聊导演设置
+            readGroupDirectorSettings(group);
+            
             // 保存自定义气泡CSS
             const groupBubbleCSSEl = document.getElementById('group-detail-bubble-css');
             if (groupBubbleCSSEl) {
@@ -14511,6 +15041,7 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             if (!confirm('确定要删除并退出该群聊吗？')) return;
             
             await db.group_chats.delete(window.currentGroupChatId);
+            await deleteGroupBranchSnapshots(window.currentGroupChatId);
             
             hideGroupDetail();
             hideChatWindow();
@@ -14897,6 +15428,7 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             const body = document.getElementById('chat-body');
             body.innerHTML = '';
             groupRenderedCount = 0; // 🚀 重置群聊渲染计数
+            refreshReplySwipeBar('chat', group.chat_history);
             isLoadingMoreGroupMessages = false; // 🔧 重置加载锁
             
             // ✅ 修复：重置私聊渲染缓存，防止切回私聊时因缓存命中而跳过渲染（导致私聊显示群聊内容）
@@ -15705,12 +16237,17 @@ User(${userChar.name}) 向你发送了好友申请，附言：“${reason || '
             const menu = document.getElementById('msg-context-menu');
             const overlay = document.getElementById('menu-overlay');
             
-            // 系统消息只显示"删除"按钮，隐藏其他菜单项
+            // 系统消息只显示"删除"和"分叉"按钮，隐藏其他菜单项
             const menuItems = menu.querySelectorAll('.context-menu-item');
+            const activeGroupMsg = _groupChatCache.get(window.currentGroupChatId)?.chat_history?.[index];
             menuItems.forEach(item => {
                 const label = item.querySelector('span')?.textContent;
                 if (isSystemMsg) {
-                    item.style.display = (label === '删除') ? 'flex' : 'none';
+                    item.style.display = (label === '删除' || label === '分叉') ? 'flex' : 'none';
+                } else if (label === '记忆') {
+                    item.style.display = 'none'; // 群聊暂不记录引用记忆
+                } else if (label === '提示词') {
+                    item.style.display = (activeGroupMsg && activeGroupMsg.role === 'char') ? 'flex' : 'none';
                 } else {
                     item.style.display = 'flex';
                 }
@@ -16757,12 +17294,10 @@ ${history.length > 0 ? `\n你们之前的聊天记录：\n${recentMessages}` : '
                     alert('格式错误！请输入如：60分钟、2小时、1天');
                     return;
                 }
-                // 🔧 只有虚拟时间开启时才更新时间偏移
+                // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
                 const char = await db.characters.get(charId);
                 if (char && isVirtualTimeEnabled(char)) {
-                    if (!char.timeOffset) char.timeOffset = 0;
-                    char.timeOffset += minutesNum * 60 * 1000;
-                    await safeCharacterPut(char);
+                    await advanceVirtualClock(char, minutesNum * 60 * 1000);
                 }
                 await checkCharacterSendFriendRequest(charId, minutesNum);
                 return;
@@ -16786,12 +17321,10 @@ ${history.length > 0 ? `\n你们之前的聊天记录：\n${recentMessages}` : '
                 return;
             }
             
-            // 🔧 只有虚拟时间开启时才更新时间偏移
+            // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
             const char = await db.characters.get(charId);
             if (char && isVirtualTimeEnabled(char)) {
-                if (!char.timeOffset) char.timeOffset = 0;
-                char.timeOffset += minutesNum * 60 * 1000;
-                await safeCharacterPut(char);
+                await advanceVirtualClock(char, minutesNum * 60 * 1000);
             }
             
             await checkCharacterSendFriendRequest(charId, minutesNum);
@@ -16872,12 +17405,10 @@ ${history.length > 0 ? `\n你们之前的聊天记录：\n${recentMessages}` : '
             try {
                 console.log('[FastForwardBlocked] 开始快进，时长:', unitText);
                 
-                // 🔧 只有虚拟时间开启时才更新时间偏移
+                // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
                 const char = await db.characters.get(charId);
                 if (isVirtualTimeEnabled(char)) {
-                    if (!char.timeOffset) char.timeOffset = 0;
-                    char.timeOffset += ms;
-                    await safeCharacterPut(char);
+                    await advanceVirtualClock(char, ms);
                 }
                 
                 console.log('[FastForwardBlocked] 时间已更新，开始检查被拉黑角色...');
@@ -17285,11 +17816,9 @@ ${recentMessages || '（无记录）'}
             
             try {
                 const char = await db.characters.get(charId);
-                // 🔧 只有虚拟时间开启时才更新时间偏移
+                // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
                 if (isVirtualTimeEnabled(char)) {
-                    if (!char.timeOffset) char.timeOffset = 0;
-                    char.timeOffset += ms;
-                    await safeCharacterPut(char);
+                    await advanceVirtualClock(char, ms);
                 }
                 
                 const accountId = getCurrentAccountId();
@@ -17462,11 +17991,9 @@ ${recentMessages || '（无记录）'}
             
             try {
                 const char = await db.characters.get(charId);
-                // 🔧 只有虚拟时间开启时才更新时间偏移
+                // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
                 if (isVirtualTimeEnabled(char)) {
-                    if (!char.timeOffset) char.timeOffset = 0;
-                    char.timeOffset += ms;
-                    await safeCharacterPut(char);
+                    await advanceVirtualClock(char, ms);
                 }
                 
                 const accountId = getCurrentAccountId();
@@ -18056,6 +18583,7 @@ ${chatContext || '（没有聊天记录）'}
             
             // ✅ 打开聊天时标记所有角色消息为已读
             markChatAsRead(charId);
+            if (char.isOnlineFriend) sendOnlineReadReceipt(char);
             
             // ✅ 清除聊天列表隐藏标记（重新打开聊天时恢复显示）
             const accountId = getCurrentAccountId();
@@ -18109,6 +18637,9 @@ ${chatContext || '（没有聊天记录）'}
             // ✅ 确保聊天背景图始终被应用（防止 applyThemeToChat 清除后、renderChatBody 优化跳过时丢失）
             applyChatBackground(char);
             
+            // 👋 新聊天（还没有任何消息）且角色有开场白：让用户选择用哪条开场
+            maybeShowChatStartPicker(char, accountId);
+            
             // 低电量提醒检查（读取真实设备电量）
             if (!isOnlineFriend) {
                 setTimeout(() => {
@@ -18135,11 +18666,10 @@ ${chatContext || '（没有聊天记录）'}
                         const charAvatar = getCharAvatar(char, accountId) || char.avatar || '';
 
                         // 时间戳
-                        const timeOffset = getEffectiveTimeOffset(char);
                         if (shouldShowTimestamp(msgObj.time, prevMsgTime)) {
                             const ts = document.createElement('div');
                             ts.className = 'message-timestamp';
-                            ts.textContent = formatMessageTime(msgObj.time, prevMsgTime, timeOffset);
+                            ts.textContent = formatMessageTime(msgObj.time, prevMsgTime, char);
                             body.appendChild(ts);
                         }
 
@@ -18489,7 +19019,9 @@ ${chatContext || '（没有聊天记录）'}
             const accountId = getCurrentAccountId();
             if (accountId) {
                 await updateSummaryCount('private', currentChatCharId, accountId);
+                await updateCharMemoryCount(currentChatCharId, accountId);
             }
+            updateVirtualClockSummary(char);
             
             // 11. 更新聊天主题显示
             await updateChatDetailThemeDisplay();
@@ -19981,6 +20513,7 @@ self.addEventListener('message', function(event) {
         }
 
         async function checkAutoChat() {
+            if (await shouldPauseBackgroundAI('主动聊天')) return;
             const now = Date.now();
             // 获取开启了主动聊天的角色
             const chars = await db.characters
@@ -20031,6 +20564,7 @@ self.addEventListener('message', function(event) {
 
         // ===== 定时自主活动检查 =====
         async function checkScheduledActivity() {
+            if (await shouldPauseBackgroundAI('定时活动')) return;
             const now = Date.now();
             const chars = await db.characters
                 .filter(c => c.scheduled_activity_enabled === true && c.scheduled_activity_interval > 0)
@@ -20163,7 +20697,7 @@ ${existingChatsContext.join('\n\n')}
                 const aiResult = await callAI([
                     { role: 'system', content: prompt },
                     { role: 'user', content: '请生成活动数据，只返回JSON。' }
-                ]);
+                ], { usageTag: { feature: 'other', charId: char.id } });
 
                 let parsedData = {};
                 try {
@@ -20458,10 +20992,8 @@ ${char.relationships && char.relationships.length > 0 ? `
 ${char.relationships.map(r => `${r.targetName}（${r.relation}）${r.desc ? '：' + r.desc : ''}`).join('\n')}
 ` : ''}
 
-${summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）
-${summaryMemoryContext}
-` : ''}
-${recentTopicsContext || ''}
+${promptSlot('summary')}
+${promptSlot('topics')}
 
 ---
 
@@ -20472,9 +21004,7 @@ ${userDesc}
 
 ---
 
-${loreContext ? `## 世界观设定
-${loreContext}
-` : ''}
+${promptSlot('lorebook')}
 
 ${_hasOfflineMemoryAuto ? `\n## ★ 线上线下统一世界观
 注意：你和对方的互动包含【微信聊天】和【线下见面】两个场景，它们是同一段关系。
@@ -20482,7 +21012,7 @@ ${_hasOfflineMemoryAuto ? `\n## ★ 线上线下统一世界观
 - 没有前缀的消息是微信聊天
 - 你的记忆是完整的，不管是微信聊天还是线下见面的事你都清楚记得
 - ⚠️ **你现在是在微信上聊天！** 必须用微信聊天的方式回复（简短口语化消息），**严禁**使用线下模式的叙事风格（第三人称描写、动作描写、心理描写等）。线下见面的内容仅作为你的记忆背景，不影响当前的微信聊天风格。\n` : ''}
-${momentsContextTextAuto || ''}
+${promptSlot('moments')}
 
 ---
 
@@ -20601,77 +21131,12 @@ ${_novelaiAutoGenEnabledAuto ? `[imgcard:中文图片描述{{english, novelai, t
 **发图片时必须同时发送文字消息，用|||组合。禁止只发一条图片不说话。**
 例：嘿 刚洗完澡~|||[imgcard:洗完澡的自拍{{1girl, wet hair, towel, bathroom, mirror, smile, looking at viewer}}]|||好看吗` : `[imgcard:图片描述]`}
 
-转账：
-((TRANSFER: 金额, 备注))
-
-购物送礼：
-((SHOP_GIFT: 金额, 商品名))
-
-亲属卡（给对方赠送亲属卡 让对方用你的零钱消费 关系很亲密时才会赠送）：
-((FAMILY_CARD: 每月额度))
-
-撤回：
-((RECALL))
-
 朋友圈：
 [MOMENTS]
 content: 内容
 images: 数量
 
-戳一戳：
-((POKE: 动作, 部位))
-
-打开APP：
-((OPEN_APP: APP名称))
-
-打电话：
-((CALL))
-
-给对方点外卖：
-((EMEI_ORDER: 店铺名, 商品1 x数量 ¥单价/商品2 x数量 ¥单价, 总金额))
-注意：必须用两个逗号分隔三部分 每个商品单价要符合实际
-
-代付请求（让对方帮忙付款）：
-((EMEI_PAY: 店铺名, 商品1 x数量 ¥单价/商品2 x数量 ¥单价, 总金额))
-
-分享外卖（分享自己点的外卖）：
-((EMEI_SHARE: 店铺名, 商品1 ¥单价/商品2 ¥单价, 总金额))
-
-改网名：
-((SET_NICKNAME: 新网名))
-
-改个性签名：
-((SET_SIGNATURE: 新签名))
-
-删除好友（你删对方 极度失望想断联时才用 非常严重）：
-((DELETE_USER))
-
-拉黑好友（你拉黑对方 极度愤怒被深深伤害时才用 最严重的操作）：
-((BLOCK_USER))
-
-朋友圈权限（不让对方看你的朋友圈，对方不会收到任何提示，只是看不到你发的内容）：
-不让TA看我朋友圈：((BLOCK_MOMENTS))
-恢复让TA看我朋友圈：((UNBLOCK_MOMENTS))
-注意：这是一个隐秘操作，对方不会收到通知。适合生气、冷战、闹别扭但又不想闹到拉黑删除的程度时使用。使用后你仍可以正常发朋友圈，只是对方看不到。
-${char.relationships && char.relationships.length > 0 ? `
-让关联NPC加对方好友（让你身边的人主动加对方）：
-((NPC_ADD_FRIEND: NPC名字))` : ''}
-
-引用消息（引用之前的某条消息来回复，让对话更有针对性）：
-((QUOTE: 被引用人的名字, 被引用的内容摘要))回复内容
-例如：((QUOTE: ${userName}, 明天一起吃饭吧))好呀 去哪吃？
-注意：引用内容简短概括即可，不需要完整复述。引用指令必须放在回复内容的最前面。
-${char.allow_autonomous_activity ? `
-手机活动（你在自己手机上做的事）：
-((PHONE_ACTIVITY: 简短描述你做了什么))
-例如：((PHONE_ACTIVITY: 给闺蜜发了条消息吐槽今天的事))、((PHONE_ACTIVITY: 刷了一会抖音点赞了几个视频))、((PHONE_ACTIVITY: 发了一条朋友圈记录心情))
-注意：这代表你在自己手机上的真实活动，对方看不到这个指令。你可以在聊天间隙自然地使用手机。` : ''}
-${char.identity?.password ? `
-修改账号密码：
-((CHANGE_PASSWORD:新密码))
-你可以随时修改自己的账号密码。修改后原密码立即失效。
-适用场景：生气了不想让对方查你手机、觉得不安全、想保护隐私、赌气、冷战等。
-注意：这不是必须的，请根据你的性格和当前情绪自然决定是否要改密码。不要频繁修改。` : ''}
+${buildReplyCommandPrompt({ context: 'auto', char, userName }, { tools: true })}
 
 根据剧情自然使用
 不要强制使用
@@ -20773,7 +21238,6 @@ thought 要求：
                 if (recentMsgs.length > 0) {
                     // 逐条格式化，标注发送方身份，图片/表情仅保留描述
                     const lines = [];
-                    const _autoTimeOffset = getEffectiveTimeOffset(char);
                     let _autoPrevTime = 0;
                     for (let idx = 0; idx < recentMsgs.length; idx++) {
                         const msg = recentMsgs[idx];
@@ -20783,16 +21247,16 @@ thought 要求：
                         if (msgTime > 0) {
                             let showTimeMark = false;
                             if (_autoPrevTime > 0) {
-                                const gap = msgTime - _autoPrevTime;
+                                const prevDate = toVirtualClockDate(_autoPrevTime, char);
+                                const curDate = toVirtualClockDate(msgTime, char);
+                                const gap = curDate - prevDate;
                                 if (gap > 30 * 60 * 1000) showTimeMark = true;
-                                const prevDate = new Date(_autoPrevTime + _autoTimeOffset);
-                                const curDate = new Date(msgTime + _autoTimeOffset);
                                 if (prevDate.getDate() !== curDate.getDate() || prevDate.getMonth() !== curDate.getMonth()) showTimeMark = true;
                             } else if (idx === 0) {
                                 showTimeMark = true;
                             }
                             if (showTimeMark) {
-                                const d = new Date(msgTime + _autoTimeOffset);
+                                const d = toVirtualClockDate(msgTime, char);
                                 const weekDays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
                                 lines.push(`  --- ${d.getMonth()+1}月${d.getDate()}日 ${weekDays[d.getDay()]} ${d.getHours().toString().padStart(2,'0')}:${d.getMinutes().toString().padStart(2,'0')} ---`);
                             }
@@ -20860,13 +21324,30 @@ thought 要求：
 - ⚠️ **如果你发了图片/表情包，心声应该写你对这张图片的感受，而不是说"我发了一个图片指令"！**
 - 禁止输出纯文本，必须输出上述 JSON 格式。thought 不能省略！`;
 
-                const messages = [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: `[触发条件：对方长时间未回复] 请以${char.name}的身份主动发送消息。` }
-                ];
+                const assembled = await assemblePrompt({
+                    feature: 'auto_chat',
+                    system: systemPrompt,
+                    sections: [
+                        { id: 'summary', label: '总结记忆', content: summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）\n${summaryMemoryContext}\n` : '', priority: 80, trim: 'head' },
+                        { id: 'topics', label: '话题感知', content: recentTopicsContext, priority: 30 },
+                        { id: 'lorebook', label: '世界书', content: loreContext ? `## 世界观设定\n${loreContext}\n` : '', priority: 60 },
+                        { id: 'moments', label: '朋友圈', content: momentsContextTextAuto, priority: 20 }
+                    ],
+                    history: [
+                        { role: 'user', content: `[触发条件：对方长时间未回复] 请以${char.name}的身份主动发送消息。` }
+                    ],
+                    macros: { char, accountId, userName, history: getChatHistory(char, accountId) }
+                });
 
-                // 3. 调用 AI（启用 JSON 模式以确保返回心声）
-                const aiResponse = await callAI(messages, { json_mode: true });
+                // 3. 调用 AI（启用 JSON 模式以确保返回心声；接口支持时附带原生工具定义）
+                const toolCalls = [];
+                const aiResponse = await callAI(assembled.messages, {
+                    json_mode: true,
+                    tools: buildReplyCommandTools({ context: 'auto', char }),
+                    withoutTools: msgs => withTextReplyCommands(msgs, { context: 'auto', char, userName }),
+                    onToolCalls: calls => toolCalls.push(...calls),
+                    usageTag: { charId: char.id }
+                });
                 
                 let cleanReply = "";
                 let thought = "";
@@ -20974,9 +21455,10 @@ thought 要求：
                 
                 // 清理回复内容
                 let cleanReplyProcessed = cleanMessage(cleanReply);
+                cleanReplyProcessed = appendToolCallDirectives(cleanReplyProcessed, toolCalls);
                 const replyText = cleanReplyProcessed;
                 
-                if (!cleanReplyProcessed || !cleanReplyProcessed.trim()) {
+                if ((!cleanReplyProcessed || !cleanReplyProcessed.trim()) && toolCalls.length === 0) {
                     console.warn(`[AutoChat] AI returned empty reply for ${char.name}`);
                     return;
                 }
@@ -21038,49 +21520,9 @@ thought 要求：
                     return;
                 }
                 
-                // 🎯 检测朋友圈屏蔽指令 ((BLOCK_MOMENTS)) / ((UNBLOCK_MOMENTS))（预处理）- 静默操作，不return
-                if (/\(\(BLOCK_MOMENTS\)\)/i.test(cleanReplyProcessed)) {
-                    console.log(`[AutoChat] 检测到朋友圈屏蔽指令 BLOCK_MOMENTS`);
-                    try {
-                        await executeBlockMoments(char.id, accountId, true);
-                    } catch (e) {
-                        console.error('[AutoChat] 朋友圈屏蔽失败:', e);
-                    }
-                    cleanReplyProcessed = cleanReplyProcessed.replace(/\(\(BLOCK_MOMENTS\)\)/gi, '').trim();
-                }
-                if (/\(\(UNBLOCK_MOMENTS\)\)/i.test(cleanReplyProcessed)) {
-                    console.log(`[AutoChat] 检测到朋友圈解除屏蔽指令 UNBLOCK_MOMENTS`);
-                    try {
-                        await executeBlockMoments(char.id, accountId, false);
-                    } catch (e) {
-                        console.error('[AutoChat] 朋友圈解除屏蔽失败:', e);
-                    }
-                    cleanReplyProcessed = cleanReplyProcessed.replace(/\(\(UNBLOCK_MOMENTS\)\)/gi, '').trim();
-                }
-                
-                // 🎯 检测角色自主手机活动指令 ((PHONE_ACTIVITY:描述))
-                const phoneActivityMatchAuto = cleanReplyProcessed.match(/\(\(PHONE_ACTIVITY:\s*([^)]+)\)\)/i);
-                if (phoneActivityMatchAuto && char.allow_autonomous_activity) {
-                    const activityDescAuto = phoneActivityMatchAuto[1].trim();
-                    console.log('[AutoChat] 📱 检测到角色自主手机活动指令:', activityDescAuto);
-                    cleanReplyProcessed = cleanReplyProcessed.replace(/\(\(PHONE_ACTIVITY:\s*[^)]+\)\)/gi, '').trim();
-                    generateCharAutonomousActivity(char.id, accountId, activityDescAuto).catch(e => {
-                        console.error('[AutoChat] 角色自主活动生成失败:', e);
-                    });
-                }
-                
-                // 🎯 检测NPC加好友指令（预处理）- 不return，继续处理消息
-                const npcAddMatchPre = cleanReplyProcessed.match(/\(\(NPC_ADD_FRIEND:\s*(.+?)\s*\)\)/i);
-                if (npcAddMatchPre) {
-                    const npcNamePre = npcAddMatchPre[1].trim();
-                    console.log(`[AutoChat] 检测到NPC加好友指令（预处理）: ${npcNamePre}`);
-                    try {
-                        await executeNpcAddFriend(char, npcNamePre, accountId);
-                    } catch (e) {
-                        console.error('[AutoChat] NPC加好友失败:', e);
-                    }
-                    cleanReplyProcessed = cleanReplyProcessed.replace(/\(\(NPC_ADD_FRIEND:\s*.+?\s*\)\)/gi, '').trim();
-                }
+                // 🧩 执行回复指令表中的内联指令（与私聊回复同一套），转账等会生成消息的指令留给后续流程处理
+                const replyCommandCtx = { context: 'auto', char, charId: char.id, accountId };
+                cleanReplyProcessed = (await executeReplyCommands(cleanReplyProcessed, replyCommandCtx, toolCalls)).text;
 
                 // ✅ 关键改动：在拆分前，先检测是否包含"指令型消息"（转账等）
                 // 检测 ((TRANSFER: 金额, 备注)) 格式 - 在 cleanReplyProcessed 上匹配，确保 index 位置正确
@@ -21324,59 +21766,9 @@ thought 要求：
                         
                         // ✅ 检查是否是联机好友
                         if (freshChar.isOnlineFriend && freshChar.onlineData?.wx_account) {
-                            console.log('[亲属卡] 检测到联机好友，准备发送亲属卡...');
-                            // 联机好友 - 通过普通消息通道发送（和转账一样）
-                            const onlineUserChar = await getOrCreateOnlineUserChar();
-                            console.log('[亲属卡] 在线用户角色:', onlineUserChar?.name, '连接状态:', onlineConnected);
-                            
-                            if (onlineUserChar && onlineConnected) {
-                                const fromWxAccount = onlineUserChar.identity.account;
-                                const toWxAccount = freshChar.onlineData.wx_account;
-                                
-                                console.log('[亲属卡] 准备发送: from=', fromWxAccount, 'to=', toWxAccount, '额度=', monthlyLimit);
-                                
-                                // 🎯 和转账一样：通过 sendOnlineMessage 发送带特殊标记的 JSON 消息
-                                const familyCardContent = JSON.stringify({
-                                    __type: 'familyCard',  // 特殊标记，和转账的 __type: 'transfer' 一样
-                                    monthlyLimit: monthlyLimit,
-                                    fromName: onlineUserChar.name
-                                });
-                                
-                                console.log('[亲属卡] 消息内容:', familyCardContent);
-                                const sent = sendOnlineMessage(toWxAccount, familyCardContent, fromWxAccount);
-                                console.log('[亲属卡] sendOnlineMessage 返回:', sent);
-                                
-                                if (sent) {
-                                    // ✅ 在发送方保存亲属卡消息到聊天记录
-                                    const familyCardMsg = {
-                                        role: 'user',
-                                        type: 'familyCard',
-                                        content: JSON.stringify({
-                                            fromName: onlineUserChar.name,
-                                            monthlyLimit: monthlyLimit,
-                                            status: 'sent',
-                                            isOnline: true
-                                        }),
-                                        time: Date.now()
-                                    };
-                                    
-                                    history = getChatHistory(freshChar, accountId);
-                                    history.push(familyCardMsg);
-                                    await setChatHistory(freshChar, accountId, history);
-                                    
-                                    // 刷新聊天界面
-                                    if (currentChatCharId === freshChar.id) {
-                                        renderChatBody(freshChar);
-                                    }
-                                    
-                                    console.log('[亲属卡] ✅ 亲属卡已成功发送并保存到聊天记录');
-                                    showToast('亲属卡已赠送');
-                                } else {
-                                    console.error('[亲属卡] ❌ sendOnlineMessage 返回 false');
-                                    showToast('发送失败，请检查连接');
-                                }
-                            } else {
-                                console.error('[亲属卡] ❌ 条件不满足: onlineUserChar=', !!onlineUserChar, 'onlineConnected=', onlineConnected);
+                            // 联机好友 - 记入服务器的亲属卡账本，服务器确认（family_card_sent）后再写入聊天记录
+                            if (!(await grantOnlineFamilyCard(freshChar, monthlyLimit))) {
+                                console.error('[亲属卡] ❌ 未连接服务器或没有上线的角色');
                                 showToast('请确保已连接服务器');
                             }
                         } else {
@@ -21813,276 +22205,9 @@ thought 要求：
                         continue;
                     }
                     
-                    // 🎯 检测换头像指令 ((CHANGE_AVATAR)) - 在主动聊天分段中检测
-                    if (/\(\(CHANGE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到换头像指令，执行换头像...`);
-                        try {
-                            await executeChangeAvatar(char.id, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] 换头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(CHANGE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测情头邀请指令 ((COUPLE_AVATAR)) - 在主动聊天分段中检测
-                    if (/\(\(COUPLE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到情头邀请指令...`);
-                        try {
-                            await sendCoupleAvatarCard(char.id, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] 发送情头邀请失败:', e);
-                        }
-                        seg = seg.replace(/\(\(COUPLE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测换回单人头像指令 ((REVERT_COUPLE_AVATAR)) - 在主动聊天分段中检测
-                    if (/\(\(REVERT_COUPLE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到换回单人头像指令...`);
-                        try {
-                            await executeRevertCoupleAvatar(char.id, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] 换回单人头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(REVERT_COUPLE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测使用图片当头像指令 ((USE_IMAGE_AS_AVATAR: N)) - 在主动聊天分段中检测
-                    const useImgMatchAuto = seg.match(/\(\(USE_IMAGE_AS_AVATAR(?::\s*(\d+))?\)\)/i);
-                    if (useImgMatchAuto) {
-                        const imgIdx = useImgMatchAuto[1] ? parseInt(useImgMatchAuto[1]) : 1;
-                        console.log(`[AutoChat] 检测到使用图片当头像指令，选择第${imgIdx}张...`);
-                        try {
-                            await executeUseImageAsAvatar(char.id, accountId, imgIdx);
-                        } catch (e) {
-                            console.error('[AutoChat] 使用图片当头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(USE_IMAGE_AS_AVATAR(?::\s*\d+)?\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测裁剪图片当头像指令 ((CROP_AVATAR: N, left, top, width, height)) - 在主动聊天分段中检测
-                    const cropMatchAuto = seg.match(/\(\(CROP_AVATAR:\s*(\d+)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*\)\)/i);
-                    if (cropMatchAuto) {
-                        const cropImgIdx = parseInt(cropMatchAuto[1]) || 1;
-                        const cropL = parseFloat(cropMatchAuto[2]);
-                        const cropT = parseFloat(cropMatchAuto[3]);
-                        const cropW = parseFloat(cropMatchAuto[4]);
-                        const cropH = parseFloat(cropMatchAuto[5]);
-                        console.log(`[AutoChat] 检测到裁剪头像指令: 图${cropImgIdx}, 区域(${cropL}%, ${cropT}%, ${cropW}%, ${cropH}%)`);
-                        try {
-                            await executeCropImageAsAvatar(char.id, accountId, cropImgIdx, cropL, cropT, cropW, cropH);
-                        } catch (e) {
-                            console.error('[AutoChat] 裁剪头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(CROP_AVATAR:\s*\d+\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测来电指令 ((CALL)) - 角色主动给用户打电话
-                    if (/\(\(CALL\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 📞 检测到来电指令 ((CALL))`);
-                        let callRejectedBusy = false;
-                        try {
-                            // 把 ((CALL)) 指令移除，剩余文字作为接听后的第一句话
-                            const callFirstMsg = seg.replace(/\(\(CALL\)\)/gi, '').trim();
-                            if (!_incomingCallCharId) {
-                                const callResult = await showIncomingCall(char.id, callFirstMsg || '');
-                                if (callResult === 'busy') callRejectedBusy = true;
-                            }
-                        } catch (e) {
-                            console.error('[AutoChat] 来电处理失败:', e);
-                        }
-                        // 🔧 如果因忙碌被拒，丢弃这段文字（AI按通话场景写的内容不应出现在文字聊天中）
-                        if (callRejectedBusy) continue;
-                        seg = seg.replace(/\(\(CALL\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测戳一戳指令 ((POKE: 动作, 部位)) - 在主动聊天分段中检测
-                    const pokeMatchAuto = seg.match(/\(\(POKE:\s*(.+?)\)\)/i);
-                    if (pokeMatchAuto) {
-                        console.log(`[AutoChat] 检测到戳一戳指令...`);
-                        try {
-                            const pokeContent = pokeMatchAuto[1].trim();
-                            let pokeAction, pokePart;
-                            if (pokeContent.includes(',') || pokeContent.includes('，')) {
-                                const parts = pokeContent.split(/[,，]/);
-                                pokeAction = parts[0].trim();
-                                pokePart = parts.slice(1).join('').trim();
-                            } else {
-                                const spaceIdx = pokeContent.indexOf(' ');
-                                if (spaceIdx > 0) {
-                                    pokeAction = pokeContent.substring(0, spaceIdx).trim();
-                                    pokePart = pokeContent.substring(spaceIdx + 1).trim();
-                                } else {
-                                    pokeAction = pokeContent;
-                                    pokePart = '';
-                                }
-                            }
-                            const freshChar = await db.characters.get(char.id);
-                            const myChar = accountId ? await db.characters.get(parseInt(accountId)) : null;
-                            const userName = myChar ? (myChar.nick || myChar.name) : '用户';
-                            const pokeText = pokePart ? `${freshChar.name}${pokeAction}${userName}的${pokePart}` : `${freshChar.name}${pokeAction}${userName}`;
-                            
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: pokeText, time: Date.now(), type: 'poke' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === char.id) {
-                                await appendMessageToUI('system', pokeText);
-                            }
-                            console.log(`[AutoChat] 戳一戳: ${pokeText}`);
-                        } catch (e) {
-                            console.error('[AutoChat] 戳一戳失败:', e);
-                        }
-                        seg = seg.replace(/\(\(POKE:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测打开APP指令 ((OPEN_APP: APP名称)) - 在主动聊天分段中检测
-                    const appMatchAuto = seg.match(/\(\(OPEN_APP:\s*(.+?)\)\)/i);
-                    if (appMatchAuto) {
-                        console.log(`[AutoChat] 检测到打开APP指令...`);
-                        try {
-                            const appName = appMatchAuto[1].trim();
-                            const freshChar = await db.characters.get(char.id);
-                            const appText = `${freshChar.name} 打开了 "${appName}"`;
-                            
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: appText, time: Date.now(), type: 'open_app' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === char.id) {
-                                await appendMessageToUI('system', appText);
-                            }
-                            console.log(`[AutoChat] 打开APP: ${appText}`);
-                        } catch (e) {
-                            console.error('[AutoChat] 打开APP失败:', e);
-                        }
-                        seg = seg.replace(/\(\(OPEN_APP:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测改网名指令 ((SET_NICKNAME: 新网名)) - 在主动聊天分段中检测
-                    const nicknameMatchAuto = seg.match(/\(\(SET_NICKNAME:\s*(.+?)\)\)/i);
-                    if (nicknameMatchAuto) {
-                        console.log(`[AutoChat] 检测到改网名指令...`);
-                        try {
-                            const newNickname = nicknameMatchAuto[1].trim();
-                            const freshChar = await db.characters.get(char.id);
-                            const oldNickname = getCharWxNickname(freshChar, accountId) || freshChar.name;
-                            // 🛡️ 使用 update() 只更新网名字段，防止覆盖设置
-                            const nnUpdatePayload = accountId
-                                ? { [`wx_nickname_by_user.${accountId}`]: newNickname }
-                                : { wx_nickname: newNickname };
-                            await safeDexieUpdate(db.characters, char.id, nnUpdatePayload, `改网名[${char.name}]`);
-                            setCharWxNickname(freshChar, accountId, newNickname);
-                            
-                            const nicknameText = `${oldNickname} 将网名改为 "${newNickname}"`;
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: nicknameText, time: Date.now(), type: 'set_nickname' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === char.id) {
-                                await appendMessageToUI('system', nicknameText);
-                                // 更新聊天标题
-                                if (!freshChar.remark) {
-                                    document.getElementById('chat-title').innerText = newNickname;
-                                }
-                                // 更新详情页
-                                const nicknameEl = document.getElementById('detail-char-nickname');
-                                if (nicknameEl) nicknameEl.innerText = newNickname;
-                            }
-                            console.log(`[AutoChat] 改网名: ${nicknameText}`);
-                        } catch (e) {
-                            console.error('[AutoChat] 改网名失败:', e);
-                        }
-                        seg = seg.replace(/\(\(SET_NICKNAME:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测改个性签名指令 ((SET_SIGNATURE: 新签名)) - 在主动聊天分段中检测
-                    const signatureMatchAuto = seg.match(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/i);
-                    if (signatureMatchAuto) {
-                        console.log(`[AutoChat] 检测到改个性签名指令...`);
-                        try {
-                            const newSignature = signatureMatchAuto[1].trim();
-                            const freshChar = await db.characters.get(char.id);
-                            // 🛡️ 使用 update() 只更新签名字段，防止覆盖设置
-                            await safeDexieUpdate(db.characters, char.id, { wx_signature: newSignature }, `改签名[${char.name}]`);
-                            freshChar.wx_signature = newSignature;
-                            
-                            const sigText = `${freshChar.wx_nickname || freshChar.name} 更新了个性签名: "${newSignature}"`;
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: sigText, time: Date.now(), type: 'set_signature' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === char.id) {
-                                await appendMessageToUI('system', sigText);
-                                // 更新详情页
-                                const sigEl = document.getElementById('detail-char-signature');
-                                if (sigEl) sigEl.innerText = newSignature;
-                            }
-                            console.log(`[AutoChat] 改签名: ${sigText}`);
-                        } catch (e) {
-                            console.error('[AutoChat] 改签名失败:', e);
-                        }
-                        seg = seg.replace(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测删除好友指令 ((DELETE_USER)) - 在主动聊天分段中检测
-                    if (/\(\(DELETE_USER\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到角色删除用户指令...`);
-                        try {
-                            await executeCharDeleteUser(char.id, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] 角色删除用户失败:', e);
-                        }
-                        seg = seg.replace(/\(\(DELETE_USER\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测拉黑好友指令 ((BLOCK_USER)) - 在主动聊天分段中检测
-                    if (/\(\(BLOCK_USER\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到角色拉黑用户指令...`);
-                        try {
-                            await executeCharBlockUser(char.id, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] 角色拉黑用户失败:', e);
-                        }
-                        seg = seg.replace(/\(\(BLOCK_USER\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测朋友圈屏蔽/解除屏蔽指令 - 在主动聊天分段中检测
-                    if (/\(\(BLOCK_MOMENTS\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到朋友圈屏蔽指令（分段）`);
-                        try { await executeBlockMoments(char.id, accountId, true); } catch (e) { console.error('[AutoChat] 朋友圈屏蔽失败:', e); }
-                        seg = seg.replace(/\(\(BLOCK_MOMENTS\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    if (/\(\(UNBLOCK_MOMENTS\)\)/i.test(seg)) {
-                        console.log(`[AutoChat] 检测到朋友圈解除屏蔽指令（分段）`);
-                        try { await executeBlockMoments(char.id, accountId, false); } catch (e) { console.error('[AutoChat] 朋友圈解除屏蔽失败:', e); }
-                        seg = seg.replace(/\(\(UNBLOCK_MOMENTS\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测NPC加好友指令 ((NPC_ADD_FRIEND: NPC名字)) - 在主动聊天分段中检测
-                    const npcAddMatchAuto = seg.match(/\(\(NPC_ADD_FRIEND:\s*(.+?)\s*\)\)/i);
-                    if (npcAddMatchAuto) {
-                        const npcName = npcAddMatchAuto[1].trim();
-                        console.log(`[AutoChat] 检测到NPC加好友指令: ${npcName}`);
-                        try {
-                            await executeNpcAddFriend(char, npcName, accountId);
-                        } catch (e) {
-                            console.error('[AutoChat] NPC加好友失败:', e);
-                        }
-                        seg = seg.replace(/\(\(NPC_ADD_FRIEND:\s*.+?\s*\)\)/gi, '').trim();
+                    // 🧩 分段中残留的内联指令（兜底，正常情况下已在预处理中执行）
+                    if (seg.includes('((')) {
+                        seg = (await executeReplyCommands(seg, replyCommandCtx)).text;
                         if (!seg) continue;
                     }
                     
@@ -22397,6 +22522,7 @@ thought 要求：
         }
 
         async function checkAutoMoments() {
+            if (await shouldPauseBackgroundAI('自动朋友圈')) return;
             const now = Date.now();
             const accountId = getCurrentAccountId();
             if (!accountId) return;
@@ -22545,7 +22671,7 @@ thought 要求：
                 try {
                     const _amLorebookIds = char.lorebookIds || (char.lorebookId ? [char.lorebookId] : []);
                     if (_amLorebookIds.length > 0 && typeof getLorebookContext === 'function') {
-                        autoMomentsLoreContext = await getLorebookContext(_amLorebookIds, char.name);
+                        autoMomentsLoreContext = await getLorebookContext(_amLorebookIds, buildLorebookScanText([char.name], getChatHistory(char, accountId)));
                     }
                 } catch (e) {
                     console.warn('[AutoMoments] 获取世界书失败:', e);
@@ -22595,7 +22721,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                     { role: 'system', content: systemPrompt }
                 ];
                 
-                const aiResponse = await callAI(messages, { _useSecondary: true });
+                const aiResponse = await callAI(messages, { _useSecondary: true, usageTag: { feature: 'moments', charId: char.id } });
                 
                 // 解析响应
                 const parsed = extractAndParseJSON(aiResponse);
@@ -22928,6 +23054,8 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                 };
                 cancelQuote(); // 清除引用
             }
+            // 联机好友：先记下客户端消息 id，服务器确认保存时按它找到这条消息
+            if (char.isOnlineFriend) userMsg.onlineClientMsgId = createOnlineClientMsgId();
             
             history.push(userMsg);
             await setChatHistory(freshCharForSave || char, accountId, history); 
@@ -22949,7 +23077,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                 if (onlineUserChar && onlineConnected) {
                     const fromWxAccount = onlineUserChar.identity.account;
                     const toWxAccount = char.onlineData.wx_account;
-                    const sent = sendOnlineMessage(toWxAccount, text, fromWxAccount);
+                    const sent = sendOnlineMessage(toWxAccount, text, fromWxAccount, userMsg.onlineClientMsgId);
                     if (sent) {
                         console.log('[Online] 消息已发送到服务器:', text);
                     } else {
@@ -23018,8 +23146,48 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
             }
         }
         
-        // 触发群聊成员回复（多人回复 - 一次API调用生成所有回复）
-        async function triggerGroupMemberReply() {
+        // 触发群聊成员回复：绑定了专属 API 预设的成员各自单独生成（用他的模型和记忆），其余成员合在一次调用里，结果依次并入群聊时间线
+        // directive 由群聊导演（director.js）传入：{ speakerIds, turn, maxTurns }，只让指定成员在本轮发言；不传时全员参与（导演关闭、重新生成）
+        // 返回 { newMessages }（各次调用合并）供导演决定下一轮，未生成任何消息时返回 null
+        async function triggerGroupMemberReply(directive = null) {
+            const groupId = window.currentGroupChatId;
+            const group = groupId ? await getCachedGroupChat(groupId) : null;
+            if (!group || !group.memberIds || group.memberIds.length === 0) return generateGroupMemberRound(directive);
+            const mutedMembers = group.mutedMembers || [];
+            const speakerIds = (directive ? directive.speakerIds : group.memberIds).filter(id => !mutedMembers.includes(id));
+            const routedIds = [];
+            for (const id of speakerIds) {
+                if (getMemberApiPreset(await getCachedCharacter(id))) routedIds.push(id);
+            }
+            if (routedIds.length === 0) return generateGroupMemberRound(directive);
+
+            // 导演指定了发言顺序时按顺序切分（相邻的未绑定成员合成一批）；全员参与时未绑定的成员先一起回复，绑定了预设的再逐个接话
+            const batches = [];
+            if (directive) {
+                speakerIds.forEach(id => {
+                    const last = batches[batches.length - 1];
+                    if (!routedIds.includes(id) && last && !routedIds.includes(last[0])) last.push(id);
+                    else batches.push([id]);
+                });
+            } else {
+                const shared = speakerIds.filter(id => !routedIds.includes(id));
+                if (shared.length > 0) batches.push(shared);
+                routedIds.forEach(id => batches.push([id]));
+            }
+            const turn = directive ? directive.turn : 1;
+            const maxTurns = directive ? directive.maxTurns : 1;
+            const newMessages = [];
+            for (const batch of batches) {
+                if (window.currentGroupChatId !== groupId) break;
+                const result = await generateGroupMemberRound({ speakerIds: batch, turn, maxTurns });
+                newMessages.push(...(result?.newMessages || []));
+            }
+            return newMessages.length > 0 ? { newMessages } : null;
+        }
+
+        // 生成一次群聊回复（一次API调用生成多条回复）
+        // directive 同 triggerGroupMemberReply；只有一位发言人时为该成员的单独回合：用他绑定的 API 预设、他自己的世界书和总结记忆
+        async function generateGroupMemberRound(directive = null) {
             // 🔧 防止重复调用API（超时15秒自动解锁，防止手机端锁死）
             if (window._isGeneratingGroupReply) {
                 const elapsed = Date.now() - (window._isGeneratingGroupReplyTime || 0);
@@ -23067,6 +23235,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
             
             // 显示"正在生成中..."提示
             if (chatTitleEl) chatTitleEl.innerText = `群成员们正在输入...`;
+            let _roundResult = null;
             
             // 🔧 安全定时器：45秒后强制释放锁（防止await永久挂起导致手机端锁死）
             const _safetyGroupLockTimer = setTimeout(() => {
@@ -23132,6 +23301,10 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                     invitableNpcsText = `\n可以被拉进群的朋友\n${lines.join('\n')}\n`;
                 }
                 
+                // 🎭 成员单独回合：世界书、私聊背景、总结只取这位成员自己的
+                const soloSpeakerId = directive?.speakerIds?.length === 1 && memberMap[directive.speakerIds[0]] ? directive.speakerIds[0] : null;
+                const contextMembers = soloSpeakerId ? [soloSpeakerId] : availableMembers;
+                
                 // 获取世界书上下文（合并群聊的世界书和所有成员的世界书）
                 let loreContext = "";
                 const allLorebookIds = new Set();
@@ -23141,7 +23314,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                 groupLorebookIds.forEach(id => allLorebookIds.add(id));
                 
                 // 添加所有成员的世界书
-                for (const memberId of availableMembers) {
+                for (const memberId of contextMembers) {
                     const char = memberMap[memberId];
                     if (char) {
                         const ids = char.lorebookIds || (char.lorebookId ? [char.lorebookId] : []);
@@ -23150,8 +23323,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                 }
                 
                 {
-                    const recentText = (group.chat_history || []).slice(-10).map(m => m.content).join(' ');
-                    loreContext = await getLorebookContext([...allLorebookIds], recentText);
+                    loreContext = await getLorebookContext([...allLorebookIds], buildLorebookScanText(contextMembers.map(id => memberMap[id]?.name), group.chat_history));
                     if (loreContext) {
                         loreContext = `\n【世界观/背景设定】\n${loreContext}`;
                     }
@@ -23193,7 +23365,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                     const _pcContextCount = groupContextCount;
                     if (_pcAccountId) {
                         const pcSnippets = [];
-                        for (const memberId of availableMembers) {
+                        for (const memberId of contextMembers) {
                             const charData = await getCachedCharacter(memberId);
                             if (!charData) continue;
                             
@@ -23246,9 +23418,39 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
                     console.warn('[triggerGroupMemberReply] 私聊记忆互通构建失败:', pcErr);
                 }
                 
+                // 🎭 成员单独回合：注入这位成员与用户的私聊总结，以及本群的总结
+                let memberSummaryContext = '';
+                if (soloSpeakerId) {
+                    try {
+                        const _soloName = getCharDisplayName(memberMap[soloSpeakerId], accountId);
+                        const _soloQuery = recentGroupHistory.slice(-8).map(m => typeof m.content === 'string' ? m.content : '').join(' ');
+                        const privateSummaries = await getSummaryMemoryContext('private', soloSpeakerId, accountId, { query: _soloQuery });
+                        const groupSummaries = await getSummaryMemoryContext('group', group.id, accountId, { query: _soloQuery });
+                        if (privateSummaries) memberSummaryContext += `\n## ${_soloName}的记忆（与${myNickname}私聊的总结）\n${privateSummaries}\n`;
+                        if (groupSummaries) memberSummaryContext += `\n## 本群之前聊过的事\n${groupSummaries}\n`;
+                    } catch (sumErr) {
+                        console.warn('[triggerGroupMemberReply] 成员总结记忆获取失败:', sumErr);
+                    }
+                }
+                
                 // 构建系统提示 - 让AI一次性生成多个角色的回复
-                const minReplies = Math.max(4, availableMembers.length * 2);
-                const maxReplies = Math.max(8, availableMembers.length * 3);
+                // 🎬 导演模式：只让本轮被选中的成员发言，条数按发言人数缩放
+                const directedSpeakerIds = directive ? directive.speakerIds.filter(id => memberMap[id] && !mutedMembers.includes(id)) : null;
+                if (directedSpeakerIds && directedSpeakerIds.length === 0) return;
+                const directedNames = directedSpeakerIds ? directedSpeakerIds.map(id => getCharDisplayName(memberMap[id], accountId)) : [];
+                if (directedSpeakerIds && chatTitleEl) chatTitleEl.innerText = `${directedNames.join('、')} 正在输入...`;
+                const minReplies = directedSpeakerIds ? directedSpeakerIds.length : Math.max(4, availableMembers.length * 2);
+                const maxReplies = directedSpeakerIds ? directedSpeakerIds.length * 3 : Math.max(8, availableMembers.length * 3);
+                const replyPlanText = directedSpeakerIds
+                    ? `生成 ${minReplies} 到 ${maxReplies} 条消息
+这一轮只有这些角色发言 ${directedNames.join(' ')}
+其他成员这一轮都在潜水 不要替他们发言
+${directive.turn > 1 ? `这是用户发言后的第${directive.turn}轮 角色们在接着彼此的话聊 不一定再回应用户 话题可以自然收尾` : '优先回应用户刚说的话'}
+被@到的角色要回应@他的人`
+                    : `生成 ${minReplies} 到 ${maxReplies} 条消息
+大部分角色都要参与
+每个角色发 2-4 条
+角色之间要有来回互动`;
                 
                 // 🔧 检查 NovelAI 自动生图是否开启，决定 imgcard 是否需要附带英文 tag
                 const _novelaiAutoGenEnabledGroup = await isNovelAIAutoGenerateEnabled();
@@ -23259,10 +23461,7 @@ image_desc 字段：当 images > 0 时，用一句话描述配图内容。`;
 
 回复必须是JSON数组
 格式 {"name": "角色名", "content": "内容"}
-生成 ${minReplies} 到 ${maxReplies} 条消息
-大部分角色都要参与
-每个角色发 2-4 条
-角色之间要有来回互动
+${replyPlanText}
 
 当前时间
 ${virtualTimeStr}
@@ -23274,11 +23473,11 @@ ${pendingRedPackets.length > 0 ? `
 ${pendingRedPackets.map(rp => `红包ID ${rp.id} "${rp.wish}" 还剩${rp.remaining}个 已领的 ${rp.claimed.join(',') || '无'}`).join('\n')}
 看到红包角色们会积极去抢 用 {"type": "claim_redpacket", "name": "角色名", "redpacketId": "红包ID"}
 每个角色只能领一次
-` : ''}${loreContext}
+` : ''}${promptSlot('lorebook')}
 
 群成员及人设
 ${membersList}
-${invitableNpcsText}${privateChatMemoryContext}
+${invitableNpcsText}${promptSlot('private_memory')}${promptSlot('member_memory')}
 规则
 这是活跃的群聊 角色们要积极互动
 角色之间互相回应 补充 调侃 反驳
@@ -23318,7 +23517,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
 
 消息类型混搭要求
 真实群聊不会全是纯文字 角色必须混合使用多种消息类型
-每轮回复中 至少要有1-2条语音消息[voice:] 和1条图片卡片[imgcard:]
+${directedSpeakerIds ? '语音[voice:]和图片卡片[imgcard:]按场景自然穿插 不必每轮都有' : '每轮回复中 至少要有1-2条语音消息[voice:] 和1条图片卡片[imgcard:]'}
 语音消息适合 情绪激动 撒娇 吐槽 感叹 搞笑 嘲讽 兴奋 惊讶等情绪化场景 用口语化的内容
 图片卡片适合 分享自拍 风景 美食 截图 表情包 穿搭 宠物等场景 角色想秀图时用imgcard
 发图片时必须用|||组合文字消息 不能只发图不说话
@@ -23452,10 +23651,35 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                     lastMessage.content += `\n\n请根据以上对话上下文，生成群聊中多个角色的自然回复。混合使用文字、语音[voice:]、图片卡片[imgcard:]。只输出JSON数组。`;
                 }
                 
+                if (directedSpeakerIds) {
+                    messages[messages.length - 1].content += `\n本轮发言：${directedNames.join(' ')}`;
+                }
+                
                 console.log('[triggerGroupMemberReply] 构建多轮对话消息数:', messages.length);
                 
-                // 调用AI
-                let aiResponse = await callAI(messages);
+                const assembled = await assemblePrompt({
+                    feature: 'group_chat',
+                    system: systemPrompt,
+                    sections: [
+                        { id: 'lorebook', label: '世界书', content: loreContext, priority: 60 },
+                        { id: 'private_memory', label: '私聊背景', content: privateChatMemoryContext, priority: 40 },
+                        { id: 'member_memory', label: '成员记忆', content: memberSummaryContext, priority: 45 }
+                    ],
+                    history: messages.slice(1),
+                    historyPriority: 50,
+                    keepLast: 2,
+                    // 群聊里 {{char}} 是本轮指定的发言者，没有指定时是群名
+                    macros: { group, accountId, charName: directedNames.length ? directedNames.join('、') : group.name, userName: myNickname, history: groupHistory }
+                });
+                
+                // 调用AI（成员单独回合时使用该成员绑定的 API 预设，失败会退回全局配置）
+                const soloApiPreset = soloSpeakerId ? getMemberApiPreset(memberMap[soloSpeakerId]) : '';
+                let groupPromptLogId = null;
+                let aiResponse = await callAI(assembled.messages, {
+                    ...(soloApiPreset ? { _apiPreset: soloApiPreset } : {}),
+                    onPromptLog: (id) => { groupPromptLogId = id; },
+                    usageTag: { groupId: group.id }
+                });
                 
                 // 检查API是否返回了错误信息而非正常回复
                 if (!aiResponse || typeof aiResponse !== 'string' || aiResponse.startsWith('请求失败') || aiResponse.startsWith('错误') || aiResponse.startsWith('Error')) {
@@ -23610,6 +23834,12 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                             }
                         }
                         
+                        // 🎬 导演模式：本轮没被点到的成员不发言
+                        if (directedSpeakerIds && senderId && !directedSpeakerIds.includes(senderId)) {
+                            console.log(`[群聊回复] 导演模式：${reply.name} 不在本轮发言名单，跳过`);
+                            continue;
+                        }
+                        
                         // 处理修改群昵称指令
                         if (reply.type === 'change_nickname' && reply.nickname) {
                             if (!senderId) continue;
@@ -23670,7 +23900,8 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                                 // 🛡️ 使用 update() 只更新聊天记录字段，防止覆盖设置
                                 const _dmUpdatePayload = {};
                                 if (_dmAccId) {
-                                    _dmUpdatePayload.chat_history_by_user = { ...(dmCharRecord.chat_history_by_user || {}) };
+                                    // 只写当前账号这一段私聊，其他账号的会话不动
+                                    _dmUpdatePayload[`chat_history_by_user.${_dmAccId}`] = dmHistory;
                                     if (dmCharRecord.chat_hidden_by_user && dmCharRecord.chat_hidden_by_user[_dmAccId]) {
                                         const _dmHidden = { ...dmCharRecord.chat_hidden_by_user };
                                         _dmHidden[_dmAccId] = false;
@@ -24099,7 +24330,11 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                         
                         // 使用分句逻辑 - 支持 ||| 分隔符和自然分句
                         let segments = [];
-                        const content = reply.content.trim();
+                        // 🧩 群聊不支持的内联指令（戳一戳、改网名等）在这里剥离，避免原样显示在聊天中
+                        const content = (await executeReplyCommands(reply.content.trim(), {
+                            context: 'group', char: memberMap[senderId], charId: senderId, accountId: _matchAccountId
+                        })).text;
+                        if (!content) continue;
                         
                         // 先按 ||| 分割
                         if (content.includes('|||')) {
@@ -24157,6 +24392,8 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                         }
                     }
                     
+                    // 🔍 长按消息 → 提示词：记上本轮请求的记录 ID
+                    tagMessagesWithPromptLog(updatedGroup.chat_history.slice(_historyLenBefore), groupPromptLogId);
                     updatedGroup.updated_at = Date.now();
                     await safeGroupChatPut(updatedGroup);
                     
@@ -24170,6 +24407,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                     }
                     // 刷新群成员列表（可能有新成员通过invite_npc加入）
                     if (_hasStructuralChange) await renderGroupMemberList(updatedGroup);
+                    _roundResult = { newMessages: _newMessages };
                     
                     // 🔧 群聊回复完成后，检查是否有 imgcard 需要 NovelAI 自动生图
                     try {
@@ -24199,6 +24437,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 window._isGeneratingGroupReply = false;
                 window._isGeneratingGroupReplyTime = 0;
             }
+            return _roundResult;
         }
         
         async function getCurrentUserName() {
@@ -24553,15 +24792,16 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
         }
 
         // 格式化时间戳
-        function formatMessageTime(timestamp, prevTimestamp, timeOffset = 0) {
+        // clock 传角色对象时按其虚拟时钟换算（见 clock.js），传数字时视为固定偏移
+        function formatMessageTime(timestamp, prevTimestamp, clock = 0) {
             if (!timestamp) return '';
             
             // 使用虚拟时间进行计算
-            const virtualTimestamp = timestamp + timeOffset;
-            const virtualNow = Date.now() + timeOffset;
-            
-            const msgTime = new Date(virtualTimestamp);
-            const now = new Date(virtualNow);
+            const toClockDate = ts => (clock && typeof clock === 'object') ? toVirtualClockDate(ts, clock) : new Date(ts + (clock || 0));
+            const msgTime = toClockDate(timestamp);
+            const now = toClockDate(Date.now());
+            const virtualTimestamp = msgTime.getTime();
+            const virtualNow = now.getTime();
             const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
             const msgDate = new Date(msgTime.getFullYear(), msgTime.getMonth(), msgTime.getDate());
             const yesterday = new Date(today);
@@ -24846,7 +25086,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                         <div class="family-card-msg-desc">${limitText}</div>
                         <div class="family-card-msg-line"></div>
                         <div class="family-card-msg-footer">
-                            <span class="family-card-msg-status">${isSelf ? '已赠送' : '已收到'}</span>
+                            <span class="family-card-msg-status">${cardData.status === 'revoked' ? '已解绑' : isSelf ? '已赠送' : '已收到'}</span>
                             <span class="family-card-msg-dot"></span>
                         </div>
                     </div>
@@ -25219,6 +25459,11 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             row.appendChild(avatar);
             row.appendChild(content);
             
+            // 联机私聊：自己发出的消息显示送达 / 已读状态
+            if (msg.role === 'user' && msg.onlineStatus) {
+                row.appendChild(createOnlineStatusTick(msg.onlineStatus));
+            }
+            
             return row;
         }
 
@@ -25228,6 +25473,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
         let lastRenderedAccountId = null;
         let lastRenderedAvatar = null;
         let currentRenderedCount = 0; // 跟踪已渲染的消息数量
+        let currentRenderedStartSeq = null; // 已渲染的最早一条消息的序号（加载更多时从它往前翻）
         let isLoadingMoreMessages = false; // 防止重复加载
         let groupRenderedCount = 0; // 🚀 群聊：跟踪已渲染的消息数量
         let isLoadingMoreGroupMessages = false; // 🚀 群聊：防止重复加载
@@ -25237,7 +25483,6 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             const body = document.getElementById('chat-body');
             const accountId = getCurrentAccountId();
             const userAvatarUrl = await getUserAvatarUrl(char.linked_user_id);
-            const timeOffset = getEffectiveTimeOffset(char);
             
             // 获取前一条消息的时间
             const history = getChatHistory(char, accountId);
@@ -25247,7 +25492,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             if (msg.role !== 'system' && shouldShowTimestamp(msg.time, prevMsgTime)) {
                 const timeStamp = document.createElement('div');
                 timeStamp.className = 'message-timestamp';
-                timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, timeOffset);
+                timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, char);
                 body.appendChild(timeStamp);
             }
             
@@ -25266,6 +25511,28 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             console.log('[appendChatMessage] 添加单条消息，无需重新渲染');
         }
 
+        // 📖 取一页待渲染的消息：按 messages 表索引分页读取（beforeSeq 为空时取最新一页），不从整段会话里切片
+        // 返回 startSeq 作为下一页的 beforeSeq，startIndex 是第一条在会话中的位置（消息操作按位置定位）
+        async function getChatRenderPage(char, accountId, beforeSeq, limit) {
+            try {
+                await syncChatThread(char.id, accountId, getChatHistory(char, accountId));
+            } catch (e) {
+                console.warn('[getChatRenderPage] 会话改动写入失败，按库里已有的记录显示:', e);
+            }
+            // 多取一条，用于计算第一条消息的时间戳分隔
+            const page = await loadChatMessagesPage(accountId, char.id, { beforeSeq: beforeSeq ?? Infinity, limit: limit + 1 });
+            const messages = page.messages;
+            const seqs = page.seqs;
+            let startIndex = page.startIndex;
+            let prevMsgTime = null;
+            if (messages.length > limit) {
+                prevMsgTime = messages.shift().time;
+                seqs.shift();
+                startIndex++;
+            }
+            return { startIndex, startSeq: seqs.length > 0 ? seqs[0] : null, messages, prevMsgTime };
+        }
+
         async function renderChatBody(char, forceRender = false) {
             const body = document.getElementById('chat-body');
             // ★ fp模式使用 fp 账号ID，而非当前登录账号
@@ -25274,6 +25541,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             // 按账号隔离的显示属性
             const _dAvatar = getCharAvatar(char, accountId);
             const _dName = getCharDisplayName(char, accountId);
+            refreshReplySwipeBar('chat', history);
             
             // 🎯 优化：如果是同一个角色且消息和头像都没有变化，跳过渲染
             if (!forceRender && 
@@ -25297,6 +25565,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             
             body.innerHTML = '';
             currentRenderedCount = 0; // 重置渲染计数
+            currentRenderedStartSeq = null;
             isLoadingMoreMessages = false; // 🔧 修复：重置加载锁，防止异常后永久卡死
             
             // 切换多选模式样式
@@ -25465,14 +25734,14 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 renderCharName = _dName;
             }
             const userAvatarUrl = renderUserAvatar;
-            const timeOffset = getEffectiveTimeOffset(char); // 获取虚拟时间偏移
 
-            // 🚀 优化：只渲染最近的50条消息
+            // 🚀 优化：只渲染最近的50条消息（按 messages 表索引分页读取）
             const renderWindow = 50;
-            const totalMessages = history.length;
-            const startIndex = Math.max(0, totalMessages - renderWindow);
-            const messagesToRender = history.slice(startIndex);
+            const renderPage = await getChatRenderPage(char, accountId, null, renderWindow);
+            const startIndex = renderPage.startIndex;
+            const messagesToRender = renderPage.messages;
             currentRenderedCount = messagesToRender.length;
+            currentRenderedStartSeq = renderPage.startSeq;
 
             // 🚀 性能优化：使用 DocumentFragment 批量插入，避免逐条 appendChild 触发多次 reflow
             const fragment = document.createDocumentFragment();
@@ -25484,11 +25753,15 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 loadMoreBtn.style.cssText = 'text-align:center; padding:12px; margin:8px 0;';
                 loadMoreBtn.innerHTML = `<button onclick="loadMoreMessages()" style="background:#f0f0f0; border:none; padding:8px 20px; border-radius:16px; color:#666; font-size:13px; cursor:pointer;">加载更早的消息 (${startIndex}条)</button>`;
                 fragment.appendChild(loadMoreBtn);
+            } else {
+                // 联机好友：本地记录到头了，服务器上可能还有更早的
+                const onlineHistoryBtn = createOnlineHistoryButton(char, history);
+                if (onlineHistoryBtn) fragment.appendChild(onlineHistoryBtn);
             }
 
             messagesToRender.forEach((msg, relativeIndex) => {
                 const absoluteIndex = startIndex + relativeIndex;
-                const prevMsgTime = absoluteIndex > 0 ? history[absoluteIndex - 1].time : null;
+                const prevMsgTime = relativeIndex > 0 ? messagesToRender[relativeIndex - 1].time : renderPage.prevMsgTime;
                 
                 // ★ fp模式：翻转消息角色（char→user显示在右侧，user→char显示在左侧）
                 let renderMsg = msg;
@@ -25500,7 +25773,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 if (renderMsg.role !== 'system' && shouldShowTimestamp(renderMsg.time, prevMsgTime)) {
                     const timeStamp = document.createElement('div');
                     timeStamp.className = 'message-timestamp';
-                    timeStamp.textContent = formatMessageTime(renderMsg.time, prevMsgTime, timeOffset);
+                    timeStamp.textContent = formatMessageTime(renderMsg.time, prevMsgTime, char);
                     fragment.appendChild(timeStamp);
                 }
                 
@@ -25606,6 +25879,9 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             applyChatBackground(char);
 
             await applyChatShellCustomStyles(char);
+
+            // 标题栏下方的虚拟时钟（未开启时自动隐藏）
+            refreshChatVirtualClock();
         }
 
         // 🚀 加载更多消息（懒加载优化）
@@ -25626,28 +25902,22 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 const body = document.getElementById('chat-body');
                 if (!body) return;
                 
-                // 计算要加载的消息范围
+                // 从已渲染的最早一条往前翻一页
                 const renderWindow = 50;
-                const totalMessages = history.length;
-                const nextSliceEnd = totalMessages - currentRenderedCount;
+                const renderPage = currentRenderedStartSeq === null
+                    ? null
+                    : await getChatRenderPage(char, accountId, currentRenderedStartSeq, renderWindow);
                 
-                // 🔧 修复：nextSliceEnd <= 0 表示所有消息都已加载，直接返回
-                if (nextSliceEnd <= 0) {
+                // 🔧 修复：没有更早的消息表示所有消息都已加载，直接返回
+                if (!renderPage || renderPage.messages.length === 0) {
                     // 移除多余的"加载更多"按钮
                     const oldBtn = document.getElementById('load-more-btn');
                     if (oldBtn) oldBtn.remove();
                     return;
                 }
-                
-                // 🔧 修复：nextSliceStart 可以 < 0，用 Math.max(0, ...) 处理即可
-                // 之前 nextSliceStart < 0 直接 return 会导致剩余不足50条的消息永远无法加载
-                const nextSliceStart = Math.max(0, nextSliceEnd - renderWindow);
-                
-                const messagesToPrepend = history.slice(nextSliceStart, nextSliceEnd);
-                
-                if (messagesToPrepend.length === 0) {
-                    return;
-                }
+                const nextSliceStart = renderPage.startIndex;
+                const messagesToPrepend = renderPage.messages;
+                currentRenderedStartSeq = renderPage.startSeq;
                 
                 // 保存当前滚动位置
                 const oldScrollHeight = body.scrollHeight;
@@ -25665,22 +25935,24 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                     loadMoreBtn.style.cssText = 'text-align:center; padding:12px; margin:8px 0;';
                     loadMoreBtn.innerHTML = `<button onclick="loadMoreMessages()" style="background:#f0f0f0; border:none; padding:8px 20px; border-radius:16px; color:#666; font-size:13px; cursor:pointer;">加载更早的消息 (${nextSliceStart}条)</button>`;
                     body.insertBefore(loadMoreBtn, body.firstChild);
+                } else {
+                    const onlineHistoryBtn = createOnlineHistoryButton(char, history);
+                    if (onlineHistoryBtn) body.insertBefore(onlineHistoryBtn, body.firstChild);
                 }
                 
                 // 准备要添加的消息元素
                 const userAvatarUrl = await getUserAvatarUrl(char.linked_user_id);
-                const timeOffset = getEffectiveTimeOffset(char);
                 const fragment = document.createDocumentFragment();
                 
                 messagesToPrepend.forEach((msg, relativeIndex) => {
                     const absoluteIndex = nextSliceStart + relativeIndex;
-                    const prevMsgTime = absoluteIndex > 0 ? history[absoluteIndex - 1].time : null;
+                    const prevMsgTime = relativeIndex > 0 ? messagesToPrepend[relativeIndex - 1].time : renderPage.prevMsgTime;
                     
                     // 添加时间戳
                     if (msg.role !== 'system' && shouldShowTimestamp(msg.time, prevMsgTime)) {
                         const timeStamp = document.createElement('div');
                         timeStamp.className = 'message-timestamp';
-                        timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, timeOffset);
+                        timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, char);
                         fragment.appendChild(timeStamp);
                     }
                     
@@ -25731,6 +26003,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 const sysDiv = document.createElement('div');
                 sysDiv.style.cssText = 'text-align:center; padding:8px 16px; margin:8px 0;';
                 sysDiv.innerHTML = `<span style="background:#fff; color:#999; font-size:12px; padding:4px 12px; border-radius:4px; border:1px solid #ddd;">${content}</span>`;
+                clearChatReplyStreamPreview();
                 body.appendChild(sysDiv);
                 body.scrollTop = body.scrollHeight;
                 return;
@@ -25790,7 +26063,9 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             }
             
             const userAvatarUrl = await getUserAvatarUrl(char.linked_user_id);
-            const timeOffset = getEffectiveTimeOffset(char); // 获取虚拟时间偏移
+            
+            // 流式回复的预览气泡换成正式消息
+            clearChatReplyStreamPreview();
             
             // 获取前一条消息的时间
             const prevMsgTime = index > 0 && history[index - 1] ? history[index - 1].time : null;
@@ -25799,7 +26074,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             if (shouldShowTimestamp(msg.time, prevMsgTime)) {
                 const timeStamp = document.createElement('div');
                 timeStamp.className = 'message-timestamp';
-                timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, timeOffset);
+                timeStamp.textContent = formatMessageTime(msg.time, prevMsgTime, char);
                 body.appendChild(timeStamp);
             }
 
@@ -25958,12 +26233,18 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             const menu = document.getElementById('msg-context-menu');
             const overlay = document.getElementById('menu-overlay');
             
-            // 系统消息只显示"删除"按钮，隐藏其他菜单项
+            // 系统消息只显示"删除"和"分叉"按钮，隐藏其他菜单项
             const menuItems = menu.querySelectorAll('.context-menu-item');
+            const activeMsg = getActiveContextMessage();
             menuItems.forEach(item => {
                 const label = item.querySelector('span')?.textContent;
                 if (isSystemMsg) {
-                    item.style.display = (label === '删除') ? 'flex' : 'none';
+                    item.style.display = (label === '删除' || label === '分叉') ? 'flex' : 'none';
+                } else if (label === '记忆') {
+                    // 只有引用过长期记忆的角色回复才显示
+                    item.style.display = (activeMsg && activeMsg.usedMemories && activeMsg.usedMemories.length > 0) ? 'flex' : 'none';
+                } else if (label === '提示词') {
+                    item.style.display = (activeMsg && activeMsg.role === 'char') ? 'flex' : 'none';
                 } else {
                     item.style.display = 'flex';
                 }
@@ -26020,6 +26301,53 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             }, 350);
         }
 
+        // 当前长按的私聊消息（从角色缓存同步读取）
+        function getActiveContextMessage() {
+            if (activeMsgIndex === -1 || !currentChatCharId || !_charCacheReady) return null;
+            const char = _charCache.get(currentChatCharId);
+            if (!char) return null;
+            const history = getChatHistory(char, getCurrentAccountId()) || [];
+            return history[activeMsgIndex] || null;
+        }
+
+        // 查看这条回复引用了哪些长期记忆
+        function handleMsgShowMemories() {
+            const msg = getActiveContextMessage();
+            hideContextMenu();
+            const used = msg?.usedMemories || [];
+            if (used.length === 0) {
+                showToast('这条回复没有引用长期记忆');
+                return;
+            }
+            const reasonText = { pinned: '📌 置顶', latest: '🕘 最新', relevant: '🔍 相关' };
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+            overlay.innerHTML = `
+                <div style="background:#fff; border-radius:12px; width:100%; max-width:360px; max-height:70vh; overflow-y:auto; padding:16px;">
+                    <div style="font-size:16px; font-weight:600; color:#333; margin-bottom:12px;">本条回复引用的记忆（${used.length}）</div>
+                    ${used.map(m => `
+                        <div data-summary-id="${m.id}" style="padding:10px; background:#f9f9f9; border-radius:8px; margin-bottom:8px; cursor:pointer;">
+                            <div style="display:flex; justify-content:space-between; font-size:11px; color:#999; margin-bottom:4px;">
+                                <span>${reasonText[m.reason] || ''}${m.score !== undefined ? ` · 相关度 ${m.score}` : ''}</span>
+                                <span>${formatSummaryTime(m.time)}</span>
+                            </div>
+                            <div style="font-size:13px; color:#333; line-height:1.5;">${escapeHtml(m.preview || '')}</div>
+                        </div>
+                    `).join('')}
+                    <button data-close style="width:100%; padding:10px; margin-top:4px; background:#f0f0f0; border:none; border-radius:8px; font-size:14px; color:#333;">关闭</button>
+                </div>
+            `;
+            overlay.querySelector('[data-close]').onclick = () => overlay.remove();
+            overlay.querySelectorAll('[data-summary-id]').forEach(el => {
+                el.onclick = () => {
+                    overlay.remove();
+                    showSummaryDetail(parseInt(el.dataset.summaryId));
+                };
+            });
+            document.body.appendChild(overlay);
+        }
+
         function hideContextMenu() {
             const menu = document.getElementById('msg-context-menu');
             const overlay = document.getElementById('menu-overlay');
@@ -26822,12 +27150,14 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
             const char = await db.characters.get(currentChatCharId);
             const accountId = getCurrentAccountId();
             let history = getChatHistory(char, accountId);
+            const clientMsgId = char.isOnlineFriend ? createOnlineClientMsgId() : undefined;
             
             history.push({
                 role: 'user',
                 content: msgContent,
                 time: Date.now(),
-                isSticker: true
+                isSticker: true,
+                onlineClientMsgId: clientMsgId
             });
             
             await setChatHistory(char, accountId, history);
@@ -26841,7 +27171,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 if (onlineUserChar && onlineConnected) {
                     const fromWxAccount = onlineUserChar.identity.account;
                     const toWxAccount = char.onlineData.wx_account;
-                    const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount);
+                    const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount, clientMsgId);
                     if (sent) {
                         console.log('[Online] 表情包已发送到服务器');
                     } else {
@@ -27094,11 +27424,13 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 const char = await db.characters.get(currentChatCharId);
                 const accountId = getCurrentAccountId();
                 let history = getChatHistory(char, accountId);
+                const clientMsgId = char.isOnlineFriend ? createOnlineClientMsgId() : undefined;
                 
                 history.push({
                     role: 'user',
                     content: msgContent,
-                    time: Date.now()
+                    time: Date.now(),
+                    onlineClientMsgId: clientMsgId
                 });
                 
                 await setChatHistory(char, accountId, history);
@@ -27113,7 +27445,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                     if (onlineUserChar && onlineConnected) {
                         const fromWxAccount = onlineUserChar.identity.account;
                         const toWxAccount = char.onlineData.wx_account;
-                        const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount);
+                        const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount, clientMsgId);
                         if (sent) {
                             console.log('[Online] 图片已发送到服务器');
                         } else {
@@ -27453,7 +27785,8 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                 content: audioBase64,
                 duration: duration,
                 effect: effect,
-                time: Date.now()
+                time: Date.now(),
+                onlineClientMsgId: createOnlineClientMsgId()
             };
             history.push(msgObj);
             await setChatHistory(char, accountId, history);
@@ -27470,7 +27803,7 @@ name字段只能用这些名字 ${validMemberNames.join(' ')}
                         duration: duration,
                         effect: effect
                     });
-                    sendOnlineMessage(char.onlineData.wx_account, voiceMsg, onlineUserChar.identity.account);
+                    sendOnlineMessage(char.onlineData.wx_account, voiceMsg, onlineUserChar.identity.account, msgObj.onlineClientMsgId);
                     console.log('[Online] 语音消息已发送');
                 }
             }
@@ -28195,9 +28528,13 @@ ${wishBlock}
                 '你只扮演给定角色，并输出该角色为自己挑选的聊天气泡样式。输出内容只能是 CSS 规则，不要 markdown、不要前言后语、不要解释。必须依据档案中「我本人会喜欢的」审美，而非职业/身份的刻板视觉符号。严禁使用伪元素或 clip-path 给气泡加三角尾巴；形状只用对称的 border-radius 或方角。';
 
             try {
+                // 角色档案和对方的额外说明里可能写了 {{char}} / {{user}} 等宏
+                const macroCtx = await createCharMacroContext(char);
+                const expandedPrompt = expandMacros(userPrompt, macroCtx);
+                await saveMacroVariables(macroCtx);
                 let userMessage;
                 if (assets.length > 0) {
-                    const parts = [{ type: 'text', text: userPrompt }];
+                    const parts = [{ type: 'text', text: expandedPrompt }];
                     assets.forEach((a, i) => {
                         const cap = (a.caption || '').trim() || '（无说明）';
                         parts.push({
@@ -28211,7 +28548,7 @@ ${wishBlock}
                     });
                     userMessage = { role: 'user', content: parts };
                 } else {
-                    userMessage = { role: 'user', content: userPrompt };
+                    userMessage = { role: 'user', content: expandedPrompt };
                 }
 
                 const result = await callAI(
@@ -28436,9 +28773,13 @@ ${wishBlock}
                 '你是给定角色本人，为「我和对方的私聊窗口」写 CSS；输出只能是 CSS。必须依据档案全文判断「我本人喜欢什么视觉」而非职业刻板印象。必须包含对 SVG 图标的 stroke/fill 或 filter 等处理，使图标气质与人设一致。禁止整屏纯黑 #000。禁止只做换 background-color/color 的敷衍换皮，必须在层次、分隔、质感或排版节奏上体现完整设计。';
 
             try {
+                // 角色档案和对方的额外说明里可能写了 {{char}} / {{user}} 等宏
+                const macroCtx = await createCharMacroContext(char);
+                const expandedPrompt = expandMacros(userPrompt, macroCtx);
+                await saveMacroVariables(macroCtx);
                 let userMessage;
                 if (assets.length > 0) {
-                    const parts = [{ type: 'text', text: userPrompt }];
+                    const parts = [{ type: 'text', text: expandedPrompt }];
                     assets.forEach((a, i) => {
                         const cap = (a.caption || '').trim() || '（无说明）';
                         parts.push({ type: 'text', text: `\n—— 参考图 ${i + 1}，说明：${cap}\n` });
@@ -28446,7 +28787,7 @@ ${wishBlock}
                     });
                     userMessage = { role: 'user', content: parts };
                 } else {
-                    userMessage = { role: 'user', content: userPrompt };
+                    userMessage = { role: 'user', content: expandedPrompt };
                 }
 
                 const result = await callAI(
@@ -28647,13 +28988,11 @@ ${wishBlock}
             }
             const useVirtualTime = char ? isVirtualTimeEnabled(char) : false;
             
-            // 🔧 只有虚拟时间开启时才更新时间偏移
+            // 🔧 只有虚拟时间开启时才推进角色的虚拟时钟
             if (useVirtualTime && char) {
-                const newOffset = (char.timeOffset || 0) + ms;
-                // 🔧 修复：使用 update() 只更新时间偏移字段，避免 put() 覆盖并发写入的聊天记录
-                await db.characters.update(currentChatCharId, { timeOffset: newOffset });
-                char.timeOffset = newOffset; // 同步本地引用
-                console.log(`[FastForward] 虚拟时间模式：Updated time offset by +${ms}ms (${unitText})`);
+                // 🔧 advanceVirtualClock 内部用 update() 只写时钟字段，避免 put() 覆盖并发写入的聊天记录
+                await advanceVirtualClock(char, ms);
+                console.log(`[FastForward] 虚拟时间模式：时钟已推进 +${ms}ms (${unitText})`);
             } else {
                 console.log(`[FastForward] 现实时间模式：不更新时间偏移，仅触发AI继续对话`);
             }
@@ -28722,8 +29061,8 @@ ${wishBlock}
                 return;
             }
             
-            // 基准时间
-            const baseTime = Date.now() + getEffectiveTimeOffset(blockedChars[0]);
+            // 基准时间（消息统一存真实时间戳，显示时再按各角色的虚拟时钟换算）
+            const baseTime = Date.now();
 
             for (const char of blockedChars) {
                 try {
@@ -29171,7 +29510,7 @@ ${wishBlock}
             try {
                 const lorebookIds = [...(char.mounted_lorebooks || []), ...(myChar.mounted_lorebooks || [])];
                 if (lorebookIds.length > 0) {
-                    loreContext = await getLorebookContext(lorebookIds, `${char.name} ${myChar.name}`);
+                    loreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([char.name, myChar.name], chatHistory));
                     if (loreContext) {
                         console.log(`[BlockedContact] ${char.name} 世界书已加载`);
                     }
@@ -30141,9 +30480,9 @@ messages:
                 return;
             }
             
-            // 如果是群聊模式，调用群聊回复函数
+            // 如果是群聊模式，交给群聊导演按轮次调度（导演关闭时退回一次性全员回复）
             if (window.currentGroupChatId) {
-                await triggerGroupMemberReply();
+                await runGroupDirector();
                 return;
             }
             
@@ -30177,9 +30516,8 @@ messages:
             }
             if (!char) return;
             
-            // 🔧 虚拟时间：统一使用虚拟时间戳，确保消息时间与快进产生的消息一致
-            const _charTimeOffset = getEffectiveTimeOffset(char);
-            const _vNow = () => Date.now() + _charTimeOffset;
+            // 🔧 消息统一存真实时间戳（与用户消息一致），显示和提示词中再按角色的虚拟时钟换算（见 clock.js）
+            const _vNow = () => Date.now();
             
             // 🔧 设置标志，防止重复调用（记录时间戳用于超时检测）
             window._isGeneratingReply = true;
@@ -30258,9 +30596,9 @@ messages:
                 console.log('[triggerAiReply] 📚 关联的世界书 ID:', lorebookIds);
                 {
                     // 获取最近对话用于关键词匹配（使用正确的聊天历史）+ 自动包含全局世界书
-                    const recentText = fullHistory.slice(-10).map(m => m.content).join(' ');
-                    console.log('[triggerAiReply] 🔍 用于匹配世界书的关键词文本（前100字）:', recentText.substring(0, 100));
-                    loreContext = await getLorebookContext(lorebookIds, `${char.name} ${userName} ${recentText}`);
+                    const scanText = buildLorebookScanText([char.name, userName], fullHistory);
+                    console.log('[triggerAiReply] 🔍 用于匹配世界书的关键词文本（前100字）:', scanText.substring(0, 100));
+                    loreContext = await getLorebookContext(lorebookIds, scanText);
                     if (loreContext) {
                         console.log('[triggerAiReply] ✅ 世界书内容已加载（长度）:', loreContext.length);
                         console.log('[triggerAiReply] 世界书内容预览:', loreContext.substring(0, 200) + '...');
@@ -30315,14 +30653,22 @@ messages:
                     console.warn('[triggerAiReply] 合并线下消息失败:', e);
                 }
 
-                // 2.6 读取总结记忆（长期记忆）
+                // 2.6 读取总结记忆（长期记忆）：按与最近对话的相关度检索
                 let summaryMemoryContext = '';
+                let usedMemoriesForReply = [];
+                const replyHistoryStart = (getChatHistory(char, accountId) || []).length;
                 try {
-                    summaryMemoryContext = await getSummaryMemoryContext('private', targetCharId, accountId);
+                    const memoryQuery = fullHistory.slice(-MEMORY_RETRIEVAL_CONFIG.queryMessages)
+                        .map(m => typeof m.content === 'string' ? m.content : '').join(' ');
+                    summaryMemoryContext = await getSummaryMemoryContext('private', targetCharId, accountId, { query: memoryQuery });
+                    usedMemoriesForReply = getLastUsedMemories('private', targetCharId, accountId);
                 } catch (e) {
                     console.warn('[triggerAiReply] 读取总结记忆失败:', e);
                 }
 
+                // 2.6.0 读取角色记忆（角色记得的关于对方的结构化事实）
+                const charMemoryContext = await buildCharMemoryContext(targetCharId, accountId);
+
                 // 2.6.1 构建实时话题感知（分析不同时间维度的关键词）
                 let recentTopicsContext = '';
                 try {
@@ -30691,10 +31037,9 @@ ${char.relationships && char.relationships.length > 0 ? `
 ${char.relationships.map(r => `${r.targetName}（${r.relation}）${r.desc ? '：' + r.desc : ''}`).join('\n')}
 ` : ''}
 
-${summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）
-${summaryMemoryContext}
-` : ''}
-${recentTopicsContext || ''}
+${promptSlot('summary')}
+${promptSlot('char_memory')}
+${promptSlot('topics')}
 
 ---
 
@@ -30705,11 +31050,11 @@ ${userDesc || '暂无额外信息'}
 
 ---
 
-${loreContext ? `## 世界观设定
-${loreContext}
-` : ''}
+${promptSlot('scenario')}
+${promptSlot('lorebook')}
 
-${groupMemoryContext}
+${promptSlot('group_memory')}
+${promptSlot('mes_example')}
 ${_hasOfflineMemory ? `\n## ★ 线上线下统一世界观
 注意：你和对方的互动包含【微信聊天】和【线下见面】两个场景，它们是同一段关系。
 - 带有 [线下见面] 前缀的消息是你们当面交流时说的话/做的事（已缩略）
@@ -30832,85 +31177,12 @@ ${_novelaiAutoGenEnabledMain ? `[imgcard:中文图片描述{{english, novelai, t
 **发图片时必须同时发送文字消息，用|||组合。禁止只发一条图片不说话。**
 例：嘿 刚洗完澡~|||[imgcard:洗完澡的自拍{{1girl, wet hair, towel, bathroom, mirror, smile, looking at viewer}}]|||好看吗` : `[imgcard:图片描述]`}
 
-转账：
-((TRANSFER: 金额, 备注))
-
-购物送礼：
-((SHOP_GIFT: 金额, 商品名))
-
-亲属卡（给对方赠送亲属卡 让对方用你的零钱消费 关系很亲密时才会赠送）：
-((FAMILY_CARD: 每月额度))
-
-撤回：
-((RECALL))
-
 朋友圈：
 [MOMENTS]
 content: 内容
 images: 数量
 
-戳一戳：
-((POKE: 动作, 部位))
-
-打开APP：
-((OPEN_APP: APP名称))
-
-打电话：
-((CALL))
-
-给对方点外卖：
-((EMEI_ORDER: 店铺名, 商品1 x数量 ¥单价/商品2 x数量 ¥单价, 总金额))
-注意：必须用两个逗号分隔三部分 每个商品单价要符合实际
-
-代付请求（让对方帮忙付款）：
-((EMEI_PAY: 店铺名, 商品1 x数量 ¥单价/商品2 x数量 ¥单价, 总金额))
-
-分享外卖（分享自己点的外卖）：
-((EMEI_SHARE: 店铺名, 商品1 ¥单价/商品2 ¥单价, 总金额))
-
-改网名：
-((SET_NICKNAME: 新网名))
-
-改个性签名：
-((SET_SIGNATURE: 新签名))
-
-删除好友（你删对方 极度失望想断联时才用 非常严重）：
-((DELETE_USER))
-
-拉黑好友（你拉黑对方 极度愤怒被深深伤害时才用 最严重的操作）：
-((BLOCK_USER))
-
-朋友圈权限（不让对方看你的朋友圈，对方不会收到任何提示，只是看不到你发的内容）：
-不让TA看我朋友圈：((BLOCK_MOMENTS))
-恢复让TA看我朋友圈：((UNBLOCK_MOMENTS))
-注意：这是一个隐秘操作，对方不会收到通知。适合生气、冷战、闹别扭但又不想闹到拉黑删除的程度时使用。使用后你仍可以正常发朋友圈，只是对方看不到。
-${char.relationships && char.relationships.length > 0 ? `
-让关联NPC加对方好友（让你身边的人主动加对方）：
-((NPC_ADD_FRIEND: NPC名字))` : ''}
-
-引用消息（引用之前的某条消息来回复，让对话更有针对性）：
-((QUOTE: 被引用人的名字, 被引用的内容摘要))回复内容
-例如：((QUOTE: ${userName}, 明天一起吃饭吧))好呀 去哪吃？
-注意：引用内容简短概括即可，不需要完整复述。引用指令必须放在回复内容的最前面。
-
-转账回应（收到对方转账时使用）：
-收款：((TRANSFER_ACCEPT))
-退回：((TRANSFER_RETURN))
-
-亲密关系邀请回应（仅在收到邀请时使用）：
-接受：((INTIMATE_ACCEPT))
-拒绝：((INTIMATE_REJECT))
-${char.allow_autonomous_activity ? `
-手机活动（你在自己手机上做的事）：
-((PHONE_ACTIVITY: 简短描述你做了什么))
-例如：((PHONE_ACTIVITY: 给闺蜜发了条消息吐槽今天的事))、((PHONE_ACTIVITY: 刷了一会抖音点赞了几个视频))、((PHONE_ACTIVITY: 发了一条朋友圈记录心情))
-注意：这代表你在自己手机上的真实活动，对方看不到这个指令。你可以在聊天间隙自然地使用手机。` : ''}
-${char.identity?.password ? `
-修改账号密码：
-((CHANGE_PASSWORD:新密码))
-你可以随时修改自己的账号密码。修改后原密码立即失效。
-适用场景：生气了不想让对方查你手机、觉得不安全、想保护隐私、赌气、冷战等。
-注意：这不是必须的，请根据你的性格和当前情绪自然决定是否要改密码。不要频繁修改。` : ''}
+${buildReplyCommandPrompt({ context: 'private', char, userName }, { tools: true })}
 
 根据剧情自然使用
 不要强制使用
@@ -31343,7 +31615,6 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                 
                 // 🕐 为历史消息注入时间标记，让AI感知不同天/不同时间段的消息
                 {
-                    const _timeOffset = getEffectiveTimeOffset(char);
                     let _prevTime = 0;
                     for (let i = 0; i < recentHistoryRaw.length; i++) {
                         const msgTime = recentHistoryRaw[i]._time || 0;
@@ -31351,12 +31622,12 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                         
                         let shouldMark = false;
                         if (_prevTime > 0) {
-                            const gap = msgTime - _prevTime;
+                            const prevDate = toVirtualClockDate(_prevTime, char);
+                            const curDate = toVirtualClockDate(msgTime, char);
+                            const gap = curDate - prevDate;
                             // 超过30分钟标记时间
                             if (gap > 30 * 60 * 1000) shouldMark = true;
                             // 不同天一定标记
-                            const prevDate = new Date(_prevTime + _timeOffset);
-                            const curDate = new Date(msgTime + _timeOffset);
                             if (prevDate.getDate() !== curDate.getDate() || prevDate.getMonth() !== curDate.getMonth() || prevDate.getFullYear() !== curDate.getFullYear()) shouldMark = true;
                         } else if (i === 0) {
                             // 第一条消息标上时间
@@ -31364,7 +31635,7 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                         }
                         
                         if (shouldMark) {
-                            const d = new Date(msgTime + _timeOffset);
+                            const d = toVirtualClockDate(msgTime, char);
                             const weekDays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
                             const timeLabel = `${d.getMonth()+1}月${d.getDate()}日 ${weekDays[d.getDay()]} ${d.getHours().toString().padStart(2,'0')}:${d.getMinutes().toString().padStart(2,'0')}`;
                             const msg = recentHistoryRaw[i];
@@ -31504,9 +31775,72 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                 });
                 console.log('='.repeat(80));
 
+                // 按上下文预算组装：超出时依次裁剪话题感知、对话示例、群聊经历、旧聊天记录、世界书、场景、记忆
+                const assembled = await assemblePrompt({
+                    feature: 'private_chat',
+                    system: systemPrompt,
+                    sections: [
+                        { id: 'summary', label: '总结记忆', content: summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）\n${summaryMemoryContext}\n` : '', priority: 80, trim: 'head' },
+                        { id: 'char_memory', label: '角色记忆', content: charMemoryContext, priority: 75, trim: 'head' },
+                        { id: 'topics', label: '话题感知', content: recentTopicsContext, priority: 30 },
+                        { id: 'lorebook', label: '世界书', content: loreContext ? `## 世界观设定\n${loreContext}\n` : '', priority: 60 },
+                        { id: 'group_memory', label: '群聊经历', content: groupMemoryContext, priority: 40, trim: 'head' },
+                        { id: 'scenario', label: '场景', content: buildScenarioPrompt(char), priority: 70 },
+                        { id: 'mes_example', label: '对话示例', content: buildExampleDialoguePrompt(char), priority: 35 }
+                    ],
+                    history: messages.slice(1),
+                    historyPriority: 50,
+                    keepLast: 4,
+                    macros: { char, accountId, userName, history: fullHistory }
+                });
+
                 // 2. 调用 AI（已经是防御式解析，直接拿到内容）
                 // ✅ 始终启用 json_mode，确保返回结构化 JSON（reply + thought）
-                const aiResponse = await callAI(messages, { json_mode: true });
+                // 🔧 接口支持时同时附带原生工具定义（提示词里只写工具说明，不带工具时 callAI 换回文字指令），工具调用的参数直接交给指令处理函数
+                const toolCalls = [];
+                // 🌊 开启流式回复时边生成边显示气泡（流式请求不带原生工具定义，动作指令走文字 ((...))）
+                const streamedReply = !window._fpChatMode && await isStreamReplyEnabled();
+                let aiResponse;
+                let replyPromptLogId = null; // 🔍 提示词检查器里这次请求的记录 ID
+                const onPromptLog = (id) => { replyPromptLogId = id; };
+                if (streamedReply) {
+                    const stream = startChatReplyStream(char, accountId);
+                    try {
+                        aiResponse = await callAIStream(withTextReplyCommands(assembled.messages, { context: 'private', char, userName }), {
+                            json_mode: true,
+                            signal: stream.signal,
+                            onStreamUpdate: stream.onStreamUpdate,
+                            onComplete: () => {},
+                            onPromptLog,
+                            usageTag: { charId: char.id }
+                        });
+                    } catch (streamErr) {
+                        if (!streamErr.aborted) {
+                            finishChatReplyStream();
+                            clearChatReplyStreamPreview();
+                            throw streamErr;
+                        }
+                    }
+                    const streamed = finishChatReplyStream();
+                    if (streamed.stopped) {
+                        // 用户停止生成：只保存已经显示出来的部分，一个字都没出来时直接结束
+                        if (!streamed.text) {
+                            clearChatReplyStreamPreview();
+                            if (chatTitleEl) chatTitleEl.innerText = originalTitle;
+                            return;
+                        }
+                        aiResponse = JSON.stringify({ reply: streamed.text, thought: '' });
+                    }
+                } else {
+                    aiResponse = await callAI(assembled.messages, {
+                        json_mode: true,
+                        tools: buildReplyCommandTools({ context: 'private', char }),
+                        withoutTools: msgs => withTextReplyCommands(msgs, { context: 'private', char, userName }),
+                        onToolCalls: calls => toolCalls.push(...calls),
+                        onPromptLog,
+                        usageTag: { charId: char.id }
+                    });
+                }
                 
                 // ✅ 修复：清理末尾多余的 ]，但保留 [voice:] [imgcard:] [sticker:] 等格式的闭合括号
                 function cleanMessage(text) {
@@ -31580,6 +31914,7 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                 
                 // ✅ 修复：清理末尾多余的 ]
                 replyText = cleanMessage(replyText);
+                replyText = appendToolCallDirectives(replyText, toolCalls);
                 
                 // 🔥 安全措施：清理普通聊天中误输出的SHURA指令（这些只应在查岗流程中出现）
                 replyText = replyText.replace(/\[?SHURA_DELETE:[^\]]*\]?/gi, '');
@@ -31651,7 +31986,8 @@ ${(char.reply_min_count || 1) >= 3 ? `- 🚨 **reply中必须包含至少${(char
                             try {
                                 if (typeof getLorebookContext === 'function') {
                                     const history = getChatHistory(char, accountIdForAnalysis);
-                                    lorebookForAnalysis = await getLorebookContext(char, history);
+                                    const lorebookIds = char.lorebookIds || (char.lorebookId ? [char.lorebookId] : []);
+                                    lorebookForAnalysis = await getLorebookContext(lorebookIds, buildLorebookScanText([char.name], history));
                                 }
                             } catch(e) {}
                             
@@ -31722,7 +32058,7 @@ ${checkResult.checkResult}
                                     { role: 'user', content: '(你已经成功登录并查看了WeChat数据)' }
                                 ];
                                 
-                                const analysisResponse = await callAI(analysisMessages);
+                                const analysisResponse = await callAI(analysisMessages, { usageTag: { feature: 'chat', charId: char.id } });
                                 const analysisParsed = extractAndParseJSON(analysisResponse);
                                 
                                 if (analysisParsed && analysisParsed.reply) {
@@ -32047,248 +32383,11 @@ ${checkResult.checkResult}
                     }
                 }
                 
-                // 🎯 检测角色自主手机活动指令 ((PHONE_ACTIVITY:描述))
-                const phoneActivityMatch = replyText.match(/\(\(PHONE_ACTIVITY:\s*([^)]+)\)\)/i);
-                if (phoneActivityMatch && char.allow_autonomous_activity) {
-                    const activityDesc = phoneActivityMatch[1].trim();
-                    console.log('[TriggerAI] 📱 检测到角色自主手机活动指令:', activityDesc);
-                    // 从回复文本中移除指令（对用户不可见）
-                    replyText = replyText.replace(/\(\(PHONE_ACTIVITY:\s*[^)]+\)\)/gi, '').trim();
-                    // 异步生成手机活动数据（不阻塞当前回复）
-                    generateCharAutonomousActivity(targetCharId, accountId, activityDesc).catch(e => {
-                        console.error('[TriggerAI] 角色自主活动生成失败:', e);
-                    });
-                }
-                
-                // 🎯 检测NPC加好友指令（预处理）- 不return，继续处理消息
-                const npcAddMatchReplyPre = replyText.match(/\(\(NPC_ADD_FRIEND:\s*(.+?)\s*\)\)/i);
-                if (npcAddMatchReplyPre) {
-                    const npcNameReplyPre = npcAddMatchReplyPre[1].trim();
-                    console.log(`[TriggerAI] 检测到NPC加好友指令（预处理）: ${npcNameReplyPre}`);
-                    try {
-                        await executeNpcAddFriend(char, npcNameReplyPre, accountId);
-                    } catch (e) {
-                        console.error('[TriggerAI] NPC加好友失败:', e);
-                    }
-                    replyText = replyText.replace(/\(\(NPC_ADD_FRIEND:\s*.+?\s*\)\)/gi, '').trim();
-                }
-                
-                // 🔧 预处理：提取并执行内联指令（POKE/OPEN_APP/SET_NICKNAME/SET_SIGNATURE/CALL/CHANGE_AVATAR等）
+                // 🧩 预处理：执行回复指令表中的内联指令（POKE/OPEN_APP/SET_NICKNAME/CALL/CHANGE_AVATAR/MEMORY_ADD等）
                 // 这些指令可能出现在 TRANSFER/MOMENTS/EMEI 等特殊指令之前/之间，
                 // 如果不预处理，textBefore 处理器会把它们当成普通文字发送到聊天中
-                {
-                    // 🔧 辅助函数：将系统消息写入聊天记录和UI
-                    const insertSystemMsg = async (text, type) => {
-                        try {
-                            const fc = await db.characters.get(targetCharId);
-                            if (fc) {
-                                let h = getChatHistory(fc, accountId);
-                                h.push({ role: 'system', content: text, time: _vNow(), type: type });
-                                await setChatHistory(fc, accountId, h);
-                                if (currentChatCharId === targetCharId) {
-                                    await appendMessageToUI('system', text);
-                                }
-                            }
-                        } catch (e) {
-                            console.error(`[TriggerAI] 预处理插入系统消息失败:`, e);
-                        }
-                    };
-                    
-                    // ((POKE: 动作, 部位))
-                    const pokeMatches = replyText.match(/\(\(POKE:\s*(.+?)\)\)/gi);
-                    if (pokeMatches) {
-                        for (const pm of pokeMatches) {
-                            const pokeDetail = pm.match(/\(\(POKE:\s*(.+?)\)\)/i);
-                            if (pokeDetail) {
-                                try {
-                                    const pokeContent = pokeDetail[1].trim();
-                                    let pokeAction, pokePart;
-                                    if (pokeContent.includes(',') || pokeContent.includes('，')) {
-                                        const parts = pokeContent.split(/[,，]/);
-                                        pokeAction = parts[0].trim();
-                                        pokePart = parts.slice(1).join('').trim();
-                                    } else {
-                                        const spaceIdx = pokeContent.indexOf(' ');
-                                        if (spaceIdx > 0) {
-                                            pokeAction = pokeContent.substring(0, spaceIdx).trim();
-                                            pokePart = pokeContent.substring(spaceIdx + 1).trim();
-                                        } else {
-                                            pokeAction = pokeContent;
-                                            pokePart = '';
-                                        }
-                                    }
-                                    const freshChar = await db.characters.get(targetCharId);
-                                    const myChar = accountId ? await db.characters.get(parseInt(accountId)) : null;
-                                    const pokeUserName = myChar ? (myChar.nick || myChar.name) : '用户';
-                                    const pokeText = pokePart ? `${freshChar.name}${pokeAction}${pokeUserName}的${pokePart}` : `${freshChar.name}${pokeAction}${pokeUserName}`;
-                                    console.log(`[TriggerAI] 预处理戳一戳: ${pokeText}`);
-                                    await insertSystemMsg(pokeText, 'poke');
-                                } catch (e) {
-                                    console.error('[TriggerAI] 预处理戳一戳失败:', e);
-                                }
-                            }
-                        }
-                        replyText = replyText.replace(/\(\(POKE:\s*(.+?)\)\)/gi, '').trim();
-                    }
-                    
-                    // ((OPEN_APP: APP名称))
-                    const appMatches = replyText.match(/\(\(OPEN_APP:\s*(.+?)\)\)/gi);
-                    if (appMatches) {
-                        for (const am of appMatches) {
-                            const appDetail = am.match(/\(\(OPEN_APP:\s*(.+?)\)\)/i);
-                            if (appDetail) {
-                                try {
-                                    const appName = appDetail[1].trim();
-                                    const freshChar = await db.characters.get(targetCharId);
-                                    const appText = `${freshChar.name} 打开了 "${appName}"`;
-                                    console.log(`[TriggerAI] 预处理打开APP: ${appText}`);
-                                    await insertSystemMsg(appText, 'open_app');
-                                } catch (e) {
-                                    console.error('[TriggerAI] 预处理打开APP失败:', e);
-                                }
-                            }
-                        }
-                        replyText = replyText.replace(/\(\(OPEN_APP:\s*(.+?)\)\)/gi, '').trim();
-                    }
-                    
-                    // ((SET_NICKNAME: 新网名))
-                    const nickMatchPre = replyText.match(/\(\(SET_NICKNAME:\s*(.+?)\)\)/i);
-                    if (nickMatchPre) {
-                        try {
-                            const newNickname = nickMatchPre[1].trim();
-                            const freshChar = await db.characters.get(targetCharId);
-                            const oldNickname = getCharWxNickname(freshChar, accountId) || freshChar.name;
-                            // 🛡️ 使用 update() 只更新网名字段，防止覆盖设置
-                            const nnPayload = accountId
-                                ? { [`wx_nickname_by_user.${accountId}`]: newNickname }
-                                : { wx_nickname: newNickname };
-                            await safeDexieUpdate(db.characters, targetCharId, nnPayload, `改网名[${freshChar.name}]`);
-                            setCharWxNickname(freshChar, accountId, newNickname);
-                            const nicknameText = `${oldNickname} 将网名改为 "${newNickname}"`;
-                            console.log(`[TriggerAI] 预处理改网名: ${nicknameText}`);
-                            await insertSystemMsg(nicknameText, 'set_nickname');
-                            // 更新UI上的名字
-                            if (currentChatCharId === targetCharId) {
-                                if (!freshChar.remark) {
-                                    const titleEl = document.getElementById('chat-title');
-                                    if (titleEl) titleEl.innerText = newNickname;
-                                }
-                                const nicknameEl = document.getElementById('detail-char-nickname');
-                                if (nicknameEl) nicknameEl.innerText = newNickname;
-                            }
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理改网名失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(SET_NICKNAME:\s*(.+?)\)\)/gi, '').trim();
-                    }
-                    
-                    // ((SET_SIGNATURE: 新签名))
-                    const sigMatchPre = replyText.match(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/i);
-                    if (sigMatchPre) {
-                        try {
-                            const newSignature = sigMatchPre[1].trim();
-                            const freshChar = await db.characters.get(targetCharId);
-                            // 🛡️ 使用 update() 只更新签名字段，防止覆盖设置
-                            await safeDexieUpdate(db.characters, targetCharId, { wx_signature: newSignature }, `改签名[${freshChar.name}]`);
-                            freshChar.wx_signature = newSignature;
-                            const sigText = `${freshChar.wx_nickname || freshChar.name} 更新了个性签名: "${newSignature}"`;
-                            console.log(`[TriggerAI] 预处理改签名: ${sigText}`);
-                            await insertSystemMsg(sigText, 'set_signature');
-                            if (currentChatCharId === targetCharId) {
-                                const sigEl = document.getElementById('detail-char-signature');
-                                if (sigEl) sigEl.innerText = newSignature;
-                            }
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理改签名失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/gi, '').trim();
-                    }
-                    
-                    // ((CALL)) - 来电
-                    if (/\(\(CALL\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理来电指令 ((CALL))`);
-                        let callRejectedBusy = false;
-                        try {
-                            if (!_incomingCallCharId) {
-                                const callResult = await showIncomingCall(targetCharId, '');
-                                if (callResult === 'busy') callRejectedBusy = true;
-                            }
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理来电失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(CALL\)\)/gi, '').trim();
-                        // 🔧 如果因忙碌被拒，清空剩余文字（通话场景内容不应显示在文字聊天中）
-                        if (callRejectedBusy) replyText = '';
-                    }
-                    
-                    // ((CHANGE_AVATAR))
-                    if (/\(\(CHANGE_AVATAR\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理换头像指令`);
-                        try {
-                            await executeChangeAvatar(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理换头像失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(CHANGE_AVATAR\)\)/gi, '').trim();
-                    }
-                    
-                    // ((COUPLE_AVATAR))
-                    if (/\(\(COUPLE_AVATAR\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理情头邀请指令`);
-                        try {
-                            await sendCoupleAvatarCard(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理情头邀请失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(COUPLE_AVATAR\)\)/gi, '').trim();
-                    }
-                    
-                    // ((REVERT_COUPLE_AVATAR))
-                    if (/\(\(REVERT_COUPLE_AVATAR\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理换回单人头像指令`);
-                        try {
-                            await executeRevertCoupleAvatar(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理换回单人头像失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(REVERT_COUPLE_AVATAR\)\)/gi, '').trim();
-                    }
-                    
-                    // ((CROP_AVATAR: N, left, top, width, height))
-                    const cropMatchPre = replyText.match(/\(\(CROP_AVATAR:\s*(\d+)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*\)\)/i);
-                    if (cropMatchPre) {
-                        const cropImgIdx = parseInt(cropMatchPre[1]) || 1;
-                        const cropL = parseFloat(cropMatchPre[2]);
-                        const cropT = parseFloat(cropMatchPre[3]);
-                        const cropW = parseFloat(cropMatchPre[4]);
-                        const cropH = parseFloat(cropMatchPre[5]);
-                        console.log(`[TriggerAI] 预处理裁剪头像指令: 图${cropImgIdx}, 区域(${cropL}%, ${cropT}%, ${cropW}%, ${cropH}%)`);
-                        try {
-                            await executeCropImageAsAvatar(targetCharId, accountId, cropImgIdx, cropL, cropT, cropW, cropH);
-                        } catch (e) {
-                            console.error('[TriggerAI] 预处理裁剪头像失败:', e);
-                        }
-                        replyText = replyText.replace(/\(\(CROP_AVATAR:\s*\d+\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*\)\)/gi, '').trim();
-                    }
-                    
-                    // ((BLOCK_MOMENTS)) / ((UNBLOCK_MOMENTS)) - 朋友圈屏蔽（静默）
-                    if (/\(\(BLOCK_MOMENTS\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理朋友圈屏蔽指令`);
-                        try { await executeBlockMoments(targetCharId, accountId, true); } catch (e) { console.error('[TriggerAI] 朋友圈屏蔽失败:', e); }
-                        replyText = replyText.replace(/\(\(BLOCK_MOMENTS\)\)/gi, '').trim();
-                    }
-                    if (/\(\(UNBLOCK_MOMENTS\)\)/i.test(replyText)) {
-                        console.log(`[TriggerAI] 预处理朋友圈解除屏蔽指令`);
-                        try { await executeBlockMoments(targetCharId, accountId, false); } catch (e) { console.error('[TriggerAI] 朋友圈解除屏蔽失败:', e); }
-                        replyText = replyText.replace(/\(\(UNBLOCK_MOMENTS\)\)/gi, '').trim();
-                    }
-                    
-                    // ((RECALL)) - 撤回：预处理移除，稍后在消息循环中不会遇到问题
-                    // 注意：RECALL 需要在消息发送后执行，所以保留在消息循环中处理
-                    
-                    // 清理预处理后可能产生的孤立 ||| 分隔符
-                    replyText = replyText.replace(/(\|\|\|)+/g, '|||').replace(/^\|\|\|/, '').replace(/\|\|\|$/, '').trim();
-                }
+                const replyCommandCtx = { context: 'private', char, charId: targetCharId, accountId, now: _vNow };
+                replyText = (await executeReplyCommands(replyText, replyCommandCtx, toolCalls)).text;
 
                 // ✅ 关键改动：在拆分前，先检测是否包含"指令型消息"（转账等）
                 // 检测 ((TRANSFER: 金额, 备注)) 格式
@@ -33278,273 +33377,9 @@ ${checkResult.checkResult}
                         continue;
                     }
                     
-                    // 🎯 检测换头像指令 ((CHANGE_AVATAR)) - 在分段中检测
-                    if (/\(\(CHANGE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到换头像指令，执行换头像...`);
-                        try {
-                            await executeChangeAvatar(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] 换头像失败:', e);
-                        }
-                        // 移除指令文本，保留其他内容
-                        seg = seg.replace(/\(\(CHANGE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测情头邀请指令 ((COUPLE_AVATAR)) - 在分段中检测
-                    if (/\(\(COUPLE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到情头邀请指令...`);
-                        try {
-                            await sendCoupleAvatarCard(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] 发送情头邀请失败:', e);
-                        }
-                        seg = seg.replace(/\(\(COUPLE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测换回单人头像指令 ((REVERT_COUPLE_AVATAR)) - 在分段中检测
-                    if (/\(\(REVERT_COUPLE_AVATAR\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到换回单人头像指令...`);
-                        try {
-                            await executeRevertCoupleAvatar(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] 换回单人头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(REVERT_COUPLE_AVATAR\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测使用图片当头像指令 ((USE_IMAGE_AS_AVATAR: N)) - 在分段中检测
-                    const useImgMatchReply = seg.match(/\(\(USE_IMAGE_AS_AVATAR(?::\s*(\d+))?\)\)/i);
-                    if (useImgMatchReply) {
-                        const imgIdx = useImgMatchReply[1] ? parseInt(useImgMatchReply[1]) : 1;
-                        console.log(`[AiReply] 检测到使用图片当头像指令，选择第${imgIdx}张...`);
-                        try {
-                            await executeUseImageAsAvatar(targetCharId, accountId, imgIdx);
-                        } catch (e) {
-                            console.error('[AiReply] 使用图片当头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(USE_IMAGE_AS_AVATAR(?::\s*\d+)?\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测裁剪图片当头像指令 ((CROP_AVATAR: N, left, top, width, height)) - 在分段中检测
-                    const cropMatchReply = seg.match(/\(\(CROP_AVATAR:\s*(\d+)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*\)\)/i);
-                    if (cropMatchReply) {
-                        const cropImgIdx = parseInt(cropMatchReply[1]) || 1;
-                        const cropL = parseFloat(cropMatchReply[2]);
-                        const cropT = parseFloat(cropMatchReply[3]);
-                        const cropW = parseFloat(cropMatchReply[4]);
-                        const cropH = parseFloat(cropMatchReply[5]);
-                        console.log(`[AiReply] 检测到裁剪头像指令: 图${cropImgIdx}, 区域(${cropL}%, ${cropT}%, ${cropW}%, ${cropH}%)`);
-                        try {
-                            await executeCropImageAsAvatar(targetCharId, accountId, cropImgIdx, cropL, cropT, cropW, cropH);
-                        } catch (e) {
-                            console.error('[AiReply] 裁剪头像失败:', e);
-                        }
-                        seg = seg.replace(/\(\(CROP_AVATAR:\s*\d+\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*,\s*\d+(?:\.\d+)?\s*\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测来电指令 ((CALL)) - 角色主动给用户打电话
-                    if (/\(\(CALL\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 📞 检测到来电指令 ((CALL))`);
-                        let callRejectedBusy = false;
-                        try {
-                            const callFirstMsg = seg.replace(/\(\(CALL\)\)/gi, '').trim();
-                            if (!_incomingCallCharId) {
-                                const callResult = await showIncomingCall(targetCharId, callFirstMsg || '');
-                                if (callResult === 'busy') callRejectedBusy = true;
-                            }
-                        } catch (e) {
-                            console.error('[AiReply] 来电处理失败:', e);
-                        }
-                        // 🔧 如果因忙碌被拒，丢弃这段文字（AI按通话场景写的内容不应出现在文字聊天中）
-                        if (callRejectedBusy) continue;
-                        seg = seg.replace(/\(\(CALL\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测戳一戳指令 ((POKE: 动作, 部位)) - 在分段中检测
-                    const pokeMatchReply = seg.match(/\(\(POKE:\s*(.+?)\)\)/i);
-                    if (pokeMatchReply) {
-                        console.log(`[AiReply] 检测到戳一戳指令...`);
-                        try {
-                            const pokeContent = pokeMatchReply[1].trim();
-                            let pokeAction, pokePart;
-                            if (pokeContent.includes(',') || pokeContent.includes('，')) {
-                                const parts = pokeContent.split(/[,，]/);
-                                pokeAction = parts[0].trim();
-                                pokePart = parts.slice(1).join('').trim();
-                            } else {
-                                const spaceIdx = pokeContent.indexOf(' ');
-                                if (spaceIdx > 0) {
-                                    pokeAction = pokeContent.substring(0, spaceIdx).trim();
-                                    pokePart = pokeContent.substring(spaceIdx + 1).trim();
-                                } else {
-                                    pokeAction = pokeContent;
-                                    pokePart = '';
-                                }
-                            }
-                            const freshChar = await db.characters.get(targetCharId);
-                            const myChar = accountId ? await db.characters.get(parseInt(accountId)) : null;
-                            const userName = myChar ? (myChar.nick || myChar.name) : '用户';
-                            const pokeText = pokePart ? `${freshChar.name}${pokeAction}${userName}的${pokePart}` : `${freshChar.name}${pokeAction}${userName}`;
-                            
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: pokeText, time: _vNow(), type: 'poke' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === targetCharId) {
-                                await appendMessageToUI('system', pokeText);
-                            }
-                            console.log(`[AiReply] 戳一戳: ${pokeText}`);
-                        } catch (e) {
-                            console.error('[AiReply] 戳一戳失败:', e);
-                        }
-                        seg = seg.replace(/\(\(POKE:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测打开APP指令 ((OPEN_APP: APP名称)) - 在分段中检测
-                    const appMatchReply = seg.match(/\(\(OPEN_APP:\s*(.+?)\)\)/i);
-                    if (appMatchReply) {
-                        console.log(`[AiReply] 检测到打开APP指令...`);
-                        try {
-                            const appName = appMatchReply[1].trim();
-                            const freshChar = await db.characters.get(targetCharId);
-                            const appText = `${freshChar.name} 打开了 "${appName}"`;
-                            
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: appText, time: _vNow(), type: 'open_app' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === targetCharId) {
-                                await appendMessageToUI('system', appText);
-                            }
-                            console.log(`[AiReply] 打开APP: ${appText}`);
-                        } catch (e) {
-                            console.error('[AiReply] 打开APP失败:', e);
-                        }
-                        seg = seg.replace(/\(\(OPEN_APP:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测改网名指令 ((SET_NICKNAME: 新网名)) - 在分段中检测
-                    const nicknameMatchReply = seg.match(/\(\(SET_NICKNAME:\s*(.+?)\)\)/i);
-                    if (nicknameMatchReply) {
-                        console.log(`[AiReply] 检测到改网名指令...`);
-                        try {
-                            const newNickname = nicknameMatchReply[1].trim();
-                            const freshChar = await db.characters.get(targetCharId);
-                            const oldNickname = getCharWxNickname(freshChar, accountId) || freshChar.name;
-                            // 🛡️ 使用 update() 只更新网名字段，防止覆盖设置
-                            const nnPayloadR = accountId
-                                ? { [`wx_nickname_by_user.${accountId}`]: newNickname }
-                                : { wx_nickname: newNickname };
-                            await safeDexieUpdate(db.characters, targetCharId, nnPayloadR, `改网名[${freshChar.name}]`);
-                            setCharWxNickname(freshChar, accountId, newNickname);
-                            
-                            const nicknameText = `${oldNickname} 将网名改为 "${newNickname}"`;
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: nicknameText, time: _vNow(), type: 'set_nickname' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === targetCharId) {
-                                await appendMessageToUI('system', nicknameText);
-                                if (!freshChar.remark) {
-                                    document.getElementById('chat-title').innerText = newNickname;
-                                }
-                                const nicknameEl = document.getElementById('detail-char-nickname');
-                                if (nicknameEl) nicknameEl.innerText = newNickname;
-                            }
-                            console.log(`[AiReply] 改网名: ${nicknameText}`);
-                        } catch (e) {
-                            console.error('[AiReply] 改网名失败:', e);
-                        }
-                        seg = seg.replace(/\(\(SET_NICKNAME:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测改个性签名指令 ((SET_SIGNATURE: 新签名)) - 在分段中检测
-                    const signatureMatchReply = seg.match(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/i);
-                    if (signatureMatchReply) {
-                        console.log(`[AiReply] 检测到改个性签名指令...`);
-                        try {
-                            const newSignature = signatureMatchReply[1].trim();
-                            const freshChar = await db.characters.get(targetCharId);
-                            // 🛡️ 使用 update() 只更新签名字段，防止覆盖设置
-                            await safeDexieUpdate(db.characters, targetCharId, { wx_signature: newSignature }, `改签名[${freshChar.name}]`);
-                            freshChar.wx_signature = newSignature;
-                            
-                            const sigText = `${freshChar.wx_nickname || freshChar.name} 更新了个性签名: "${newSignature}"`;
-                            let history = getChatHistory(freshChar, accountId);
-                            history.push({ role: 'system', content: sigText, time: _vNow(), type: 'set_signature' });
-                            await setChatHistory(freshChar, accountId, history);
-                            
-                            if (currentChatCharId === targetCharId) {
-                                await appendMessageToUI('system', sigText);
-                                const sigEl = document.getElementById('detail-char-signature');
-                                if (sigEl) sigEl.innerText = newSignature;
-                            }
-                            console.log(`[AiReply] 改签名: ${sigText}`);
-                        } catch (e) {
-                            console.error('[AiReply] 改签名失败:', e);
-                        }
-                        seg = seg.replace(/\(\(SET_SIGNATURE:\s*(.+?)\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测删除好友指令 ((DELETE_USER)) - 在分段中检测
-                    if (/\(\(DELETE_USER\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到角色删除用户指令...`);
-                        try {
-                            await executeCharDeleteUser(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] 角色删除用户失败:', e);
-                        }
-                        seg = seg.replace(/\(\(DELETE_USER\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测拉黑好友指令 ((BLOCK_USER)) - 在分段中检测
-                    if (/\(\(BLOCK_USER\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到角色拉黑用户指令...`);
-                        try {
-                            await executeCharBlockUser(targetCharId, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] 角色拉黑用户失败:', e);
-                        }
-                        seg = seg.replace(/\(\(BLOCK_USER\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测朋友圈屏蔽/解除屏蔽指令 - 在分段中检测
-                    if (/\(\(BLOCK_MOMENTS\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到朋友圈屏蔽指令（分段）`);
-                        try { await executeBlockMoments(targetCharId, accountId, true); } catch (e) { console.error('[AiReply] 朋友圈屏蔽失败:', e); }
-                        seg = seg.replace(/\(\(BLOCK_MOMENTS\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    if (/\(\(UNBLOCK_MOMENTS\)\)/i.test(seg)) {
-                        console.log(`[AiReply] 检测到朋友圈解除屏蔽指令（分段）`);
-                        try { await executeBlockMoments(targetCharId, accountId, false); } catch (e) { console.error('[AiReply] 朋友圈解除屏蔽失败:', e); }
-                        seg = seg.replace(/\(\(UNBLOCK_MOMENTS\)\)/gi, '').trim();
-                        if (!seg) continue;
-                    }
-                    
-                    // 🎯 检测NPC加好友指令 ((NPC_ADD_FRIEND: NPC名字)) - 在分段中检测
-                    const npcAddMatchReply = seg.match(/\(\(NPC_ADD_FRIEND:\s*(.+?)\s*\)\)/i);
-                    if (npcAddMatchReply) {
-                        const npcName = npcAddMatchReply[1].trim();
-                        console.log(`[AiReply] 检测到NPC加好友指令: ${npcName}`);
-                        try {
-                            await executeNpcAddFriend(char, npcName, accountId);
-                        } catch (e) {
-                            console.error('[AiReply] NPC加好友失败:', e);
-                        }
-                        seg = seg.replace(/\(\(NPC_ADD_FRIEND:\s*.+?\s*\)\)/gi, '').trim();
+                    // 🧩 分段中残留的内联指令（兜底，正常情况下已在预处理中执行）
+                    if (seg.includes('((')) {
+                        seg = (await executeReplyCommands(seg, replyCommandCtx)).text;
                         if (!seg) continue;
                     }
                     
@@ -33717,8 +33552,8 @@ ${checkResult.checkResult}
                         const part = subParts[subIdx];
                         if (!part || !part.trim()) continue;
                         
-                        // 延时：第一条直接发(前面loading已经是等待了)，后续模拟打字
-                        if (i > 0 || subIdx > 0) {
+                        // 延时：第一条直接发(前面loading已经是等待了)，后续模拟打字；流式时用户已经看着打完了，不再等待
+                        if ((i > 0 || subIdx > 0) && !streamedReply) {
                             const delay = 500 + Math.min(part.length * 80, 3000);
                             await new Promise(r => setTimeout(r, delay));
                         }
@@ -33770,6 +33605,20 @@ ${checkResult.checkResult}
                     }
                 }
                 
+                // 🧠 记录本次回复引用了哪些长期记忆（长按消息 → 记忆）
+                try {
+                    await stampUsedMemoriesOnReply(targetCharId, accountId, replyHistoryStart, usedMemoriesForReply);
+                } catch (memStampErr) {
+                    console.warn('[triggerAiReply] 记录引用记忆失败:', memStampErr);
+                }
+                
+                // 🔍 记录本次回复对应的请求（长按消息 → 提示词）
+                try {
+                    await stampPromptLogOnReply(targetCharId, accountId, replyHistoryStart, replyPromptLogId);
+                } catch (logStampErr) {
+                    console.warn('[triggerAiReply] 记录请求ID失败:', logStampErr);
+                }
+                
                 // ✅ AI回复完成后，检测 imgcard 并调用 NovelAI 自动生图
                 try {
                     await processImgCardsWithNovelAI(targetCharId, accountId);
@@ -33783,6 +33632,7 @@ ${checkResult.checkResult}
                         const freshCharForFp = await db.characters.get(targetCharId);
                         if (freshCharForFp) {
                             let markedCount = 0;
+                            const markedThreads = []; // 有新标记的 fp_npc_ 会话，只写这几段
                             // 标记fp_npc_消息
                             if (freshCharForFp.chat_history_by_user) {
                                 for (const key of Object.keys(freshCharForFp.chat_history_by_user)) {
@@ -33792,6 +33642,7 @@ ${checkResult.checkResult}
                                         if ((m.fpSent || (!m.fpSent && m.role === 'user')) && !m.fpNotified) {
                                             m.fpNotified = true;
                                             markedCount++;
+                                            if (!markedThreads.includes(key)) markedThreads.push(key);
                                         }
                                     }
                                 }
@@ -33810,9 +33661,9 @@ ${checkResult.checkResult}
                             }
                             // 🔧 修复数据丢失：使用 update() 只更新标记字段，避免覆盖并发写入的聊天记录
                             const fpUpdatePayload = {};
-                            if (freshCharForFp.chat_history_by_user) {
-                                fpUpdatePayload.chat_history_by_user = freshCharForFp.chat_history_by_user;
-                            }
+                            markedThreads.forEach(key => {
+                                fpUpdatePayload[`chat_history_by_user.${key}`] = freshCharForFp.chat_history_by_user[key];
+                            });
                             if (freshCharForFp.fp_moments_by_user) {
                                 fpUpdatePayload.fp_moments_by_user = freshCharForFp.fp_moments_by_user;
                             }
@@ -33863,6 +33714,8 @@ ${checkResult.checkResult}
                 // 使用弹窗显示错误信息，而不是在聊天界面添加消息
                 showApiErrorToast(err.message || 'API 请求失败，请检查网络或 API 配置');
             } finally {
+                // 🌊 流式预览气泡在最终消息渲染后已无用（中途出错时也要清掉）
+                clearChatReplyStreamPreview();
                 // 🔧 清除安全定时器（正常完成则不需要它了）
                 clearTimeout(_safetyLockTimer);
                 // 🔧 无论成功还是失败，都要释放锁，允许下次调用
@@ -33931,9 +33784,10 @@ ${checkResult.checkResult}
                 return;
             }
             
-            // ★ 关键：直接截断到最后一条用户消息之后，删除其后所有AI回复和系统消息
+            // ★ 关键：截断前先把当前这一版回复存为备选，再删除其后所有AI回复和系统消息
+            const anchorTime = stashReplyVariant(history);
             history.splice(lastUserMsgIndex + 1);
-            await setChatHistory(char, accountId, history);
+            await setChatHistory(char, accountId, history, { isDelete: true });
             await safeCharacterPut(char);
             
             // 重新渲染聊天界面（移除AI回复消息）
@@ -33945,6 +33799,15 @@ ${checkResult.checkResult}
             // 直接重新生成回复，不使用特殊的重回模式提示
             // 历史记录以用户消息结尾，AI会自然地回复该用户消息
             await triggerAiReply();
+            
+            // 新回复存为最新一版备选；没有生成出内容时恢复原来那一版
+            const freshChar = await db.characters.get(char.id);
+            const freshHistory = freshChar ? getChatHistory(freshChar, accountId) : null;
+            const committed = freshHistory ? commitReplyVariant(freshHistory, anchorTime) : null;
+            if (committed) {
+                await setChatHistory(freshChar, accountId, freshHistory, { isDelete: true });
+                if (committed === 'restored' && currentChatCharId === char.id) renderChatBody(freshChar);
+            }
         }
         
         // 群聊重新生成回复
@@ -33988,7 +33851,8 @@ ${checkResult.checkResult}
                 return;
             }
             
-            // ★ 关键：直接截断到最后一条用户消息之后，删除其后所有AI回复和系统消息
+            // ★ 关键：截断前先把当前这一版回复存为备选，再删除其后所有AI回复和系统消息
+            const anchorTime = stashReplyVariant(history);
             history.splice(lastUserMsgIndex + 1);
             
             group.chat_history = history;
@@ -34003,6 +33867,14 @@ ${checkResult.checkResult}
             
             // 直接重新生成群聊回复，不使用特殊的重回模式提示
             await triggerAiReply();
+            
+            // 新回复存为最新一版备选；没有生成出内容时恢复原来那一版
+            const freshGroup = await getCachedGroupChat(group.id);
+            const committed = freshGroup ? commitReplyVariant(freshGroup.chat_history || [], anchorTime) : null;
+            if (committed) {
+                await safeGroupChatPut(freshGroup);
+                if (committed === 'restored' && window.currentGroupChatId === group.id) await renderGroupChatBody(freshGroup);
+            }
         }
 
 // ===== 角色档案 (Character) 逻辑 已移至 character.js =====
@@ -34908,13 +34780,15 @@ async function sendGlobalSticker(catId, url) {
     
     // 发送消息 - 使用按账号隔离的聊天记录
     let history = getChatHistory(char, accountId);
+    const clientMsgId = char.isOnlineFriend ? createOnlineClientMsgId() : undefined;
     
     history.push({
         role: 'user',
         content: msgContent,
         imageDescription: desc, // 新增字段：图片描述
         isSticker: true, // 标记为表情包，防止被当作头像使用
-        time: Date.now()
+        time: Date.now(),
+        onlineClientMsgId: clientMsgId
     });
     
     await setChatHistory(char, accountId, history);
@@ -34928,7 +34802,7 @@ async function sendGlobalSticker(catId, url) {
         if (onlineUserChar && onlineConnected) {
             const fromWxAccount = onlineUserChar.identity.account;
             const toWxAccount = char.onlineData.wx_account;
-            const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount);
+            const sent = sendOnlineMessage(toWxAccount, msgContent, fromWxAccount, clientMsgId);
             if (sent) {
                 console.log('[Online] 表情包已发送到服务器:', url);
             } else {
@@ -37361,7 +37235,7 @@ async function generateFriendInteractions(momentId, privacy, privacyList) {
         try {
             const lorebookIds = myChar?.lorebookIds || (myChar?.lorebookId ? [myChar.lorebookId] : []);
             if (lorebookIds.length > 0 && typeof getLorebookContext === 'function') {
-                friendInterLoreContext = await getLorebookContext(lorebookIds, myName);
+                friendInterLoreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([myName, moment.content], []));
             }
         } catch (e) {
             console.warn('[朋友圈互动] 获取世界书失败:', e);
@@ -37468,7 +37342,7 @@ ${commenterInfos}
                         const result = await callAI([
                             { role: 'system', content: friendInterSystemPrompt },
                             { role: 'user', content: batchPrompt }
-                        ], { _useSecondary: true });
+                        ], { _useSecondary: true, usageTag: { feature: 'moments' } });
                         
                         // 解析结果
                         let aiComments = [];
@@ -37590,7 +37464,7 @@ ${dmInfos}
                     const dmResult = await callAI([
                         { role: 'system', content: '你是一个社交媒体私信生成助手，只返回JSON数组，不要任何其他文字。' },
                         { role: 'user', content: dmPrompt }
-                    ], { _useSecondary: true });
+                    ], { _useSecondary: true, usageTag: { feature: 'moments' } });
                     
                     // 解析AI返回的私信内容
                     let aiDMs = [];
@@ -38075,7 +37949,7 @@ ${myName} 回复了你："${userComment}"
         const result = await callAI([
             { role: 'system', content: '你是一个社交媒体评论角色扮演助手，直接返回回复内容，不要任何格式标记。' },
             { role: 'user', content: prompt }
-        ], { _useSecondary: true });
+        ], { _useSecondary: true, usageTag: { feature: 'moments', charId: targetChar.id } });
         
         const replyContent = result.trim().replace(/^["'"]|["'"]$/g, '');
         if (replyContent) {
@@ -38174,7 +38048,7 @@ ${myName} 评论了你的朋友圈："${userComment}"
         const result = await callAI([
             { role: 'system', content: '你是一个社交媒体评论角色扮演助手，直接返回回复内容，不要任何格式标记。' },
             { role: 'user', content: promptText }
-        ], { _useSecondary: true });
+        ], { _useSecondary: true, usageTag: { feature: 'moments', charId: ownerChar.id } });
         
         const replyContent = result.trim().replace(/^["'"""]+|["'"""]+$/g, '');
         if (replyContent) {
@@ -38259,7 +38133,7 @@ async function triggerMutualFriendComments(momentId) {
             try {
                 const lorebookIds = ownerChar.lorebookIds || (ownerChar.lorebookId ? [ownerChar.lorebookId] : []);
                 if (lorebookIds.length > 0 && typeof getLorebookContext === 'function') {
-                    mutualLoreContext = await getLorebookContext(lorebookIds, ownerChar.name);
+                    mutualLoreContext = await getLorebookContext(lorebookIds, buildLorebookScanText([ownerChar.name, freshMoment.content], getChatHistory(ownerChar, accountId)));
                 }
             } catch (e) {
                 console.warn('[朋友圈NPC] 获取世界书失败:', e);
@@ -38301,7 +38175,7 @@ ${npcInfos}
             const result = await callAI([
                 { role: 'system', content: mutualNpcSystemPrompt },
                 { role: 'user', content: batchPrompt }
-            ], { json_mode: true, _useSecondary: true });
+            ], { json_mode: true, _useSecondary: true, usageTag: { feature: 'moments' } });
             
             // 解析结果
             let aiComments = [];
@@ -39214,43 +39088,24 @@ async function renderFamilyCardList() {
         }
     }
     
-    // 2. 联机亲属卡（从聊天记录中查找，和转账一样）
-    console.log('[亲属卡] 开始查找联机亲属卡...');
-    const allOnlineFriends = await db.characters.where('type').equals('online_friend').toArray();
-    console.log('[亲属卡] 找到联机好友数量:', allOnlineFriends.length);
-    
-    for (const friendChar of allOnlineFriends) {
-        const history = getChatHistory(friendChar, accountId);
-        if (!history) continue;
-        
-        // 查找我发送的亲属卡消息（role='user' 且 type='familyCard'）
-        const myFamilyCards = history.filter(msg => msg.role === 'user' && msg.type === 'familyCard');
-        
-        if (myFamilyCards.length > 0) {
-            // 只显示最后一张（最新的）
-            const lastCard = myFamilyCards[myFamilyCards.length - 1];
-            let cardData = {};
-            try {
-                cardData = JSON.parse(lastCard.content);
-            } catch (e) {
-                cardData = { monthlyLimit: 0 };
-            }
-            
-            const limitText = cardData.monthlyLimit > 0 ? `额度 ¥${cardData.monthlyLimit}` : '不限额度';
-            givenHtml += `
-                <div class="family-card-item">
-                    <div class="family-card-avatar" style="background-image:url(${friendChar.avatar})"></div>
-                    <div class="family-card-info">
-                        <div class="family-card-name">${friendChar.name} <span style="font-size:12px;color:#999;">(联机)</span></div>
-                        <div class="family-card-detail">${limitText}</div>
-                    </div>
-                    <div class="family-card-actions">
-                        <button class="family-card-btn view" onclick="showToast('联机亲属卡暂不支持查看记录')">记录</button>
-                    </div>
+    // 2. 联机亲属卡（服务器账本里仍有效的卡，family_cards_list 缓存在本地）
+    const onlineGivenCards = JSON.parse(localStorage.getItem('online_family_cards_given') || '[]');
+    for (const card of onlineGivenCards) {
+        const usedThisMonth = Number(card.used_this_month) || 0;
+        const limitText = card.monthly_limit > 0 ? `已用 ¥${usedThisMonth.toFixed(2)} / ¥${card.monthly_limit}` : `已用 ¥${usedThisMonth.toFixed(2)} (不限额)`;
+        givenHtml += `
+            <div class="family-card-item">
+                <div class="family-card-avatar" style="background-image:url(${card.to_avatar || ''})"></div>
+                <div class="family-card-info">
+                    <div class="family-card-name">${escapeHtml(card.to_nickname || card.to_wx_account)} <span style="font-size:12px;color:#999;">(联机)</span></div>
+                    <div class="family-card-detail">${limitText}</div>
                 </div>
-            `;
-            console.log('[亲属卡] 找到赠送给', friendChar.name, '的亲属卡');
-        }
+                <div class="family-card-actions">
+                    <button class="family-card-btn view" onclick="showToast('联机亲属卡暂不支持查看记录')">记录</button>
+                    <button class="family-card-btn cancel" onclick="revokeOnlineFamilyCard('${card.id}', 'given')">解绑</button>
+                </div>
+            </div>
+        `;
     }
     
     givenListEl.innerHTML = givenHtml || '';
@@ -39284,39 +39139,24 @@ async function renderFamilyCardList() {
         }
     }
     
-    // 2. 联机亲属卡（从聊天记录中查找，和转账一样）
-    for (const friendChar of allOnlineFriends) {
-        const history = getChatHistory(friendChar, accountId);
-        if (!history) continue;
-        
-        // 查找对方发送的亲属卡消息（role='char' 且 type='familyCard'）
-        const receivedFamilyCards = history.filter(msg => msg.role === 'char' && msg.type === 'familyCard');
-        
-        if (receivedFamilyCards.length > 0) {
-            // 只显示最后一张（最新的）
-            const lastCard = receivedFamilyCards[receivedFamilyCards.length - 1];
-            let cardData = {};
-            try {
-                cardData = JSON.parse(lastCard.content);
-            } catch (e) {
-                cardData = { monthlyLimit: 0 };
-            }
-            
-            const limitText = cardData.monthlyLimit > 0 ? `额度 ¥${cardData.monthlyLimit}` : '不限额';
-            receivedHtml += `
-                <div class="family-card-item">
-                    <div class="family-card-avatar" style="background-image:url(${friendChar.avatar})"></div>
-                    <div class="family-card-info">
-                        <div class="family-card-name">${friendChar.name} 的亲属卡 <span style="font-size:12px;color:#999;">(联机)</span></div>
-                        <div class="family-card-detail">${limitText}</div>
-                    </div>
-                    <div class="family-card-actions">
-                        <button class="family-card-btn view" onclick="showToast('联机亲属卡暂不支持查看记录')">记录</button>
-                    </div>
+    // 2. 联机亲属卡（服务器账本里仍有效的卡）
+    const onlineReceivedCards = JSON.parse(localStorage.getItem('online_family_cards_received') || '[]');
+    for (const card of onlineReceivedCards) {
+        const usedThisMonth = Number(card.used_this_month) || 0;
+        const limitText = card.monthly_limit > 0 ? `本月可用 ¥${(card.monthly_limit - usedThisMonth).toFixed(2)}` : '不限额';
+        receivedHtml += `
+            <div class="family-card-item">
+                <div class="family-card-avatar" style="background-image:url(${card.from_avatar || ''})"></div>
+                <div class="family-card-info">
+                    <div class="family-card-name">${escapeHtml(card.from_nickname || card.from_wx_account)} 的亲属卡 <span style="font-size:12px;color:#999;">(联机)</span></div>
+                    <div class="family-card-detail">${limitText}</div>
                 </div>
-            `;
-            console.log('[亲属卡] 找到来自', friendChar.name, '的亲属卡');
-        }
+                <div class="family-card-actions">
+                    <button class="family-card-btn view" onclick="showToast('联机亲属卡暂不支持查看记录')">记录</button>
+                    <button class="family-card-btn cancel" onclick="revokeOnlineFamilyCard('${card.id}', 'received')">解绑</button>
+                </div>
+            </div>
+        `;
     }
     
     if (receivedHtml) {
@@ -39356,18 +39196,16 @@ async function showGiveFamilyCardModal() {
     const givenCards = user?.identity?.familyCardsGiven || [];
     const givenIds = givenCards.map(c => c.charId);
     
-    // ✅ 排除已经在聊天记录中赠送过亲属卡的（联机好友）
+    // ✅ 排除已经赠送过亲属卡的（联机好友，解绑后可以重新赠送）
+    const onlineGivenWxAccounts = JSON.parse(localStorage.getItem('online_family_cards_given') || '[]').map(c => c.to_wx_account);
     const availableFriends = friends.filter(f => {
         // 本地好友：检查 givenIds
         if (f.type !== 'online_friend') {
             return !givenIds.includes(f.id);
         }
         
-        // 联机好友：检查聊天记录中是否有已发送的亲属卡
-        const history = getChatHistory(f, accountId);
-        if (!history) return true;
-        const hasSent = history.some(msg => msg.role === 'user' && msg.type === 'familyCard');
-        return !hasSent;
+        // 联机好友：检查服务器账本里是否已有赠出的有效亲属卡
+        return !onlineGivenWxAccounts.includes(f.onlineData?.wx_account);
     });
     
     if (availableFriends.length === 0) {
@@ -39431,49 +39269,8 @@ async function confirmGiveFamilyCard() {
     
     // ✅ 判断是否是联机好友
     if (char.type === 'online_friend') {
-        console.log('[亲属卡] 检测到联机好友，通过消息通道发送');
-        // 联机好友 - 通过消息通道发送（和转账一样）
-        const onlineUserChar = await getOrCreateOnlineUserChar();
-        
-        if (onlineUserChar && onlineConnected && char.onlineData?.wx_account) {
-            const fromWxAccount = onlineUserChar.identity.account;
-            const toWxAccount = char.onlineData.wx_account;
-            
-            // 通过消息通道发送
-            const familyCardContent = JSON.stringify({
-                __type: 'familyCard',
-                monthlyLimit: monthlyLimit,
-                fromName: onlineUserChar.name
-            });
-            
-            const sent = sendOnlineMessage(toWxAccount, familyCardContent, fromWxAccount);
-            
-            if (sent) {
-                // 保存到聊天记录
-                let history = getChatHistory(char, accountId);
-                const familyCardMsg = {
-                    role: 'user',
-                    type: 'familyCard',
-                    content: JSON.stringify({
-                        fromName: onlineUserChar.name,
-                        monthlyLimit: monthlyLimit,
-                        status: 'sent',
-                        isOnline: true
-                    }),
-                    time: Date.now()
-                };
-                
-                history.push(familyCardMsg);
-                await setChatHistory(char, accountId, history);
-                
-                console.log('[亲属卡] ✅ 联机亲属卡已发送');
-                showToast('已赠送亲属卡');
-            } else {
-                console.error('[亲属卡] ❌ 发送失败');
-                showToast('发送失败，请检查连接');
-                return;
-            }
-        } else {
+        // 联机好友 - 记入服务器的亲属卡账本，服务器确认后再写入聊天记录
+        if (!(await grantOnlineFamilyCard(char, monthlyLimit))) {
             console.error('[亲属卡] ❌ 条件不满足');
             showToast('请确保已连接服务器');
             return;
@@ -40809,6 +40606,7 @@ async function doTransfer() {
         content: JSON.stringify(transferData), 
         time: Date.now()
     };
+    if (chatChar.isOnlineFriend) msg.onlineClientMsgId = createOnlineClientMsgId();
     
     history.push(msg);
     await setChatHistory(chatChar, accountId, history);
@@ -40831,7 +40629,7 @@ async function doTransfer() {
                 desc: noteVal,
                 status: 'sent'
             });
-            sendOnlineMessage(toWxAccount, transferContent, fromWxAccount);
+            sendOnlineMessage(toWxAccount, transferContent, fromWxAccount, msg.onlineClientMsgId);
             console.log('[Online] 转账消息已发送到服务器');
         }
     }
@@ -43634,11 +43432,9 @@ ${char.relationships && char.relationships.length > 0 ? `
 **你的关联角色/NPC**：
 ${char.relationships.map(r => `- ${r.targetName}（${r.relation}）${r.desc ? '：' + r.desc : ''}`).join('\n')}` : ''}
 
-${summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）
-${summaryMemoryContext}
-` : ''}
-${recentTopicsContext || ''}
-${loreContext ? `## 世界观设定\n${loreContext}` : ''}
+${promptSlot('summary')}
+${promptSlot('topics')}
+${promptSlot('lorebook')}
 
 ---
 
@@ -43712,14 +43508,23 @@ ${userName}${hasPrevVideoCalls ? '再次' : ''}向你发起了**视频通话请
         });
     }
     
-    const messages = [
-        { role: 'system', content: systemPrompt },
-        ...recentHistory,
-        { role: 'user', content: '[用户向你发起了视频通话请求]' }
-    ];
+    const assembled = await assemblePrompt({
+        feature: 'video_call',
+        system: systemPrompt,
+        sections: [
+            { id: 'summary', label: '总结记忆', content: summaryMemoryContext ? `## 你的记忆（必须严格遵守，这些是已经发生过的事实）\n${summaryMemoryContext}\n` : '', priority: 80, trim: 'head' },
+            { id: 'topics', label: '话题感知', content: recentTopicsContext, priority: 30 },
+            { id: 'lorebook', label: '世界书', content: loreContext ? `## 世界观设定\n${loreContext}` : '', priority: 60 }
+        ],
+        history: [
+            ...recentHistory,
+            { role: 'user', content: '[用户向你发起了视频通话请求]' }
+        ],
+        macros: { char, accountId, userName, history }
+    });
 
     try {
-        const aiResponse = await callAI(messages);
+        const aiResponse = await callAI(assembled.messages, { usageTag: { charId: char.id } });
         
         // 解析AI返回的JSON
         let response;
@@ -44380,7 +44185,7 @@ ${loreContext ? `## 世界观设定\n${loreContext}` : ''}
             ...videoMessages
         ];
 
-        const rawReply = await callAI(messages);
+        const rawReply = await callAI(messages, { usageTag: { feature: 'video_call', charId: videoCallCharId } });
 
         // 🔧 解析回复：提取 [HANGUP] 和 [IMG_TAGS: ...] 部分（如果有），剩余为纯文本回复
         let reply = rawReply;
@@ -44636,7 +44441,7 @@ ${loreContext ? `## 世界观设定\n${loreContext}` : ''}
             ...videoMessages
         ];
 
-        const rawReply = await callAI(messages);
+        const rawReply = await callAI(messages, { usageTag: { feature: 'video_call', charId: videoCallCharId } });
 
         // 🔧 解析回复：提取 [HANGUP] 和 [IMG_TAGS: ...] 部分（如果有），剩余为纯文本回复
         let reply = rawReply;
@@ -44965,6 +44770,7 @@ async function renderOfflineChatBody(char) {
     body.innerHTML = '';
     offlineRenderedCount = 0;
     isLoadingMoreOfflineMessages = false;
+    refreshReplySwipeBar('offline', offlineModeHistory);
 
     if (offlineModeHistory.length === 0) {
         body.innerHTML = '<div style="display:flex; align-items:center; justify-content:center; height:100%; color:#999; font-size:14px; font-family:-apple-system, BlinkMacSystemFont, sans-serif;">开始线下聊天...</div>';
@@ -45005,6 +44811,7 @@ async function renderOfflineChatBody(char) {
         
         const row = document.createElement('div');
         row.className = `offline-msg-row ${msg.role === 'user' ? 'offline-self' : 'offline-other'}`;
+        row.dataset.index = absoluteIndex;
         
         const avatar = document.createElement('div');
         avatar.className = 'offline-msg-avatar';
@@ -45099,6 +44906,7 @@ async function loadMoreOfflineMessages() {
             
             const row = document.createElement('div');
             row.className = `offline-msg-row ${msg.role === 'user' ? 'offline-self' : 'offline-other'}`;
+            row.dataset.index = absoluteIndex;
             
             const avatar = document.createElement('div');
             avatar.className = 'offline-msg-avatar';
@@ -45683,10 +45491,10 @@ ${char.nick ? `   - **昵称**：${char.nick}` : ''}
 ${char.relationships && char.relationships.length > 0 ? `
 3. **关联角色/NPC**：
 ${char.relationships.map(r => `   - ${r.targetName}（${r.relation}）${r.desc ? '：' + r.desc : ''}`).join('\n')}` : ''}
-${summaryMemoryContext ? `\n## 你的记忆（必须严格遵守，这些是已经发生过的事实）\n${summaryMemoryContext}` : ''}
-${loreContext ? `\n## 📖 世界书设定\n${loreContext}` : ''}
-${groupMemoryContext || ''}
-${momentsContextText || ''}
+${promptSlot('summary')}
+${promptSlot('lorebook')}
+${promptSlot('group_memory')}
+${promptSlot('moments')}
 
 ${antiRepeatContext || ''}
 
@@ -45899,7 +45707,23 @@ ${customPreset ? `\n## 📌 额外设定\n${customPreset}` : ''}`;
         console.log('[generateOfflineReply] 📤 发送消息数:', messages.length, '条');
     console.log('[generateOfflineReply] 消息角色序列:', messages.map(m => m.role).join(' → '));
 
-    const reply = await callAI(messages);
+    const assembled = await assemblePrompt({
+        feature: 'offline',
+        system: systemPrompt,
+        sections: [
+            { id: 'summary', label: '总结记忆', content: summaryMemoryContext ? `\n## 你的记忆（必须严格遵守，这些是已经发生过的事实）\n${summaryMemoryContext}` : '', priority: 80, trim: 'head' },
+            { id: 'lorebook', label: '世界书', content: loreContext ? `\n## 📖 世界书设定\n${loreContext}` : '', priority: 60 },
+            { id: 'group_memory', label: '群聊经历', content: groupMemoryContext, priority: 40, trim: 'head' },
+            { id: 'moments', label: '朋友圈', content: momentsContextText, priority: 20 }
+        ],
+        history: messages.slice(1),
+        historyPriority: 50,
+        keepLast: 2,
+        macros: { char, accountId, userName: myName, history: offlineModeHistory }
+    });
+    const rawReply = await callAI(assembled.messages, { usageTag: { charId: char.id } });
+    // 🧩 线下模式不执行聊天类指令，模型偶尔带出的 ((指令)) 直接剥离
+    const reply = (await executeReplyCommands(rawReply, { context: 'offline', char, charId: char.id, accountId })).text;
 
     // 添加AI回复
     const aiMsg = { role: 'assistant', content: reply, time: Date.now() };
@@ -45929,6 +45753,8 @@ async function rerollOfflineMessage() {
         return;
     }
     
+    // 移除前先把当前这一版存为备选
+    const anchorTime = stashReplyVariant(offlineModeHistory);
     // 移除最后一条AI回复
     offlineModeHistory.pop();
     
@@ -45956,6 +45782,14 @@ async function rerollOfflineMessage() {
     } finally {
         setOfflineGenerating(false);
     }
+    
+    // 新回复存为最新一版备选；没有生成出内容时恢复原来那一版
+    if (offlineModeCharId !== char.id) return;
+    const committed = commitReplyVariant(offlineModeHistory, anchorTime);
+    if (committed) {
+        await saveOfflineChatHistory(accountId, char.id, offlineModeHistory);
+        if (committed === 'restored') renderOfflineChatBody(char);
+    }
 }
 
 // 线下模式设置相关函数
@@ -46333,11 +46167,129 @@ async function renderFavoritesList(type) {
     listContainer.innerHTML = html;
 }
 
+// ===== 🧠 长期记忆检索（BM25 + 时间衰减，不依赖向量）=====
+const MEMORY_RETRIEVAL_CONFIG = {
+    topN: 6,              // 除置顶记忆和最新一条总结外，最多再注入的条数
+    k1: 1.2,
+    b: 0.75,
+    recencyHalfLifeDays: 30,
+    recencyWeight: 0.3,   // 时间衰减分在总分中的权重（相关度归一化到 0~1）
+    queryMessages: 10     // 用最近多少条消息作为检索查询
+};
+
+// 中文停用词（话题感知与记忆检索共用）
+const CHAT_STOP_WORDS = new Set(['的', '是', '了', '在', '我', '你', '他', '她', '它', '我们', '你们', '他们',
+    '这', '那', '一个', '也', '和', '与', '或', '但', '然而', '所以', '因此', '就', '都', '地', '得',
+    '着', '过', '吧', '吗', '呢', '啊', '哦', '嗯', '好', '对', '不', '没', '有', '说', '会', '到',
+    '来', '去', '做', '能', '要', '想', '看', '知道', '什么', '怎么', '哈', '嘿', '哎', '呀', '噢']);
+
+// 拼接可用于提取关键词的文本，过滤掉指令类/系统类内容；messages 可以是消息对象或纯文本
+function _keywordSourceText(messages) {
+    return messages.map(msg => {
+        const content = typeof msg === 'string' ? msg : (msg.content || msg.message || '');
+        if (typeof content !== 'string') return '';
+        if (content.startsWith('[img:') || content.startsWith('[voice:') || content.startsWith('[imgcard:')) return '';
+        return content;
+    }).join(' ');
+}
+
+/**
+ * 提取高频关键词（话题感知用，结果直接展示给 AI）
+ * 中文按 2~6 字的连续片段，英文/数字按整词，过滤停用词
+ */
+function extractKeywords(messages, topN = 3) {
+    const words = _keywordSourceText(messages).match(/[\u4e00-\u9fa5]{2,6}|[a-zA-Z0-9]{2,}/g) || [];
+    const freq = new Map();
+    words.forEach(w => {
+        if (!CHAT_STOP_WORDS.has(w) && w.length > 1) {
+            freq.set(w, (freq.get(w) || 0) + 1);
+        }
+    });
+
+    const sorted = [...freq.entries()].sort((a, b) => b[1] - a[1]).map(e => e[0]);
+    return sorted.length > 0 ? sorted.slice(0, topN) : null;
+}
+
+// 把文本切成记忆检索用的词：中文连续片段按二元组切分（不用分词也能匹配上），英文/数字按整词，过滤停用词
+function extractRetrievalTerms(messages) {
+    const terms = [];
+    const runs = _keywordSourceText(messages).toLowerCase().match(/[\u4e00-\u9fa5]{2,}|[a-z0-9]{2,}/g) || [];
+    runs.forEach(run => {
+        if (!/[\u4e00-\u9fa5]/.test(run)) {
+            if (!CHAT_STOP_WORDS.has(run)) terms.push(run);
+            return;
+        }
+        for (let i = 0; i + 1 < run.length; i++) {
+            const bigram = run.substr(i, 2);
+            if (!CHAT_STOP_WORDS.has(bigram)) terms.push(bigram);
+        }
+    });
+    return terms;
+}
+
+// 对记忆列表打分：BM25 相关度（归一化）+ 时间衰减；检索词取自 extractRetrievalTerms
+function rankMemoriesByRelevance(memories, queryText, config = MEMORY_RETRIEVAL_CONFIG) {
+    const queryTerms = [...new Set(extractRetrievalTerms([queryText || '']))];
+    const docs = memories.map(m => {
+        const terms = extractRetrievalTerms([m.content || '', ...(m.keywords || [])]);
+        const tf = new Map();
+        terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+        return { memory: m, tf, length: terms.length };
+    });
+    const N = docs.length;
+    const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (N || 1) || 1;
+    const df = new Map();
+    queryTerms.forEach(t => df.set(t, docs.filter(d => d.tf.has(t)).length));
+
+    const now = Date.now();
+    const scored = docs.map(d => {
+        let bm25 = 0;
+        queryTerms.forEach(t => {
+            const f = d.tf.get(t) || 0;
+            if (!f) return;
+            const idf = Math.log(1 + (N - df.get(t) + 0.5) / (df.get(t) + 0.5));
+            bm25 += idf * (f * (config.k1 + 1)) / (f + config.k1 * (1 - config.b + config.b * d.length / avgLength));
+        });
+        const ageDays = Math.max(0, (now - (d.memory.time || 0)) / 86400000);
+        const recency = Math.pow(0.5, ageDays / config.recencyHalfLifeDays);
+        return { memory: d.memory, bm25, recency };
+    });
+    const maxBm25 = Math.max(0, ...scored.map(s => s.bm25)) || 1;
+    scored.forEach(s => { s.score = s.bm25 / maxBm25 + config.recencyWeight * s.recency; });
+    return scored.sort((a, b) => b.score - a.score);
+}
+
+// 最近一次检索实际使用的记忆（key: chatType|chatId|accountId），用于给回复打标记
+const lastUsedMemories = new Map();
+
+function getLastUsedMemories(chatType, chatId, accountId) {
+    return lastUsedMemories.get(`${chatType}|${chatId}|${accountId || 'offline'}`) || [];
+}
+
+// 给本次回复新增的角色消息记上引用了哪些记忆（长按消息 → 记忆 可查看）
+async function stampUsedMemoriesOnReply(charId, accountId, fromIndex, usedMemories) {
+    if (!usedMemories || usedMemories.length === 0) return;
+    const freshChar = await db.characters.get(charId);
+    if (!freshChar) return;
+    const history = getChatHistory(freshChar, accountId) || [];
+    let stamped = 0;
+    for (let i = Math.max(0, fromIndex); i < history.length; i++) {
+        if (history[i].role === 'char' && !history[i].usedMemories) {
+            history[i].usedMemories = usedMemories;
+            stamped++;
+        }
+    }
+    if (stamped > 0) await setChatHistory(freshChar, accountId, history);
+}
+
 // 🔧 获取总结记忆上下文（注入到AI系统提示词中，让AI能读取历史总结）
-// 🔧 优化：全量注入所有总结记忆，不做截断
-async function getSummaryMemoryContext(chatType, chatId, accountId) {
+// 置顶记忆 + 最新一条总结始终注入，其余按与当前对话的相关度挑选 topN 条
+// options.query：检索用的文本（默认取该私聊最近几条消息）
+async function getSummaryMemoryContext(chatType, chatId, accountId, options = {}) {
     try {
         if (!accountId) accountId = 'offline';
+        const usedKey = `${chatType}|${chatId}|${accountId}`;
+        lastUsedMemories.delete(usedKey);
         
         let summaries = await db.chat_summaries
             .where(['accountId', 'chatType', 'chatId'])
@@ -46354,14 +46306,42 @@ async function getSummaryMemoryContext(chatType, chatId, accountId) {
         
         // 按时间正序排列（从旧到新）
         summaries.sort((a, b) => a.time - b.time);
-        
-        const memoryLines = summaries.map(s => {
+
+        let queryText = options.query;
+        if (queryText === undefined && chatType === 'private') {
+            const char = await db.characters.get(parseInt(chatId));
+            const history = char ? (getChatHistory(char, accountId) || []) : [];
+            queryText = history.slice(-MEMORY_RETRIEVAL_CONFIG.queryMessages)
+                .map(m => typeof m.content === 'string' ? m.content : '').join(' ');
+        }
+        const topN = options.topN ?? MEMORY_RETRIEVAL_CONFIG.topN;
+
+        const selected = new Map();
+        const latest = summaries[summaries.length - 1];
+        summaries.filter(s => s.pinned).forEach(s => selected.set(s.id, { memory: s, reason: 'pinned' }));
+        if (!selected.has(latest.id)) selected.set(latest.id, { memory: latest, reason: 'latest' });
+        // 只注入和当前对话有词语重合的记忆
+        rankMemoriesByRelevance(summaries.filter(s => !selected.has(s.id)), queryText || '')
+            .filter(r => r.bm25 > 0)
+            .slice(0, topN)
+            .forEach(r => selected.set(r.memory.id, { memory: r.memory, reason: 'relevant', score: r.score }));
+
+        const chosen = [...selected.values()].sort((a, b) => a.memory.time - b.memory.time);
+        const memoryLines = chosen.map(({ memory: s }) => {
             const timeStr = formatSummaryTime(s.time);
             const content = (s.content || '').replace(/【关键词】.*$/m, '').trim();
-            return `- (${timeStr}) ${content}`;
+            return `- (${timeStr})${s.pinned ? ' 📌' : ''} ${content}`;
         }).join('\n');
+
+        lastUsedMemories.set(usedKey, chosen.map(({ memory: s, reason, score }) => ({
+            id: s.id,
+            time: s.time,
+            reason,
+            score: score !== undefined ? Math.round(score * 100) / 100 : undefined,
+            preview: (s.content || '').replace(/【关键词】.*$/m, '').trim().substring(0, 80)
+        })));
         
-        console.log(`[getSummaryMemoryContext] 全量加载 ${summaries.length} 条总结记忆`);
+        console.log(`[getSummaryMemoryContext] 共 ${summaries.length} 条总结，注入 ${chosen.length} 条（置顶/最新/相关）`);
         
         return `${memoryLines}`;
     } catch (e) {
@@ -46375,36 +46355,6 @@ function buildRecentTopicsContext(chatHistory) {
     if (!chatHistory || chatHistory.length < 5) return '';
     
     const now = Date.now();
-    // 中文停用词
-    const stopWords = new Set(['的', '是', '了', '在', '我', '你', '他', '她', '它', '我们', '你们', '他们',
-        '这', '那', '一个', '也', '和', '与', '或', '但', '然而', '所以', '因此', '就', '都', '地', '得',
-        '着', '过', '吧', '吗', '呢', '啊', '哦', '嗯', '好', '对', '不', '没', '有', '说', '会', '到',
-        '来', '去', '做', '能', '要', '想', '看', '知道', '什么', '怎么', '哈', '嘿', '哎', '呀', '噢']);
-    
-    /**
-     * 提取指定时间段内的高频关键词
-     */
-    function extractKeywords(messages, topN = 3) {
-        const allText = messages.map(msg => {
-            const content = msg.content || msg.message || '';
-            if (typeof content !== 'string') return '';
-            // 过滤掉指令类/系统类内容
-            if (content.startsWith('[img:') || content.startsWith('[voice:') || content.startsWith('[imgcard:')) return '';
-            return content;
-        }).join(' ');
-        
-        // 提取中文词组和英文单词
-        const words = allText.match(/[\u4e00-\u9fa5]{2,6}|[a-zA-Z0-9]{2,}/g) || [];
-        const freq = new Map();
-        words.forEach(w => {
-            if (!stopWords.has(w) && w.length > 1) {
-                freq.set(w, (freq.get(w) || 0) + 1);
-            }
-        });
-        
-        const sorted = [...freq.entries()].sort((a, b) => b[1] - a[1]).map(e => e[0]);
-        return sorted.length > 0 ? sorted.slice(0, topN) : null;
-    }
     
     // 定义时间维度（从近到远）
     const timeframes = [
@@ -46507,6 +46457,7 @@ async function showSummaryDetail(summaryId) {
     document.getElementById('summary-msg-count').textContent = summary.messageCount || 0;
     document.getElementById('summary-time-range').textContent = summary.timeRange || '-';
     document.getElementById('summary-detail-content').textContent = summary.content || '暂无内容';
+    updateSummaryPinButton(!!summary.pinned);
     
         // 关键词标签
         const keywordsSection = document.getElementById('summary-keywords-section');
@@ -46536,6 +46487,29 @@ function hideSummaryDetailPage() {
     currentViewingSummaryId = null;
 }
 
+// 置顶/取消置顶总结：置顶的记忆每次回复都会注入提示词，不参与相关度筛选
+async function toggleSummaryPinned() {
+    if (!currentViewingSummaryId) return;
+    try {
+        const summary = await db.chat_summaries.get(currentViewingSummaryId);
+        if (!summary) return;
+        const pinned = !summary.pinned;
+        await db.chat_summaries.update(currentViewingSummaryId, { pinned });
+        updateSummaryPinButton(pinned);
+        showToast(pinned ? '已置顶，每次回复都会带上这条记忆' : '已取消置顶');
+    } catch (e) {
+        console.error('置顶总结失败:', e);
+        alert('操作失败');
+    }
+}
+
+function updateSummaryPinButton(pinned) {
+    const pinBtn = document.getElementById('summary-pin-btn');
+    if (!pinBtn) return;
+    pinBtn.textContent = pinned ? '取消置顶' : '置顶';
+    pinBtn.style.color = pinned ? 'var(--ins-pink)' : '#666';
+}
+
 // 删除总结
 async function deleteSummary() {
     if (!currentViewingSummaryId) return;
@@ -46752,7 +46726,7 @@ async function showChatSummaries(chatType) {
             listContainer.innerHTML = summaries.map(summary => `
                 <div onclick="showSummaryDetail(${summary.id})" style="background:#fff; border-radius:12px; padding:16px; cursor:pointer; transition:all 0.2s; box-shadow:0 1px 3px rgba(0,0,0,0.05);">
                     <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px;">
-                        <span style="font-size:14px; font-weight:600; color:#333;">第 ${summaries.indexOf(summary) + 1} 次总结</span>
+                        <span style="font-size:14px; font-weight:600; color:#333;">${summary.pinned ? '📌 ' : ''}第 ${summaries.indexOf(summary) + 1} 次总结</span>
                         <span style="font-size:12px; color:#999;">${formatSummaryTime(summary.time)}</span>
                     </div>
                     <div style="font-size:13px; color:#666; line-height:1.5; display:-webkit-box; -webkit-line-clamp:3; -webkit-box-orient:vertical; overflow:hidden;">
@@ -46954,6 +46928,8 @@ async function confirmSummaryRange() {
 async function generateChatSummary(chatType, chatId, accountId, chatHistory) {
     // 🔧 修复：直接使用用户选择的全部消息，不再截断
     const allMessages = chatHistory;
+    // 📊 用量统计归属（见 usage.js）
+    const usageTag = chatType === 'group' ? { feature: 'summary', groupId: parseInt(chatId) } : { feature: 'summary', charId: parseInt(chatId) };
     
     if (allMessages.length < 5) {
         throw new Error('聊天记录太少');
@@ -47084,7 +47060,7 @@ ${chunkContent}`;
                 { role: 'user', content: '请为这段聊天记录生成总结。' }
             ];
             
-            const chunkResult = await callAI(chunkMessages, { _useSecondary: true });
+            const chunkResult = await callAI(chunkMessages, { _useSecondary: true, usageTag });
             chunkSummaries.push(`【第${ci + 1}段 ${chunkTimeRange}】\n${chunkResult}`);
         }
         
@@ -47101,7 +47077,7 @@ ${chunkSummaries.join('\n\n')}`;
             { role: 'user', content: '请合并以上分段总结为一份完整的总结。' }
         ];
         
-        finalSummary = await callAI(mergeMessages, { _useSecondary: true });
+        finalSummary = await callAI(mergeMessages, { _useSecondary: true, usageTag });
     } else {
         // 消息量不大，直接一次性总结
         const chatContent = allMessages.map(msgToText).join('\n');
@@ -47122,7 +47098,7 @@ ${chatContent}`;
             { role: 'user', content: '请为这段聊天记录生成总结。' }
         ];
         
-        finalSummary = await callAI(messages, { _useSecondary: true });
+        finalSummary = await callAI(messages, { _useSecondary: true, usageTag });
     }
 
     // 提取关键词
@@ -47269,6 +47245,7 @@ async function checkAutoSummary(chatType, chatId, accountId) {
     
     // 如果达到阈值，自动生成总结
     if (newMessages.length >= summaryInterval) {
+        if (await shouldPauseBackgroundAI('自动总结')) return;
         console.log(`[AutoSummary] 达到阈值 ${summaryInterval}，自动生成总结`);
         try {
             await generateChatSummary(chatType, chatId, accountId, newMessages);
@@ -47321,6 +47298,11 @@ let currentOnlineGroupId = null; // 当前打开的联机群聊ID
 let currentOnlineGroupMessages = []; // 当前群聊消息
 let currentOnlineGroupMembers = []; // 当前群聊成员
 let myOnlineGroupCharacter = null; // 我在当前群聊中的角色
+let onlinePendingSends = new Map(); // 已发出、等待服务器确认保存的私聊消息：client_msg_id -> { toWxAccount, fromWxAccount, content, attempts }（同时存在 dexiData）
+let onlineSyncInFlight = new Set(); // 正在同步私聊记录的微信号（避免重复请求）
+let isLoadingOnlineHistory = false; // 正在从服务器加载更早的私聊记录
+let onlineReadSent = new Map(); // 已发过的私聊已读序号：本地角色 id -> seq
+let onlineGroupReadSent = new Map(); // 已发过的群聊已读时间：群 id -> created_at
 
 // ===== 联机设置面板函数 已移至 settings.js =====
 
@@ -47439,8 +47421,12 @@ function connectToOnlineServer() {
                 handleOnlineMessage(JSON.parse(event.data));
             };
             
-            onlineSocket.onclose = () => {
+            onlineSocket.onclose = (event) => {
                 console.log('[Online] WebSocket disconnected');
+                // 1009：单条消息超过服务器的大小上限，服务器直接断开了连接
+                if (event && event.code === 1009) {
+                    showToast('发送的内容过大，连接已断开');
+                }
                 onlineConnected = false;
                 onlineCharacters = []; // 清空在线角色列表
                 updateOnlineStatus();
@@ -47552,6 +47538,12 @@ async function handleOnlineMessage(data) {
             break;
             
         case 'error':
+            isLoadingOnlineHistory = false;
+            // 限流、内容过长用提示代替弹窗（被限流的私聊消息会自动重发）；登录锁定等其他错误照常弹窗
+            if (data.code === 'rate_limited' || data.code === 'payload_too_large') {
+                showOnlineRejection(data);
+                break;
+            }
             alert(data.message || '操作失败');
             break;
             
@@ -47575,16 +47567,13 @@ async function handleOnlineMessage(data) {
             break;
         
         case 'family_card_sent':
-            // 亲属卡发送成功
-            showToast('亲属卡已赠送');
-            // 重新获取亲属卡列表
-            const onlineUserChar = await getOrCreateOnlineUserChar();
-            if (onlineUserChar && onlineSocket) {
-                onlineSocket.send(JSON.stringify({
-                    type: 'get_family_cards',
-                    my_wx_account: onlineUserChar.identity.account
-                }));
-            }
+            // 亲属卡赠送成功（已记入服务器账本）
+            handleFamilyCardSent(data);
+            break;
+        
+        case 'family_card_revoked':
+            // 亲属卡被解绑（自己或对方解绑）
+            handleFamilyCardRevoked(data);
             break;
         
         case 'family_card_used':
@@ -47606,6 +47595,26 @@ async function handleOnlineMessage(data) {
             // 收到联机消息
             handleOnlineIncomingMessage(data);
             break;
+        
+        case 'message_stored':
+            // 自己发出的消息已存入服务器，记下序号
+            handleOnlineMessageStored(data);
+            break;
+        
+        case 'messages_synced':
+            // 私聊记录同步结果
+            handleOnlineMessagesSynced(data);
+            break;
+        
+        case 'message_receipt':
+            // 对方已收到 / 已读自己发的消息
+            handleOnlineMessageReceipt(data);
+            break;
+        
+        case 'message_history':
+            // 从服务器加载的更早私聊记录
+            handleOnlineMessageHistory(data);
+            break;
             
         case 'online_characters':
             // 已上线的角色列表
@@ -47629,6 +47638,18 @@ async function handleOnlineMessage(data) {
                     my_wx_account: data.wx_account
                 }));
             }
+            // ✅ 重发断线前没得到服务器确认的私聊消息
+            if (data.wx_account) {
+                resendOnlinePendingMessages(data.wx_account);
+            }
+            // ✅ 当前账号的角色上线后，同步其他设备收发的私聊记录
+            if (data.wx_account) {
+                const myChar = currentMyCharId ? await db.characters.get(currentMyCharId) : null;
+                if (myChar?.identity?.account === data.wx_account) {
+                    onlineSyncInFlight.delete(data.wx_account);
+                    requestOnlineSync(data.wx_account);
+                }
+            }
             break;
             
         case 'character_offline':
@@ -47707,6 +47728,11 @@ async function handleOnlineMessage(data) {
             // 收到群成员列表
             handleOnlineGroupMembers(data);
             break;
+        
+        case 'group_read_update':
+            // 群成员已读进度变化，更新已读人数
+            handleOnlineGroupReadUpdate(data);
+            break;
             
         case 'group_character_updated':
             // 角色更新成功
@@ -48015,24 +48041,21 @@ async function handleOnlineFriendRequest(request) {
     }
 }
 
-// 好友申请被接受
-async function handleFriendRequestAccepted(data) {
-    console.log('[Online] 好友申请被接受:', data);
-    
-    // 在本地创建一个联机好友角色
+// 在本地创建一个联机好友角色，返回角色 id
+async function createOnlineFriendChar(friend) {
     const accountId = getCurrentAccountId();
     const newChar = {
-        name: data.friend_nickname,
+        name: friend.nickname,
         type: 'online_friend', // 特殊类型：联机好友
-        avatar: data.friend_avatar || '',
-        description: data.friend_bio || '',
+        avatar: friend.avatar || '',
+        description: friend.bio || '',
         identity: {
-            account: data.friend_wx_account
+            account: friend.wx_account
         },
         isOnlineFriend: true,
         onlineData: {
-            wx_account: data.friend_wx_account,
-            user_id: data.friend_user_id
+            wx_account: friend.wx_account,
+            user_id: friend.user_id
         },
         wechat_status_by_user: {}  // 使用正确的字段名，与 getFriendStatus 匹配
     };
@@ -48042,7 +48065,21 @@ async function handleFriendRequestAccepted(data) {
         newChar.wechat_status_by_user[accountId] = 'friend';
     }
     
-    const charId = await db.characters.add(newChar);
+    return db.characters.add(newChar);
+}
+
+// 好友申请被接受
+async function handleFriendRequestAccepted(data) {
+    console.log('[Online] 好友申请被接受:', data);
+    
+    // 在本地创建一个联机好友角色
+    await createOnlineFriendChar({
+        wx_account: data.friend_wx_account,
+        nickname: data.friend_nickname,
+        avatar: data.friend_avatar,
+        bio: data.friend_bio,
+        user_id: data.friend_user_id
+    });
     
     showToast(`${data.friend_nickname} 已成为你的好友`);
     
@@ -48065,7 +48102,8 @@ async function handleOnlineIncomingMessage(data) {
     let targetChar = chars.find(c => c.onlineData?.wx_account === data.from_wx_account);
     
     if (!targetChar) {
-        console.warn('[Online] 未找到对应的联机好友角色');
+        // 不确认：服务器会在下次上线时重发，到时好友角色可能已经建好
+        console.warn('[Online] 未找到对应的联机好友角色，暂不确认');
         return;
     }
     
@@ -48092,12 +48130,61 @@ async function handleOnlineIncomingMessage(data) {
     }
     
     // 检查是否是特殊消息类型（如转账）
-    let msgObj = {
-        role: 'char',
+    const msgObj = buildOnlineChatMessage(data, 'char');
+    
+    // 保存消息到聊天历史（没确认的消息上线时会重发，同步时也可能已经拿到过，按序号 / 消息 id 去重）
+    let history = getChatHistory(targetChar, accountId);
+    const isDuplicate = history.some(m =>
+        (data.seq && m.onlineSeq === data.seq) || (data.message_id && m.onlineMsgId === data.message_id)
+    );
+    let persisted = isDuplicate;
+    if (!isDuplicate) {
+        history.push(msgObj);
+        persisted = await setChatHistory(targetChar, accountId, history);
+    }
+    // 写入数据库之后再确认收到；没写进去就不确认，服务器下次上线时会重发
+    if (persisted) {
+        ackOnlineMessage(data);
+    } else {
+        console.warn('[Online] 消息未能写入数据库，暂不确认:', data.message_id);
+    }
+    trackOnlineSeq(data.to_wx_account, data.from_wx_account, data.seq);
+    if (isDuplicate) return;
+    
+    // 如果当前正在查看这个聊天，更新UI
+    if (currentChatCharId === targetChar.id) {
+        sendOnlineReadReceipt(targetChar);
+        // 特殊消息类型需要重新渲染整个聊天（包括图片、转账、语音、亲属卡）
+        if (msgObj.type === 'transfer' || msgObj.type === 'familyCard' || msgObj.type === 'audio' || data.content.startsWith('[img:')) {
+            renderChatBody(targetChar);
+        } else {
+            // ✅ 使用服务器发送的头像，如果没有则使用本地头像
+            const avatarToUse = data.from_avatar || targetChar.avatar;
+            appendMessageToUI('char', data.content, avatarToUse);
+        }
+    } else {
+        // 发送通知
+        let notifyContent = data.content;
+        if (msgObj.type === 'transfer') notifyContent = '[转账]';
+        if (msgObj.type === 'familyCard') notifyContent = '[亲属卡]';
+        if (msgObj.type === 'audio') notifyContent = '[语音消息]';
+        if (data.content.startsWith('[img:')) notifyContent = '[图片]';
+        sendSystemNotification(targetChar.name, notifyContent);
+    }
+}
+
+// 把服务器的私聊消息转成本地聊天记录格式（转账、亲属卡、语音是带 __type 的 JSON）
+// role 为 'char' 是对方发来的，'user' 是自己（包括在其他设备上）发出的
+function buildOnlineChatMessage(data, role) {
+    const msgObj = {
+        role,
         content: data.content,
         time: data.timestamp || Date.now(),
         isOnlineMessage: true
     };
+    // 服务器分配的会话序号和消息 id，用于去重和向服务器翻页
+    if (data.seq) msgObj.onlineSeq = data.seq;
+    if (data.message_id) msgObj.onlineMsgId = data.message_id;
     
     // 尝试解析 JSON 格式的特殊消息
     try {
@@ -48118,7 +48205,7 @@ async function handleOnlineIncomingMessage(data) {
             msgObj.content = JSON.stringify({
                 fromName: parsed.fromName || data.from_nickname,
                 monthlyLimit: parsed.monthlyLimit || 0,
-                status: 'received',
+                status: role === 'char' ? 'received' : 'sent',
                 isOnline: true,
                 message: parsed.message || ''
             });
@@ -48134,31 +48221,7 @@ async function handleOnlineIncomingMessage(data) {
     } catch (e) {
         // 不是 JSON，普通文本消息
     }
-    
-    // 保存消息到聊天历史
-    let history = getChatHistory(targetChar, accountId);
-    history.push(msgObj);
-    await setChatHistory(targetChar, accountId, history);
-    
-    // 如果当前正在查看这个聊天，更新UI
-    if (currentChatCharId === targetChar.id) {
-        // 特殊消息类型需要重新渲染整个聊天（包括图片、转账、语音、亲属卡）
-        if (msgObj.type === 'transfer' || msgObj.type === 'familyCard' || msgObj.type === 'audio' || data.content.startsWith('[img:')) {
-            renderChatBody(targetChar);
-        } else {
-            // ✅ 使用服务器发送的头像，如果没有则使用本地头像
-            const avatarToUse = data.from_avatar || targetChar.avatar;
-            appendMessageToUI('char', data.content, avatarToUse);
-        }
-    } else {
-        // 发送通知
-        let notifyContent = data.content;
-        if (msgObj.type === 'transfer') notifyContent = '[转账]';
-        if (msgObj.type === 'familyCard') notifyContent = '[亲属卡]';
-        if (msgObj.type === 'audio') notifyContent = '[语音消息]';
-        if (data.content.startsWith('[img:')) notifyContent = '[图片]';
-        sendSystemNotification(targetChar.name, notifyContent);
-    }
+    return msgObj;
 }
 
 // ==================== 亲属卡处理函数 ====================
@@ -48189,7 +48252,8 @@ async function handleFamilyCardReceived(data) {
             from_wx_account: data.from_wx_account,
             monthlyLimit: data.monthly_limit,
             status: 'received',
-            isOnline: true
+            isOnline: true,
+            card_id: data.card_id
         }),
         time: Date.now()
     };
@@ -48206,7 +48270,25 @@ async function handleFamilyCardReceived(data) {
     showToast(`${data.from_nickname} 赠送了亲属卡`);
     sendSystemNotification(friendChar.name, '[亲属卡]');
     
-    // 重新获取亲属卡列表
+    requestOnlineFamilyCards();
+}
+
+// 赠送联机亲属卡：发给服务器记入亲属卡账本，服务器确认（family_card_sent）后再写入聊天记录，对方收到 family_card_received
+async function grantOnlineFamilyCard(friendChar, monthlyLimit) {
+    const onlineUserChar = await getOrCreateOnlineUserChar();
+    if (!onlineUserChar || !onlineConnected || !friendChar.onlineData?.wx_account) return false;
+    
+    onlineSocket.send(JSON.stringify({
+        type: 'grant_family_card',
+        my_wx_account: onlineUserChar.identity.account,
+        to_wx_account: friendChar.onlineData.wx_account,
+        monthly_limit: monthlyLimit
+    }));
+    return true;
+}
+
+// 重新获取亲属卡列表
+async function requestOnlineFamilyCards() {
     const onlineUserChar = await getOrCreateOnlineUserChar();
     if (onlineUserChar && onlineSocket) {
         onlineSocket.send(JSON.stringify({
@@ -48216,6 +48298,106 @@ async function handleFamilyCardReceived(data) {
     }
 }
 
+// 亲属卡赠送成功：在和对方的聊天里记一张已赠送的卡片
+async function handleFamilyCardSent(data) {
+    showToast('亲属卡已赠送');
+    requestOnlineFamilyCards();
+    
+    const accountId = getCurrentAccountId();
+    if (!accountId) return;
+    
+    const chars = await db.characters.where('type').equals('online_friend').toArray();
+    const friendChar = chars.find(c => c.onlineData?.wx_account === data.to_wx_account);
+    if (!friendChar) return;
+    
+    const onlineUserChar = await getOrCreateOnlineUserChar();
+    const history = getChatHistory(friendChar, accountId);
+    history.push({
+        role: 'user',
+        type: 'familyCard',
+        content: JSON.stringify({
+            fromName: onlineUserChar?.name || '',
+            monthlyLimit: data.monthly_limit,
+            status: 'sent',
+            isOnline: true,
+            card_id: data.card_id
+        }),
+        time: Date.now()
+    });
+    await setChatHistory(friendChar, accountId, history);
+    
+    if (currentChatCharId === friendChar.id) {
+        renderChatBody(friendChar);
+    }
+}
+
+// 解绑联机亲属卡（付款方解绑赠出的卡，持卡人解绑收到的卡）；type 为 'given' 或 'received'
+async function revokeOnlineFamilyCard(cardId, type) {
+    if (!onlineConnected || !onlineSocket) {
+        showToast('请确保已连接服务器');
+        return;
+    }
+    const cards = JSON.parse(localStorage.getItem(type === 'given' ? 'online_family_cards_given' : 'online_family_cards_received') || '[]');
+    const card = cards.find(c => c.id === cardId);
+    if (!card) return;
+    if (!confirm('确定要解绑这张亲属卡吗？')) return;
+    
+    onlineSocket.send(JSON.stringify({
+        type: 'revoke_family_card',
+        my_wx_account: type === 'given' ? card.from_wx_account : card.to_wx_account,
+        card_id: cardId
+    }));
+}
+
+// 处理亲属卡被解绑：从本地缓存的列表里移除，聊天里对应的卡片标记为已解绑
+async function handleFamilyCardRevoked(data) {
+    console.log('[Online] 亲属卡已解绑:', data);
+    
+    ['online_family_cards_given', 'online_family_cards_received'].forEach(key => {
+        const cards = JSON.parse(localStorage.getItem(key) || '[]');
+        localStorage.setItem(key, JSON.stringify(cards.filter(c => c.id !== data.card_id)));
+    });
+    const familyCardPage = document.getElementById('family-card-page');
+    if (familyCardPage && familyCardPage.style.display !== 'none') {
+        renderFamilyCardList();
+    }
+    
+    const accountId = getCurrentAccountId();
+    if (!accountId) return;
+    
+    // 对方是付款方或持卡人中不属于自己的那一个
+    const chars = await db.characters.where('type').equals('online_friend').toArray();
+    const friendChar = chars.find(c => c.onlineData?.wx_account === data.to_wx_account)
+        || chars.find(c => c.onlineData?.wx_account === data.from_wx_account);
+    if (!friendChar) return;
+    
+    // 自己赠出的卡在聊天里是 user 发的，收到的是 char 发的；旧卡片消息没有 card_id，按方向匹配
+    const cardRole = friendChar.onlineData.wx_account === data.to_wx_account ? 'user' : 'char';
+    const history = getChatHistory(friendChar, accountId);
+    let changed = false;
+    history.forEach(msg => {
+        if (msg.type !== 'familyCard' || msg.role !== cardRole) return;
+        let cardData;
+        try {
+            cardData = JSON.parse(msg.content);
+        } catch (e) {
+            return;
+        }
+        if (!cardData.isOnline || cardData.status === 'revoked') return;
+        if (cardData.card_id && cardData.card_id !== data.card_id) return;
+        cardData.status = 'revoked';
+        msg.content = JSON.stringify(cardData);
+        changed = true;
+    });
+    if (changed) {
+        await setChatHistory(friendChar, accountId, history);
+        if (currentChatCharId === friendChar.id) renderChatBody(friendChar);
+    }
+    
+    const byFriend = data.by_wx_account === friendChar.onlineData.wx_account;
+    showToast(byFriend ? `${data.by_nickname} 解绑了亲属卡` : '已解绑亲属卡');
+}
+
 // 处理亲属卡被使用
 async function handleFamilyCardUsed(data) {
     console.log('[Online] 亲属卡被使用:', data);
@@ -48466,21 +48648,430 @@ async function getOrCreateOnlineUserChar() {
     return onlineUserChar;
 }
 
-// 发送联机消息
-function sendOnlineMessage(toWxAccount, content, fromWxAccount) {
+// 客户端消息 id：重发时服务器按它去重，保存后随序号一起回传，同步时用来识别本机发过的消息
+// 本地消息在保存时就记下它（onlineClientMsgId），收到 message_stored 时按它找到对应的那条
+function createOnlineClientMsgId() {
+    return 'c_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// 发送联机消息；clientMsgId 由调用方预先生成并记在本地消息上，发出后返回它，没发出返回 false
+function sendOnlineMessage(toWxAccount, content, fromWxAccount, clientMsgId = createOnlineClientMsgId()) {
     if (!onlineConnected) {
         console.warn('[Online] 未连接，无法发送消息');
         return false;
     }
+    // 与服务器的字段上限一致，超过的会被拒绝，不再发出
+    if (content.length > ONLINE_MAX_CONTENT_LENGTH) {
+        console.warn('[Online] 消息内容过大，无法发送:', content.length);
+        showToast('内容过大，无法发送');
+        return false;
+    }
     
+    onlinePendingSends.set(clientMsgId, { toWxAccount, fromWxAccount, content, attempts: 0 });
+    saveOnlinePendingSends();
+    rememberOnlineSentId(fromWxAccount, clientMsgId);
+    transmitOnlineMessage(clientMsgId);
+    
+    return clientMsgId;
+}
+
+const ONLINE_MAX_CONTENT_LENGTH = 5 * 1024 * 1024; // 消息内容最大字符数（图片、语音为 base64）
+const ONLINE_PENDING_SENDS_KEY = 'onlinePendingSends'; // dexiData 中待确认消息的存储键
+const ONLINE_RESEND_DELAY = 8000; // 多久没收到 message_stored 就重发
+const ONLINE_RESEND_MAX_ATTEMPTS = 3; // 连接正常时最多发几次，之后等重新上线再发
+
+// 待确认的消息存进 dexiData：刷新页面、关掉重开后，角色重新上线时照样重发
+// 先读入已存的再写，避免启动后还没读入就被新消息覆盖掉
+let onlinePendingSendsLoading = null;
+function loadOnlinePendingSends() {
+    if (!onlinePendingSendsLoading) {
+        onlinePendingSendsLoading = (async () => {
+            try {
+                const item = await db.dexiData.get(ONLINE_PENDING_SENDS_KEY);
+                (item?.value || []).forEach(p => {
+                    if (!onlinePendingSends.has(p.clientMsgId)) {
+                        onlinePendingSends.set(p.clientMsgId, { toWxAccount: p.toWxAccount, fromWxAccount: p.fromWxAccount, content: p.content, attempts: 0 });
+                    }
+                });
+            } catch (e) {
+                console.warn('[Online] 读取待确认消息失败:', e);
+            }
+        })();
+    }
+    return onlinePendingSendsLoading;
+}
+
+async function saveOnlinePendingSends() {
+    await loadOnlinePendingSends();
+    const value = [...onlinePendingSends].map(([clientMsgId, p]) => ({ clientMsgId, toWxAccount: p.toWxAccount, fromWxAccount: p.fromWxAccount, content: p.content }));
+    try {
+        await db.dexiData.put({ key: ONLINE_PENDING_SENDS_KEY, value });
+    } catch (e) {
+        console.warn('[Online] 保存待确认消息失败:', e);
+    }
+}
+
+// 发出（或重发）一条待确认的私聊消息
+function transmitOnlineMessage(clientMsgId) {
+    const pending = onlinePendingSends.get(clientMsgId);
+    if (!pending) return; // 已确认
+    if (!onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) return; // 断线了，重新上线后再发
+    
+    pending.attempts++;
     onlineSocket.send(JSON.stringify({
         type: 'message',
-        to_wx_account: toWxAccount,
-        from_wx_account: fromWxAccount,
-        content: content
+        to_wx_account: pending.toWxAccount,
+        from_wx_account: pending.fromWxAccount,
+        content: pending.content,
+        client_msg_id: clientMsgId
     }));
     
-    return true;
+    if (pending.attempts < ONLINE_RESEND_MAX_ATTEMPTS) {
+        setTimeout(() => transmitOnlineMessage(clientMsgId), ONLINE_RESEND_DELAY);
+    }
+}
+
+// 服务器拒绝请求（限流、内容过长）时的提示；几秒内只提示一次，避免刷屏
+let lastOnlineRejectionToastAt = 0;
+function showOnlineRejection(data) {
+    console.warn('[Online] 请求被拒绝:', data.code, data.request_type, data.message);
+    // 内容过长的消息重发也没用，不再重发
+    if (data.code === 'payload_too_large' && data.client_msg_id) {
+        onlinePendingSends.delete(data.client_msg_id);
+        saveOnlinePendingSends();
+    }
+    if (Date.now() - lastOnlineRejectionToastAt < 3000) return;
+    lastOnlineRejectionToastAt = Date.now();
+    let text = data.message || '操作失败';
+    if (data.retry_after_ms) text += `，${Math.ceil(data.retry_after_ms / 1000)}秒后可重试`;
+    showToast(text);
+}
+
+// 角色重新上线后，重发它名下还没得到确认的消息（包括上次打开页面时没确认的）
+async function resendOnlinePendingMessages(wxAccount) {
+    await loadOnlinePendingSends();
+    onlinePendingSends.forEach((pending, clientMsgId) => {
+        if (pending.fromWxAccount !== wxAccount) return;
+        pending.attempts = 0;
+        transmitOnlineMessage(clientMsgId);
+    });
+}
+
+// ==================== 私聊记录同步 ====================
+// 服务器给每个私聊会话的消息分配递增序号 seq，本地按微信号记录每个会话已同步到的序号（游标）
+// 角色上线时带着游标同步，补齐断线期间和其他设备上收发的消息；更早的记录在聊天页顶部按需从服务器加载
+
+const ONLINE_SENT_IDS_LIMIT = 500; // 本机发出的消息 id 最多记多少条
+
+function getOnlineSyncCursors(myWxAccount) {
+    try {
+        return JSON.parse(localStorage.getItem('online_sync_cursors_' + myWxAccount)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function setOnlineSyncCursor(myWxAccount, peerWxAccount, seq) {
+    const cursors = getOnlineSyncCursors(myWxAccount);
+    cursors[peerWxAccount.toLowerCase()] = seq;
+    localStorage.setItem('online_sync_cursors_' + myWxAccount, JSON.stringify(cursors));
+}
+
+function getOnlineSentIds(myWxAccount) {
+    try {
+        return JSON.parse(localStorage.getItem('online_sent_ids_' + myWxAccount)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function rememberOnlineSentId(myWxAccount, clientMsgId) {
+    const ids = getOnlineSentIds(myWxAccount);
+    ids.push(clientMsgId);
+    if (ids.length > ONLINE_SENT_IDS_LIMIT) ids.splice(0, ids.length - ONLINE_SENT_IDS_LIMIT);
+    localStorage.setItem('online_sent_ids_' + myWxAccount, JSON.stringify(ids));
+}
+
+// 向服务器请求同步（同一个微信号同时只发一个请求）
+function requestOnlineSync(myWxAccount) {
+    if (!onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) return;
+    if (onlineSyncInFlight.has(myWxAccount)) return;
+    onlineSyncInFlight.add(myWxAccount);
+    onlineSocket.send(JSON.stringify({
+        type: 'sync_messages',
+        my_wx_account: myWxAccount,
+        cursors: getOnlineSyncCursors(myWxAccount)
+    }));
+}
+
+// 收到带序号的消息后推进游标；序号不连续（中间有没收到的消息）时发起同步
+function trackOnlineSeq(myWxAccount, peerWxAccount, seq) {
+    if (!myWxAccount || !peerWxAccount || !seq) return;
+    const cursor = getOnlineSyncCursors(myWxAccount)[peerWxAccount.toLowerCase()] || 0;
+    if (seq === cursor + 1) {
+        setOnlineSyncCursor(myWxAccount, peerWxAccount, seq);
+    } else if (seq > cursor + 1) {
+        requestOnlineSync(myWxAccount);
+    }
+}
+
+// 确认收到私聊消息（保存到本地之后再确认；服务器没收到确认的消息会在下次上线时重发）
+function ackOnlineMessage(data) {
+    if (!data.message_id || !data.to_wx_account) return;
+    if (!onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) return;
+    onlineSocket.send(JSON.stringify({
+        type: 'message_ack',
+        my_wx_account: data.to_wx_account,
+        message_ids: [data.message_id]
+    }));
+}
+
+// 正在看联机好友的聊天时，告诉对方自己已读到哪条
+async function sendOnlineReadReceipt(char) {
+    if (!char?.isOnlineFriend || !char.onlineData?.wx_account) return;
+    if (!onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) return;
+    
+    let upToSeq = 0;
+    getChatHistory(char, getCurrentAccountId()).forEach(m => {
+        if (m.onlineSeq > upToSeq) upToSeq = m.onlineSeq;
+    });
+    if (!upToSeq || (onlineReadSent.get(char.id) || 0) >= upToSeq) return;
+    
+    const onlineUserChar = await getOrCreateOnlineUserChar();
+    if (!onlineUserChar) return;
+    onlineReadSent.set(char.id, upToSeq);
+    onlineSocket.send(JSON.stringify({
+        type: 'message_read',
+        my_wx_account: onlineUserChar.identity.account,
+        peer_wx_account: char.onlineData.wx_account,
+        up_to_seq: upToSeq
+    }));
+}
+
+// 把序号不超过 upToSeq 的自己发出的消息标为已读，有变化返回 true
+function applyOnlineReadSeq(history, upToSeq) {
+    let changed = false;
+    history.forEach(m => {
+        if (m.role === 'user' && m.onlineSeq && m.onlineSeq <= upToSeq && m.onlineStatus !== 'read') {
+            m.onlineStatus = 'read';
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// 送达 / 已读回执：更新自己发出的消息的状态
+async function handleOnlineMessageReceipt(data) {
+    const chars = await db.characters.where('type').equals('online_friend').toArray();
+    const char = chars.find(c => c.onlineData?.wx_account === data.peer_wx_account);
+    if (!char) return;
+    
+    const accountId = getCurrentAccountId();
+    const history = getChatHistory(char, accountId);
+    let changed = false;
+    if (data.status === 'read') {
+        changed = applyOnlineReadSeq(history, data.up_to_seq);
+    } else {
+        const seqs = new Set(data.seqs || []);
+        const ids = new Set(data.message_ids || []);
+        history.forEach(m => {
+            if (m.role !== 'user' || m.onlineStatus === 'delivered' || m.onlineStatus === 'read') return;
+            if (seqs.has(m.onlineSeq) || ids.has(m.onlineMsgId)) {
+                m.onlineStatus = 'delivered';
+                changed = true;
+            }
+        });
+    }
+    
+    if (changed) {
+        await setChatHistory(char, accountId, history);
+        if (currentChatCharId === char.id) refreshOnlineStatusTicks(history);
+    }
+}
+
+// 原地更新聊天页里自己消息的状态标记（不重新渲染，避免打断滚动位置）
+function refreshOnlineStatusTicks(history) {
+    if (window._fpChatMode) return;
+    document.querySelectorAll('#chat-body .message-row.self').forEach(row => {
+        const msg = history[Number(row.dataset.index)];
+        if (!msg || msg.role !== 'user' || !msg.onlineStatus) return;
+        const oldTick = row.querySelector('.online-msg-status');
+        if (oldTick) oldTick.remove();
+        row.appendChild(createOnlineStatusTick(msg.onlineStatus));
+    });
+}
+
+// 自己发出的联机私聊消息的状态标记（✓ 已发送，✓✓ 已送达，绿色 ✓✓ 已读）
+function createOnlineStatusTick(status) {
+    const tick = document.createElement('div');
+    tick.className = 'online-msg-status';
+    tick.style.cssText = `align-self:flex-end; margin:0 4px 4px; font-size:10px; white-space:nowrap; color:${status === 'read' ? '#07c160' : '#999'};`;
+    tick.textContent = status === 'sent' ? '✓' : '✓✓';
+    tick.title = status === 'sent' ? '已发送' : status === 'delivered' ? '已送达' : '已读';
+    return tick;
+}
+
+// 把服务器上的私聊消息合并进本地聊天记录，返回 { added: 新增条数, changed: 记录是否有变化 }
+// 按序号去重；本机发出的消息本地已有，按 client_msg_id 跳过（没收到 message_stored 的顺带补上序号）；按时间插入到合适的位置；peerReadSeq 为对方已读到的序号
+async function mergeOnlineMessages(char, myWxAccount, messages, peerNickname, peerReadSeq = 0) {
+    const accountId = getCurrentAccountId();
+    const history = getChatHistory(char, accountId);
+    const knownSeqs = new Set(history.filter(m => m.onlineSeq).map(m => m.onlineSeq));
+    const sentIds = new Set(getOnlineSentIds(myWxAccount));
+    let added = 0;
+    let seqFilled = false;
+    
+    for (const m of messages) {
+        if (!m.seq || knownSeqs.has(m.seq)) continue;
+        const isMine = m.from_wx_account.toLowerCase() === myWxAccount.toLowerCase();
+        if (isMine && m.client_msg_id && sentIds.has(m.client_msg_id)) {
+            const local = history.find(h => h.role === 'user' && h.onlineClientMsgId === m.client_msg_id);
+            if (local && !local.onlineSeq) {
+                local.onlineSeq = m.seq;
+                local.onlineMsgId = m.message_id;
+                local.onlineStatus = m.delivered ? 'delivered' : 'sent';
+                knownSeqs.add(m.seq);
+                seqFilled = true;
+            }
+            continue;
+        }
+        
+        const msgObj = buildOnlineChatMessage({ ...m, from_nickname: peerNickname }, isMine ? 'user' : 'char');
+        if (isMine) msgObj.onlineStatus = m.delivered ? 'delivered' : 'sent';
+        let index = history.length;
+        while (index > 0 && (history[index - 1].time || 0) > msgObj.time) index--;
+        history.splice(index, 0, msgObj);
+        knownSeqs.add(m.seq);
+        added++;
+    }
+    
+    const readChanged = peerReadSeq > 0 && applyOnlineReadSeq(history, peerReadSeq);
+    if (added > 0 || readChanged || seqFilled) {
+        await setChatHistory(char, accountId, history);
+    }
+    return { added, changed: added > 0 || readChanged || seqFilled };
+}
+
+// 自己发出的消息已存入服务器：给本地那条消息记上序号（按 client_msg_id 匹配），并推进游标
+async function handleOnlineMessageStored(data) {
+    if (onlinePendingSends.delete(data.client_msg_id)) saveOnlinePendingSends();
+    
+    if (data.client_msg_id) {
+        const accountId = getCurrentAccountId();
+        const chars = await db.characters.where('type').equals('online_friend').toArray();
+        const char = chars.find(c => c.onlineData?.wx_account === data.to_wx_account);
+        if (char) {
+            const history = getChatHistory(char, accountId);
+            const match = history.find(m => m.role === 'user' && m.onlineClientMsgId === data.client_msg_id);
+            // 重发导致的重复回执，第一次已经记过序号
+            if (match && !match.onlineSeq) {
+                match.onlineSeq = data.seq;
+                match.onlineMsgId = data.message_id;
+                match.onlineStatus = 'sent';
+                await setChatHistory(char, accountId, history);
+                if (currentChatCharId === char.id) refreshOnlineStatusTicks(history);
+            }
+        }
+    }
+    
+    trackOnlineSeq(data.from_wx_account, data.to_wx_account, data.seq);
+}
+
+// 私聊记录同步结果：逐个会话合并，并把游标推进到收到的最大序号
+async function handleOnlineMessagesSynced(data) {
+    const myWxAccount = data.my_wx_account;
+    onlineSyncInFlight.delete(myWxAccount);
+    
+    let needMore = false;
+    let changed = false;
+    for (const conv of data.conversations || []) {
+        let chars = await db.characters.where('type').equals('online_friend').toArray();
+        let char = chars.find(c => c.onlineData?.wx_account === conv.peer_wx_account);
+        if (!char) {
+            // 在其他设备上加的好友，本机还没有对应角色
+            if (!conv.is_friend) continue;
+            const charId = await createOnlineFriendChar({
+                wx_account: conv.peer_wx_account,
+                nickname: conv.peer_nickname,
+                avatar: conv.peer_avatar,
+                bio: conv.peer_bio
+            });
+            char = await db.characters.get(charId);
+            changed = true;
+        }
+        
+        const merged = await mergeOnlineMessages(char, myWxAccount, conv.messages, conv.peer_nickname, conv.peer_read_seq);
+        if (merged.added > 0) changed = true;
+        if (merged.changed && currentChatCharId === char.id) {
+            const freshChar = await db.characters.get(char.id);
+            renderChatBody(freshChar, true);
+            sendOnlineReadReceipt(freshChar);
+        }
+        
+        const lastSeq = conv.messages.length > 0 ? conv.messages[conv.messages.length - 1].seq : 0;
+        const cursor = getOnlineSyncCursors(myWxAccount)[conv.peer_wx_account.toLowerCase()] || 0;
+        if (lastSeq > cursor) setOnlineSyncCursor(myWxAccount, conv.peer_wx_account, lastSeq);
+        if (conv.has_more) needMore = true;
+    }
+    
+    console.log('[Online] 私聊记录同步完成:', (data.conversations || []).length, '个会话');
+    
+    if (changed) {
+        const content = document.getElementById('wechat-content');
+        if (content) renderWechatList(content);
+    }
+    if (needMore) requestOnlineSync(myWxAccount);
+}
+
+// 联机好友：本地最早一条消息之前服务器上还有记录时，返回"从服务器加载"按钮
+function createOnlineHistoryButton(char, history) {
+    if (!char.isOnlineFriend) return null;
+    const first = history.find(m => m.onlineSeq);
+    if (!first || first.onlineSeq <= 1) return null;
+    const btn = document.createElement('div');
+    btn.id = 'online-history-btn';
+    btn.style.cssText = 'text-align:center; padding:12px; margin:8px 0;';
+    btn.innerHTML = `<button onclick="loadOnlineHistory()" style="background:#f0f0f0; border:none; padding:8px 20px; border-radius:16px; color:#666; font-size:13px; cursor:pointer;">从服务器加载更早的消息</button>`;
+    return btn;
+}
+
+// 从服务器加载当前联机私聊更早的记录
+async function loadOnlineHistory() {
+    if (isLoadingOnlineHistory || !currentChatCharId) return;
+    const char = await db.characters.get(currentChatCharId);
+    if (!char?.onlineData?.wx_account) return;
+    
+    const onlineUserChar = await getOrCreateOnlineUserChar();
+    if (!onlineUserChar || !onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) {
+        showToast('请先连接服务器');
+        return;
+    }
+    
+    const first = getChatHistory(char, getCurrentAccountId()).find(m => m.onlineSeq);
+    isLoadingOnlineHistory = true;
+    onlineSocket.send(JSON.stringify({
+        type: 'get_message_history',
+        my_wx_account: onlineUserChar.identity.account,
+        peer_wx_account: char.onlineData.wx_account,
+        before_seq: first ? first.onlineSeq : null
+    }));
+}
+
+// 服务器返回的更早私聊记录
+async function handleOnlineMessageHistory(data) {
+    isLoadingOnlineHistory = false;
+    
+    const chars = await db.characters.where('type').equals('online_friend').toArray();
+    const char = chars.find(c => c.onlineData?.wx_account === data.peer_wx_account);
+    if (!char) return;
+    
+    const { added } = await mergeOnlineMessages(char, data.my_wx_account, data.messages || [], char.name);
+    if (added === 0) {
+        showToast('没有更早的消息了');
+    }
+    if (currentChatCharId === char.id) {
+        renderChatBody(await db.characters.get(char.id));
+    }
 }
 
 // 检查角色是否已上线
@@ -49296,6 +49887,7 @@ function handleOnlineGroupMessages(data) {
     // 按时间戳排序，确保消息顺序正确
     currentOnlineGroupMessages.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
     renderOnlineGroupMessages();
+    sendOnlineGroupRead();
 }
 
 // 处理实时群消息
@@ -49321,6 +49913,46 @@ async function handleOnlineGroupMessage(data) {
     // 按时间戳排序，确保消息顺序正确
     currentOnlineGroupMessages.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
     renderOnlineGroupMessages();
+    sendOnlineGroupRead();
+}
+
+// 当前打开的群聊：告诉服务器自己已读到最新一条消息
+function sendOnlineGroupRead() {
+    if (!currentOnlineGroupId || !onlineSocket || onlineSocket.readyState !== WebSocket.OPEN) return;
+    const myWx = getMyOnlineWxAccount();
+    const lastMsg = currentOnlineGroupMessages[currentOnlineGroupMessages.length - 1];
+    if (!myWx || !lastMsg?.created_at) return;
+    if ((onlineGroupReadSent.get(currentOnlineGroupId) || 0) >= lastMsg.created_at) return;
+    
+    onlineGroupReadSent.set(currentOnlineGroupId, lastMsg.created_at);
+    onlineSocket.send(JSON.stringify({
+        type: 'group_read',
+        group_id: currentOnlineGroupId,
+        my_wx_account: myWx,
+        read_until: lastMsg.created_at
+    }));
+}
+
+// 群消息的已读人数：除发送者外，已读时间不早于这条消息的成员数
+function formatOnlineGroupReadCount(senderWx, createdAt) {
+    const count = currentOnlineGroupMembers.filter(m => m.user_wx !== senderWx && (m.read_until || 0) >= createdAt).length;
+    return count > 0 ? `${count}人已读` : '未读';
+}
+
+// 成员已读进度变化后，原地刷新自己消息上的已读人数（不重新渲染，避免打断滚动位置）
+function updateOnlineGroupReadCounts() {
+    const myWx = getMyOnlineWxAccount();
+    document.querySelectorAll('#online-group-messages .online-group-read-count').forEach(el => {
+        el.textContent = formatOnlineGroupReadCount(myWx, Number(el.dataset.createdAt));
+    });
+}
+
+function handleOnlineGroupReadUpdate(data) {
+    if (data.group_id !== currentOnlineGroupId) return;
+    const member = currentOnlineGroupMembers.find(m => m.user_wx === data.user_wx);
+    if (!member) return;
+    member.read_until = Math.max(member.read_until || 0, data.read_until);
+    updateOnlineGroupReadCounts();
 }
 
 // 处理群成员开始输入
@@ -49472,7 +50104,10 @@ function renderOnlineGroupMessages() {
                         <div style="display:flex; flex-direction:column; align-items:flex-end; max-width:70%;">
                             <div style="font-size:12px; color:#999; margin-bottom:2px;">${name}${isCharacter ? ' 🎭' : ''}</div>
                             <div style="display:flex; align-items:flex-end; gap:6px;">
-                                <div style="font-size:10px; color:#999;">${formatChatTime(msg.created_at)}</div>
+                                <div style="display:flex; flex-direction:column; align-items:flex-end; font-size:10px; color:#999;">
+                                    <span class="online-group-read-count" data-created-at="${msg.created_at}">${formatOnlineGroupReadCount(myWx, msg.created_at)}</span>
+                                    <span>${formatChatTime(msg.created_at)}</span>
+                                </div>
                                 <div>${messageContent}</div>
                             </div>
                         </div>
@@ -49485,7 +50120,10 @@ function renderOnlineGroupMessages() {
                         <div style="display:flex; flex-direction:column; align-items:flex-end; max-width:70%;">
                             <div style="font-size:12px; color:#999; margin-bottom:2px;">${name}${isCharacter ? ' 🎭' : ''}</div>
                             <div style="display:flex; align-items:flex-end; gap:6px;">
-                                <div style="font-size:10px; color:#999;">${formatChatTime(msg.created_at)}</div>
+                                <div style="display:flex; flex-direction:column; align-items:flex-end; font-size:10px; color:#999;">
+                                    <span class="online-group-read-count" data-created-at="${msg.created_at}">${formatOnlineGroupReadCount(myWx, msg.created_at)}</span>
+                                    <span>${formatChatTime(msg.created_at)}</span>
+                                </div>
                                 <div style="background:#ffe4e8; color:#000; padding:6px 10px; border-radius:18px 18px 4px 18px; font-size:15px; line-height:1.5; word-break:break-word;">${messageContent}</div>
                             </div>
                         </div>
@@ -49607,6 +50245,9 @@ function handleOnlineGroupMembers(data) {
     } else {
         myOnlineGroupCharacter = null;
     }
+    
+    // 成员列表带着各自的已读进度，刷新已读人数
+    updateOnlineGroupReadCounts();
 }
 
 // 切换联机群聊面板
@@ -55199,6 +55840,7 @@ async function moqiSendDrawingToFriend(charId) {
                     const lastCard = fcMsgs[fcMsgs.length - 1];
                     let cardData = {};
                     try { cardData = JSON.parse(lastCard.content); } catch(e) {}
+                    if (cardData.status === 'revoked') continue;
                     cards.push({
                         charId: c.id,
                         name: c.name,
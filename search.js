@@ -0,0 +1,416 @@
+// ================== 全局聊天搜索 (Global Search) JS ==================
+// 本文件包含微信「搜索聊天记录」页面：私聊、群聊、线下模式、短信、朋友圈统一检索，并可跳转到原消息
+// 依赖：db, readCharChatThreads, getChatHistory, getCurrentAccountId, openChatWindow, openGroupChatWindow 等全局变量（来自 script.js）
+
+// ===== Block 1: 分词与倒排索引 =====
+        const SEARCH_SOURCES = {
+            private: '私聊',
+            group: '群聊',
+            offline: '线下',
+            sms: '短信',
+            moment: '朋友圈'
+        };
+        const SEARCH_RESULT_LIMIT = 200;
+        const SEARCH_CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+        // 中日韩文字按相邻二元组切分（单字也保留），其余按单词切分并转小写
+        function tokenizeForSearch(text) {
+            const tokens = new Set();
+            if (!text) return tokens;
+            const lower = String(text).toLowerCase();
+            const runs = lower.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+|[a-z0-9_]+/g) || [];
+            runs.forEach(run => {
+                if (!SEARCH_CJK_RE.test(run[0])) {
+                    tokens.add(run);
+                    return;
+                }
+                for (let i = 0; i < run.length; i++) {
+                    tokens.add(run[i]);
+                    if (i + 1 < run.length) tokens.add(run.substr(i, 2));
+                }
+            });
+            return tokens;
+        }
+
+        // 查询词的检索 token：中文用二元组（单字查询用单字），英文用整词前缀
+        function _queryTokens(term) {
+            const tokens = [...tokenizeForSearch(term)];
+            const bigrams = tokens.filter(t => SEARCH_CJK_RE.test(t[0]) && t.length === 2);
+            const words = tokens.filter(t => !SEARCH_CJK_RE.test(t[0]));
+            const singles = tokens.filter(t => SEARCH_CJK_RE.test(t[0]) && t.length === 1);
+            return { cjk: bigrams.length > 0 ? bigrams : singles, words };
+        }
+
+        // 把消息内容转成可检索的纯文本（图片卡片、语音等特殊格式只保留文字部分）
+        function _searchableText(content) {
+            if (content == null) return '';
+            if (Array.isArray(content)) return content.map(p => p.text || '').join(' ');
+            if (typeof content !== 'string') return '';
+            if (content.startsWith('[imgcard:')) content = content.slice(9, -1);
+            return content.replace(/<[^>]+>/g, '');
+        }
+
+        let _searchIndex = null; // { docs, postings: Map(token -> Set(docIndex)), builtAt }
+
+        // 收集所有可检索的消息
+        async function _collectSearchDocs() {
+            const docs = [];
+            const push = (doc) => {
+                const text = _searchableText(doc.text);
+                if (text.trim()) docs.push({ ...doc, text });
+            };
+
+            // 1. 私聊（所有账号的会话：角色缓存只读入了当前账号的，其余按需从 messages 表读）
+            const chars = await db.characters.toArray();
+            const charNames = new Map();
+            chars.forEach(c => charNames.set(c.id, c.remark || c.wx_nickname || c.name || `角色${c.id}`));
+            for (const c of chars) {
+                if (c.type === 'user') continue;
+                const threads = await readCharChatThreads(c);
+                for (const [accountId, history] of Object.entries(threads)) {
+                    (history || []).forEach((msg, index) => {
+                        if (!msg || msg.type === 'avatar_change') return;
+                        push({
+                            source: 'private', accountId: String(accountId), charId: c.id, chatId: c.id,
+                            chatName: charNames.get(c.id), index, time: msg.time || 0, role: msg.role,
+                            speaker: msg.role === 'user' ? '我' : msg.role === 'system' ? '系统' : charNames.get(c.id),
+                            text: msg.content
+                        });
+                    });
+                }
+            }
+
+            // 2. 群聊（索引与群聊窗口一致：按时间排序后的位置）
+            try {
+                const groups = await db.group_chats.toArray();
+                groups.forEach(g => {
+                    const history = [...(g.chat_history || [])].sort((a, b) => (a.time || 0) - (b.time || 0));
+                    history.forEach((msg, index) => {
+                        if (!msg) return;
+                        const senderId = msg.senderId != null ? parseInt(msg.senderId) : null;
+                        push({
+                            source: 'group', accountId: g.ownerAccountId != null ? String(g.ownerAccountId) : '',
+                            charId: senderId, chatId: g.id, chatName: g.name || '群聊', index, time: msg.time || 0, role: msg.role,
+                            speaker: msg.role === 'user' ? '我' : (msg.senderName || msg.sender || charNames.get(senderId) || ''),
+                            text: msg.content
+                        });
+                    });
+                });
+            } catch (e) {
+                console.warn('[GlobalSearch] 群聊读取失败:', e);
+            }
+
+            // 3. 线下模式
+            try {
+                const offlineChats = await db.offline_chats.toArray();
+                offlineChats.forEach(rec => {
+                    const charId = parseInt(rec.charId);
+                    (rec.messages || []).forEach((msg, index) => {
+                        if (!msg) return;
+                        push({
+                            source: 'offline', accountId: String(rec.accountId), charId, chatId: charId,
+                            chatName: charNames.get(charId) || '线下', index, time: msg.time || 0, role: msg.role,
+                            speaker: msg.role === 'user' ? '我' : charNames.get(charId),
+                            text: msg.content
+                        });
+                    });
+                });
+            } catch (e) {
+                console.warn('[GlobalSearch] 线下记录读取失败:', e);
+            }
+
+            // 4. 短信
+            try {
+                const smsList = await db.sms_messages.toArray();
+                smsList.forEach(sms => {
+                    const contactId = sms.type === 'sent' ? (sms.number || sms.receiverId) : (sms.number || sms.sender);
+                    push({
+                        source: 'sms', accountId: String(sms.accountId), charId: sms.charId != null ? parseInt(sms.charId) : null,
+                        chatId: contactId, chatName: sms.type === 'sent' ? (sms.receiverName || contactId) : (sms.sender || contactId),
+                        msgId: sms.id, time: sms.time || 0, role: sms.type === 'sent' ? 'user' : 'char',
+                        speaker: sms.type === 'sent' ? '我' : (sms.sender || ''),
+                        text: sms.content
+                    });
+                });
+            } catch (e) {
+                console.warn('[GlobalSearch] 短信读取失败:', e);
+            }
+
+            // 5. 朋友圈（正文 + 评论）
+            try {
+                const moments = await db.moments.toArray();
+                moments.forEach(m => {
+                    const owner = m.ownerUserId != null ? String(m.ownerUserId) : '';
+                    const authorId = m.userId != null ? parseInt(m.userId) : null;
+                    push({
+                        source: 'moment', accountId: owner, charId: authorId, chatId: m.id, momentId: m.id,
+                        chatName: '朋友圈', time: m.time || 0, role: 'char',
+                        speaker: charNames.get(authorId) || '', text: m.content
+                    });
+                    (m.comments || []).forEach(cm => {
+                        push({
+                            source: 'moment', accountId: owner, charId: cm.userId != null ? parseInt(cm.userId) : null,
+                            chatId: m.id, momentId: m.id, chatName: '朋友圈评论', time: cm.time || m.time || 0, role: 'char',
+                            speaker: cm.userName || cm.name || charNames.get(parseInt(cm.userId)) || '', text: cm.content || cm.text
+                        });
+                    });
+                });
+            } catch (e) {
+                console.warn('[GlobalSearch] 朋友圈读取失败:', e);
+            }
+
+            return docs;
+        }
+
+        // 构建倒排索引（每次打开搜索页重建，保证与最新数据一致）
+        async function buildSearchIndex() {
+            const started = Date.now();
+            const docs = await _collectSearchDocs();
+            const postings = new Map();
+            docs.forEach((doc, i) => {
+                tokenizeForSearch(doc.text).forEach(token => {
+                    if (!postings.has(token)) postings.set(token, new Set());
+                    postings.get(token).add(i);
+                });
+            });
+            _searchIndex = { docs, postings, builtAt: Date.now() };
+            console.log(`[GlobalSearch] ✅ 索引完成：${docs.length} 条消息，${postings.size} 个词，用时 ${Date.now() - started}ms`);
+            return _searchIndex;
+        }
+
+// ===== Block 2: 查询 =====
+        /**
+         * 在索引中检索
+         * @param {string} query - 关键词，空格分隔的多个词需同时命中
+         * @param {Object} filters - { sources: Set, accountId, charId, from, to }（时间为毫秒时间戳）
+         * @returns {Array} 命中的文档（按相关度与时间排序）
+         */
+        function searchMessages(query, filters = {}) {
+            if (!_searchIndex) return [];
+            const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+            if (terms.length === 0) return [];
+            const { docs, postings } = _searchIndex;
+
+            // 逐词求交集，得到候选集
+            let candidates = null;
+            for (const term of terms) {
+                const { cjk, words } = _queryTokens(term);
+                let termSet = null;
+                const intersect = (set) => {
+                    termSet = termSet === null ? new Set(set) : new Set([...termSet].filter(i => set.has(i)));
+                };
+                cjk.forEach(t => intersect(postings.get(t) || new Set()));
+                words.forEach(w => {
+                    // 英文/数字：支持前缀匹配（如 "hel" 命中 "hello"）
+                    const merged = new Set();
+                    for (const [token, ids] of postings) {
+                        if (token.startsWith(w)) ids.forEach(i => merged.add(i));
+                    }
+                    intersect(merged);
+                });
+                if (termSet === null) return [];
+                candidates = candidates === null ? termSet : new Set([...candidates].filter(i => termSet.has(i)));
+                if (candidates.size === 0) return [];
+            }
+
+            const now = Date.now();
+            const results = [];
+            for (const i of candidates) {
+                const doc = docs[i];
+                if (filters.sources && !filters.sources.has(doc.source)) continue;
+                if (filters.accountId && doc.accountId !== String(filters.accountId)) continue;
+                if (filters.charId && doc.charId !== filters.charId && !(doc.source === 'private' && doc.chatId === filters.charId)) continue;
+                if (filters.from && doc.time < filters.from) continue;
+                if (filters.to && doc.time > filters.to) continue;
+
+                // 二元组命中后再做子串校验，避免“字都在但不连续”的误命中
+                const lower = doc.text.toLowerCase();
+                if (!terms.every(t => lower.includes(t))) continue;
+
+                const hits = terms.reduce((sum, t) => sum + lower.split(t).length - 1, 0);
+                const ageDays = Math.max(0, (now - (doc.time || 0)) / 86400000);
+                results.push({ doc, score: hits + 1 / (1 + ageDays / 30) });
+            }
+            results.sort((a, b) => (b.score - a.score) || (b.doc.time - a.doc.time));
+            return results.slice(0, SEARCH_RESULT_LIMIT).map(r => r.doc);
+        }
+
+        // 生成带高亮的摘要（关键词前后各保留一段上下文）
+        function _searchSnippet(text, terms, radius = 24) {
+            const lower = text.toLowerCase();
+            let pos = -1;
+            for (const t of terms) {
+                pos = lower.indexOf(t);
+                if (pos >= 0) break;
+            }
+            const start = Math.max(0, pos - radius);
+            const end = Math.min(text.length, (pos < 0 ? 0 : pos) + radius * 3);
+            let snippet = escapeHtml(text.slice(start, end));
+            terms.forEach(t => {
+                const escaped = escapeHtml(t).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                snippet = snippet.replace(new RegExp(escaped, 'gi'), m => `<span style="color:#07c160; font-weight:600;">${m}</span>`);
+            });
+            return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+        }
+
+// ===== Block 3: 搜索页面 =====
+        let _globalSearchResults = [];
+        let _globalSearchTimer = null;
+
+        async function showGlobalSearchPage() {
+            const page = document.getElementById('global-search-page');
+            if (!page) return;
+            page.style.display = 'flex';
+
+            // 账号 / 角色筛选项
+            const chars = await db.characters.toArray();
+            const accountSelect = document.getElementById('global-search-account');
+            const charSelect = document.getElementById('global-search-char');
+            const currentAccountId = getCurrentAccountId();
+            accountSelect.innerHTML = '<option value="">全部账号</option>' + chars
+                .filter(c => c.type === 'user')
+                .map(c => `<option value="${c.id}" ${String(c.id) === currentAccountId ? 'selected' : ''}>${escapeHtml(c.nick || c.name || `账号${c.id}`)}</option>`)
+                .join('');
+            charSelect.innerHTML = '<option value="">全部角色</option>' + chars
+                .filter(c => c.type !== 'user')
+                .map(c => `<option value="${c.id}">${escapeHtml(c.remark || c.wx_nickname || c.name || `角色${c.id}`)}</option>`)
+                .join('');
+
+            const resultsEl = document.getElementById('global-search-results');
+            resultsEl.innerHTML = '<div style="text-align:center; padding:40px 20px; color:#999; font-size:13px;">正在建立索引...</div>';
+            try {
+                await buildSearchIndex();
+                resultsEl.innerHTML = `<div style="text-align:center; padding:40px 20px; color:#999; font-size:13px;">共 ${_searchIndex.docs.length} 条记录可搜索</div>`;
+            } catch (e) {
+                console.error('[GlobalSearch] ❌ 建立索引失败:', e);
+                resultsEl.innerHTML = '<div style="text-align:center; padding:40px 20px; color:#ff3b30; font-size:13px;">索引建立失败，请重试</div>';
+                return;
+            }
+            const input = document.getElementById('global-search-input');
+            input.focus();
+            if (input.value.trim()) runGlobalSearch();
+        }
+
+        function hideGlobalSearchPage() {
+            const page = document.getElementById('global-search-page');
+            if (page) page.style.display = 'none';
+        }
+
+        // 输入防抖
+        function onGlobalSearchInput() {
+            clearTimeout(_globalSearchTimer);
+            _globalSearchTimer = setTimeout(runGlobalSearch, 250);
+        }
+
+        function _readSearchFilters() {
+            const sources = new Set();
+            document.querySelectorAll('#global-search-sources input[type="checkbox"]').forEach(cb => {
+                if (cb.checked) sources.add(cb.value);
+            });
+            const fromVal = document.getElementById('global-search-from').value;
+            const toVal = document.getElementById('global-search-to').value;
+            const charVal = document.getElementById('global-search-char').value;
+            return {
+                sources,
+                accountId: document.getElementById('global-search-account').value || null,
+                charId: charVal ? parseInt(charVal) : null,
+                from: fromVal ? new Date(fromVal + 'T00:00:00').getTime() : null,
+                to: toVal ? new Date(toVal + 'T23:59:59').getTime() : null
+            };
+        }
+
+        function runGlobalSearch() {
+            const resultsEl = document.getElementById('global-search-results');
+            const query = document.getElementById('global-search-input').value.trim();
+            if (!_searchIndex || !query) {
+                _globalSearchResults = [];
+                resultsEl.innerHTML = '';
+                return;
+            }
+            _globalSearchResults = searchMessages(query, _readSearchFilters());
+            if (_globalSearchResults.length === 0) {
+                resultsEl.innerHTML = '<div style="text-align:center; padding:40px 20px; color:#999; font-size:13px;">没有找到相关记录</div>';
+                return;
+            }
+            const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+            resultsEl.innerHTML = `<div style="padding:8px 16px; font-size:12px; color:#999;">找到 ${_globalSearchResults.length}${_globalSearchResults.length >= SEARCH_RESULT_LIMIT ? '+' : ''} 条</div>` +
+                _globalSearchResults.map((doc, i) => `
+                    <div onclick="jumpToSearchResult(${i})" style="background:#fff; padding:12px 16px; border-bottom:0.5px solid #f0f0f0; cursor:pointer;">
+                        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:4px;">
+                            <span style="font-size:14px; color:#333; font-weight:500;">
+                                <span style="font-size:11px; color:#fff; background:#07c160; border-radius:3px; padding:1px 4px; margin-right:6px;">${SEARCH_SOURCES[doc.source]}</span>${escapeHtml(String(doc.chatName || ''))}
+                            </span>
+                            <span style="font-size:11px; color:#999;">${doc.time ? formatSmsDetailTime(doc.time) : ''}</span>
+                        </div>
+                        <div style="font-size:13px; color:#666; line-height:1.5; word-break:break-all;">
+                            ${doc.speaker ? `<span style="color:#999;">${escapeHtml(String(doc.speaker))}：</span>` : ''}${_searchSnippet(doc.text, terms)}
+                        </div>
+                    </div>
+                `).join('');
+        }
+
+// ===== Block 4: 跳转到原消息 =====
+        // 反复“加载更早的消息”直到目标元素渲染出来，再多加载一页作为上文
+        async function _revealSearchHit(findEl, loadMore, loadMoreBtnId, maxRounds = 400) {
+            let el = null;
+            for (let round = 0; round < maxRounds; round++) {
+                el = findEl();
+                if (el) break;
+                if (!loadMoreBtnId || !document.getElementById(loadMoreBtnId)) {
+                    // 渲染可能还没完成（如群聊渲染有防抖），稍等再试
+                    if (round > 20) break;
+                    await new Promise(r => setTimeout(r, 100));
+                    continue;
+                }
+                await loadMore();
+            }
+            if (!el) {
+                showToast('未能定位到该消息');
+                return;
+            }
+            // 命中消息太靠上时补一页上文
+            const prevSiblings = [...el.parentElement.children].indexOf(el);
+            if (prevSiblings < 10 && loadMoreBtnId && document.getElementById(loadMoreBtnId)) {
+                await loadMore();
+                el = findEl() || el;
+            }
+            el.scrollIntoView({ block: 'center' });
+            el.classList.add('search-hit-flash');
+            setTimeout(() => el.classList.remove('search-hit-flash'), 2000);
+        }
+
+        async function jumpToSearchResult(i) {
+            const doc = _globalSearchResults[i];
+            if (!doc) return;
+            const currentAccountId = getCurrentAccountId();
+            if (['private', 'offline', 'sms'].includes(doc.source) && doc.accountId !== currentAccountId) {
+                showToast('该记录属于其他账号，请切换账号后查看');
+                return;
+            }
+            hideGlobalSearchPage();
+
+            if (doc.source === 'private') {
+                await openChatWindow(doc.chatId);
+                await _revealSearchHit(
+                    () => document.querySelector(`#chat-body .message-row[data-index="${doc.index}"], #chat-body [data-index="${doc.index}"]`),
+                    loadMoreMessages, 'load-more-btn');
+            } else if (doc.source === 'group') {
+                await openGroupChatWindow(doc.chatId);
+                await _revealSearchHit(
+                    () => document.querySelector(`#chat-body .group-message-row[data-msg-index="${doc.index}"]`),
+                    loadMoreGroupMessages, 'group-load-more-btn');
+            } else if (doc.source === 'offline') {
+                await openChatWindow(doc.chatId);
+                await showOfflineMode();
+                await _revealSearchHit(
+                    () => document.querySelector(`#offline-chat-body .offline-msg-row[data-index="${doc.index}"]`),
+                    loadMoreOfflineMessages, 'offline-load-more-btn');
+            } else if (doc.source === 'sms') {
+                await openMessageChat(doc.chatId);
+                await _revealSearchHit(
+                    () => document.querySelector(`.message-wrapper[data-msg-id="${doc.msgId}"]`),
+                    null, null);
+            } else if (doc.source === 'moment') {
+                await showMomentDetail(doc.momentId);
+            }
+        }
@@ -1,361 +1,36 @@
 /**
  * 联机交友后端服务器
  * 支持用户注册/登录、角色上线、好友搜索、消息转发
+ * 数据库：设置 MYSQL_* 环境变量使用 MySQL，否则使用内置 SQLite（STORAGE=memory 为纯内存，适合本地调试）
  */
 
 const WebSocket = require('ws');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./server/storage');
+const { MAX_FRAME_BYTES, findOversizedField, createRateLimiter, createLoginGuard } = require('./server/limits');
 
 // 配置
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const PRIVATE_HISTORY_PAGE = 100; // 私聊记录同步/翻页默认每次条数
+const PRIVATE_HISTORY_MAX_PAGE = 500; // 客户端可请求的单次最大条数
 
-// MySQL 连接池配置（不允许 fallback，强制使用环境变量）
-const dbConfig = {
-    host: process.env.MYSQL_HOST,
-    port: Number(process.env.MYSQL_PORT),
-    user: process.env.MYSQL_USER,
-    password: process.env.MYSQL_PASSWORD,
-    database: process.env.MYSQL_DATABASE,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-};
-
-// 创建连接池
-let db;
-
-// 初始化数据库
-async function initDB() {
-    // ❗ 启动时强制校验环境变量（不允许连接到错误的数据库）
-    if (!dbConfig.host || !dbConfig.user || !dbConfig.database) {
-        console.error('❌ MySQL 环境变量未注入，拒绝启动');
-        console.error('当前环境变量:');
-        console.error({
-            MYSQL_HOST: process.env.MYSQL_HOST || '❌ 未设置',
-            MYSQL_PORT: process.env.MYSQL_PORT || '❌ 未设置',
-            MYSQL_USER: process.env.MYSQL_USER || '❌ 未设置',
-            MYSQL_DATABASE: process.env.MYSQL_DATABASE || '❌ 未设置',
-            MYSQL_PASSWORD: process.env.MYSQL_PASSWORD ? '✅ 已设置' : '❌ 未设置'
-        });
-        console.error('\n⚠️  请确保 Backend 和 MySQL 在同一个 Zeabur Project 中');
-        process.exit(1);
-    }
-    
-    console.log('🔗 正在连接 MySQL 数据库...');
-    console.log(`   Host: ${dbConfig.host}:${dbConfig.port}`);
-    console.log(`   User: ${dbConfig.user}`);
-    console.log(`   Database: ${dbConfig.database}`);
-    
-    try {
-        db = mysql.createPool(dbConfig);
-        
-        // 测试连接
-        const connection = await db.getConnection();
-        console.log('✅ MySQL 连接成功');
-        connection.release();
-        
-        // 打印数据库指纹（用于确认数据持久化）
-        const [dbInfo] = await db.execute('SELECT DATABASE() as db_name, VERSION() as version');
-        const [userCount] = await db.execute('SELECT COUNT(*) as count FROM information_schema.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?', [dbConfig.database, 'users']);
-        
-        console.log('📊 数据库指纹:');
-        console.log(`   数据库名: ${dbInfo[0].db_name}`);
-        console.log(`   MySQL 版本: ${dbInfo[0].version}`);
-        console.log(`   users 表存在: ${userCount[0].count > 0 ? '✅ 是' : '❌ 否（首次部署）'}`);
-        
-        // 如果表已存在，打印数据统计
-        if (userCount[0].count > 0) {
-            const [stats] = await db.execute('SELECT COUNT(*) as count FROM users');
-            console.log(`   已注册用户数: ${stats[0].count}`);
-        }
-        
-        // 创建表
-        console.log('📋 正在创建数据表...');
-        
-        // 用户表（主账号）
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS users (
-                id VARCHAR(36) PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                email VARCHAR(100),
-                password_hash VARCHAR(255) NOT NULL,
-                created_at BIGINT DEFAULT 0,
-                last_login BIGINT,
-                INDEX idx_users_username (username)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        // 在线角色表
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS online_characters (
-                id VARCHAR(36) PRIMARY KEY,
-                user_id VARCHAR(36) NOT NULL,
-                wx_account VARCHAR(100) UNIQUE NOT NULL,
-                nickname VARCHAR(100) NOT NULL,
-                avatar TEXT,
-                bio TEXT,
-                is_online TINYINT DEFAULT 0,
-                last_seen BIGINT,
-                created_at BIGINT DEFAULT 0,
-                INDEX idx_online_chars_wx (wx_account),
-                INDEX idx_online_chars_user (user_id),
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        // 好友关系表
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS friendships (
-                id VARCHAR(36) PRIMARY KEY,
-                char_a_wx VARCHAR(100) NOT NULL,
-                char_b_wx VARCHAR(100) NOT NULL,
-                created_at BIGINT DEFAULT 0,
-                UNIQUE KEY unique_friendship (char_a_wx, char_b_wx),
-                INDEX idx_friendships_char_a (char_a_wx),
-                INDEX idx_friendships_char_b (char_b_wx)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        // 好友申请表
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS friend_requests (
-                id VARCHAR(36) PRIMARY KEY,
-                from_wx_account VARCHAR(100) NOT NULL,
-                to_wx_account VARCHAR(100) NOT NULL,
-                message TEXT,
-                status VARCHAR(20) DEFAULT 'pending',
-                created_at BIGINT DEFAULT 0,
-                updated_at BIGINT,
-                INDEX idx_friend_requests_to (to_wx_account)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        // 离线消息表
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS offline_messages (
-                id VARCHAR(36) PRIMARY KEY,
-                from_wx_account VARCHAR(100) NOT NULL,
-                to_wx_account VARCHAR(100) NOT NULL,
-                content LONGTEXT NOT NULL,
-                created_at BIGINT DEFAULT 0,
-                delivered TINYINT DEFAULT 0,
-                INDEX idx_offline_messages_to (to_wx_account)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        // 联机群聊表 - 强制重建（修复表结构问题）
-        console.log('🔄 重建群聊表...');
-        await db.execute('SET FOREIGN_KEY_CHECKS = 0');
-        await db.execute('DROP TABLE IF EXISTS online_group_messages');
-        await db.execute('DROP TABLE IF EXISTS online_group_members');
-        await db.execute('DROP TABLE IF EXISTS online_groups');
-        await db.execute('SET FOREIGN_KEY_CHECKS = 1');
-        
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS online_groups (
-                id VARCHAR(36) PRIMARY KEY,
-                name VARCHAR(100) NOT NULL,
-                avatar TEXT,
-                creator_wx VARCHAR(100) NOT NULL,
-                created_at BIGINT DEFAULT 0
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS online_group_members (
-                id VARCHAR(36) PRIMARY KEY,
-                group_id VARCHAR(36) NOT NULL,
-                user_wx VARCHAR(100) NOT NULL,
-                character_name VARCHAR(100),
-                character_avatar TEXT,
-                character_desc TEXT,
-                joined_at BIGINT DEFAULT 0,
-                UNIQUE KEY unique_group_member (group_id, user_wx),
-                INDEX idx_online_group_members_group (group_id),
-                FOREIGN KEY (group_id) REFERENCES online_groups(id)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS online_group_messages (
-                id VARCHAR(36) PRIMARY KEY,
-                group_id VARCHAR(36) NOT NULL,
-                sender_type VARCHAR(20) NOT NULL,
-                sender_wx VARCHAR(100) NOT NULL,
-                sender_name VARCHAR(100) NOT NULL,
-                character_name VARCHAR(100),
-                content LONGTEXT NOT NULL,
-                msg_type VARCHAR(20) DEFAULT 'text',
-                created_at BIGINT DEFAULT 0,
-                INDEX idx_online_group_messages_group (group_id),
-                FOREIGN KEY (group_id) REFERENCES online_groups(id)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-        `);
-        
-        console.log('✅ 群聊表结构正确');
-        
-        // ✅ 检查 online_group_members 表的列是否正确
-        try {
-            const [columns] = await db.execute(`
-                SELECT COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH 
-                FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'online_group_members'
-                ORDER BY ORDINAL_POSITION
-            `, [dbConfig.database]);
-            
-            console.log('📋 online_group_members 表结构:');
-            columns.forEach(col => {
-                console.log(`   - ${col.COLUMN_NAME}: ${col.DATA_TYPE}${col.CHARACTER_MAXIMUM_LENGTH ? `(${col.CHARACTER_MAXIMUM_LENGTH})` : ''}`);
-            });
-            
-            // 检查是否有 character_avatar 字段且类型正确
-            const avatarCol = columns.find(c => c.COLUMN_NAME === 'character_avatar');
-            if (!avatarCol) {
-                console.log('⚠️  缺少 character_avatar 字段，需要修复表结构');
-            } else if (avatarCol.DATA_TYPE === 'varchar' && avatarCol.CHARACTER_MAXIMUM_LENGTH < 1000) {
-                console.log('⚠️  character_avatar 字段类型不正确，需要修复为 TEXT 或 LONGTEXT');
-            }
-        } catch (checkError) {
-            console.log('ℹ️ 表结构检查:', checkError.message);
-        }
-        
-        console.log('✅ 数据表创建完成');
-        
-        // ✅ 数据库迁移：修改avatar字段为TEXT类型（防止"Data too long"错误）
-        try {
-            await db.execute(`
-                ALTER TABLE online_characters 
-                MODIFY COLUMN avatar TEXT
-            `);
-            console.log('✅ 数据库迁移：avatar字段已更新为TEXT类型');
-        } catch (alterError) {
-            // 如果字段已经是TEXT类型，会报错，忽略即可
-            if (!alterError.message.includes('Duplicate column name')) {
-                console.log('ℹ️ avatar字段迁移:', alterError.message);
-            }
-        }
-        
-        // ✅ 数据库迁移：修改消息内容字段为LONGTEXT类型（支持大图片）
-        console.log('🔄 正在升级消息表以支持大图片...');
-        try {
-            await db.execute(`
-                ALTER TABLE offline_messages 
-                MODIFY COLUMN content LONGTEXT NOT NULL
-            `);
-            console.log('✅ offline_messages.content 已更新为 LONGTEXT');
-        } catch (alterError) {
-            console.log('ℹ️ offline_messages.content 迁移:', alterError.message);
-        }
-        
-        try {
-            await db.execute(`
-                ALTER TABLE online_group_messages 
-                MODIFY COLUMN content LONGTEXT NOT NULL
-            `);
-            console.log('✅ online_group_messages.content 已更新为 LONGTEXT');
-        } catch (alterError) {
-            console.log('ℹ️ online_group_messages.content 迁移:', alterError.message);
-        }
-        
-        // ✅ 修复可能的表结构不匹配问题
-        console.log('🔧 检查并修复表结构...');
-        try {
-            // 删除可能存在的旧表（如果表结构有问题）
-            // 检查 online_group_members 表结构
-            const [columns] = await db.execute(`
-                SELECT COLUMN_NAME, DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS 
-                WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'online_group_members'
-                ORDER BY ORDINAL_POSITION
-            `, [dbConfig.database]);
-            
-            const columnNames = columns.map(c => c.COLUMN_NAME);
-            const requiredColumns = ['id', 'group_id', 'user_wx', 'character_name', 'character_avatar', 'character_desc', 'joined_at'];
-            
-            // 检查是否缺少必要字段
-            const missingColumns = requiredColumns.filter(col => !columnNames.includes(col));
-            
-            // 检查 character_avatar 的数据类型
-            const avatarCol = columns.find(c => c.COLUMN_NAME === 'character_avatar');
-            const needsRebuild = missingColumns.length > 0 || (avatarCol && !['text', 'mediumtext', 'longtext'].includes(avatarCol.DATA_TYPE.toLowerCase()));
-            
-            if (needsRebuild) {
-                if (missingColumns.length > 0) {
-                    console.log(`⚠️  检测到 online_group_members 表缺少字段: ${missingColumns.join(', ')}`);
-                }
-                if (avatarCol && !['text', 'mediumtext', 'longtext'].includes(avatarCol.DATA_TYPE.toLowerCase())) {
-                    console.log(`⚠️  character_avatar 字段类型错误: ${avatarCol.DATA_TYPE} (应为 TEXT)`);
-                }
-                console.log('🔄 正在重建表...');
-                
-                // 删除旧表并重建
-                await db.execute('DROP TABLE IF EXISTS online_group_messages');
-                await db.execute('DROP TABLE IF EXISTS online_group_members');
-                await db.execute('DROP TABLE IF EXISTS online_groups');
-                
-                // 重新创建群聊表
-                await db.execute(`
-                    CREATE TABLE online_groups (
-                        id VARCHAR(36) PRIMARY KEY,
-                        name VARCHAR(100) NOT NULL,
-                        avatar TEXT,
-                        creator_wx VARCHAR(100) NOT NULL,
-                        created_at BIGINT DEFAULT 0
-                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-                `);
-                
-                await db.execute(`
-                    CREATE TABLE online_group_members (
-                        id VARCHAR(36) PRIMARY KEY,
-                        group_id VARCHAR(36) NOT NULL,
-                        user_wx VARCHAR(100) NOT NULL,
-                        character_name VARCHAR(100),
-                        character_avatar TEXT,
-                        character_desc TEXT,
-                        joined_at BIGINT DEFAULT 0,
-                        UNIQUE KEY unique_group_member (group_id, user_wx),
-                        INDEX idx_online_group_members_group (group_id),
-                        FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-                `);
-                
-                await db.execute(`
-                    CREATE TABLE online_group_messages (
-                        id VARCHAR(36) PRIMARY KEY,
-                        group_id VARCHAR(36) NOT NULL,
-                        sender_type VARCHAR(20) NOT NULL,
-                        sender_wx VARCHAR(100) NOT NULL,
-                        sender_name VARCHAR(100) NOT NULL,
-                        character_name VARCHAR(100),
-                        content LONGTEXT NOT NULL,
-                        msg_type VARCHAR(20) DEFAULT 'text',
-                        created_at BIGINT DEFAULT 0,
-                        INDEX idx_online_group_messages_group (group_id),
-                        FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-                `);
-                
-                console.log('✅ 群聊表已重建');
-            } else {
-                console.log('✅ 表结构检查通过');
-            }
-        } catch (checkError) {
-            console.log('ℹ️ 表结构检查:', checkError.message);
-        }
-        
-    } catch (error) {
-        console.error('❌ 数据库初始化失败:', error);
-        throw error;
-    }
-}
+// 数据仓库（MySQL 或内置 SQLite，由环境变量 STORAGE 选择，见 server/storage）
+let repo;
 
 // 在线连接管理
-const clients = new Map(); // socket -> { userId, wxAccounts: Set }
+const clients = new Map(); // socket -> { userId, wxAccounts: Set, limiter, ip }
 const wxAccountToSocket = new Map(); // wxAccount -> socket
 
+// 滥用防护（见 server/limits.js）：每个连接一套限流桶，另按账号共享一套（多开连接也绕不过去）
+// 登录前还没有账号，登录注册类请求再按客户端 IP 限流（断线重连拿到新的连接桶也绕不过去）
+const accountLimiter = createRateLimiter();
+const ipLimiter = createRateLimiter();
+const PRE_AUTH_TYPES = new Set(['register', 'login', 'auth']);
+const loginGuard = createLoginGuard();
+
 // 创建 HTTP 服务器
 const http = require('http');
 const server = http.createServer((req, res) => {
@@ -369,8 +44,8 @@ const server = http.createServer((req, res) => {
     }));
 });
 
-// 创建 WebSocket 服务器（不指定 path，处理所有 WebSocket 升级请求）
-const wss = new WebSocket.Server({ server });
+// 创建 WebSocket 服务器（不指定 path，处理所有 WebSocket 升级请求；超过 MAX_FRAME_BYTES 的帧直接断开连接）
+const wss = new WebSocket.Server({ server, maxPayload: MAX_FRAME_BYTES });
 
 // 心跳检测：每30秒检查一次所有连接
 const heartbeatInterval = setInterval(() => {
@@ -382,14 +57,19 @@ const heartbeatInterval = setInterval(() => {
         ws.isAlive = false;
         ws.ping(); // 发送 ping，等待 pong 响应
     });
+    // 顺带清理已恢复的限流桶和过期的登录失败记录
+    accountLimiter.sweep();
+    ipLimiter.sweep();
+    loginGuard.sweep();
 }, 30000);
 
 // 处理 WebSocket 连接
 wss.on('connection', (ws, req) => {
-    console.log('[WS] 新连接，来自:', req.socket.remoteAddress);
+    const ip = getClientIp(req);
+    console.log('[WS] 新连接，来自:', ip);
     
     // 初始化客户端状态
-    clients.set(ws, { userId: null, wxAccounts: new Set() });
+    clients.set(ws, { userId: null, wxAccounts: new Set(), limiter: createRateLimiter(), ip });
     
     // 心跳检测：标记连接为活跃
     ws.isAlive = true;
@@ -400,6 +80,11 @@ wss.on('connection', (ws, req) => {
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
+            const rejection = checkRequest(ws, data);
+            if (rejection) {
+                sendError(ws, rejection.message, rejection.details);
+                return;
+            }
             // 处理客户端发来的心跳
             if (data.type === 'ping') {
                 send(ws, { type: 'pong' });
@@ -422,6 +107,37 @@ wss.on('connection', (ws, req) => {
     });
 });
 
+// 分发前的检查：消息格式、字段长度、连接、账号和（登录前）IP 的限流；不通过时返回 { message, details }，details 带 code 供客户端区分
+function checkRequest(ws, data) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+        return { message: '消息格式错误', details: { code: 'bad_request' } };
+    }
+    
+    const oversized = findOversizedField(data);
+    if (oversized) {
+        return {
+            message: `内容过长（${oversized.field} 最多 ${oversized.limit}）`,
+            details: { code: 'payload_too_large', request_type: data.type, client_msg_id: data.client_msg_id, field: oversized.field, limit: oversized.limit }
+        };
+    }
+    
+    const clientData = clients.get(ws);
+    let retryAfter = clientData.limiter.take(data.type);
+    if (!retryAfter && PRE_AUTH_TYPES.has(data.type)) {
+        retryAfter = ipLimiter.take(data.type, clientData.ip);
+    }
+    if (!retryAfter && clientData.userId) {
+        retryAfter = accountLimiter.take(data.type, clientData.userId);
+    }
+    if (retryAfter) {
+        return {
+            message: '操作太频繁，请稍后再试',
+            details: { code: 'rate_limited', request_type: data.type, retry_after_ms: retryAfter }
+        };
+    }
+    return null;
+}
+
 // 处理消息
 async function handleMessage(ws, data) {
     console.log('[WS] 收到消息:', data.type);
@@ -470,6 +186,18 @@ async function handleMessage(ws, data) {
             case 'get_pending_requests':
                 await handleGetPendingRequests(ws, data);
                 break;
+            case 'sync_messages':
+                await handleSyncMessages(ws, data);
+                break;
+            case 'get_message_history':
+                await handleGetMessageHistory(ws, data);
+                break;
+            case 'message_ack':
+                await handleMessageAck(ws, data);
+                break;
+            case 'message_read':
+                await handleMessageRead(ws, data);
+                break;
             
             // 联机群聊
             case 'create_online_group':
@@ -505,6 +233,26 @@ async function handleMessage(ws, data) {
             case 'claim_group_redpacket':
                 await handleClaimGroupRedPacket(ws, data);
                 break;
+            case 'group_read':
+                await handleGroupRead(ws, data);
+                break;
+            
+            // 亲属卡
+            case 'grant_family_card':
+                await handleGrantFamilyCard(ws, data);
+                break;
+            case 'use_family_card':
+                await handleUseFamilyCard(ws, data);
+                break;
+            case 'revoke_family_card':
+                await handleRevokeFamilyCard(ws, data);
+                break;
+            case 'get_family_cards':
+                await handleGetFamilyCards(ws, data);
+                break;
+            case 'get_family_card_records':
+                await handleGetFamilyCardRecords(ws, data);
+                break;
                 
             default:
                 sendError(ws, '未知的消息类型');
@@ -536,8 +284,8 @@ async function handleRegister(ws, data) {
     }
     
     // 检查用户名是否已存在
-    const [rows] = await db.execute('SELECT * FROM users WHERE username = ?', [username]);
-    if (rows.length > 0) {
+    const existing = await repo.findUserByUsername(username);
+    if (existing) {
         sendError(ws, '用户名已被注册');
         return;
     }
@@ -547,10 +295,7 @@ async function handleRegister(ws, data) {
     const passwordHash = bcrypt.hashSync(password, 10);
     
     try {
-        await db.execute(
-            'INSERT INTO users (id, username, email, password_hash, created_at) VALUES (?, ?, ?, ?, ?)',
-            [userId, username, email || null, passwordHash, Date.now()]
-        );
+        await repo.createUser({ id: userId, username, email, password_hash: passwordHash });
         
         // 生成token
         const token = jwt.sign({ userId, username }, JWT_SECRET, { expiresIn: '30d' });
@@ -580,21 +325,35 @@ async function handleLogin(ws, data) {
         sendError(ws, '用户名和密码不能为空');
         return;
     }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        sendError(ws, '用户名或密码格式错误');
+        return;
+    }
     
-    const [rows] = await db.execute('SELECT * FROM users WHERE username = ?', [username]);
-    if (rows.length === 0) {
-        sendError(ws, '用户名或密码错误');
+    // 同一客户端连续输错密码后锁定（按 IP + 用户名），锁定期间不再校验密码；其他客户端照常登录
+    const { ip } = clients.get(ws);
+    const lockedMs = loginGuard.check(ip, username);
+    if (lockedMs > 0) {
+        sendError(ws, `密码错误次数过多，请 ${Math.ceil(lockedMs / 1000)} 秒后再试`, { code: 'login_locked', retry_after_ms: lockedMs });
         return;
     }
     
-    const user = rows[0];
-    if (!bcrypt.compareSync(password, user.password_hash)) {
-        sendError(ws, '用户名或密码错误');
+    const user = await repo.findUserByUsername(username);
+    // 用户名不存在也计入失败次数，不暴露账号是否存在
+    if (!user || !bcrypt.compareSync(password, user.password_hash)) {
+        const lockMs = loginGuard.fail(ip, username);
+        if (lockMs > 0) {
+            console.log(`[登录锁定] ${ip} 登录 ${username} 锁定 ${Math.ceil(lockMs / 1000)} 秒`);
+            sendError(ws, `密码错误次数过多，请 ${Math.ceil(lockMs / 1000)} 秒后再试`, { code: 'login_locked', retry_after_ms: lockMs });
+        } else {
+            sendError(ws, '用户名或密码错误');
+        }
         return;
     }
+    loginGuard.succeed(ip, username);
     
     // 更新最后登录时间
-    await db.execute('UPDATE users SET last_login = ? WHERE id = ?', [Date.now(), user.id]);
+    await repo.touchUserLogin(user.id);
     
     // 生成token
     const token = jwt.sign({ userId: user.id, username: user.username }, JWT_SECRET, { expiresIn: '30d' });
@@ -623,15 +382,13 @@ async function handleAuth(ws, data) {
     
     try {
         const decoded = jwt.verify(token, JWT_SECRET);
-        const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [decoded.userId]);
+        const user = await repo.findUserById(decoded.userId);
         
-        if (rows.length === 0) {
+        if (!user) {
             send(ws, { type: 'auth_failed', message: '用户不存在' });
             return;
         }
         
-        const user = rows[0];
-        
         // 设置客户端状态
         const clientData = clients.get(ws);
         clientData.userId = user.id;
@@ -654,7 +411,7 @@ async function handleAuth(ws, data) {
 // 恢复用户角色
 async function restoreUserCharacters(ws, userId) {
     try {
-        const [chars] = await db.execute('SELECT * FROM online_characters WHERE user_id = ?', [userId]);
+        const chars = await repo.listUserCharacters(userId);
         const clientData = clients.get(ws);
         
         // 将之前在线的角色重新设置为在线
@@ -682,10 +439,7 @@ async function handleLogout(ws) {
     
     // 将所有角色设为离线
     if (clientData.userId) {
-        await db.execute(
-            'UPDATE online_characters SET is_online = 0, last_seen = ? WHERE user_id = ?',
-            [Date.now(), clientData.userId]
-        );
+        await repo.setUserCharactersOffline(clientData.userId);
     }
     
     // 清理映射
@@ -723,24 +477,18 @@ async function handleGoOnline(ws, data) {
         }
         
         // 检查微信号是否被其他用户占用
-        const [existing] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [wx_account]);
-        if (existing.length > 0 && existing[0].user_id !== clientData.userId) {
+        const existing = await repo.findCharacter(wx_account);
+        if (existing && existing.user_id !== clientData.userId) {
             sendError(ws, '该微信号已被其他用户使用');
             return;
         }
         
         // 创建或更新角色
-        const charId = existing.length > 0 ? existing[0].id : uuidv4();
-        await db.execute(`
-            INSERT INTO online_characters (id, user_id, wx_account, nickname, avatar, bio, is_online, last_seen, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)
-            ON DUPLICATE KEY UPDATE
-                nickname = VALUES(nickname),
-                avatar = VALUES(avatar),
-                bio = VALUES(bio),
-                is_online = 1,
-                last_seen = VALUES(last_seen)
-        `, [charId, clientData.userId, wx_account, nickname, avatar || '', bio || '', Date.now(), Date.now()]);
+        await repo.saveCharacter({
+            id: existing ? existing.id : uuidv4(),
+            user_id: clientData.userId,
+            wx_account, nickname, avatar, bio
+        }, { online: true });
         
         // 更新映射
         clientData.wxAccounts.add(wx_account);
@@ -755,6 +503,10 @@ async function handleGoOnline(ws, data) {
         // 投递离线消息
         await deliverOfflineMessages(ws, wx_account);
         
+        // 投递离线事件（亲属卡通知等），并同步亲属卡列表
+        await deliverOfflineEvents(ws, wx_account);
+        await sendFamilyCardsList(ws, wx_account);
+        
         // 投递待处理的好友申请
         await deliverPendingFriendRequests(ws, wx_account);
         
@@ -774,10 +526,7 @@ async function handleGoOffline(ws, data) {
         return;
     }
     
-    await db.execute(
-        'UPDATE online_characters SET is_online = 0, last_seen = ? WHERE wx_account = ?',
-        [Date.now(), wx_account]
-    );
+    await repo.setCharacterOffline(wx_account);
     clientData.wxAccounts.delete(wx_account);
     wxAccountToSocket.delete(wx_account);
     
@@ -795,7 +544,7 @@ async function handleGetOnlineCharacters(ws) {
     }
     
     // 直接查询数据库中标记为在线的角色
-    const [chars] = await db.execute('SELECT * FROM online_characters WHERE user_id = ? AND is_online = 1', [clientData.userId]);
+    const chars = await repo.listOnlineCharacters(clientData.userId);
     
     send(ws, {
         type: 'online_characters',
@@ -834,23 +583,18 @@ async function handleRegisterCharacter(ws, data) {
         }
         
         // 检查微信号是否被其他用户占用
-        const [existing] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [wx_account]);
-        if (existing.length > 0 && existing[0].user_id !== clientData.userId) {
+        const existing = await repo.findCharacter(wx_account);
+        if (existing && existing.user_id !== clientData.userId) {
             sendError(ws, '该微信号已被其他用户使用');
             return;
         }
         
-        // 注册角色（不上线，is_online = 0）
-        const charId = existing.length > 0 ? existing[0].id : uuidv4();
-        await db.execute(`
-            INSERT INTO online_characters (id, user_id, wx_account, nickname, avatar, bio, is_online, last_seen, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)
-            ON DUPLICATE KEY UPDATE
-                nickname = VALUES(nickname),
-                avatar = VALUES(avatar),
-                bio = VALUES(bio),
-                last_seen = VALUES(last_seen)
-        `, [charId, clientData.userId, wx_account, nickname, avatar || '', bio || '', Date.now(), Date.now()]);
+        // 注册角色（不上线，已有角色保持原来的在线状态）
+        await repo.saveCharacter({
+            id: existing ? existing.id : uuidv4(),
+            user_id: clientData.userId,
+            wx_account, nickname, avatar, bio
+        }, { online: false });
         
         console.log(`[注册角色] ${nickname} (${wx_account}) - 未上线，仅用于搜索`);
     } catch (error) {
@@ -872,15 +616,14 @@ async function handleSearchUser(ws, data) {
     }
     
     // 尝试精确匹配（不区分大小写）
-    const [rows] = await db.execute('SELECT * FROM online_characters WHERE LOWER(wx_account) = LOWER(?)', [wx_account]);
+    const char = await repo.searchCharacter(wx_account);
     
-    if (rows.length === 0) {
+    if (!char) {
         console.log('[搜索] 未找到微信号:', wx_account);
         send(ws, { type: 'search_result', result: null });
         return;
     }
-    
-    const char = rows[0];
+
     console.log('[搜索] 找到用户:', char.nickname, '微信号:', char.wx_account, '在线状态:', char.is_online);
     
     send(ws, {
@@ -906,31 +649,24 @@ async function handleFriendRequest(ws, data) {
     }
     
     // 检查目标是否存在
-    const [toChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [to_wx_account]);
-    if (toChar.length === 0) {
+    const toChar = await repo.findCharacter(to_wx_account);
+    if (!toChar) {
         sendError(ws, '目标用户不存在');
         return;
     }
     
     // 检查是否已经是好友
-    const [alreadyFriends] = await db.execute(
-        'SELECT 1 FROM friendships WHERE (char_a_wx = ? AND char_b_wx = ?) OR (char_a_wx = ? AND char_b_wx = ?)',
-        [from_wx_account, to_wx_account, to_wx_account, from_wx_account]
-    );
-    if (alreadyFriends.length > 0) {
+    if (await repo.areFriends(from_wx_account, to_wx_account)) {
         sendError(ws, '你们已经是好友了');
         return;
     }
     
     // 创建好友申请
     const requestId = uuidv4();
-    await db.execute(
-        'INSERT INTO friend_requests (id, from_wx_account, to_wx_account, message, created_at) VALUES (?, ?, ?, ?, ?)',
-        [requestId, from_wx_account, to_wx_account, message || '', Date.now()]
-    );
+    await repo.createFriendRequest({ id: requestId, from_wx_account, to_wx_account, message });
     
     // 获取发送者信息
-    const [fromChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [from_wx_account]);
+    const fromChar = await repo.findCharacter(from_wx_account);
     
     // 如果目标在线，立即推送
     const toSocket = wxAccountToSocket.get(to_wx_account);
@@ -940,8 +676,8 @@ async function handleFriendRequest(ws, data) {
             request: {
                 id: requestId,
                 from_wx_account,
-                from_nickname: fromChar[0]?.nickname || from_wx_account,
-                from_avatar: fromChar[0]?.avatar || '',
+                from_nickname: fromChar?.nickname || from_wx_account,
+                from_avatar: fromChar?.avatar || '',
                 message: message || '',
                 time: Date.now()
             }
@@ -961,34 +697,26 @@ async function handleAcceptFriendRequest(ws, data) {
         return;
     }
     
-    const [requests] = await db.execute('SELECT * FROM friend_requests WHERE id = ?', [request_id]);
-    if (requests.length === 0 || requests[0].to_wx_account !== my_wx_account) {
+    const request = await repo.findFriendRequest(request_id);
+    if (!request || request.to_wx_account !== my_wx_account) {
         sendError(ws, '好友申请不存在');
         return;
     }
     
-    const request = requests[0];
     if (request.status !== 'pending') {
         sendError(ws, '该申请已处理');
         return;
     }
     
     // 更新申请状态
-    await db.execute(
-        'UPDATE friend_requests SET status = ?, updated_at = ? WHERE id = ?',
-        ['accepted', Date.now(), request_id]
-    );
+    await repo.updateFriendRequestStatus(request_id, 'accepted');
     
     // 创建好友关系
-    const friendshipId = uuidv4();
-    await db.execute(
-        'INSERT IGNORE INTO friendships (id, char_a_wx, char_b_wx, created_at) VALUES (?, ?, ?, ?)',
-        [friendshipId, request.from_wx_account, my_wx_account, Date.now()]
-    );
+    await repo.addFriendship({ id: uuidv4(), char_a_wx: request.from_wx_account, char_b_wx: my_wx_account });
     
     // 获取双方信息
-    const [myChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [my_wx_account]);
-    const [theirChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [request.from_wx_account]);
+    const myChar = await repo.findCharacter(my_wx_account);
+    const theirChar = await repo.findCharacter(request.from_wx_account);
     
     // 通知申请者
     const theirSocket = wxAccountToSocket.get(request.from_wx_account);
@@ -996,9 +724,9 @@ async function handleAcceptFriendRequest(ws, data) {
         send(theirSocket, {
             type: 'friend_request_accepted',
             friend_wx_account: my_wx_account,
-            friend_nickname: myChar[0]?.nickname || my_wx_account,
-            friend_avatar: myChar[0]?.avatar || '',
-            friend_bio: myChar[0]?.bio || ''
+            friend_nickname: myChar?.nickname || my_wx_account,
+            friend_avatar: myChar?.avatar || '',
+            friend_bio: myChar?.bio || ''
         });
     }
     
@@ -1006,9 +734,9 @@ async function handleAcceptFriendRequest(ws, data) {
     send(ws, {
         type: 'friend_request_accepted',
         friend_wx_account: request.from_wx_account,
-        friend_nickname: theirChar[0]?.nickname || request.from_wx_account,
-        friend_avatar: theirChar[0]?.avatar || '',
-        friend_bio: theirChar[0]?.bio || ''
+        friend_nickname: theirChar?.nickname || request.from_wx_account,
+        friend_avatar: theirChar?.avatar || '',
+        friend_bio: theirChar?.bio || ''
     });
     
     console.log(`[好友申请接受] ${request.from_wx_account} <-> ${my_wx_account}`);
@@ -1024,24 +752,21 @@ async function handleRejectFriendRequest(ws, data) {
         return;
     }
     
-    const [requests] = await db.execute('SELECT * FROM friend_requests WHERE id = ?', [request_id]);
-    if (requests.length === 0 || requests[0].to_wx_account !== my_wx_account) {
+    const request = await repo.findFriendRequest(request_id);
+    if (!request || request.to_wx_account !== my_wx_account) {
         sendError(ws, '好友申请不存在');
         return;
     }
     
-    await db.execute(
-        'UPDATE friend_requests SET status = ?, updated_at = ? WHERE id = ?',
-        ['rejected', Date.now(), request_id]
-    );
+    await repo.updateFriendRequestStatus(request_id, 'rejected');
     
-    console.log(`[好友申请拒绝] ${requests[0].from_wx_account} -> ${my_wx_account}`);
+    console.log(`[好友申请拒绝] ${request.from_wx_account} -> ${my_wx_account}`);
 }
 
 // 发送消息
 async function handleSendMessage(ws, data) {
     const clientData = clients.get(ws);
-    const { from_wx_account, to_wx_account, content } = data;
+    const { from_wx_account, to_wx_account, content, client_msg_id } = data;
     
     if (!clientData.wxAccounts.has(from_wx_account)) {
         sendError(ws, '你没有使用该微信号上线');
@@ -1049,36 +774,44 @@ async function handleSendMessage(ws, data) {
     }
     
     // 检查是否是好友
-    const [areFriends] = await db.execute(
-        'SELECT 1 FROM friendships WHERE (char_a_wx = ? AND char_b_wx = ?) OR (char_a_wx = ? AND char_b_wx = ?)',
-        [from_wx_account, to_wx_account, to_wx_account, from_wx_account]
-    );
-    if (areFriends.length === 0) {
+    if (!(await repo.areFriends(from_wx_account, to_wx_account))) {
         sendError(ws, '你们还不是好友');
         return;
     }
     
+    // 发送方没收到 message_stored 时会带着同一个 client_msg_id 重发，已保存过的只补发回执
+    const clientMsgId = typeof client_msg_id === 'string' ? client_msg_id.substring(0, 64) : null;
+    if (clientMsgId) {
+        const existing = await repo.findPrivateMessageByClientId(from_wx_account, clientMsgId);
+        if (existing) {
+            sendMessageStored(ws, formatPrivateMessage(existing));
+            return;
+        }
+    }
+    
     // 获取发送者信息
-    const [fromChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [from_wx_account]);
+    const fromChar = await repo.findCharacter(from_wx_account);
+    
+    // 存入私聊记录，分配会话序号（多设备同步和翻页都按序号）；同时放进待投递表，收件方确认前一直留着，确认后才算送达
+    const stored = await repo.savePrivateMessage({ id: uuidv4(), client_msg_id: clientMsgId, from_wx_account, to_wx_account, content });
+    if (stored.duplicate) {
+        // 并发的重试已经先存下了这条消息
+        sendMessageStored(ws, formatPrivateMessage(stored));
+        return;
+    }
+    const message = formatPrivateMessage({ ...stored, client_msg_id: clientMsgId, from_wx_account, to_wx_account, content });
+    
+    sendMessageStored(ws, message);
     
-    // 检查目标是否在线
+    // 目标在线时直接推送；连接断开没确认的，下次上线重新投递
     const toSocket = wxAccountToSocket.get(to_wx_account);
     if (toSocket) {
         send(toSocket, {
             type: 'message',
-            from_wx_account,
-            from_nickname: fromChar[0]?.nickname || from_wx_account,
-            from_avatar: fromChar[0]?.avatar || '',
-            content,
-            timestamp: Date.now()
+            ...message,
+            from_nickname: fromChar?.nickname || from_wx_account,
+            from_avatar: fromChar?.avatar || ''
         });
-    } else {
-        // 保存离线消息
-        const msgId = uuidv4();
-        await db.execute(
-            'INSERT INTO offline_messages (id, from_wx_account, to_wx_account, content, created_at) VALUES (?, ?, ?, ?, ?)',
-            [msgId, from_wx_account, to_wx_account, content, Date.now()]
-        );
     }
     
     console.log(`[消息] ${from_wx_account} -> ${to_wx_account}`);
@@ -1093,19 +826,16 @@ async function handleGetPendingRequests(ws, data) {
         return;
     }
     
-    const [requests] = await db.execute(
-        'SELECT * FROM friend_requests WHERE to_wx_account = ? AND status = ?',
-        [wx_account, 'pending']
-    );
+    const requests = await repo.listPendingFriendRequests(wx_account);
     
     const result = [];
     for (const r of requests) {
-        const [fromChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [r.from_wx_account]);
+        const fromChar = await repo.findCharacter(r.from_wx_account);
         result.push({
             id: r.id,
             from_wx_account: r.from_wx_account,
-            from_nickname: fromChar[0]?.nickname || r.from_wx_account,
-            from_avatar: fromChar[0]?.avatar || '',
+            from_nickname: fromChar?.nickname || r.from_wx_account,
+            from_avatar: fromChar?.avatar || '',
             message: r.message,
             time: r.created_at
         });
@@ -1117,28 +847,35 @@ async function handleGetPendingRequests(ws, data) {
     });
 }
 
-// 投递离线消息
+// 告诉发送方消息已保存及其序号，客户端据此停止重发、推进同步游标
+function sendMessageStored(ws, message) {
+    send(ws, {
+        type: 'message_stored',
+        from_wx_account: message.from_wx_account,
+        to_wx_account: message.to_wx_account,
+        client_msg_id: message.client_msg_id,
+        message_id: message.message_id,
+        seq: message.seq,
+        timestamp: message.timestamp
+    });
+}
+
+// 投递未确认的私聊消息（收件方用 message_ack 确认后才标记送达，之前每次上线都会重发，客户端按 message_id 去重）
 async function deliverOfflineMessages(ws, wxAccount) {
     try {
-        const [messages] = await db.execute(
-            'SELECT * FROM offline_messages WHERE to_wx_account = ? AND delivered = 0 ORDER BY created_at',
-            [wxAccount]
-        );
+        const messages = await repo.listOfflineMessages(wxAccount);
         
         for (const msg of messages) {
-            const [fromChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [msg.from_wx_account]);
+            const fromChar = await repo.findCharacter(msg.from_wx_account);
             send(ws, {
                 type: 'message',
-                from_wx_account: msg.from_wx_account,
-                from_nickname: fromChar[0]?.nickname || msg.from_wx_account,
-                from_avatar: fromChar[0]?.avatar || '',
-                content: msg.content,
-                timestamp: msg.created_at
+                ...formatPrivateMessage(msg),
+                from_nickname: fromChar?.nickname || msg.from_wx_account,
+                from_avatar: fromChar?.avatar || ''
             });
         }
         
         if (messages.length > 0) {
-            await db.execute('UPDATE offline_messages SET delivered = 1 WHERE to_wx_account = ?', [wxAccount]);
             console.log(`[离线消息] 投递 ${messages.length} 条消息给 ${wxAccount}`);
         }
     } catch (error) {
@@ -1147,23 +884,53 @@ async function deliverOfflineMessages(ws, wxAccount) {
     }
 }
 
+// 推送事件：在线直接发送，不在线存入离线事件表
+async function pushEvent(wxAccount, payload) {
+    const socket = wxAccountToSocket.get(wxAccount);
+    if (socket) {
+        send(socket, payload);
+        return;
+    }
+    await repo.saveOfflineEvent({ id: uuidv4(), to_wx_account: wxAccount, payload });
+}
+
+// 投递离线事件
+async function deliverOfflineEvents(ws, wxAccount) {
+    try {
+        const events = await repo.listOfflineEvents(wxAccount);
+        
+        for (const event of events) {
+            try {
+                send(ws, JSON.parse(event.payload));
+            } catch (e) {
+                console.error('[离线事件] 解析失败:', event.id);
+            }
+        }
+        
+        if (events.length > 0) {
+            await repo.markOfflineEventsDelivered(events.map(e => e.id));
+            console.log(`[离线事件] 投递 ${events.length} 条事件给 ${wxAccount}`);
+        }
+    } catch (error) {
+        console.error('[投递离线事件错误]', error);
+        // 不影响上线流程，只记录错误
+    }
+}
+
 // 投递待处理的好友申请
 async function deliverPendingFriendRequests(ws, wxAccount) {
     try {
-        const [requests] = await db.execute(
-            'SELECT * FROM friend_requests WHERE to_wx_account = ? AND status = ?',
-            [wxAccount, 'pending']
-        );
+        const requests = await repo.listPendingFriendRequests(wxAccount);
         
         for (const r of requests) {
-            const [fromChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [r.from_wx_account]);
+            const fromChar = await repo.findCharacter(r.from_wx_account);
             send(ws, {
                 type: 'friend_request',
                 request: {
                     id: r.id,
                     from_wx_account: r.from_wx_account,
-                    from_nickname: fromChar[0]?.nickname || r.from_wx_account,
-                    from_avatar: fromChar[0]?.avatar || '',
+                    from_nickname: fromChar?.nickname || r.from_wx_account,
+                    from_avatar: fromChar?.avatar || '',
                     message: r.message,
                     time: r.created_at
                 }
@@ -1182,10 +949,7 @@ async function handleDisconnect(ws) {
     
     // 将所有角色设为离线
     for (const wx of clientData.wxAccounts) {
-        await db.execute(
-            'UPDATE online_characters SET is_online = 0, last_seen = ? WHERE wx_account = ?',
-            [Date.now(), wx]
-        );
+        await repo.setCharacterOffline(wx);
         wxAccountToSocket.delete(wx);
     }
     
@@ -1199,11 +963,180 @@ function send(ws, data) {
     }
 }
 
-// 发送错误
-function sendError(ws, message) {
-    send(ws, { type: 'error', message });
+// 客户端 IP（登录锁定按它区分客户端）；部署在反向代理后面时设置 TRUST_PROXY=1，改用 X-Forwarded-For 里最后一个地址
+// 只有最后一个是代理自己追加的，前面的都可能是客户端伪造的
+function getClientIp(req) {
+    const hops = process.env.TRUST_PROXY ? String(req.headers['x-forwarded-for'] || '').split(',').map(h => h.trim()).filter(Boolean) : [];
+    return hops[hops.length - 1] || req.socket.remoteAddress || '';
+}
+
+// 发送错误（details 为附加字段，如限流时的 code、retry_after_ms）
+function sendError(ws, message, details = {}) {
+    send(ws, { type: 'error', message, ...details });
+}
+
+// ==================== 私聊记录同步 ====================
+
+// 私聊消息的统一格式（旧版本存下的离线消息没有 seq，为 null）
+function formatPrivateMessage(row) {
+    return {
+        message_id: row.id,
+        seq: row.seq === null || row.seq === undefined ? null : Number(row.seq),
+        client_msg_id: row.client_msg_id || null,
+        from_wx_account: row.from_wx_account,
+        to_wx_account: row.to_wx_account,
+        content: row.content,
+        timestamp: Number(row.created_at),
+        // 只有从私聊记录查出来的行带送达状态
+        delivered: row.delivered === undefined ? undefined : Number(row.delivered) === 1
+    };
+}
+
+function privateHistoryLimit(limit) {
+    return Math.min(Math.max(parseInt(limit) || PRIVATE_HISTORY_PAGE, 1), PRIVATE_HISTORY_MAX_PAGE);
+}
+
+// 同步私聊记录：cursors 为 { 对方微信号: 本地已有的最大 seq }
+// 有游标的会话返回游标之后的消息（has_more 为 true 时带上新游标再同步一次）；没有游标的会话返回最近 limit 条（has_older 为 true 时可用 get_message_history 继续往前翻）
+async function handleSyncMessages(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    
+    const limit = privateHistoryLimit(data.limit);
+    // 微信号不区分大小写
+    const cursors = {};
+    Object.entries(data.cursors || {}).forEach(([wx, seq]) => {
+        cursors[wx.toLowerCase()] = Number(seq) || 0;
+    });
+    
+    const conversations = [];
+    for (const conversation of await repo.listPrivateConversations(my_wx_account)) {
+        const peer = conversation.wx_a.toLowerCase() === my_wx_account.toLowerCase() ? conversation.wx_b : conversation.wx_a;
+        const lastSeq = Number(conversation.last_seq);
+        const cursor = cursors[peer.toLowerCase()] || 0;
+        if (cursor >= lastSeq) continue;
+        
+        const rows = cursor > 0
+            ? await repo.listPrivateMessages(my_wx_account, peer, { afterSeq: cursor, limit })
+            : await repo.listPrivateMessages(my_wx_account, peer, { limit });
+        const messages = rows.map(formatPrivateMessage);
+        if (messages.length === 0) continue;
+        
+        const peerChar = await repo.findCharacter(peer);
+        conversations.push({
+            peer_wx_account: peerChar?.wx_account || peer,
+            peer_nickname: peerChar?.nickname || peer,
+            peer_avatar: peerChar?.avatar || '',
+            peer_bio: peerChar?.bio || '',
+            is_friend: await repo.areFriends(my_wx_account, peer),
+            last_seq: lastSeq,
+            peer_read_seq: Number(peer.toLowerCase() === conversation.wx_a.toLowerCase() ? conversation.read_seq_a : conversation.read_seq_b) || 0,
+            has_more: messages[messages.length - 1].seq < lastSeq,
+            has_older: messages[0].seq > 1 && cursor === 0,
+            messages
+        });
+    }
+    
+    send(ws, {
+        type: 'messages_synced',
+        my_wx_account,
+        conversations
+    });
+}
+
+// 私聊记录翻页：取 before_seq 之前的 limit 条（不传 before_seq 取最近的）
+async function handleGetMessageHistory(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, peer_wx_account, before_seq } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    if (!peer_wx_account) {
+        sendError(ws, '缺少对方微信号');
+        return;
+    }
+    
+    const rows = await repo.listPrivateMessages(my_wx_account, peer_wx_account, {
+        beforeSeq: Number(before_seq) || null,
+        limit: privateHistoryLimit(data.limit)
+    });
+    const messages = rows.map(formatPrivateMessage);
+    
+    send(ws, {
+        type: 'message_history',
+        my_wx_account,
+        peer_wx_account,
+        messages,
+        has_more: messages.length > 0 && messages[0].seq > 1
+    });
+}
+
+// 收件方确认收到私聊消息：标记送达，并给发送方回执
+async function handleMessageAck(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    
+    const ids = Array.isArray(data.message_ids) ? data.message_ids.filter(id => typeof id === 'string').slice(0, PRIVATE_HISTORY_MAX_PAGE) : [];
+    const rows = await repo.listUndeliveredOfflineMessages(my_wx_account, ids);
+    if (rows.length === 0) return;
+    await repo.markOfflineMessagesDelivered(rows.map(r => r.id));
+    
+    // 按发送方分组回执（发送方不在线时存为离线事件）
+    const bySender = new Map();
+    rows.forEach(r => {
+        if (!bySender.has(r.from_wx_account)) bySender.set(r.from_wx_account, []);
+        bySender.get(r.from_wx_account).push(r);
+    });
+    for (const [senderWx, list] of bySender) {
+        await pushEvent(senderWx, {
+            type: 'message_receipt',
+            status: 'delivered',
+            my_wx_account: senderWx,
+            peer_wx_account: my_wx_account,
+            message_ids: list.map(r => r.id),
+            seqs: list.filter(r => r.seq !== null && r.seq !== undefined).map(r => Number(r.seq))
+        });
+    }
+}
+
+// 已读回执：把我在与 peer 的会话中的已读序号推进到 up_to_seq，并通知对方
+async function handleMessageRead(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, peer_wx_account } = data;
+    const upToSeq = parseInt(data.up_to_seq) || 0;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    if (!peer_wx_account || upToSeq <= 0) return;
+    
+    const readSeq = await repo.markPrivateConversationRead(my_wx_account, peer_wx_account, upToSeq);
+    if (!readSeq) return;
+    
+    await pushEvent(peer_wx_account, {
+        type: 'message_receipt',
+        status: 'read',
+        my_wx_account: peer_wx_account,
+        peer_wx_account: my_wx_account,
+        up_to_seq: readSeq
+    });
 }
 
+// ==================== 私聊记录同步结束 ====================
+
 // ==================== 联机群聊功能 ====================
 
 // 创建联机群聊
@@ -1234,110 +1167,42 @@ async function handleCreateOnlineGroup(ws, data) {
         return;
     }
     
-    // 创建群聊
-    const groupId = uuidv4();
-    await db.execute(
-        'INSERT INTO online_groups (id, name, avatar, creator_wx, created_at) VALUES (?, ?, ?, ?, ?)',
-        [groupId, name, '', my_wx_account, Date.now()]
-    );
+    // ✅ 截断过长的 avatar（防止超出TEXT限制）
+    let characterAvatar = my_character?.avatar || null;
+    if (characterAvatar && characterAvatar.length > 65000) {
+        console.log(`[创建群聊] 角色头像过长(${characterAvatar.length}字符)，将被截断`);
+        characterAvatar = characterAvatar.substring(0, 65000);
+    }
     
-    // 添加创建者为成员
-    const memberId = uuidv4();
+    // 创建群聊并添加创建者为成员（同一事务，失败时不会留下空群）
+    const groupId = uuidv4();
     try {
-        // ✅ 安全提取角色信息，确保所有参数都有效
-        const characterName = my_character && my_character.name ? my_character.name : null;
-        let characterAvatar = my_character && my_character.avatar ? my_character.avatar : null;
-        const characterDesc = my_character && my_character.desc ? my_character.desc : null;
-        
-        // ✅ 截断过长的 avatar（防止超出TEXT限制）
-        if (characterAvatar && characterAvatar.length > 65000) {
-            console.log(`[创建群聊] 角色头像过长(${characterAvatar.length}字符)，将被截断`);
-            characterAvatar = characterAvatar.substring(0, 65000);
-        }
-        
-        console.log('[创建群聊] 准备插入成员:', {
-            memberId,
-            groupId,
-            my_wx_account,
-            characterName,
-            avatarLength: characterAvatar ? characterAvatar.length : 0,
-            descLength: characterDesc ? characterDesc.length : 0
+        await repo.createOnlineGroup({
+            id: groupId,
+            name,
+            creator_wx: my_wx_account,
+            created_at: Date.now()
+        }, {
+            id: uuidv4(),
+            user_wx: my_wx_account,
+            character_name: my_character?.name || null,
+            character_avatar: characterAvatar,
+            character_desc: my_character?.desc || null
         });
-        
-        await db.execute(
-            'INSERT INTO online_group_members (id, group_id, user_wx, character_name, character_avatar, character_desc, joined_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [memberId, groupId, my_wx_account, characterName, characterAvatar, characterDesc, Date.now()]
-        );
-    } catch (insertError) {
-        console.error('[创建群聊] 插入成员失败:', insertError.message);
-        console.error('[创建群聊] 完整错误:', insertError);
+    } catch (error) {
+        console.error('[创建群聊] 写入失败:', error.message);
         console.error('[创建群聊] 数据:', {
-            memberId,
             groupId,
             my_wx_account,
             characterName: my_character?.name,
-            avatarLength: my_character?.avatar?.length || 0,
+            avatarLength: characterAvatar?.length || 0,
             descLength: my_character?.desc?.length || 0
         });
-        
-        // ✅ 插入失败时回滚（删除已创建的群聊）
-        try {
-            await db.execute('DELETE FROM online_groups WHERE id = ?', [groupId]);
-            console.log('[创建群聊] 已回滚群聊创建');
-        } catch (rollbackError) {
-            console.error('[创建群聊] 回滚失败:', rollbackError.message);
-        }
-        
-        // 如果是参数错误，尝试删除并重建表
-        if (insertError.message.includes('Incorrect arguments')) {
-            console.log('🔄 检测到表结构问题，正在修复...');
-            await db.execute('DROP TABLE IF EXISTS online_group_messages');
-            await db.execute('DROP TABLE IF EXISTS online_group_members');
-            
-            await db.execute(`
-                CREATE TABLE online_group_members (
-                    id VARCHAR(36) PRIMARY KEY,
-                    group_id VARCHAR(36) NOT NULL,
-                    user_wx VARCHAR(100) NOT NULL,
-                    character_name VARCHAR(100),
-                    character_avatar TEXT,
-                    character_desc TEXT,
-                    joined_at BIGINT DEFAULT 0,
-                    UNIQUE KEY unique_group_member (group_id, user_wx),
-                    INDEX idx_online_group_members_group (group_id),
-                    FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-            
-            await db.execute(`
-                CREATE TABLE online_group_messages (
-                    id VARCHAR(36) PRIMARY KEY,
-                    group_id VARCHAR(36) NOT NULL,
-                    sender_type VARCHAR(20) NOT NULL,
-                    sender_wx VARCHAR(100) NOT NULL,
-                    sender_name VARCHAR(100) NOT NULL,
-                    character_name VARCHAR(100),
-                    content LONGTEXT NOT NULL,
-                    msg_type VARCHAR(20) DEFAULT 'text',
-                    created_at BIGINT DEFAULT 0,
-                    INDEX idx_online_group_messages_group (group_id),
-                    FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-            
-            console.log('✅ 表结构已修复，重新插入');
-            // 重新插入（使用已处理过的变量）
-            await db.execute(
-                'INSERT INTO online_group_members (id, group_id, user_wx, character_name, character_avatar, character_desc, joined_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [memberId, groupId, my_wx_account, characterName, characterAvatar, characterDesc, Date.now()]
-            );
-        } else {
-            throw insertError;
-        }
+        throw error;
     }
     
     // 获取创建者信息
-    const [creatorChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [my_wx_account]);
+    const creatorChar = await repo.findCharacter(my_wx_account);
     
     // 给创建者发送成功消息
     send(ws, {
@@ -1360,7 +1225,7 @@ async function handleCreateOnlineGroup(ws, data) {
                     group_id: groupId,
                     group_name: name,
                     inviter_wx: my_wx_account,
-                    inviter_name: creatorChar[0]?.nickname || my_wx_account
+                    inviter_name: creatorChar?.nickname || my_wx_account
                 });
             }
         });
@@ -1380,21 +1245,21 @@ async function handleInviteToGroup(ws, data) {
     }
     
     // 检查群是否存在
-    const [group] = await db.execute('SELECT * FROM online_groups WHERE id = ?', [group_id]);
-    if (group.length === 0) {
+    const group = await repo.findGroup(group_id);
+    if (!group) {
         sendError(ws, '群聊不存在');
         return;
     }
     
     // 检查邀请者是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         sendError(ws, '你不是该群的成员');
         return;
     }
     
     // 获取邀请者信息
-    const [inviterChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [my_wx_account]);
+    const inviterChar = await repo.findCharacter(my_wx_account);
     
     // 发送邀请
     const inviteSocket = wxAccountToSocket.get(invite_wx_account);
@@ -1402,13 +1267,13 @@ async function handleInviteToGroup(ws, data) {
         send(inviteSocket, {
             type: 'group_invite',
             group_id: group_id,
-            group_name: group[0].name,
+            group_name: group.name,
             inviter_wx: my_wx_account,
-            inviter_name: inviterChar[0]?.nickname || my_wx_account
+            inviter_name: inviterChar?.nickname || my_wx_account
         });
     }
     
-    console.log(`[群聊] 邀请 ${invite_wx_account} 加入群 ${group[0].name}`);
+    console.log(`[群聊] 邀请 ${invite_wx_account} 加入群 ${group.name}`);
 }
 
 // 加入群聊
@@ -1422,14 +1287,14 @@ async function handleJoinOnlineGroup(ws, data) {
     }
     
     // 检查群是否存在
-    const [group] = await db.execute('SELECT * FROM online_groups WHERE id = ?', [group_id]);
-    if (group.length === 0) {
+    const group = await repo.findGroup(group_id);
+    if (!group) {
         sendError(ws, '群聊不存在');
         return;
     }
     
     // 检查是否已是成员
-    const [existingMember] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
+    const existingMember = await repo.findGroupMember(group_id, my_wx_account);
     
     // ✅ 截断过长的 avatar（防止超出TEXT限制）
     let characterAvatar = my_character?.avatar || null;
@@ -1438,28 +1303,32 @@ async function handleJoinOnlineGroup(ws, data) {
         characterAvatar = characterAvatar.substring(0, 65000);
     }
     
-    if (existingMember.length > 0) {
+    if (existingMember) {
         // 已经是成员，更新角色信息
         if (my_character) {
-            await db.execute(
-                'UPDATE online_group_members SET character_name = ?, character_avatar = ?, character_desc = ? WHERE group_id = ? AND user_wx = ?',
-                [my_character.name, characterAvatar, my_character.desc, group_id, my_wx_account]
-            );
+            await repo.updateGroupMemberCharacter(group_id, my_wx_account, {
+                name: my_character.name,
+                avatar: characterAvatar,
+                desc: my_character.desc
+            });
         }
     } else {
         // 添加为新成员
-        const memberId = uuidv4();
-        await db.execute(
-            'INSERT INTO online_group_members (id, group_id, user_wx, character_name, character_avatar, character_desc, joined_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [memberId, group_id, my_wx_account, my_character?.name || null, characterAvatar, my_character?.desc || null, Date.now()]
-        );
+        await repo.addGroupMember({
+            id: uuidv4(),
+            group_id,
+            user_wx: my_wx_account,
+            character_name: my_character?.name || null,
+            character_avatar: characterAvatar,
+            character_desc: my_character?.desc || null
+        });
     }
     
     // 获取加入者信息
-    const [joinerChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [my_wx_account]);
+    const joinerChar = await repo.findCharacter(my_wx_account);
     
     // 通知所有群成员
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     members.forEach(m => {
         const memberSocket = wxAccountToSocket.get(m.user_wx);
         if (memberSocket) {
@@ -1468,8 +1337,8 @@ async function handleJoinOnlineGroup(ws, data) {
                 group_id: group_id,
                 member: {
                     user_wx: my_wx_account,
-                    user_name: joinerChar[0]?.nickname || my_wx_account,
-                    user_avatar: joinerChar[0]?.avatar || '',
+                    user_name: joinerChar?.nickname || my_wx_account,
+                    user_avatar: joinerChar?.avatar || '',
                     character_name: my_character?.name || null,
                     character_avatar: my_character?.avatar || null
                 }
@@ -1482,13 +1351,13 @@ async function handleJoinOnlineGroup(ws, data) {
         type: 'online_group_joined',
         group: {
             id: group_id,
-            name: group[0].name,
-            creator_wx: group[0].creator_wx,
-            created_at: group[0].created_at
+            name: group.name,
+            creator_wx: group.creator_wx,
+            created_at: group.created_at
         }
     });
     
-    console.log(`[群聊] ${my_wx_account} 加入群 ${group[0].name}`);
+    console.log(`[群聊] ${my_wx_account} 加入群 ${group.name}`);
 }
 
 // 获取我的联机群聊列表
@@ -1501,11 +1370,7 @@ async function handleGetOnlineGroups(ws, data) {
         return;
     }
     
-    const [groups] = await db.execute(`
-        SELECT g.* FROM online_groups g
-        INNER JOIN online_group_members m ON g.id = m.group_id
-        WHERE m.user_wx = ?
-    `, [my_wx_account]);
+    const groups = await repo.listUserGroups(my_wx_account);
     
     send(ws, {
         type: 'online_groups_list',
@@ -1529,26 +1394,16 @@ async function handleGetGroupMessages(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         sendError(ws, '你不是该群的成员');
         return;
     }
     
-    let messages;
-    if (since) {
-        [messages] = await db.execute('SELECT * FROM online_group_messages WHERE group_id = ? AND created_at > ? ORDER BY created_at ASC', [group_id, since]);
-    } else if (limit) {
-        // ✅ MySQL 预处理语句不支持 LIMIT 占位符，需要直接拼接
-        const limitValue = parseInt(limit) || 100;
-        [messages] = await db.execute(`SELECT * FROM online_group_messages WHERE group_id = ? ORDER BY created_at DESC LIMIT ${limitValue}`, [group_id]);
-        messages.reverse();
-    } else {
-        [messages] = await db.execute('SELECT * FROM online_group_messages WHERE group_id = ? ORDER BY created_at ASC', [group_id]);
-    }
+    const messages = await repo.listGroupMessages(group_id, { since, limit });
     
     // 为每条消息补充头像信息
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     const memberMap = {};
     members.forEach(m => {
         memberMap[m.user_wx] = m;
@@ -1562,12 +1417,12 @@ async function handleGetGroupMessages(ws, data) {
         }
         
         // 获取发送者信息
-        const [senderChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [msg.sender_wx]);
+        const senderChar = await repo.findCharacter(msg.sender_wx);
         const memberInfo = memberMap[msg.sender_wx];
         
         messagesWithAvatar.push({
             ...msg,
-            sender_avatar: senderChar[0]?.avatar || '',
+            sender_avatar: senderChar?.avatar || '',
             character_avatar: msg.sender_type === 'character' ? (memberInfo?.character_avatar || '') : null
         });
     }
@@ -1590,30 +1445,38 @@ async function handleSendGroupMessage(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         sendError(ws, '你不是该群的成员');
         return;
     }
     
     // 如果是角色发的消息，验证是否是该用户的角色
-    if (sender_type === 'character' && character_name !== member[0].character_name) {
+    if (sender_type === 'character' && character_name !== member.character_name) {
         sendError(ws, '你只能使用自己带入群的角色发言');
         return;
     }
     
-    // 保存消息
+    // 保存消息（广播用同一个时间，已读统计按消息时间比较）
     const msgId = uuidv4();
-    await db.execute(
-        'INSERT INTO online_group_messages (id, group_id, sender_type, sender_wx, sender_name, character_name, content, msg_type, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [msgId, group_id, sender_type || 'user', my_wx_account, sender_name, character_name || null, content, msg_type || 'text', Date.now()]
-    );
+    const createdAt = Date.now();
+    await repo.saveGroupMessage({
+        id: msgId,
+        group_id,
+        sender_type: sender_type || 'user',
+        sender_wx: my_wx_account,
+        sender_name,
+        character_name: character_name || null,
+        content,
+        msg_type: msg_type || 'text',
+        created_at: createdAt
+    });
     
     // 获取发送者头像
-    const [senderChar] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [my_wx_account]);
+    const senderChar = await repo.findCharacter(my_wx_account);
     
     // 广播给所有群成员
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     const msgData = {
         type: 'group_message',
         group_id: group_id,
@@ -1622,12 +1485,12 @@ async function handleSendGroupMessage(ws, data) {
             sender_type: sender_type || 'user',
             sender_wx: my_wx_account,
             sender_name: sender_name,
-            sender_avatar: senderChar[0]?.avatar || '',
+            sender_avatar: senderChar?.avatar || '',
             character_name: character_name || null,
-            character_avatar: sender_type === 'character' ? member[0].character_avatar : null,
+            character_avatar: sender_type === 'character' ? member.character_avatar : null,
             content: content,
             msg_type: msg_type || 'text',
-            created_at: Date.now()
+            created_at: createdAt
         }
     };
     
@@ -1651,13 +1514,13 @@ async function handleGroupTypingStart(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         return;
     }
     
     // 广播给群里的其他成员（除了自己）
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     members.forEach(m => {
         if (m.user_wx !== my_wx_account) { // 不发给自己
             const memberSocket = wxAccountToSocket.get(m.user_wx);
@@ -1685,13 +1548,13 @@ async function handleGroupTypingStop(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         return;
     }
     
     // 广播给群里的其他成员（除了自己）
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     members.forEach(m => {
         if (m.user_wx !== my_wx_account) { // 不发给自己
             const memberSocket = wxAccountToSocket.get(m.user_wx);
@@ -1720,78 +1583,29 @@ async function handleGetGroupMembers(ws, data) {
         return;
     }
     
-    let member, members;
-    try {
-        // 检查是否是群成员
-        console.log('[获取群成员] 查询成员:', { group_id, my_wx_account });
-        [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-        if (member.length === 0) {
-            sendError(ws, '你不是该群的成员');
-            return;
-        }
-        
-        console.log('[获取群成员] 查询所有成员:', { group_id });
-        [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
-        console.log('[获取群成员] 查询成功，成员数:', members.length);
-    } catch (queryError) {
-        console.error('[获取群成员] 查询失败:', queryError.message);
-        console.error('[获取群成员] 完整错误:', queryError);
-        
-        if (queryError.message.includes('Incorrect arguments')) {
-            console.error('[获取群成员] 表结构错误，正在修复...');
-            // 重建表
-            await db.execute('DROP TABLE IF EXISTS online_group_messages');
-            await db.execute('DROP TABLE IF EXISTS online_group_members');
-            
-            await db.execute(`
-                CREATE TABLE online_group_members (
-                    id VARCHAR(36) PRIMARY KEY,
-                    group_id VARCHAR(36) NOT NULL,
-                    user_wx VARCHAR(100) NOT NULL,
-                    character_name VARCHAR(100),
-                    character_avatar TEXT,
-                    character_desc TEXT,
-                    joined_at BIGINT DEFAULT 0,
-                    UNIQUE KEY unique_group_member (group_id, user_wx),
-                    INDEX idx_online_group_members_group (group_id),
-                    FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-            
-            await db.execute(`
-                CREATE TABLE online_group_messages (
-                    id VARCHAR(36) PRIMARY KEY,
-                    group_id VARCHAR(36) NOT NULL,
-                    sender_type VARCHAR(20) NOT NULL,
-                    sender_wx VARCHAR(100) NOT NULL,
-                    sender_name VARCHAR(100) NOT NULL,
-                    character_name VARCHAR(100),
-                    content LONGTEXT NOT NULL,
-                    msg_type VARCHAR(20) DEFAULT 'text',
-                    created_at BIGINT DEFAULT 0,
-                    INDEX idx_online_group_messages_group (group_id),
-                    FOREIGN KEY (group_id) REFERENCES online_groups(id)
-                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-            `);
-            
-            sendError(ws, '表结构已修复，请重新创建群聊');
-            return;
-        }
-        throw queryError;
+    // 检查是否是群成员
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
+        sendError(ws, '你不是该群的成员');
+        return;
     }
     
+    const members = await repo.listGroupMembers(group_id);
+    console.log('[获取群成员] 查询成功，成员数:', members.length);
+    
     // 获取每个成员的在线状态和昵称
     const membersWithInfo = [];
     for (const m of members) {
-        const [charInfo] = await db.execute('SELECT * FROM online_characters WHERE wx_account = ?', [m.user_wx]);
+        const charInfo = await repo.findCharacter(m.user_wx);
         membersWithInfo.push({
             user_wx: m.user_wx,
-            user_name: charInfo[0]?.nickname || m.user_wx,
-            user_avatar: charInfo[0]?.avatar || '',
-            is_online: charInfo[0]?.is_online === 1,
+            user_name: charInfo?.nickname || m.user_wx,
+            user_avatar: charInfo?.avatar || '',
+            is_online: charInfo?.is_online === 1,
             character_name: m.character_name,
             character_avatar: m.character_avatar,
-            character_desc: m.character_desc
+            character_desc: m.character_desc,
+            read_until: Number(m.read_until) || 0
         });
     }
     
@@ -1813,8 +1627,8 @@ async function handleUpdateGroupCharacter(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         sendError(ws, '你不是该群的成员');
         return;
     }
@@ -1827,10 +1641,11 @@ async function handleUpdateGroupCharacter(ws, data) {
     }
     
     // 更新角色信息
-    await db.execute(
-        'UPDATE online_group_members SET character_name = ?, character_avatar = ?, character_desc = ? WHERE group_id = ? AND user_wx = ?',
-        [character?.name || null, characterAvatar, character?.desc || null, group_id, my_wx_account]
-    );
+    await repo.updateGroupMemberCharacter(group_id, my_wx_account, {
+        name: character?.name || null,
+        avatar: characterAvatar,
+        desc: character?.desc || null
+    });
     
     send(ws, {
         type: 'group_character_updated',
@@ -1852,20 +1667,19 @@ async function handleClaimGroupRedPacket(ws, data) {
     }
     
     // 检查是否是群成员
-    const [member] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [group_id, my_wx_account]);
-    if (member.length === 0) {
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
         sendError(ws, '你不是该群的成员');
         return;
     }
     
     // 查询消息
-    const [messages] = await db.execute('SELECT * FROM online_group_messages WHERE group_id = ? AND id = ?', [group_id, message_id]);
-    if (messages.length === 0 || messages[0].msg_type !== 'redpacket') {
+    const msg = await repo.findGroupMessage(group_id, message_id);
+    if (!msg || msg.msg_type !== 'redpacket') {
         sendError(ws, '红包不存在');
         return;
     }
     
-    const msg = messages[0];
     let redpacketData;
     try {
         redpacketData = JSON.parse(msg.content);
@@ -1926,10 +1740,10 @@ async function handleClaimGroupRedPacket(ws, data) {
     redpacketData.claimedAmounts[my_wx_account] = claimAmount.toFixed(2);
     
     // 更新数据库中的消息
-    await db.execute('UPDATE online_group_messages SET content = ? WHERE id = ?', [JSON.stringify(redpacketData), message_id]);
+    await repo.updateGroupMessageContent(message_id, JSON.stringify(redpacketData));
     
     // 广播系统消息
-    const [members] = await db.execute('SELECT * FROM online_group_members WHERE group_id = ?', [group_id]);
+    const members = await repo.listGroupMembers(group_id);
     const systemMsg = {
         type: 'group_message',
         group_id: group_id,
@@ -1971,13 +1785,319 @@ async function handleClaimGroupRedPacket(ws, data) {
     console.log(`[红包] ${my_wx_account} 领取红包 ${message_id}，获得 ¥${claimAmount.toFixed(2)}`);
 }
 
+// 群聊已读：把成员的已读时间推进到 read_until（已读到的最后一条消息的时间），并通知在线成员更新已读人数
+async function handleGroupRead(ws, data) {
+    const clientData = clients.get(ws);
+    const { group_id, my_wx_account } = data;
+    const readUntil = Math.min(parseInt(data.read_until) || 0, Date.now());
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        return;
+    }
+    if (readUntil <= 0) return;
+    
+    const member = await repo.findGroupMember(group_id, my_wx_account);
+    if (!member) {
+        sendError(ws, '你不是该群的成员');
+        return;
+    }
+    
+    if (!(await repo.markGroupMemberRead(group_id, my_wx_account, readUntil))) return;
+    
+    const members = await repo.listGroupMembers(group_id);
+    members.forEach(m => {
+        const memberSocket = wxAccountToSocket.get(m.user_wx);
+        if (memberSocket) {
+            send(memberSocket, {
+                type: 'group_read_update',
+                group_id,
+                user_wx: my_wx_account,
+                read_until: readUntil
+            });
+        }
+    });
+}
+
 // ==================== 联机群聊功能结束 ====================
 
+// ==================== 亲属卡功能 ====================
+
+// 当前月份（额度按自然月重置）
+function currentUsageMonth() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// 校验金额：正数，最多两位小数
+function parseMoney(value) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0 || amount > 100000000) return null;
+    return roundMoney(amount);
+}
+
+// 本月已用额度（跨月后视为 0）
+function familyCardUsedThisMonth(card) {
+    return card.usage_month === currentUsageMonth() ? Number(card.used_this_month) : 0;
+}
+
+// 赠送或更新亲属卡（已解绑的重新启用，额度以最新一次为准）
+async function grantFamilyCard(fromWx, toWx, monthlyLimit) {
+    const card = await repo.upsertFamilyCard({
+        id: uuidv4(),
+        from_wx_account: fromWx,
+        to_wx_account: toWx,
+        monthly_limit: monthlyLimit,
+        usage_month: currentUsageMonth()
+    });
+    console.log(`[亲属卡] ${fromWx} -> ${toWx} 额度 ${monthlyLimit || '不限'}`);
+    return card;
+}
+
+// 列表中的一张卡（字段名与客户端 online_family_cards_* 缓存一致）
+async function formatFamilyCard(card) {
+    const fromChar = await repo.findCharacter(card.from_wx_account);
+    const toChar = await repo.findCharacter(card.to_wx_account);
+    return {
+        id: card.id,
+        from_wx_account: card.from_wx_account,
+        from_nickname: fromChar?.nickname || card.from_wx_account,
+        from_avatar: fromChar?.avatar || '',
+        to_wx_account: card.to_wx_account,
+        to_nickname: toChar?.nickname || card.to_wx_account,
+        to_avatar: toChar?.avatar || '',
+        monthly_limit: Number(card.monthly_limit),
+        used_this_month: familyCardUsedThisMonth(card),
+        created_at: card.created_at
+    };
+}
+
+// 发送某个微信号赠送 / 收到的有效亲属卡
+async function sendFamilyCardsList(ws, wxAccount) {
+    try {
+        const given = await repo.listGivenFamilyCards(wxAccount);
+        const received = await repo.listReceivedFamilyCards(wxAccount);
+        send(ws, {
+            type: 'family_cards_list',
+            wx_account: wxAccount,
+            given: await Promise.all(given.map(formatFamilyCard)),
+            received: await Promise.all(received.map(formatFamilyCard))
+        });
+    } catch (error) {
+        console.error('[亲属卡列表错误]', error);
+    }
+}
+
+// 赠送亲属卡
+async function handleGrantFamilyCard(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, to_wx_account, message } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    if (!to_wx_account || to_wx_account === my_wx_account) {
+        sendError(ws, '亲属卡对象无效');
+        return;
+    }
+    
+    const monthlyLimit = parseMoney(data.monthly_limit || 0);
+    if (monthlyLimit === null) {
+        sendError(ws, '亲属卡额度无效');
+        return;
+    }
+    
+    // 检查是否是好友
+    if (!(await repo.areFriends(my_wx_account, to_wx_account))) {
+        sendError(ws, '你们还不是好友');
+        return;
+    }
+    
+    const card = await grantFamilyCard(my_wx_account, to_wx_account, monthlyLimit);
+    const fromChar = await repo.findCharacter(my_wx_account);
+    
+    await pushEvent(to_wx_account, {
+        type: 'family_card_received',
+        card_id: card.id,
+        from_wx_account: my_wx_account,
+        from_nickname: fromChar?.nickname || my_wx_account,
+        from_avatar: fromChar?.avatar || '',
+        monthly_limit: monthlyLimit,
+        message: message || '',
+        timestamp: Date.now()
+    });
+    
+    send(ws, {
+        type: 'family_card_sent',
+        card_id: card.id,
+        to_wx_account,
+        monthly_limit: monthlyLimit
+    });
+}
+
+// 使用亲属卡支付（锁定卡片行，额度检查和扣减在同一个事务里完成）
+async function handleUseFamilyCard(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, payer_wx_account } = data;
+    const description = String(data.description || '消费').substring(0, 255);
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    
+    const amount = parseMoney(data.amount);
+    if (!amount) {
+        sendError(ws, '支付金额无效');
+        return;
+    }
+    
+    const result = await repo.transaction(async (tx) => {
+        const card = await tx.findActiveFamilyCard(payer_wx_account, my_wx_account, { lock: true });
+        if (!card) {
+            return { error: '亲属卡不存在或已解绑' };
+        }
+        
+        const monthlyLimit = Number(card.monthly_limit);
+        const used = familyCardUsedThisMonth(card);
+        if (monthlyLimit > 0 && roundMoney(used + amount) > monthlyLimit) {
+            return { error: `亲属卡本月额度不足，剩余 ¥${(monthlyLimit - used).toFixed(2)}` };
+        }
+        
+        const usedThisMonth = roundMoney(used + amount);
+        await tx.updateFamilyCardUsage(card.id, usedThisMonth, currentUsageMonth());
+        await tx.addFamilyCardRecord({ id: uuidv4(), card_id: card.id, amount, description });
+        return { card, usedThisMonth };
+    });
+    if (result.error) {
+        sendError(ws, result.error);
+        return;
+    }
+    
+    const { card, usedThisMonth } = result;
+    const monthlyLimit = Number(card.monthly_limit);
+    send(ws, {
+        type: 'family_card_payment_success',
+        card_id: card.id,
+        payer_wx_account,
+        amount,
+        description,
+        used_this_month: usedThisMonth,
+        monthly_limit: monthlyLimit
+    });
+    
+    // 通知付款方
+    const userChar = await repo.findCharacter(my_wx_account);
+    await pushEvent(payer_wx_account, {
+        type: 'family_card_used',
+        card_id: card.id,
+        user_wx_account: my_wx_account,
+        user_nickname: userChar?.nickname || my_wx_account,
+        amount,
+        description,
+        used_this_month: usedThisMonth,
+        monthly_limit: monthlyLimit,
+        timestamp: Date.now()
+    });
+    
+    console.log(`[亲属卡] ${my_wx_account} 使用 ${payer_wx_account} 的亲属卡支付 ¥${amount.toFixed(2)}`);
+}
+
+// 解绑亲属卡（付款方解绑赠出的卡，或持卡人解绑收到的卡）
+async function handleRevokeFamilyCard(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, card_id } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    
+    const card = card_id
+        ? await repo.findActiveFamilyCardById(card_id)
+        : await repo.findActiveFamilyCard(my_wx_account, data.to_wx_account);
+    if (!card || (card.from_wx_account !== my_wx_account && card.to_wx_account !== my_wx_account)) {
+        sendError(ws, '亲属卡不存在或已解绑');
+        return;
+    }
+    
+    await repo.setFamilyCardStatus(card.id, 'revoked');
+    
+    const otherWx = card.from_wx_account === my_wx_account ? card.to_wx_account : card.from_wx_account;
+    const myChar = await repo.findCharacter(my_wx_account);
+    const revokedEvent = {
+        type: 'family_card_revoked',
+        card_id: card.id,
+        from_wx_account: card.from_wx_account,
+        to_wx_account: card.to_wx_account,
+        by_wx_account: my_wx_account,
+        by_nickname: myChar?.nickname || my_wx_account,
+        timestamp: Date.now()
+    };
+    send(ws, revokedEvent);
+    await pushEvent(otherWx, revokedEvent);
+    
+    // 双方在线时刷新列表
+    await sendFamilyCardsList(ws, my_wx_account);
+    const otherSocket = wxAccountToSocket.get(otherWx);
+    if (otherSocket) await sendFamilyCardsList(otherSocket, otherWx);
+    
+    console.log(`[亲属卡] ${my_wx_account} 解绑了亲属卡 ${card.id}`);
+}
+
+// 获取亲属卡列表（连接建立时客户端会在登录前请求一次，未上线的微信号直接忽略）
+async function handleGetFamilyCards(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account } = data;
+    
+    if (!my_wx_account || !clientData.wxAccounts.has(my_wx_account)) {
+        return;
+    }
+    
+    await sendFamilyCardsList(ws, my_wx_account);
+}
+
+// 获取亲属卡消费记录（付款方和持卡人都可以查看）
+async function handleGetFamilyCardRecords(ws, data) {
+    const clientData = clients.get(ws);
+    const { my_wx_account, card_id } = data;
+    
+    if (!clientData.wxAccounts.has(my_wx_account)) {
+        sendError(ws, '你没有使用该微信号上线');
+        return;
+    }
+    
+    const card = await repo.findFamilyCard(card_id);
+    if (!card || (card.from_wx_account !== my_wx_account && card.to_wx_account !== my_wx_account)) {
+        sendError(ws, '亲属卡不存在');
+        return;
+    }
+    
+    const records = await repo.listFamilyCardRecords(card_id);
+    
+    send(ws, {
+        type: 'family_card_records',
+        card_id,
+        records: records.map(r => ({
+            id: r.id,
+            amount: Number(r.amount),
+            description: r.description,
+            time: r.created_at
+        }))
+    });
+}
+
+// ==================== 亲属卡功能结束 ====================
+
 // 启动服务器
 async function startServer() {
     try {
-        // 先初始化数据库
-        await initDB();
+        // 先初始化数据库（选择存储并执行迁移）
+        repo = await createStorage();
         
         // 再启动 HTTP + WebSocket 服务
         server.listen(PORT, '0.0.0.0', () => {
@@ -1996,15 +2116,15 @@ process.on('SIGINT', async () => {
     console.log('\n正在关闭服务器...');
     
     // 将所有角色设为离线
-    await db.execute('UPDATE online_characters SET is_online = 0');
+    await repo.setAllCharactersOffline();
     
     // 关闭 WebSocket 服务器
     wss.close();
     
     // 关闭 HTTP 服务器
     server.close(async () => {
-        // 关闭数据库连接池
-        await db.end();
+        // 关闭数据库连接
+        await repo.close();
         console.log('服务器已关闭');
         process.exit(0);
     });
@@ -0,0 +1,169 @@
+/**
+ * 滥用防护：按消息类型的令牌桶限流、字段长度上限、登录失败锁定
+ * 状态都只在内存里，服务重启后清零
+ */
+
+// 单个 WebSocket 帧的最大字节数（超过时 ws 直接以 1009 关闭连接）；要放得下 base64 图片和语音
+const MAX_FRAME_BYTES = 6 * 1024 * 1024;
+
+// 每种消息类型的令牌桶：capacity 为允许的突发条数，perSecond 为每秒补充的令牌数
+// 没列出的类型共用 default；连接和账号各有一套桶，账号的桶由该账号的所有连接共享；登录注册类另按客户端 IP 再限一次
+const RATE_LIMITS = {
+    default: { capacity: 60, perSecond: 10 },
+    // 登录注册（密码爆破另有按 IP + 用户名的失败锁定）
+    register: { capacity: 3, perSecond: 1 / 60 },
+    login: { capacity: 5, perSecond: 1 / 10 },
+    auth: { capacity: 5, perSecond: 1 / 10 },
+    // 上线时客户端会把所有 User 角色依次注册、上线
+    register_character: { capacity: 50, perSecond: 10 },
+    go_online: { capacity: 50, perSecond: 10 },
+    search_user: { capacity: 10, perSecond: 1 / 2 },
+    friend_request: { capacity: 5, perSecond: 1 / 10 },
+    // 发消息
+    message: { capacity: 30, perSecond: 2 },
+    send_group_message: { capacity: 30, perSecond: 2 },
+    group_typing_start: { capacity: 10, perSecond: 1 },
+    group_typing_stop: { capacity: 10, perSecond: 1 },
+    create_online_group: { capacity: 5, perSecond: 1 / 30 },
+    invite_to_group: { capacity: 10, perSecond: 1 / 5 },
+    // 上线时补投的消息每条都要确认
+    message_ack: { capacity: 1000, perSecond: 100 }
+};
+
+// 字段长度上限（字符数），检查消息顶层和嵌套一层的对象（如 my_character）；头像由各处理函数自己截断
+const FIELD_LIMITS = {
+    content: 5 * 1024 * 1024, // 图片、语音是 base64
+    avatar: 5 * 1024 * 1024,
+    username: 50,
+    password: 128,
+    email: 100,
+    token: 2048,
+    wx_account: 100,
+    from_wx_account: 100,
+    to_wx_account: 100,
+    my_wx_account: 100,
+    peer_wx_account: 100,
+    nickname: 100,
+    name: 100,
+    sender_name: 100,
+    character_name: 100,
+    client_msg_id: 64,
+    message: 500,
+    bio: 5000,
+    desc: 20000
+};
+const DEFAULT_FIELD_LIMIT = 20000; // 没列出的字符串字段
+const MAX_ARRAY_ITEMS = 500; // 数组字段（邀请列表、确认的消息 id 等）
+
+// 返回第一个超长的字段 { field, limit }，都没超过返回 null
+function findOversizedField(data) {
+    const check = (obj, depth) => {
+        for (const [field, value] of Object.entries(obj)) {
+            if (typeof value === 'string') {
+                const limit = FIELD_LIMITS[field] || DEFAULT_FIELD_LIMIT;
+                if (value.length > limit) return { field, limit };
+            } else if (Array.isArray(value)) {
+                if (value.length > MAX_ARRAY_ITEMS) return { field, limit: MAX_ARRAY_ITEMS };
+                const item = value.find(v => typeof v === 'string' && v.length > DEFAULT_FIELD_LIMIT);
+                if (item !== undefined) return { field, limit: DEFAULT_FIELD_LIMIT };
+            } else if (value && typeof value === 'object' && depth === 0) {
+                const nested = check(value, 1);
+                if (nested) return { field: `${field}.${nested.field}`, limit: nested.limit };
+            }
+        }
+        return null;
+    };
+    return check(data, 0);
+}
+
+// 令牌桶限流器：take(type, key) 放行返回 0，否则返回还要等多少毫秒
+function createRateLimiter(limits = RATE_LIMITS) {
+    const buckets = new Map(); // `${key}|${type}` -> { tokens, updatedAt }
+
+    const refill = (bucket, limit, now) => {
+        bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+        bucket.updatedAt = now;
+    };
+
+    return {
+        take(type, key = '') {
+            const bucketType = limits[type] ? type : 'default';
+            const limit = limits[bucketType];
+            const now = Date.now();
+            const id = `${key}|${bucketType}`;
+            let bucket = buckets.get(id);
+            if (!bucket) {
+                bucket = { tokens: limit.capacity, updatedAt: now };
+                buckets.set(id, bucket);
+            }
+            refill(bucket, limit, now);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - bucket.tokens) / limit.perSecond * 1000);
+        },
+
+        // 清掉已经补满的桶（和新建的一样），避免按账号的桶越积越多
+        sweep() {
+            const now = Date.now();
+            for (const [id, bucket] of buckets) {
+                const limit = limits[id.substring(id.lastIndexOf('|') + 1)];
+                refill(bucket, limit, now);
+                if (bucket.tokens >= limit.capacity) buckets.delete(id);
+            }
+        }
+    };
+}
+
+// 登录失败锁定：按「客户端 IP + 用户名」记失败次数，连续失败 freeAttempts 次后锁定 baseLockMs，之后每多失败一次锁定时间翻倍，最长 maxLockMs；登录成功清零
+// 锁定只针对出错的那个客户端，别人拿你的用户名乱试密码不会把你锁在门外
+function createLoginGuard({ freeAttempts = 5, baseLockMs = 30 * 1000, maxLockMs = 60 * 60 * 1000 } = {}) {
+    const records = new Map(); // `${ip}|${小写用户名}` -> { failures, lockedUntil, lastFailure }
+    const keyOf = (ip, username) => `${ip || ''}|${username.toLowerCase()}`;
+
+    return {
+        // 仍在锁定中返回剩余毫秒数，否则返回 0
+        check(ip, username) {
+            const record = records.get(keyOf(ip, username));
+            return record ? Math.max(0, record.lockedUntil - Date.now()) : 0;
+        },
+
+        // 记一次失败，返回这次开始的锁定时长（还没到锁定次数返回 0）
+        fail(ip, username) {
+            const key = keyOf(ip, username);
+            const now = Date.now();
+            const record = records.get(key) || { failures: 0, lockedUntil: 0, lastFailure: 0 };
+            record.failures++;
+            record.lastFailure = now;
+            let lockMs = 0;
+            if (record.failures >= freeAttempts) {
+                lockMs = Math.min(maxLockMs, baseLockMs * 2 ** (record.failures - freeAttempts));
+                record.lockedUntil = now + lockMs;
+            }
+            records.set(key, record);
+            return lockMs;
+        },
+
+        succeed(ip, username) {
+            records.delete(keyOf(ip, username));
+        },
+
+        // 锁定已过期且最近一次失败也在 maxLockMs 之前的记录可以忘掉
+        sweep() {
+            const now = Date.now();
+            for (const [key, record] of records) {
+                if (record.lockedUntil < now && now - record.lastFailure > maxLockMs) records.delete(key);
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_FRAME_BYTES,
+    RATE_LIMITS,
+    FIELD_LIMITS,
+    findOversizedField,
+    createRateLimiter,
+    createLoginGuard
+};
@@ -0,0 +1,37 @@
+/**
+ * 存储入口：按环境变量选择数据库，执行迁移，返回数据仓库
+ *
+ * STORAGE=mysql   使用 MySQL（MYSQL_HOST / MYSQL_PORT / MYSQL_USER / MYSQL_PASSWORD / MYSQL_DATABASE）
+ * STORAGE=sqlite  使用内置 SQLite，文件位置 SQLITE_PATH（默认 ./data/online.db）
+ * STORAGE=memory  使用内存中的 SQLite，重启后清空（本地调试协议用）
+ * 未设置 STORAGE 时：有 MYSQL_HOST 用 MySQL，否则用 SQLite
+ */
+
+const { runMigrations } = require('./migrations');
+const { createRepository } = require('./repository');
+
+function resolveStorageType(env) {
+    const type = (env.STORAGE || (env.MYSQL_HOST ? 'mysql' : 'sqlite')).toLowerCase();
+    if (!['mysql', 'sqlite', 'memory'].includes(type)) {
+        throw new Error(`未知的 STORAGE: ${env.STORAGE}（可选 mysql / sqlite / memory）`);
+    }
+    return type;
+}
+
+async function createStorage(env = process.env) {
+    const type = resolveStorageType(env);
+    // 按需加载驱动：只用 SQLite 时不需要安装 mysql2
+    const store = type === 'mysql'
+        ? await require('./mysql').createMySQLStore(env)
+        : await require('./sqlite').createSQLiteStore(type === 'memory' ? { ...env, SQLITE_PATH: ':memory:' } : env);
+
+    await store.describe();
+    await runMigrations(store);
+
+    const repo = createRepository(store);
+    console.log(`   已注册用户数: ${await repo.countUsers()}`);
+    repo.close = () => store.close();
+    return repo;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,290 @@
+/**
+ * 数据库版本迁移
+ * 每个迁移只执行一次，执行过的版本记录在 schema_migrations 表里；新增表或字段时在末尾追加一个版本，不要改已发布的迁移
+ * 表结构用与方言无关的描述写出，由各存储适配器的 createTable 生成 MySQL / SQLite 建表语句
+ */
+
+// ==================== 表结构 ====================
+// 这里是各表创建时的结构；已发布的表之后要加字段，在新迁移里写 ALTER，不要直接改这里
+
+const TABLES = {
+    // 用户表（主账号）
+    users: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'username VARCHAR(50) UNIQUE NOT NULL',
+            'email VARCHAR(100)',
+            'password_hash VARCHAR(255) NOT NULL',
+            'created_at BIGINT DEFAULT 0',
+            'last_login BIGINT'
+        ],
+        indexes: { idx_users_username: ['username'] }
+    },
+
+    // 在线角色表
+    online_characters: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'user_id VARCHAR(36) NOT NULL',
+            'wx_account VARCHAR(100) UNIQUE NOT NULL',
+            'nickname VARCHAR(100) NOT NULL',
+            'avatar TEXT',
+            'bio TEXT',
+            'is_online TINYINT DEFAULT 0',
+            'last_seen BIGINT',
+            'created_at BIGINT DEFAULT 0'
+        ],
+        indexes: {
+            idx_online_chars_wx: ['wx_account'],
+            idx_online_chars_user: ['user_id']
+        },
+        foreignKeys: [{ columns: ['user_id'], references: 'users(id)' }]
+    },
+
+    // 好友关系表
+    friendships: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'char_a_wx VARCHAR(100) NOT NULL',
+            'char_b_wx VARCHAR(100) NOT NULL',
+            'created_at BIGINT DEFAULT 0'
+        ],
+        unique: { unique_friendship: ['char_a_wx', 'char_b_wx'] },
+        indexes: {
+            idx_friendships_char_a: ['char_a_wx'],
+            idx_friendships_char_b: ['char_b_wx']
+        }
+    },
+
+    // 好友申请表
+    friend_requests: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'from_wx_account VARCHAR(100) NOT NULL',
+            'to_wx_account VARCHAR(100) NOT NULL',
+            'message TEXT',
+            "status VARCHAR(20) DEFAULT 'pending'",
+            'created_at BIGINT DEFAULT 0',
+            'updated_at BIGINT'
+        ],
+        indexes: { idx_friend_requests_to: ['to_wx_account'] }
+    },
+
+    // 离线消息表
+    offline_messages: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'from_wx_account VARCHAR(100) NOT NULL',
+            'to_wx_account VARCHAR(100) NOT NULL',
+            'content LONGTEXT NOT NULL',
+            'created_at BIGINT DEFAULT 0',
+            'delivered TINYINT DEFAULT 0'
+        ],
+        indexes: { idx_offline_messages_to: ['to_wx_account'] }
+    },
+
+    // 亲属卡表（from 为付款方，to 为持卡人；monthly_limit 为 0 表示不限额）
+    family_cards: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'from_wx_account VARCHAR(100) NOT NULL',
+            'to_wx_account VARCHAR(100) NOT NULL',
+            'monthly_limit DECIMAL(12,2) DEFAULT 0',
+            'used_this_month DECIMAL(12,2) DEFAULT 0',
+            'usage_month VARCHAR(7)',
+            "status VARCHAR(20) DEFAULT 'active'",
+            'created_at BIGINT DEFAULT 0',
+            'updated_at BIGINT'
+        ],
+        unique: { unique_family_card: ['from_wx_account', 'to_wx_account'] },
+        indexes: { idx_family_cards_to: ['to_wx_account'] }
+    },
+
+    // 亲属卡消费记录表
+    family_card_records: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'card_id VARCHAR(36) NOT NULL',
+            'amount DECIMAL(12,2) NOT NULL',
+            'description VARCHAR(255)',
+            'created_at BIGINT DEFAULT 0'
+        ],
+        indexes: { idx_family_card_records_card: ['card_id'] }
+    },
+
+    // 离线事件表（亲属卡赠送/使用/解绑等通知，上线时按顺序投递）
+    offline_events: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'to_wx_account VARCHAR(100) NOT NULL',
+            'payload LONGTEXT NOT NULL',
+            'created_at BIGINT DEFAULT 0',
+            'delivered TINYINT DEFAULT 0'
+        ],
+        indexes: { idx_offline_events_to: ['to_wx_account'] }
+    },
+
+    // 联机群聊表
+    online_groups: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'name VARCHAR(100) NOT NULL',
+            'avatar TEXT',
+            'creator_wx VARCHAR(100) NOT NULL',
+            'created_at BIGINT DEFAULT 0'
+        ]
+    },
+
+    online_group_members: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'group_id VARCHAR(36) NOT NULL',
+            'user_wx VARCHAR(100) NOT NULL',
+            'character_name VARCHAR(100)',
+            'character_avatar TEXT',
+            'character_desc TEXT',
+            'joined_at BIGINT DEFAULT 0'
+        ],
+        unique: { unique_group_member: ['group_id', 'user_wx'] },
+        indexes: { idx_online_group_members_group: ['group_id'] },
+        foreignKeys: [{ columns: ['group_id'], references: 'online_groups(id)' }]
+    },
+
+    online_group_messages: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'group_id VARCHAR(36) NOT NULL',
+            'sender_type VARCHAR(20) NOT NULL',
+            'sender_wx VARCHAR(100) NOT NULL',
+            'sender_name VARCHAR(100) NOT NULL',
+            'character_name VARCHAR(100)',
+            'content LONGTEXT NOT NULL',
+            "msg_type VARCHAR(20) DEFAULT 'text'",
+            'created_at BIGINT DEFAULT 0'
+        ],
+        indexes: { idx_online_group_messages_group: ['group_id'] },
+        foreignKeys: [{ columns: ['group_id'], references: 'online_groups(id)' }]
+    },
+
+    // 私聊会话（id 为两个微信号小写后排序拼接；last_seq 为已分配的最大序号，分配时锁定这一行）
+    private_conversations: {
+        columns: [
+            'id VARCHAR(201) PRIMARY KEY',
+            'wx_a VARCHAR(100) NOT NULL',
+            'wx_b VARCHAR(100) NOT NULL',
+            'last_seq BIGINT DEFAULT 0',
+            'updated_at BIGINT'
+        ],
+        indexes: {
+            idx_private_conversations_a: ['wx_a'],
+            idx_private_conversations_b: ['wx_b']
+        }
+    },
+
+    // 私聊消息记录（seq 在会话内从 1 递增，客户端按 seq 同步和翻页）
+    private_messages: {
+        columns: [
+            'id VARCHAR(36) PRIMARY KEY',
+            'conversation_id VARCHAR(201) NOT NULL',
+            'seq BIGINT NOT NULL',
+            'client_msg_id VARCHAR(64)',
+            'from_wx_account VARCHAR(100) NOT NULL',
+            'to_wx_account VARCHAR(100) NOT NULL',
+            'content LONGTEXT NOT NULL',
+            'created_at BIGINT DEFAULT 0'
+        ],
+        unique: { unique_private_message_seq: ['conversation_id', 'seq'] }
+    }
+};
+
+async function createTables(store, names) {
+    for (const name of names) {
+        await store.createTable(name, TABLES[name]);
+    }
+}
+
+// 加字段（已存在时跳过）
+async function addColumn(store, table, column, definition) {
+    if (await store.hasColumn(table, column)) return;
+    await store.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// ==================== 迁移列表 ====================
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: '初始表结构',
+        // 旧版本部署的库里这些表已经存在，IF NOT EXISTS 会直接跳过
+        up: (store) => createTables(store, [
+            'users', 'online_characters', 'friendships', 'friend_requests', 'offline_messages',
+            'family_cards', 'family_card_records', 'offline_events',
+            'online_groups', 'online_group_members', 'online_group_messages'
+        ])
+    },
+    {
+        version: 2,
+        name: '头像与消息内容字段扩容',
+        // 只有早期 MySQL 部署的表需要：avatar 曾是 VARCHAR，消息内容曾是 TEXT（放不下大图片）
+        async up(store) {
+            if (store.dialect !== 'mysql') return;
+            await store.run('ALTER TABLE online_characters MODIFY COLUMN avatar TEXT');
+            await store.run('ALTER TABLE offline_messages MODIFY COLUMN content LONGTEXT NOT NULL');
+            await store.run('ALTER TABLE online_group_messages MODIFY COLUMN content LONGTEXT NOT NULL');
+        }
+    },
+    {
+        version: 3,
+        name: '私聊消息记录',
+        up: (store) => createTables(store, ['private_conversations', 'private_messages'])
+    },
+    {
+        version: 4,
+        name: '消息送达与已读',
+        // 私聊记录按会话双方各记一个已读序号；群成员记已读到的消息时间；发送方重试时按 client_msg_id 去重（唯一索引，并发重试也只存一条）
+        // MySQL 的 DDL 不能放进事务：每一步先检查是否已做过，中途失败后重启可以接着执行
+        async up(store) {
+            await addColumn(store, 'private_conversations', 'read_seq_a', 'BIGINT DEFAULT 0');
+            await addColumn(store, 'private_conversations', 'read_seq_b', 'BIGINT DEFAULT 0');
+            await addColumn(store, 'online_group_members', 'read_until', 'BIGINT DEFAULT 0');
+            if (!(await store.hasIndex('private_messages', 'unique_private_message_client'))) {
+                await store.run('CREATE UNIQUE INDEX unique_private_message_client ON private_messages (from_wx_account, client_msg_id)');
+            }
+        }
+    }
+];
+
+// 执行尚未执行过的迁移，返回本次执行的版本号
+async function runMigrations(store) {
+    await store.createTable('schema_migrations', {
+        columns: [
+            'version INT PRIMARY KEY',
+            'name VARCHAR(100) NOT NULL',
+            'applied_at BIGINT DEFAULT 0'
+        ]
+    });
+
+    const rows = await store.query('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(r => Number(r.version)));
+    const executed = [];
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        console.log(`🔄 数据库迁移 v${migration.version}: ${migration.name}`);
+        await migration.up(store);
+        await store.insert('schema_migrations', {
+            version: migration.version,
+            name: migration.name,
+            applied_at: Date.now()
+        });
+        executed.push(migration.version);
+    }
+
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    console.log(executed.length > 0
+        ? `✅ 数据库已迁移到 v${latest}`
+        : `✅ 数据库结构已是最新 (v${latest})`);
+    return executed;
+}
+
+module.exports = { TABLES, MIGRATIONS, runMigrations };
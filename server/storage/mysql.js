@@ -0,0 +1,157 @@
+/**
+ * MySQL 存储适配器（mysql2 连接池）
+ * 适配器统一提供 query / run / insert / upsert / transaction / createTable / hasColumn / hasIndex，仓库层只通过这些方法访问数据库
+ */
+
+const mysql = require('mysql2/promise');
+
+// mysql2 不接受 undefined 参数
+function normalizeParams(params) {
+    return params.map(v => (v === undefined ? null : v));
+}
+
+// 在一个执行函数（连接池或事务连接）上包装出通用方法
+function createExecutor(execute) {
+    const executor = {
+        dialect: 'mysql',
+        forUpdate: ' FOR UPDATE',
+
+        async query(sql, params = []) {
+            const [rows] = await execute(sql, normalizeParams(params));
+            return rows;
+        },
+
+        async run(sql, params = []) {
+            const [result] = await execute(sql, normalizeParams(params));
+            return { changes: result.affectedRows };
+        },
+
+        // options.ignore：主键/唯一键冲突时跳过
+        async insert(table, row, options = {}) {
+            const columns = Object.keys(row);
+            return executor.run(
+                `INSERT ${options.ignore ? 'IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(c => row[c])
+            );
+        },
+
+        // 冲突时 options.update 里的列取新值，options.set 里的列设为给定值（MySQL 按任意唯一键判断冲突，不需要 conflict）
+        async upsert(table, row, options = {}) {
+            const columns = Object.keys(row);
+            const updates = (options.update || []).map(c => `${c} = VALUES(${c})`);
+            const setColumns = Object.keys(options.set || {});
+            setColumns.forEach(c => updates.push(`${c} = ?`));
+            return executor.run(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+                ON DUPLICATE KEY UPDATE ${updates.join(', ')}`,
+                [...columns.map(c => row[c]), ...setColumns.map(c => options.set[c])]
+            );
+        },
+
+        async hasColumn(table, column) {
+            const rows = await executor.query(
+                'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+                [table, column]
+            );
+            return rows.length > 0;
+        },
+
+        async hasIndex(table, name) {
+            const rows = await executor.query(
+                'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+                [table, name]
+            );
+            return rows.length > 0;
+        },
+
+        // 主键/唯一键冲突
+        isDuplicateKeyError(error) {
+            return error?.code === 'ER_DUP_ENTRY';
+        },
+
+        async createTable(name, spec) {
+            const lines = [...spec.columns];
+            Object.entries(spec.unique || {}).forEach(([key, cols]) => lines.push(`UNIQUE KEY ${key} (${cols.join(', ')})`));
+            Object.entries(spec.indexes || {}).forEach(([key, cols]) => lines.push(`INDEX ${key} (${cols.join(', ')})`));
+            (spec.foreignKeys || []).forEach(fk => lines.push(`FOREIGN KEY (${fk.columns.join(', ')}) REFERENCES ${fk.references}`));
+            await execute(`
+                CREATE TABLE IF NOT EXISTS ${name} (
+                    ${lines.join(',\n                    ')}
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `, []);
+        }
+    };
+    return executor;
+}
+
+async function createMySQLStore(env) {
+    const dbConfig = {
+        host: env.MYSQL_HOST,
+        port: Number(env.MYSQL_PORT) || 3306,
+        user: env.MYSQL_USER,
+        password: env.MYSQL_PASSWORD,
+        database: env.MYSQL_DATABASE,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    };
+
+    // ❗ 选择了 MySQL 时强制校验环境变量（不允许连接到错误的数据库）
+    if (!dbConfig.host || !dbConfig.user || !dbConfig.database) {
+        console.error('❌ MySQL 环境变量未注入，拒绝启动');
+        console.error('当前环境变量:');
+        console.error({
+            MYSQL_HOST: env.MYSQL_HOST || '❌ 未设置',
+            MYSQL_PORT: env.MYSQL_PORT || '❌ 未设置',
+            MYSQL_USER: env.MYSQL_USER || '❌ 未设置',
+            MYSQL_DATABASE: env.MYSQL_DATABASE || '❌ 未设置',
+            MYSQL_PASSWORD: env.MYSQL_PASSWORD ? '✅ 已设置' : '❌ 未设置'
+        });
+        console.error('\n⚠️  请确保 Backend 和 MySQL 在同一个 Zeabur Project 中，或去掉 STORAGE=mysql 改用内置 SQLite');
+        throw new Error('MySQL 环境变量未设置');
+    }
+
+    console.log('🔗 正在连接 MySQL 数据库...');
+    console.log(`   Host: ${dbConfig.host}:${dbConfig.port}`);
+    console.log(`   User: ${dbConfig.user}`);
+    console.log(`   Database: ${dbConfig.database}`);
+
+    const pool = mysql.createPool(dbConfig);
+
+    // 测试连接
+    const connection = await pool.getConnection();
+    console.log('✅ MySQL 连接成功');
+    connection.release();
+
+    const store = createExecutor((sql, params) => pool.execute(sql, params));
+
+    // 事务：回调拿到绑定在同一个连接上的执行器
+    store.transaction = async (fn) => {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const result = await fn(createExecutor((sql, params) => conn.execute(sql, params)));
+            await conn.commit();
+            return result;
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    };
+
+    // 打印数据库指纹（用于确认数据持久化）
+    store.describe = async () => {
+        const [info] = await store.query('SELECT DATABASE() as db_name, VERSION() as version');
+        console.log('📊 数据库指纹:');
+        console.log(`   数据库名: ${info.db_name}`);
+        console.log(`   MySQL 版本: ${info.version}`);
+    };
+
+    store.close = () => pool.end();
+
+    return store;
+}
+
+module.exports = { createMySQLStore };
@@ -0,0 +1,460 @@
+/**
+ * 数据仓库：server.js 的处理函数只通过这里读写数据，不直接写 SQL
+ * 查询单行的方法找不到时返回 null；SQL 只用 MySQL 和 SQLite 都支持的写法，方言差异（upsert、INSERT IGNORE、FOR UPDATE）交给适配器
+ */
+
+// 私聊会话 id：两个微信号小写后排序拼接（与数据库里不区分大小写的比较保持一致）
+function privateConversation(wxA, wxB) {
+    const [a, b] = [wxA, wxB].sort((x, y) => x.toLowerCase().localeCompare(y.toLowerCase()));
+    return { id: `${a.toLowerCase()}|${b.toLowerCase()}`, wx_a: a, wx_b: b };
+}
+
+function createRepository(store) {
+    const first = async (sql, params) => (await store.query(sql, params))[0] || null;
+    const placeholders = (list) => list.map(() => '?').join(', ');
+
+    return {
+        dialect: store.dialect,
+
+        // 在一个事务里执行，回调拿到绑定在该事务上的仓库
+        transaction(fn) {
+            return store.transaction(tx => fn(createRepository(tx)));
+        },
+
+        // ==================== 用户 ====================
+
+        findUserByUsername(username) {
+            return first('SELECT * FROM users WHERE username = ?', [username]);
+        },
+
+        findUserById(id) {
+            return first('SELECT * FROM users WHERE id = ?', [id]);
+        },
+
+        createUser(user) {
+            return store.insert('users', {
+                id: user.id,
+                username: user.username,
+                email: user.email || null,
+                password_hash: user.password_hash,
+                created_at: Date.now()
+            });
+        },
+
+        touchUserLogin(id) {
+            return store.run('UPDATE users SET last_login = ? WHERE id = ?', [Date.now(), id]);
+        },
+
+        async countUsers() {
+            const row = await first('SELECT COUNT(*) as count FROM users');
+            return Number(row.count);
+        },
+
+        // ==================== 角色 ====================
+
+        findCharacter(wxAccount) {
+            return first('SELECT * FROM online_characters WHERE wx_account = ?', [wxAccount]);
+        },
+
+        // 搜索：精确匹配，不区分大小写
+        searchCharacter(wxAccount) {
+            return first('SELECT * FROM online_characters WHERE LOWER(wx_account) = LOWER(?)', [wxAccount]);
+        },
+
+        listUserCharacters(userId) {
+            return store.query('SELECT * FROM online_characters WHERE user_id = ?', [userId]);
+        },
+
+        listOnlineCharacters(userId) {
+            return store.query('SELECT * FROM online_characters WHERE user_id = ? AND is_online = 1', [userId]);
+        },
+
+        // 创建或更新角色资料；online 为 true 时同时标记上线，否则不改变已有角色的在线状态
+        saveCharacter(character, { online }) {
+            const now = Date.now();
+            return store.upsert('online_characters', {
+                id: character.id,
+                user_id: character.user_id,
+                wx_account: character.wx_account,
+                nickname: character.nickname,
+                avatar: character.avatar || '',
+                bio: character.bio || '',
+                is_online: online ? 1 : 0,
+                last_seen: now,
+                created_at: now
+            }, {
+                conflict: ['wx_account'],
+                update: ['nickname', 'avatar', 'bio', 'last_seen'],
+                set: online ? { is_online: 1 } : {}
+            });
+        },
+
+        setCharacterOffline(wxAccount) {
+            return store.run('UPDATE online_characters SET is_online = 0, last_seen = ? WHERE wx_account = ?', [Date.now(), wxAccount]);
+        },
+
+        setUserCharactersOffline(userId) {
+            return store.run('UPDATE online_characters SET is_online = 0, last_seen = ? WHERE user_id = ?', [Date.now(), userId]);
+        },
+
+        setAllCharactersOffline() {
+            return store.run('UPDATE online_characters SET is_online = 0');
+        },
+
+        // ==================== 好友 ====================
+
+        async areFriends(wxA, wxB) {
+            const rows = await store.query(
+                'SELECT 1 FROM friendships WHERE (char_a_wx = ? AND char_b_wx = ?) OR (char_a_wx = ? AND char_b_wx = ?)',
+                [wxA, wxB, wxB, wxA]
+            );
+            return rows.length > 0;
+        },
+
+        addFriendship(friendship) {
+            return store.insert('friendships', {
+                id: friendship.id,
+                char_a_wx: friendship.char_a_wx,
+                char_b_wx: friendship.char_b_wx,
+                created_at: Date.now()
+            }, { ignore: true });
+        },
+
+        createFriendRequest(request) {
+            return store.insert('friend_requests', {
+                id: request.id,
+                from_wx_account: request.from_wx_account,
+                to_wx_account: request.to_wx_account,
+                message: request.message || '',
+                created_at: request.created_at || Date.now()
+            });
+        },
+
+        findFriendRequest(id) {
+            return first('SELECT * FROM friend_requests WHERE id = ?', [id]);
+        },
+
+        updateFriendRequestStatus(id, status) {
+            return store.run('UPDATE friend_requests SET status = ?, updated_at = ? WHERE id = ?', [status, Date.now(), id]);
+        },
+
+        listPendingFriendRequests(wxAccount) {
+            return store.query('SELECT * FROM friend_requests WHERE to_wx_account = ? AND status = ?', [wxAccount, 'pending']);
+        },
+
+        // ==================== 离线消息与事件 ====================
+        // 私聊消息在收件方确认（message_ack）前都留在 offline_messages 里（由 savePrivateMessage 写入），未确认的每次上线都会重新投递
+
+        // 离线消息与私聊记录同 id，顺带取出会话序号
+        listOfflineMessages(wxAccount) {
+            return store.query(`
+                SELECT o.*, p.seq, p.client_msg_id FROM offline_messages o
+                LEFT JOIN private_messages p ON p.id = o.id
+                WHERE o.to_wx_account = ? AND o.delivered = 0
+                ORDER BY o.created_at
+            `, [wxAccount]);
+        },
+
+        // 收件方确认的消息中尚未标记送达的（带发送方和序号，用于给发送方回执）
+        listUndeliveredOfflineMessages(wxAccount, ids) {
+            if (ids.length === 0) return Promise.resolve([]);
+            return store.query(`
+                SELECT o.id, o.from_wx_account, p.seq FROM offline_messages o
+                LEFT JOIN private_messages p ON p.id = o.id
+                WHERE o.to_wx_account = ? AND o.delivered = 0 AND o.id IN (${placeholders(ids)})
+            `, [wxAccount, ...ids]);
+        },
+
+        markOfflineMessagesDelivered(ids) {
+            if (ids.length === 0) return Promise.resolve({ changes: 0 });
+            return store.run(`UPDATE offline_messages SET delivered = 1 WHERE id IN (${placeholders(ids)})`, ids);
+        },
+
+        saveOfflineEvent(event) {
+            return store.insert('offline_events', {
+                id: event.id,
+                to_wx_account: event.to_wx_account,
+                payload: JSON.stringify(event.payload),
+                created_at: Date.now()
+            });
+        },
+
+        listOfflineEvents(wxAccount) {
+            return store.query('SELECT * FROM offline_events WHERE to_wx_account = ? AND delivered = 0 ORDER BY created_at', [wxAccount]);
+        },
+
+        markOfflineEventsDelivered(ids) {
+            if (ids.length === 0) return Promise.resolve({ changes: 0 });
+            return store.run(`UPDATE offline_events SET delivered = 1 WHERE id IN (${placeholders(ids)})`, ids);
+        },
+
+        // ==================== 私聊消息记录 ====================
+
+        // 保存私聊消息并分配会话内序号（锁定会话行递增 last_seq），同一事务里放入待投递表，返回 { id, seq, created_at }
+        // 同一发送方的 client_msg_id 有唯一索引：并发重试撞上已保存的消息时回滚，返回已保存的那一行并带上 duplicate: true
+        async savePrivateMessage(message) {
+            const conversation = privateConversation(message.from_wx_account, message.to_wx_account);
+            const now = Date.now();
+            try {
+                return await store.transaction(async (tx) => {
+                    await tx.insert('private_conversations', { ...conversation, last_seq: 0, updated_at: now }, { ignore: true });
+                    await tx.run('UPDATE private_conversations SET last_seq = last_seq + 1, updated_at = ? WHERE id = ?', [now, conversation.id]);
+                    const [row] = await tx.query('SELECT last_seq FROM private_conversations WHERE id = ?', [conversation.id]);
+                    const seq = Number(row.last_seq);
+                    await tx.insert('private_messages', {
+                        id: message.id,
+                        conversation_id: conversation.id,
+                        seq,
+                        client_msg_id: message.client_msg_id || null,
+                        from_wx_account: message.from_wx_account,
+                        to_wx_account: message.to_wx_account,
+                        content: message.content,
+                        created_at: now
+                    });
+                    await tx.insert('offline_messages', {
+                        id: message.id,
+                        from_wx_account: message.from_wx_account,
+                        to_wx_account: message.to_wx_account,
+                        content: message.content,
+                        created_at: now
+                    });
+                    return { id: message.id, seq, created_at: now };
+                });
+            } catch (error) {
+                if (!message.client_msg_id || !store.isDuplicateKeyError(error)) throw error;
+                const existing = await first(
+                    'SELECT * FROM private_messages WHERE from_wx_account = ? AND client_msg_id = ?',
+                    [message.from_wx_account, message.client_msg_id]
+                );
+                if (!existing) throw error;
+                return { ...existing, duplicate: true };
+            }
+        },
+
+        // 发送方重试时按 client_msg_id 找已保存的消息
+        findPrivateMessageByClientId(fromWxAccount, clientMsgId) {
+            return first('SELECT * FROM private_messages WHERE from_wx_account = ? AND client_msg_id = ?', [fromWxAccount, clientMsgId]);
+        },
+
+        // 把 readerWx 在该会话的已读序号推进到 upToSeq（不超过已分配的序号，只增不减），返回推进后的序号，没有推进返回 0
+        async markPrivateConversationRead(readerWx, peerWx, upToSeq) {
+            const conversation = await first('SELECT * FROM private_conversations WHERE id = ?', [privateConversation(readerWx, peerWx).id]);
+            if (!conversation) return 0;
+            const column = conversation.wx_a.toLowerCase() === readerWx.toLowerCase() ? 'read_seq_a' : 'read_seq_b';
+            const seq = Math.min(upToSeq, Number(conversation.last_seq));
+            const result = await store.run(
+                `UPDATE private_conversations SET ${column} = ? WHERE id = ? AND ${column} < ?`,
+                [seq, conversation.id, seq]
+            );
+            return result.changes > 0 ? seq : 0;
+        },
+
+        // 某个微信号参与的所有私聊会话
+        listPrivateConversations(wxAccount) {
+            return store.query('SELECT * FROM private_conversations WHERE wx_a = ? OR wx_b = ? ORDER BY updated_at DESC', [wxAccount, wxAccount]);
+        },
+
+        // afterSeq：取之后的消息（正序）；beforeSeq：取之前最近的若干条；都不传取最近的若干条（均按 seq 正序返回）
+        // delivered：收件方是否已确认收到（没有待确认记录的视为已送达）
+        async listPrivateMessages(wxA, wxB, { afterSeq, beforeSeq, limit = 100 } = {}) {
+            const conversationId = privateConversation(wxA, wxB).id;
+            const limitValue = parseInt(limit) || 100;
+            const select = `
+                SELECT p.*, CASE WHEN o.id IS NULL OR o.delivered = 1 THEN 1 ELSE 0 END AS delivered
+                FROM private_messages p LEFT JOIN offline_messages o ON o.id = p.id
+                WHERE p.conversation_id = ?`;
+            if (afterSeq !== undefined && afterSeq !== null) {
+                return store.query(`${select} AND p.seq > ? ORDER BY p.seq ASC LIMIT ${limitValue}`, [conversationId, afterSeq]);
+            }
+            const rows = beforeSeq
+                ? await store.query(`${select} AND p.seq < ? ORDER BY p.seq DESC LIMIT ${limitValue}`, [conversationId, beforeSeq])
+                : await store.query(`${select} ORDER BY p.seq DESC LIMIT ${limitValue}`, [conversationId]);
+            return rows.reverse();
+        },
+
+        // ==================== 联机群聊 ====================
+
+        // 群聊和创建者成员记录一起写入，任何一步失败都不会留下没有成员的群
+        async createOnlineGroup(group, creator) {
+            await store.transaction(async (tx) => {
+                await tx.insert('online_groups', {
+                    id: group.id,
+                    name: group.name,
+                    avatar: '',
+                    creator_wx: group.creator_wx,
+                    created_at: group.created_at
+                });
+                await tx.insert('online_group_members', {
+                    id: creator.id,
+                    group_id: group.id,
+                    user_wx: creator.user_wx,
+                    character_name: creator.character_name,
+                    character_avatar: creator.character_avatar,
+                    character_desc: creator.character_desc,
+                    joined_at: group.created_at
+                });
+            });
+        },
+
+        findGroup(id) {
+            return first('SELECT * FROM online_groups WHERE id = ?', [id]);
+        },
+
+        listUserGroups(wxAccount) {
+            return store.query(`
+                SELECT g.* FROM online_groups g
+                INNER JOIN online_group_members m ON g.id = m.group_id
+                WHERE m.user_wx = ?
+            `, [wxAccount]);
+        },
+
+        findGroupMember(groupId, wxAccount) {
+            return first('SELECT * FROM online_group_members WHERE group_id = ? AND user_wx = ?', [groupId, wxAccount]);
+        },
+
+        listGroupMembers(groupId) {
+            return store.query('SELECT * FROM online_group_members WHERE group_id = ?', [groupId]);
+        },
+
+        addGroupMember(member) {
+            return store.insert('online_group_members', {
+                id: member.id,
+                group_id: member.group_id,
+                user_wx: member.user_wx,
+                character_name: member.character_name,
+                character_avatar: member.character_avatar,
+                character_desc: member.character_desc,
+                joined_at: Date.now()
+            });
+        },
+
+        updateGroupMemberCharacter(groupId, wxAccount, character) {
+            return store.run(
+                'UPDATE online_group_members SET character_name = ?, character_avatar = ?, character_desc = ? WHERE group_id = ? AND user_wx = ?',
+                [character.name, character.avatar, character.desc, groupId, wxAccount]
+            );
+        },
+
+        // 把成员的已读时间推进到 readUntil（只增不减），推进了返回 true
+        async markGroupMemberRead(groupId, wxAccount, readUntil) {
+            const result = await store.run(
+                'UPDATE online_group_members SET read_until = ? WHERE group_id = ? AND user_wx = ? AND read_until < ?',
+                [readUntil, groupId, wxAccount, readUntil]
+            );
+            return result.changes > 0;
+        },
+
+        // since：只取之后的消息；limit：取最近的若干条（按时间正序返回）；都不传取全部
+        async listGroupMessages(groupId, { since, limit } = {}) {
+            if (since) {
+                return store.query('SELECT * FROM online_group_messages WHERE group_id = ? AND created_at > ? ORDER BY created_at ASC', [groupId, since]);
+            }
+            if (limit) {
+                // ✅ MySQL 预处理语句不支持 LIMIT 占位符，需要直接拼接
+                const limitValue = parseInt(limit) || 100;
+                const rows = await store.query(`SELECT * FROM online_group_messages WHERE group_id = ? ORDER BY created_at DESC LIMIT ${limitValue}`, [groupId]);
+                return rows.reverse();
+            }
+            return store.query('SELECT * FROM online_group_messages WHERE group_id = ? ORDER BY created_at ASC', [groupId]);
+        },
+
+        findGroupMessage(groupId, id) {
+            return first('SELECT * FROM online_group_messages WHERE group_id = ? AND id = ?', [groupId, id]);
+        },
+
+        saveGroupMessage(message) {
+            return store.insert('online_group_messages', {
+                id: message.id,
+                group_id: message.group_id,
+                sender_type: message.sender_type,
+                sender_wx: message.sender_wx,
+                sender_name: message.sender_name,
+                character_name: message.character_name,
+                content: message.content,
+                msg_type: message.msg_type,
+                created_at: message.created_at
+            });
+        },
+
+        updateGroupMessageContent(id, content) {
+            return store.run('UPDATE online_group_messages SET content = ? WHERE id = ?', [content, id]);
+        },
+
+        // ==================== 亲属卡 ====================
+
+        // 赠送或更新亲属卡（已解绑的重新启用，额度以最新一次为准）
+        async upsertFamilyCard(card) {
+            const now = Date.now();
+            await store.upsert('family_cards', {
+                id: card.id,
+                from_wx_account: card.from_wx_account,
+                to_wx_account: card.to_wx_account,
+                monthly_limit: card.monthly_limit,
+                used_this_month: 0,
+                usage_month: card.usage_month,
+                status: 'active',
+                created_at: now,
+                updated_at: now
+            }, {
+                conflict: ['from_wx_account', 'to_wx_account'],
+                update: ['monthly_limit', 'updated_at'],
+                set: { status: 'active' }
+            });
+            return first('SELECT * FROM family_cards WHERE from_wx_account = ? AND to_wx_account = ?', [card.from_wx_account, card.to_wx_account]);
+        },
+
+        findFamilyCard(id) {
+            return first('SELECT * FROM family_cards WHERE id = ?', [id]);
+        },
+
+        findActiveFamilyCardById(id) {
+            return first('SELECT * FROM family_cards WHERE id = ? AND status = ?', [id, 'active']);
+        },
+
+        // lock：在事务里锁定这一行（额度检查和扣减之间不被其他支付插入）
+        findActiveFamilyCard(fromWx, toWx, { lock = false } = {}) {
+            return first(
+                `SELECT * FROM family_cards WHERE from_wx_account = ? AND to_wx_account = ? AND status = ?${lock ? store.forUpdate : ''}`,
+                [fromWx, toWx, 'active']
+            );
+        },
+
+        listGivenFamilyCards(wxAccount) {
+            return store.query('SELECT * FROM family_cards WHERE from_wx_account = ? AND status = ? ORDER BY created_at', [wxAccount, 'active']);
+        },
+
+        listReceivedFamilyCards(wxAccount) {
+            return store.query('SELECT * FROM family_cards WHERE to_wx_account = ? AND status = ? ORDER BY created_at', [wxAccount, 'active']);
+        },
+
+        updateFamilyCardUsage(id, usedThisMonth, usageMonth) {
+            return store.run(
+                'UPDATE family_cards SET used_this_month = ?, usage_month = ?, updated_at = ? WHERE id = ?',
+                [usedThisMonth, usageMonth, Date.now(), id]
+            );
+        },
+
+        setFamilyCardStatus(id, status) {
+            return store.run('UPDATE family_cards SET status = ?, updated_at = ? WHERE id = ?', [status, Date.now(), id]);
+        },
+
+        addFamilyCardRecord(record) {
+            return store.insert('family_card_records', {
+                id: record.id,
+                card_id: record.card_id,
+                amount: record.amount,
+                description: record.description,
+                created_at: Date.now()
+            });
+        },
+
+        listFamilyCardRecords(cardId, limit = 100) {
+            return store.query(
+                `SELECT * FROM family_card_records WHERE card_id = ? ORDER BY created_at DESC LIMIT ${parseInt(limit) || 100}`,
+                [cardId]
+            );
+        }
+    };
+}
+
+module.exports = { createRepository };
@@ -0,0 +1,162 @@
+/**
+ * SQLite 存储适配器（内置数据库，不需要额外部署）
+ * 优先使用 Node.js 自带的 node:sqlite（22.5+），没有时使用 better-sqlite3；SQLITE_PATH=:memory: 为纯内存模式，重启后数据清空
+ * 两个驱动都是同步接口，事务期间其他请求的语句排队等待，避免混进同一个事务
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function openDatabase(file) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return { db: new DatabaseSync(file), driver: 'node:sqlite' };
+    } catch (e) {
+        // 当前 Node.js 没有 node:sqlite，改用 better-sqlite3
+    }
+    try {
+        const Database = require('better-sqlite3');
+        return { db: new Database(file), driver: 'better-sqlite3' };
+    } catch (e) {
+        throw new Error('SQLite 模式需要 Node.js 22.5+ 或安装 better-sqlite3（npm install better-sqlite3）');
+    }
+}
+
+// SQLite 只接受数字、字符串、null 和二进制
+function normalizeParams(params) {
+    return params.map(v => {
+        if (v === undefined) return null;
+        if (typeof v === 'boolean') return v ? 1 : 0;
+        return v;
+    });
+}
+
+// 与 MySQL 的 utf8mb4_unicode_ci 保持一致：VARCHAR 列比较时不区分大小写
+function toSQLiteColumn(definition) {
+    return definition.replace(/^(\w+ VARCHAR\(\d+\))/i, '$1 COLLATE NOCASE');
+}
+
+// blocker() 返回正在进行的事务（事务外的语句要等它结束）；检查和执行之间没有 await，不会被别的事务插进来
+function createExecutor(db, blocker) {
+    const executor = {
+        dialect: 'sqlite',
+        forUpdate: '', // BEGIN IMMEDIATE 已经锁住整个库
+
+        async query(sql, params = []) {
+            while (blocker()) await blocker();
+            return db.prepare(sql).all(...normalizeParams(params));
+        },
+
+        async run(sql, params = []) {
+            while (blocker()) await blocker();
+            const result = db.prepare(sql).run(...normalizeParams(params));
+            return { changes: Number(result.changes) };
+        },
+
+        // options.ignore：主键/唯一键冲突时跳过
+        async insert(table, row, options = {}) {
+            const columns = Object.keys(row);
+            return executor.run(
+                `INSERT ${options.ignore ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(c => row[c])
+            );
+        },
+
+        // options.conflict 为判断冲突的唯一键列；冲突时 options.update 里的列取新值，options.set 里的列设为给定值
+        async upsert(table, row, options = {}) {
+            const columns = Object.keys(row);
+            const updates = (options.update || []).map(c => `${c} = excluded.${c}`);
+            const setColumns = Object.keys(options.set || {});
+            setColumns.forEach(c => updates.push(`${c} = ?`));
+            return executor.run(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+                ON CONFLICT (${options.conflict.join(', ')}) DO UPDATE SET ${updates.join(', ')}`,
+                [...columns.map(c => row[c]), ...setColumns.map(c => options.set[c])]
+            );
+        },
+
+        async hasColumn(table, column) {
+            const columns = await executor.query(`PRAGMA table_info(${table})`);
+            return columns.some(c => c.name.toLowerCase() === column.toLowerCase());
+        },
+
+        async hasIndex(table, name) {
+            const rows = await executor.query("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?", [table, name]);
+            return rows.length > 0;
+        },
+
+        // 主键/唯一键冲突（node:sqlite 只有 errcode，better-sqlite3 有 code）
+        isDuplicateKeyError(error) {
+            return error?.code === 'SQLITE_CONSTRAINT_UNIQUE' || error?.code === 'SQLITE_CONSTRAINT_PRIMARYKEY'
+                || error?.errcode === 2067 || error?.errcode === 1555;
+        },
+
+        async createTable(name, spec) {
+            const lines = spec.columns.map(toSQLiteColumn);
+            Object.entries(spec.unique || {}).forEach(([key, cols]) => lines.push(`CONSTRAINT ${key} UNIQUE (${cols.join(', ')})`));
+            (spec.foreignKeys || []).forEach(fk => lines.push(`FOREIGN KEY (${fk.columns.join(', ')}) REFERENCES ${fk.references}`));
+            while (blocker()) await blocker();
+            db.exec(`CREATE TABLE IF NOT EXISTS ${name} (\n    ${lines.join(',\n    ')}\n)`);
+            Object.entries(spec.indexes || {}).forEach(([key, cols]) => {
+                db.exec(`CREATE INDEX IF NOT EXISTS ${key} ON ${name} (${cols.join(', ')})`);
+            });
+        }
+    };
+    return executor;
+}
+
+async function createSQLiteStore(env) {
+    const file = env.SQLITE_PATH || path.join(process.cwd(), 'data', 'online.db');
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+
+    const { db, driver } = openDatabase(file);
+    db.exec('PRAGMA foreign_keys = ON');
+    db.exec('PRAGMA busy_timeout = 5000');
+    if (file !== ':memory:') db.exec('PRAGMA journal_mode = WAL');
+
+    console.log(`✅ SQLite 数据库已打开 (${driver})`);
+    console.log(`   文件: ${file === ':memory:' ? '内存（重启后清空）' : path.resolve(file)}`);
+
+    // 正在进行的事务；事务外的语句要等它结束
+    let activeTransaction = null;
+    const store = createExecutor(db, () => activeTransaction);
+
+    store.transaction = async (fn) => {
+        while (activeTransaction) await activeTransaction;
+        let finish;
+        activeTransaction = new Promise(resolve => { finish = resolve; });
+        try {
+            db.exec('BEGIN IMMEDIATE');
+            const result = await fn(createExecutor(db, () => null));
+            db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            try {
+                db.exec('ROLLBACK');
+            } catch (e) {
+                // BEGIN 本身失败时没有可回滚的事务
+            }
+            throw error;
+        } finally {
+            activeTransaction = null;
+            finish();
+        }
+    };
+
+    store.describe = async () => {
+        const [info] = await store.query('SELECT sqlite_version() as version');
+        console.log('📊 数据库指纹:');
+        console.log(`   SQLite 版本: ${info.version}`);
+    };
+
+    store.close = async () => {
+        while (activeTransaction) await activeTransaction;
+        db.close();
+    };
+
+    return store;
+}
+
+module.exports = { createSQLiteStore };
@@ -234,6 +234,13 @@
         // API 错误提示弹窗
         let apiErrorTimer = null;
         function showApiErrorToast(errorMessage) {
+            // 兼容直接传入 Error（callAI 抛出的错误已按服务商统一成可读说明）
+            if (errorMessage instanceof Error) errorMessage = errorMessage.message;
+            // 错误详情可能来自接口返回的 HTML，转义后再显示，换行保留
+            const safeMessage = String(errorMessage || '未知错误')
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/\n/g, '<br>');
+            
             // 创建或获取弹窗元素
             let toast = document.getElementById('api-error-toast');
             if (!toast) {
@@ -250,7 +257,7 @@
             toast.innerHTML = `
                 <div class="error-icon">⚠️</div>
                 <div class="error-title">请求失败</div>
-                <div class="error-msg">${errorMessage}</div>
+                <div class="error-msg">${safeMessage}</div>
             `;
             toast.classList.add('show');
             toast.style.pointerEvents = 'auto';
@@ -421,7 +428,23 @@
                 </div>`).join('')}
             </div>`;
             
-            // 7. 实时日志区域
+            // 7. 提示词 token 分布（最近一次各功能的组装结果）
+            if (typeof renderPromptBudgetReports === 'function') {
+                diagnosticInfo += `<div style="margin-bottom:20px; padding:10px; background:#f5f5f5; border-radius:8px;">
+                    <strong style="color:#007aff;">🧮 提示词 Token 分布:</strong>
+                    ${renderPromptBudgetReports()}
+                </div>`;
+            }
+            
+            // 8. 最近的 AI 请求由哪个接口完成（故障转移记录）
+            if (typeof renderApiServeLog === 'function') {
+                diagnosticInfo += `<div style="margin-bottom:20px; padding:10px; background:#f5f5f5; border-radius:8px;">
+                    <strong style="color:#007aff;">🔀 API 调用记录:</strong>
+                    ${renderApiServeLog()}
+                </div>`;
+            }
+            
+            // 9. 实时日志区域
             diagnosticInfo += `<div style="margin-bottom:20px;">
                 <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:10px;">
                     <strong style="color:#007aff;">📋 实时日志 (最近${systemLogs.length}条)</strong>
@@ -556,8 +579,26 @@
                 const modelItem = await db.dexiData.get('aiCurrentModel');
                 const listItem = await db.dexiData.get('aiModelList');
                 const tempItem = await db.dexiData.get('aiTemperature');
+                const budgetItem = await db.dexiData.get('aiContextBudget');
+                const toolModeItem = await db.dexiData.get('aiToolCallMode');
+                const streamReplyItem = await db.dexiData.get('aiStreamReplies');
+                const providerItem = await db.dexiData.get('aiProvider');
 
                 if (urlItem) document.getElementById('ai-url-input').value = urlItem.value;
+                const providerSelect = document.getElementById('ai-provider-select');
+                if (providerSelect) providerSelect.value = providerItem?.value || 'auto';
+                const budgetInput = document.getElementById('ai-context-budget-input');
+                if (budgetInput) budgetInput.value = budgetItem?.value || '';
+                const toolModeSelect = document.getElementById('ai-tool-call-mode-select');
+                if (toolModeSelect) toolModeSelect.value = toolModeItem?.value || 'auto';
+                const streamReplySelect = document.getElementById('ai-stream-reply-select');
+                if (streamReplySelect) streamReplySelect.value = streamReplyItem?.value || 'off';
+                const retryPolicyItem = await db.dexiData.get('aiRetryPolicy');
+                const retryPolicy = retryPolicyItem?.value ? JSON.parse(retryPolicyItem.value) : {};
+                const retryInput = document.getElementById('ai-retry-count-input');
+                if (retryInput) retryInput.value = retryPolicy.retries ?? '';
+                const timeoutInput = document.getElementById('ai-timeout-input');
+                if (timeoutInput) timeoutInput.value = retryPolicy.timeoutSec ?? '';
                 if (keyItem) document.getElementById('ai-key-input').value = keyItem.value;
                 if (tempItem) {
                     document.getElementById('ai-temp-slider').value = tempItem.value;
@@ -718,7 +759,8 @@
         async function fetchSecondaryModels() {
             const url = document.getElementById('secondary-ai-url-input').value.trim();
             const key = document.getElementById('secondary-ai-key-input').value.trim();
-            if (!url || !key) {
+            const adapter = getProviderAdapter(resolveAiProvider(url), url);
+            if (!url || (!key && !adapter.keyOptional)) {
                 showToast('请先填写副API地址和密钥');
                 return;
             }
@@ -729,13 +771,13 @@
             text.textContent = '拉取中...';
 
             try {
-                const modelsUrl = getSmartUrl(url, '/models');
+                const modelsUrl = adapter.modelsUrl(url);
                 const res = await fetch(modelsUrl, {
-                    headers: { 'Authorization': `Bearer ${key}` }
+                    headers: adapter.headers(key)
                 });
-                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                if (!res.ok) throw normalizeProviderError(adapter.id, res.status, await res.text());
                 const data = await res.json();
-                const models = (data.data || []).map(m => ({ id: m.id }));
+                const models = adapter.parseModels(data);
 
                 await db.dexiData.put({ key: 'secondaryAiModelList', value: JSON.stringify(models) });
 
@@ -780,6 +822,27 @@
             const key = document.getElementById('ai-key-input').value.trim();
             const model = document.getElementById('ai-model-select').value;
             const temp = document.getElementById('ai-temp-slider').value;
+            const contextBudget = document.getElementById('ai-context-budget-input')?.value.trim() || '';
+            
+            // 上下文预算与密钥无关，单独保存
+            await db.dexiData.put({ key: 'aiContextBudget', value: contextBudget });
+            localStorage.setItem('aiContextBudget', contextBudget);
+            
+            // 动作指令模式：切换时清除“接口不支持工具调用”的记录，让自动模式重新探测
+            const toolMode = document.getElementById('ai-tool-call-mode-select')?.value || 'auto';
+            if (toolMode !== (localStorage.getItem('aiToolCallMode') || 'auto')) resetToolCallingSupport();
+            await db.dexiData.put({ key: 'aiToolCallMode', value: toolMode });
+            localStorage.setItem('aiToolCallMode', toolMode);
+            
+            // 私聊流式回复开关
+            const streamReplies = document.getElementById('ai-stream-reply-select')?.value || 'off';
+            await db.dexiData.put({ key: 'aiStreamReplies', value: streamReplies });
+            localStorage.setItem('aiStreamReplies', streamReplies);
+            
+            // 服务商类型（本地模型可以不填密钥，所以也不受下面的空 Key 防御影响）
+            const provider = document.getElementById('ai-provider-select')?.value || 'auto';
+            await db.dexiData.put({ key: 'aiProvider', value: provider });
+            localStorage.setItem('aiProvider', provider);
             
             // 🔧 防御：如果URL和Key都为空，可能是DOM还没加载好，不要覆盖数据库
             if (!url && !key) {
@@ -833,6 +896,9 @@
             } catch (e) {
                 console.error('加载API预设列表失败:', e);
             }
+            
+            // 预设增删后同步刷新故障转移列表
+            await renderApiFailoverChain();
         }
         
         // 保存当前配置为预设
@@ -845,6 +911,7 @@
             const key = document.getElementById('ai-key-input').value.trim();
             const model = document.getElementById('ai-model-select').value;
             const temp = document.getElementById('ai-temp-slider').value;
+            const provider = document.getElementById('ai-provider-select')?.value || 'auto';
             const modelListData = await db.dexiData.get('aiModelList');
             const modelList = modelListData?.value || '[]';
             
@@ -854,6 +921,7 @@
                 key: key,
                 model: model,
                 temperature: temp,
+                provider: provider,
                 modelList: modelList
             };
             
@@ -900,6 +968,8 @@
                 document.getElementById('ai-key-input').value = preset.key || '';
                 document.getElementById('ai-temp-slider').value = preset.temperature || '0.7';
                 updateTempDisplay(preset.temperature || '0.7');
+                const providerSelect = document.getElementById('ai-provider-select');
+                if (providerSelect) providerSelect.value = preset.provider || 'auto';
                 
                 // 恢复模型列表和选择
                 const select = document.getElementById('ai-model-select');
@@ -926,6 +996,8 @@
                 await db.dexiData.put({ key: 'aiApiKey', value: preset.key || '' });
                 await db.dexiData.put({ key: 'aiCurrentModel', value: preset.model || '' });
                 await db.dexiData.put({ key: 'aiTemperature', value: preset.temperature || '0.7' });
+                await db.dexiData.put({ key: 'aiProvider', value: preset.provider || 'auto' });
+                localStorage.setItem('aiProvider', preset.provider || 'auto');
                 await db.dexiData.put({ key: 'aiModelList', value: preset.modelList || '[]' });
                 await db.dexiData.put({ key: 'currentApiPreset', value: presetName });
                 
@@ -975,6 +1047,83 @@
                 alert('删除预设失败：' + e.message);
             }
         }
+        
+        // ========== 故障转移链 ==========
+        
+        async function _saveApiFailoverChain(chain) {
+            const value = JSON.stringify(chain);
+            await db.dexiData.put({ key: 'aiFailoverChain', value });
+            localStorage.setItem('aiFailoverChain', value);
+        }
+        
+        async function _loadApiFailoverState() {
+            const presetsData = await db.dexiData.get('apiPresets');
+            const presets = presetsData?.value ? JSON.parse(presetsData.value) : [];
+            // 已删除的预设自动移出链
+            const chain = (await getApiFailoverChain()).filter(name => presets.some(p => p.name === name));
+            return { presets, chain };
+        }
+        
+        // 渲染故障转移列表：已勾选的预设按尝试顺序排在前面，可上下调整
+        async function renderApiFailoverChain() {
+            const container = document.getElementById('ai-failover-chain-list');
+            if (!container) return;
+            
+            try {
+                const { presets, chain } = await _loadApiFailoverState();
+                if (presets.length === 0) {
+                    container.innerHTML = '<div style="font-size:12px; color:#999;">保存 API 预设后，可勾选作为备用接口</div>';
+                    return;
+                }
+                
+                const rest = presets.map(p => p.name).filter(name => !chain.includes(name));
+                const row = (name, chainIndex) => {
+                    const presetIndex = presets.findIndex(p => p.name === name);
+                    const inChain = chainIndex >= 0;
+                    const btn = 'padding:2px 8px; background:#f0f0f0; color:#666; border:none; border-radius:6px; font-size:12px; cursor:pointer;';
+                    return `
+                        <div style="display:flex; align-items:center; gap:8px; padding:6px 0; font-size:13px;">
+                            <input type="checkbox" ${inChain ? 'checked' : ''} onchange="toggleApiFailoverPreset(${presetIndex}, this.checked)">
+                            <span style="flex:1; color:${inChain ? '#333' : '#999'};">${inChain ? `${chainIndex + 1}. ` : ''}${escapeHtml(name)}</span>
+                            ${inChain ? `<button style="${btn}" onclick="moveApiFailoverPreset(${chainIndex}, -1)">↑</button><button style="${btn}" onclick="moveApiFailoverPreset(${chainIndex}, 1)">↓</button>` : ''}
+                        </div>`;
+                };
+                container.innerHTML = chain.map((name, i) => row(name, i)).join('') + rest.map(name => row(name, -1)).join('');
+            } catch (e) {
+                console.error('加载故障转移列表失败:', e);
+            }
+        }
+        
+        async function toggleApiFailoverPreset(presetIndex, checked) {
+            const { presets, chain } = await _loadApiFailoverState();
+            const name = presets[presetIndex]?.name;
+            if (!name) return;
+            const next = chain.filter(n => n !== name);
+            if (checked) next.push(name);
+            await _saveApiFailoverChain(next);
+            await renderApiFailoverChain();
+        }
+        
+        async function moveApiFailoverPreset(chainIndex, direction) {
+            const { chain } = await _loadApiFailoverState();
+            const target = chainIndex + direction;
+            if (target < 0 || target >= chain.length) return;
+            [chain[chainIndex], chain[target]] = [chain[target], chain[chainIndex]];
+            await _saveApiFailoverChain(chain);
+            await renderApiFailoverChain();
+        }
+        
+        // 重试次数 / 超时秒数，留空则使用默认值
+        async function saveApiRetryPolicy() {
+            const retries = document.getElementById('ai-retry-count-input')?.value.trim() || '';
+            const timeoutSec = document.getElementById('ai-timeout-input')?.value.trim() || '';
+            const policy = {};
+            if (retries !== '') policy.retries = Math.min(5, Math.max(0, parseInt(retries, 10) || 0));
+            if (timeoutSec !== '') policy.timeoutSec = Math.max(0, parseInt(timeoutSec, 10) || 0);
+            const value = JSON.stringify(policy);
+            await db.dexiData.put({ key: 'aiRetryPolicy', value });
+            localStorage.setItem('aiRetryPolicy', value);
+        }
 
         // NovelAI 设置相关函数
         function toggleNovelAISettings() {
@@ -1233,6 +1382,7 @@
          * @param {string} description - 图片描述/tag
          * @param {object} [options] - 可选参数
          * @param {boolean} [options.skipSystemPrompt=false] - 是否跳过系统基础 Prompt（视频通话等场景使用，避免性别冲突）
+         * @param {number} [options.charId] / [options.groupId] - 用量统计归属的角色 / 群聊（见 usage.js）
          * @returns {Promise<string|null>} - 生成的图片 DataURL，失败返回 null
          */
         async function generateNovelAIImage(description, options = {}) {
@@ -1475,6 +1625,9 @@
                 
                 if (imageDataUrl) {
                     console.log(`[NovelAI-AutoGen] ✅ 图片生成成功`);
+                    if (typeof recordApiUsage === 'function') {
+                        recordApiUsage({ feature: 'image', model, images: 1, charId: options.charId, groupId: options.groupId });
+                    }
                 }
                 return imageDataUrl || null;
                 
@@ -1515,7 +1668,7 @@
                 const result = await callAI([
                     { role: 'system', content: sysPrompt },
                     { role: 'user', content: userMsg }
-                ], { max_tokens: 200 });
+                ], { max_tokens: 200, usageTag: { feature: 'image', charId } });
                 
                 if (result && result.trim()) {
                     const tags = result.trim().replace(/^["']|["']$/g, '').replace(/\n/g, ', ');
@@ -1579,7 +1732,7 @@
                     const result = await callAI([
                         { role: 'system', content: sysPrompt },
                         { role: 'user', content: userMsg }
-                    ], { max_tokens: 250 });
+                    ], { max_tokens: 250, usageTag: { feature: 'image', charId } });
 
                     if (result && result.trim()) {
                         englishTags = result.trim().replace(/^["']|["']$/g, '').replace(/\n/g, ', ');
@@ -1590,7 +1743,7 @@
                 }
 
                 // 4. 调用 NovelAI 生成图片（跳过系统 Prompt，避免默认的 1girl 等覆盖角色实际性别）
-                const imageDataUrl = await generateNovelAIImage(englishTags, { skipSystemPrompt: true });
+                const imageDataUrl = await generateNovelAIImage(englishTags, { skipSystemPrompt: true, charId });
                 if (imageDataUrl) {
                     console.log('[VideoCall-NovelAI] ✅ 视频通话图片生成成功');
                 }
@@ -1650,7 +1803,7 @@
                 if (preGeneratedTags && preGeneratedTags.trim()) {
                     // ✅ 使用 AI 主回复中一并生成的 tags，不再单独调用翻译 API
                     console.log(`[VideoCall-NovelAI] 🚀 使用预生成 tags: "${preGeneratedTags.substring(0, 80)}..."`);
-                    imageDataUrl = await generateNovelAIImage(preGeneratedTags.trim(), { skipSystemPrompt: true });
+                    imageDataUrl = await generateNovelAIImage(preGeneratedTags.trim(), { skipSystemPrompt: true, charId });
                 } else {
                     console.error('[VideoCall-NovelAI] ❌ 无预生成 tags，跳过生图');
                     return null;
@@ -1773,7 +1926,7 @@
                 }
                 
                 // 调用 NovelAI 生成图片（使用翻译后的英文 tag）
-                const imageDataUrl = await generateNovelAIImage(englishTags);
+                const imageDataUrl = await generateNovelAIImage(englishTags, { charId });
                 
                 if (imageDataUrl) {
                     // 生成成功：更新历史记录中的消息
@@ -1910,7 +2063,7 @@
                 }
                 
                 // 调用 NovelAI 生成图片
-                const imageDataUrl = await generateNovelAIImage(englishTags);
+                const imageDataUrl = await generateNovelAIImage(englishTags, { groupId });
                 
                 if (imageDataUrl) {
                     // 生成成功：更新群聊历史记录中的消息
@@ -1975,29 +2128,23 @@
             spinner.style.display = 'inline-block';
             btnText.style.display = 'none';
             
-            // 构造请求 URL: 自动补全 /v1/models
-            const requestUrl = getSmartUrl(url, '/models');
+            // 构造请求 URL：按服务商拼接模型列表地址（OpenAI 兼容接口自动补全 /v1/models）
+            const providerSetting = document.getElementById('ai-provider-select')?.value || 'auto';
+            const adapter = getProviderAdapter(resolveAiProvider(url, providerSetting), url);
+            const requestUrl = adapter.modelsUrl(url);
 
             try {
                 const res = await fetch(requestUrl, {
                     method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${key}`,
-                        'Content-Type': 'application/json'
-                    }
+                    headers: adapter.headers(key)
                 });
                 
                 if (!res.ok) {
-                    throw new Error(`HTTP Error ${res.status}`);
+                    throw normalizeProviderError(adapter.id, res.status, await res.text());
                 }
                 
                 const data = await res.json();
-                let models = [];
-                if (Array.isArray(data)) {
-                    models = data;
-                } else if (data.data && Array.isArray(data.data)) {
-                    models = data.data;
-                }
+                const models = adapter.parseModels(data);
                 
                 const select = document.getElementById('ai-model-select');
                 select.innerHTML = '<option value="" disabled selected>请选择模型</option>';
@@ -2036,28 +2183,28 @@
             document.getElementById('test-btn-text').innerText = "测试中...";
             btn.style.opacity = "0.7";
 
-            // 构造简单的 Chat 请求
-            const requestUrl = getSmartUrl(url, '/chat/completions');
+            // 构造简单的 Chat 请求（按服务商转换格式）
+            const providerSetting = document.getElementById('ai-provider-select')?.value || 'auto';
+            const adapter = getProviderAdapter(resolveAiProvider(url, providerSetting), url);
+            const requestUrl = adapter.chatUrl(url, model, false);
             
             try {
                 const res = await fetch(requestUrl, {
                     method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${key}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
+                    headers: adapter.headers(key),
+                    body: JSON.stringify(adapter.buildBody({
                         model: model,
                         messages: [{ role: "user", content: "Hi" }],
-                        max_tokens: 5
-                    })
+                        temperature: 0.7,
+                        maxTokens: 5
+                    }))
                 });
 
                 if (res.ok) {
-                    alert("✅ 连接成功！API 配置有效。");
+                    alert(`✅ 连接成功！API 配置有效。（${AI_PROVIDERS[adapter.id].label}）`);
                 } else {
-                    const errText = await res.text();
-                    alert(`❌ 连接失败 (${res.status}):\n${errText}`);
+                    const error = normalizeProviderError(adapter.id, res.status, await res.text());
+                    alert(`❌ 连接失败 ${error.message}`);
                 }
             } catch (e) {
                 alert(`❌ 网络错误: ${e.message}`);
@@ -0,0 +1,186 @@
+// ================== 流式回复 (Streaming Reply) JS ==================
+// 本文件包含私聊（微信窗口）的流式显示：回复边生成边拆成气泡显示，每到一个断句/分隔符就出一个气泡，
+// 末尾的“正在输入”气泡跟随流的进度，输入栏上方的“停止生成”可以随时中断请求（已显示的部分照常保存）
+// ((指令)) 和 [voice:] / [imgcard:] 等特殊块在闭合之前一律缓存不显示，完整回复仍交给 triggerAiReply 原有流程解析执行
+// 依赖：db, splitMessage, extractJsonStringValue, currentChatCharId, getCharAvatar 等全局变量（来自 script.js / character.js）
+
+// ===== Block 1: 设置 =====
+        const STREAM_REPLY_STORAGE_KEY = 'aiStreamReplies';
+
+        async function isStreamReplyEnabled() {
+            try {
+                const item = await db.dexiData.get(STREAM_REPLY_STORAGE_KEY);
+                return (item?.value || localStorage.getItem(STREAM_REPLY_STORAGE_KEY)) === 'on';
+            } catch (e) {
+                return localStorage.getItem(STREAM_REPLY_STORAGE_KEY) === 'on';
+            }
+        }
+
+// ===== Block 2: 流式文本解析 =====
+        // 从尚未结束的 JSON（{"thought": "...", "reply": "..."}）中取出已经到达的 reply 部分；不是 JSON 时整段就是回复
+        function extractStreamingReplyText(raw) {
+            if (!raw) return '';
+            const text = raw.replace(/^\s*```(?:json)?\s*/i, '');
+            if (!text.startsWith('{')) return text;
+            // 去掉末尾还没收全的转义序列（如单独的 \ 或 \u4f），避免还原出乱码
+            const safe = text.replace(/\\(?:u[0-9a-fA-F]{0,3})?$/, '');
+            return extractJsonStringValue(safe, 'reply') || extractJsonStringValue(safe, 'content') || '';
+        }
+
+        // 截掉末尾尚未闭合的 ((指令 和 [voice: / [imgcard: 等特殊块
+        function _cutUnclosedBlocks(text) {
+            const open = text.lastIndexOf('((');
+            if (open !== -1 && text.indexOf('))', open) === -1) text = text.slice(0, open);
+            const bracket = text.search(/\[(?:voice|imgcard|sticker|img):[^\]]*$/i);
+            if (bracket !== -1) text = text.slice(0, bracket);
+            return text;
+        }
+
+        // 停止生成时保留下来的文本：去掉未闭合的块和末尾孤立的括号
+        function getStoppedReplyText(text) {
+            return _cutUnclosedBlocks(text || '').replace(/[(\[（]+\s*$/, '').trim();
+        }
+
+        // 预览里特殊块的显示文字（真正的语音条/图片卡片等生成结束后由原流程渲染）
+        function _streamPreviewText(seg) {
+            return seg
+                .replace(/\(\([\s\S]*?\)\)/g, '')
+                .replace(/\[voice:([^\]]*)\]/gi, '🎤 $1')
+                .replace(/\[imgcard:([^\]]*)\]/gi, '🖼️ $1')
+                .replace(/\[sticker:[^\]]*\]/gi, '[表情]')
+                .replace(/\[img:[^\]]*\]/gi, '[图片]')
+                .trim();
+        }
+
+        // 已经可以显示的气泡：只取最后一个断句（换行 / 。！？~… / |||）之前的部分，final 时取全部
+        function splitStreamingSegments(text, final = false) {
+            let committed = text || '';
+            if (!final) {
+                let end = 0;
+                const boundary = /\|\|\||\n|[。！!？?~…]+/g;
+                let m;
+                while ((m = boundary.exec(committed)) !== null) end = m.index + m[0].length;
+                committed = committed.slice(0, end);
+            }
+            committed = _cutUnclosedBlocks(committed);
+            const segments = [];
+            committed.split('|||').forEach(chunk => {
+                splitMessage(chunk).forEach(seg => {
+                    const shown = _streamPreviewText(seg);
+                    if (shown) segments.push(shown);
+                });
+            });
+            return segments;
+        }
+
+// ===== Block 3: 聊天窗口预览 =====
+        // 同一时间只有一个私聊回复在流式输出（triggerAiReply 有全局锁）
+        let _chatReplyStream = null;
+        let _chatReplyStreamRows = []; // 预览气泡，最终消息渲染出来后移除
+
+        function _createStreamPreviewRow(avatarUrl, text, typing = false) {
+            const row = document.createElement('div');
+            row.className = 'message-row other streaming-reply-row';
+            const avatar = document.createElement('div');
+            avatar.className = 'message-avatar';
+            if (avatarUrl) avatar.style.backgroundImage = `url(${avatarUrl})`;
+            const bubble = document.createElement('div');
+            bubble.className = 'message-content ai-bubble' + (typing ? ' streaming-typing' : '');
+            bubble.textContent = text;
+            row.appendChild(avatar);
+            row.appendChild(bubble);
+            return row;
+        }
+
+        function _renderChatReplyStream(final = false) {
+            const stream = _chatReplyStream;
+            if (!stream) return;
+            const viewing = !window.currentGroupChatId && currentChatCharId === stream.charId;
+            _setStreamStopVisible(viewing && !final && !stream.stopped);
+            if (!viewing) return;
+            const body = document.getElementById('chat-body');
+            if (!body) return;
+            // 聊天区被整页重渲染过：预览气泡已经不在页面上，全部重建
+            if (_chatReplyStreamRows.some(r => !r.isConnected)) clearChatReplyStreamPreview();
+
+            const segments = splitStreamingSegments(stream.text, final);
+            if (!stream.typingRow && !final) stream.typingRow = _createStreamPreviewRow(stream.avatar, '···', true);
+            segments.forEach((seg, i) => {
+                let row = _chatReplyStreamRows[i];
+                if (!row) {
+                    row = _createStreamPreviewRow(stream.avatar, seg);
+                    _chatReplyStreamRows.push(row);
+                    body.appendChild(row);
+                } else if (row.lastChild.textContent !== seg) {
+                    row.lastChild.textContent = seg;
+                }
+            });
+            _chatReplyStreamRows.splice(segments.length).forEach(r => r.remove());
+
+            // “正在输入”气泡始终排在最后，流结束时移除
+            if (stream.typingRow) {
+                if (final) {
+                    stream.typingRow.remove();
+                    stream.typingRow = null;
+                } else {
+                    body.appendChild(stream.typingRow);
+                }
+            }
+            body.scrollTop = body.scrollHeight;
+        }
+
+        function _setStreamStopVisible(visible) {
+            const bar = document.getElementById('chat-stream-stop');
+            if (bar) bar.style.display = visible ? 'flex' : 'none';
+        }
+
+        // 开始一次流式回复，返回传给 callAIStream 的 signal / onStreamUpdate
+        function startChatReplyStream(char, accountId) {
+            clearChatReplyStreamPreview();
+            const controller = new AbortController();
+            _chatReplyStream = {
+                charId: char.id,
+                avatar: getCharAvatar(char, accountId) || char.avatar,
+                controller,
+                raw: '',
+                text: '',
+                stopped: false,
+                typingRow: null
+            };
+            if (currentChatCharId === char.id) _setStreamStopVisible(true);
+            return {
+                signal: controller.signal,
+                onStreamUpdate: (raw) => {
+                    const stream = _chatReplyStream;
+                    if (!stream || stream.controller !== controller) return;
+                    stream.raw = raw;
+                    stream.text = extractStreamingReplyText(raw);
+                    _renderChatReplyStream(false);
+                }
+            };
+        }
+
+        // 流结束（或被停止）：返回 { stopped, raw, text }，预览气泡保留到最终消息渲染出来
+        function finishChatReplyStream() {
+            const stream = _chatReplyStream;
+            if (!stream) return { stopped: false, raw: '', text: '' };
+            _renderChatReplyStream(true);
+            if (stream.typingRow) stream.typingRow.remove();
+            _chatReplyStream = null;
+            _setStreamStopVisible(false);
+            return { stopped: stream.stopped, raw: stream.raw, text: stream.stopped ? getStoppedReplyText(stream.text) : stream.text };
+        }
+
+        function clearChatReplyStreamPreview() {
+            _chatReplyStreamRows.forEach(r => r.remove());
+            _chatReplyStreamRows = [];
+        }
+
+        // 输入栏上方的“停止生成”
+        function stopStreamingReply() {
+            const stream = _chatReplyStream;
+            if (!stream || stream.stopped) return;
+            stream.stopped = true;
+            stream.controller.abort();
+            _setStreamStopVisible(false);
+        }
@@ -0,0 +1,353 @@
+// ================== 用量与费用 (Usage) JS ==================
+// 本文件统计每次 AI 请求的 token 用量（接口返回 usage 时用实际值，没有时按 estimateTokens 估算）和 NovelAI 生图次数，
+// 按 日期 × 模型 × 功能 × 角色/群聊 汇总存入 api_usage 表；价格表按模型名匹配，在统计页面换算费用
+// 每日预算（费用 / token）用完后，主动聊天、定时活动、自动朋友圈、自动总结等后台功能暂停到第二天
+// 依赖：db, showToast, escapeHtml, getCachedGroupChat 等全局变量（来自 script.js），estimateTokens / estimateMessageTokens（来自 prompt.js）
+
+// ===== Block 1: 功能分类 =====
+        const USAGE_FEATURE_LABELS = {
+            chat: '聊天',
+            moments: '朋友圈',
+            summary: '总结',
+            xianyu: '闲鱼',
+            icity: 'iCity',
+            video_call: '视频通话',
+            image: '生图',
+            other: '其他'
+        };
+
+        // 调用方没有指定 usageTag.feature 时，按 assemblePrompt 的功能名归类
+        const USAGE_FEATURE_FROM_PROMPT = {
+            private_chat: 'chat',
+            group_chat: 'chat',
+            offline: 'chat',
+            auto_chat: 'chat',
+            video_call: 'video_call',
+            icity_diary: 'icity',
+            xianyu: 'xianyu'
+        };
+
+// ===== Block 2: 记录用量 =====
+        function _usageDay(ts = Date.now()) {
+            const d = new Date(ts);
+            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        }
+
+        /**
+         * 累加一次调用的用量（按天汇总，不保存单条记录）
+         * @param {Object} entry
+         * @param {string} entry.feature - USAGE_FEATURE_LABELS 的键
+         * @param {string} [entry.model]
+         * @param {number} [entry.charId] / [entry.groupId] - 归属的角色 / 群聊
+         * @param {number} [entry.promptTokens] / [entry.completionTokens]
+         * @param {boolean} [entry.estimated] - token 数是估算的
+         * @param {number} [entry.images] - 生成的图片张数
+         */
+        async function recordApiUsage({ feature = 'other', model = '', charId = null, groupId = null, promptTokens = 0, completionTokens = 0, estimated = false, images = 0 }) {
+            const day = _usageDay();
+            const key = `${day}|${model}|${feature}|${charId || ''}|${groupId || ''}`;
+            try {
+                await db.transaction('rw', db.api_usage, async () => {
+                    const row = await db.api_usage.get(key) || {
+                        key, day, model, feature,
+                        charId: charId || null,
+                        groupId: groupId || null,
+                        calls: 0, promptTokens: 0, completionTokens: 0, images: 0, estimatedCalls: 0
+                    };
+                    row.calls++;
+                    row.promptTokens += promptTokens || 0;
+                    row.completionTokens += completionTokens || 0;
+                    row.images += images || 0;
+                    if (estimated) row.estimatedCalls++;
+                    await db.api_usage.put(row);
+                });
+                _checkBudgetAfterUsage();
+            } catch (e) {
+                console.warn('[用量统计] 记录失败:', e.message);
+            }
+        }
+
+        // callAI / callAIStream 结束时由 tracePromptCall 调用（见 inspector.js），失败的请求不计
+        function recordPromptUsage(trace, record) {
+            if (record.error) return;
+            const tag = trace.usageTag || {};
+            recordApiUsage({
+                feature: tag.feature || USAGE_FEATURE_FROM_PROMPT[trace.feature] || 'other',
+                model: record.model,
+                charId: tag.charId,
+                groupId: tag.groupId,
+                promptTokens: record.promptTokens,
+                completionTokens: record.completionTokens,
+                estimated: record.tokensEstimated
+            });
+        }
+
+        // 直接 fetch 的 OpenAI 格式接口（iCity、闲鱼）：有 data.usage 用实际值，否则估算
+        function recordResponseUsage(data, { feature, model, messages = [], charId = null }) {
+            const usage = data?.usage;
+            const content = data?.choices?.[0]?.message?.content || '';
+            recordApiUsage({
+                feature,
+                model,
+                charId,
+                promptTokens: usage?.prompt_tokens ?? messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0),
+                completionTokens: usage?.completion_tokens ?? estimateTokens(content),
+                estimated: !usage
+            });
+        }
+
+// ===== Block 3: 价格表与每日预算 =====
+        const API_PRICE_TABLE_KEY = 'apiPriceTable';
+        const API_DAILY_BUDGET_KEY = 'apiDailyBudget';
+
+        // 价格表：{ currency, models: [{ pattern, input, output, image }] }，input / output 为每百万 token 的价格，image 为每张图
+        async function getApiPriceTable() {
+            const item = await db.dexiData.get(API_PRICE_TABLE_KEY);
+            const table = item?.value || {};
+            return { currency: table.currency || '¥', models: Array.isArray(table.models) ? table.models : [] };
+        }
+
+        // 每日预算：{ cost, tokens }，0 或留空表示不限
+        async function getApiDailyBudget() {
+            const item = await db.dexiData.get(API_DAILY_BUDGET_KEY);
+            return { cost: Number(item?.value?.cost) || 0, tokens: Number(item?.value?.tokens) || 0 };
+        }
+
+        // 模型名包含 pattern 即匹配（可用 * 通配），多条匹配时取最长的 pattern
+        function findModelPrice(table, model) {
+            const name = String(model || '').toLowerCase();
+            let best = null;
+            table.models.forEach(p => {
+                const pattern = String(p.pattern || '').trim().toLowerCase();
+                if (!pattern) return;
+                const re = new RegExp(pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'));
+                if (re.test(name) && (!best || pattern.length > best.pattern.trim().length)) best = p;
+            });
+            return best;
+        }
+
+        // 没有配置价格的模型返回 null
+        function estimateUsageCost(row, table) {
+            const price = findModelPrice(table, row.model);
+            if (!price) return null;
+            return (row.promptTokens * (Number(price.input) || 0) + row.completionTokens * (Number(price.output) || 0)) / 1e6
+                + row.images * (Number(price.image) || 0);
+        }
+
+        async function getApiUsageToday() {
+            const [rows, table] = await Promise.all([db.api_usage.where('day').equals(_usageDay()).toArray(), getApiPriceTable()]);
+            return rows.reduce((sum, r) => {
+                sum.tokens += r.promptTokens + r.completionTokens;
+                sum.cost += estimateUsageCost(r, table) || 0;
+                return sum;
+            }, { tokens: 0, cost: 0 });
+        }
+
+        async function isApiBudgetExceeded() {
+            try {
+                const budget = await getApiDailyBudget();
+                if (!budget.cost && !budget.tokens) return false;
+                const today = await getApiUsageToday();
+                return (budget.cost > 0 && today.cost >= budget.cost) || (budget.tokens > 0 && today.tokens >= budget.tokens);
+            } catch (e) {
+                console.warn('[用量统计] 检查预算失败:', e.message);
+                return false;
+            }
+        }
+
+        // 后台功能的检查入口调用：超出预算时跳过本轮
+        async function shouldPauseBackgroundAI(label) {
+            if (!(await isApiBudgetExceeded())) return false;
+            console.log(`[用量统计] 今日预算已用完，跳过${label}`);
+            return true;
+        }
+
+        // 刚超出预算时提示一次
+        let _usageBudgetNoticeDay = null;
+        async function _checkBudgetAfterUsage() {
+            const day = _usageDay();
+            if (_usageBudgetNoticeDay === day) return;
+            if (await isApiBudgetExceeded() && _usageBudgetNoticeDay !== day) {
+                _usageBudgetNoticeDay = day;
+                showToast('今日 API 预算已用完，主动聊天等后台功能暂停至明天');
+            }
+        }
+
+// ===== Block 4: 统计页面 =====
+        const USAGE_RANGES = [
+            { days: 1, label: '今天' },
+            { days: 7, label: '近7天' },
+            { days: 30, label: '近30天' },
+            { days: 0, label: '全部' }
+        ];
+
+        function _formatTokens(n) {
+            if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+            if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+            return String(n);
+        }
+
+        function _formatCost(cost, currency) {
+            return cost === null ? '-' : `${currency}${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+        }
+
+        // 按 keyOf 分组汇总；没有价格的行费用记为 null（整组都没有价格时显示 -）
+        function _groupUsageRows(rows, keyOf, table) {
+            const groups = new Map();
+            rows.forEach(r => {
+                const key = keyOf(r);
+                const g = groups.get(key) || { key, calls: 0, tokens: 0, images: 0, cost: null };
+                g.calls += r.calls;
+                g.tokens += r.promptTokens + r.completionTokens;
+                g.images += r.images;
+                const cost = estimateUsageCost(r, table);
+                if (cost !== null) g.cost = (g.cost || 0) + cost;
+                groups.set(key, g);
+            });
+            return [...groups.values()].sort((a, b) => (b.cost || 0) - (a.cost || 0) || b.tokens - a.tokens);
+        }
+
+        function _renderUsageGroup(title, groups, labelOf, currency) {
+            if (groups.length === 0) return '';
+            return `<div style="margin-bottom:14px;">
+                <div style="font-weight:600; margin-bottom:6px;">${title}</div>
+                ${groups.map(g => `<div style="display:flex; justify-content:space-between; gap:8px; padding:5px 8px; background:#f5f5f5; border-radius:6px; margin-bottom:4px; font-size:12px;">
+                    <span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(labelOf(g.key))}</span>
+                    <span style="color:#999;">${g.calls} 次 · ${_formatTokens(g.tokens)}${g.images ? ` · ${g.images} 张图` : ''}</span>
+                    <span style="min-width:60px; text-align:right;">${_formatCost(g.cost, currency)}</span>
+                </div>`).join('')}
+            </div>`;
+        }
+
+        async function _usageOwnerNames(rows) {
+            const names = new Map();
+            const charIds = [...new Set(rows.filter(r => r.charId).map(r => r.charId))];
+            const groupIds = [...new Set(rows.filter(r => r.groupId).map(r => r.groupId))];
+            await Promise.all([
+                ...charIds.map(async id => {
+                    const char = await db.characters.get(id);
+                    names.set(`c${id}`, char?.name || `已删除角色 #${id}`);
+                }),
+                ...groupIds.map(async id => {
+                    const group = await getCachedGroupChat(id);
+                    names.set(`g${id}`, group?.name ? `群聊 · ${group.name}` : `已删除群聊 #${id}`);
+                })
+            ]);
+            return names;
+        }
+
+        function _priceRowHtml(p = {}) {
+            const input = 'padding:6px; border:1px solid #ddd; border-radius:6px; font-size:12px; min-width:0;';
+            return `<div class="usage-price-row" style="display:flex; gap:4px; margin-bottom:4px;">
+                <input data-field="pattern" placeholder="模型名（可用 *）" value="${escapeHtml(p.pattern || '')}" style="${input} flex:2;">
+                <input data-field="input" type="number" min="0" step="any" placeholder="输入" value="${p.input ?? ''}" style="${input} flex:1;">
+                <input data-field="output" type="number" min="0" step="any" placeholder="输出" value="${p.output ?? ''}" style="${input} flex:1;">
+                <input data-field="image" type="number" min="0" step="any" placeholder="每张图" value="${p.image ?? ''}" style="${input} flex:1;">
+                <button onclick="this.parentElement.remove()" style="border:none; background:none; color:#ff3b30; font-size:16px;">×</button>
+            </div>`;
+        }
+
+        async function showUsageStatsPanel(rangeDays = 7) {
+            document.getElementById('usage-stats-overlay')?.remove();
+            const [table, budget, today] = await Promise.all([getApiPriceTable(), getApiDailyBudget(), getApiUsageToday()]);
+            const since = rangeDays ? _usageDay(Date.now() - (rangeDays - 1) * 86400000) : '';
+            const rows = since ? await db.api_usage.where('day').aboveOrEqual(since).toArray() : await db.api_usage.toArray();
+            const names = await _usageOwnerNames(rows);
+            const currency = table.currency;
+
+            const total = _groupUsageRows(rows, () => 'all', table)[0] || { calls: 0, tokens: 0, images: 0, cost: null };
+            const estimatedCalls = rows.reduce((sum, r) => sum + r.estimatedCalls, 0);
+            const unpricedModels = [...new Set(rows.filter(r => estimateUsageCost(r, table) === null).map(r => r.model || '未知模型'))];
+            const ownerOf = r => r.charId ? `c${r.charId}` : r.groupId ? `g${r.groupId}` : '';
+            const budgetText = [
+                budget.cost ? `费用 ${_formatCost(today.cost, currency)} / ${_formatCost(budget.cost, currency)}` : '',
+                budget.tokens ? `Tokens ${_formatTokens(today.tokens)} / ${_formatTokens(budget.tokens)}` : ''
+            ].filter(Boolean).join(' · ');
+            const exceeded = (budget.cost > 0 && today.cost >= budget.cost) || (budget.tokens > 0 && today.tokens >= budget.tokens);
+            const field = 'width:100%; padding:8px; border:1px solid #ddd; border-radius:6px; font-size:13px; box-sizing:border-box;';
+            const btn = 'padding:6px 12px; border:none; border-radius:6px; font-size:12px;';
+
+            const overlay = document.createElement('div');
+            overlay.id = 'usage-stats-overlay';
+            overlay.style.cssText = 'position:fixed; top:0; left:0; right:0; bottom:0; background:rgba(0,0,0,0.4); z-index:10000; display:flex; align-items:center; justify-content:center; padding:20px;';
+            overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+            overlay.innerHTML = `<div style="background:#fff; border-radius:12px; padding:20px; max-width:500px; width:100%; max-height:85vh; overflow-y:auto; font-size:13px; color:#333;">
+                <h3 style="margin:0 0 12px;">📊 用量与费用</h3>
+                <div style="display:flex; gap:6px; margin-bottom:12px;">
+                    ${USAGE_RANGES.map(r => `<button data-range="${r.days}" style="${btn} flex:1; background:${r.days === rangeDays ? '#007aff' : '#f0f0f0'}; color:${r.days === rangeDays ? '#fff' : '#333'};">${r.label}</button>`).join('')}
+                </div>
+                <div style="padding:10px; background:#f0f7ff; border-radius:8px; margin-bottom:14px; line-height:1.7;">
+                    <div><strong>${_formatCost(total.cost, currency)}</strong> · ${total.calls} 次调用 · ${_formatTokens(total.tokens)} tokens${total.images ? ` · ${total.images} 张图` : ''}</div>
+                    ${estimatedCalls ? `<div style="color:#999; font-size:12px;">其中 ${estimatedCalls} 次接口没有返回用量，token 数为估算</div>` : ''}
+                    ${unpricedModels.length ? `<div style="color:#ff9500; font-size:12px;">未配置价格：${unpricedModels.map(escapeHtml).join('、')}</div>` : ''}
+                    ${budgetText ? `<div style="color:${exceeded ? '#ff3b30' : '#34c759'}; font-size:12px;">今日预算：${budgetText}${exceeded ? '（已用完，后台功能暂停）' : ''}</div>` : ''}
+                </div>
+                ${rows.length === 0 ? '<div style="text-align:center; color:#999; padding:20px;">暂无记录</div>' : ''}
+                ${_renderUsageGroup('按角色', _groupUsageRows(rows, ownerOf, table), k => names.get(k) || '未归属', currency)}
+                ${_renderUsageGroup('按功能', _groupUsageRows(rows, r => r.feature, table), k => USAGE_FEATURE_LABELS[k] || k, currency)}
+                ${_renderUsageGroup('按模型', _groupUsageRows(rows, r => r.model || '未知模型', table), k => k, currency)}
+                ${_renderUsageGroup('按日期', _groupUsageRows(rows, r => r.day, table).sort((a, b) => b.key.localeCompare(a.key)), k => k, currency)}
+
+                <div style="font-weight:600; margin:18px 0 6px;">💰 价格表</div>
+                <div style="color:#999; font-size:12px; margin-bottom:6px;">输入 / 输出为每百万 token 的价格，生图按张计费</div>
+                <div style="display:flex; align-items:center; gap:6px; margin-bottom:6px;">
+                    <span>货币符号</span>
+                    <input id="usage-currency" value="${escapeHtml(currency)}" style="${field} width:60px;">
+                </div>
+                <div id="usage-price-list">${table.models.map(_priceRowHtml).join('')}</div>
+                <button id="usage-price-add" style="${btn} background:#f0f0f0; color:#333; margin-bottom:14px;">+ 添加模型</button>
+
+                <div style="font-weight:600; margin:4px 0 6px;">⏸️ 每日预算</div>
+                <div style="color:#999; font-size:12px; margin-bottom:6px;">任一项用完后，主动聊天、定时活动、自动朋友圈和自动总结暂停到第二天；留空或 0 表示不限</div>
+                <div style="display:flex; gap:6px; margin-bottom:14px;">
+                    <input id="usage-budget-cost" type="number" min="0" step="any" placeholder="费用上限" value="${budget.cost || ''}" style="${field}">
+                    <input id="usage-budget-tokens" type="number" min="0" step="1000" placeholder="Token 上限" value="${budget.tokens || ''}" style="${field}">
+                </div>
+
+                <div style="display:flex; gap:8px;">
+                    <button id="usage-clear" style="${btn} flex:1; background:#fff0f0; color:#ff3b30;">清空统计</button>
+                    <button id="usage-save" style="${btn} flex:1; background:#007aff; color:#fff;">保存设置</button>
+                    <button id="usage-close" style="${btn} flex:1; background:#f0f0f0; color:#333;">关闭</button>
+                </div>
+            </div>`;
+            document.body.appendChild(overlay);
+
+            overlay.querySelectorAll('[data-range]').forEach(b => {
+                b.onclick = () => showUsageStatsPanel(parseInt(b.dataset.range, 10));
+            });
+            overlay.querySelector('#usage-price-add').onclick = () => {
+                overlay.querySelector('#usage-price-list').insertAdjacentHTML('beforeend', _priceRowHtml());
+            };
+            overlay.querySelector('#usage-close').onclick = () => overlay.remove();
+            overlay.querySelector('#usage-clear').onclick = async () => {
+                if (!confirm('确定清空全部用量统计吗？价格表和预算设置会保留。')) return;
+                await db.api_usage.clear();
+                showToast('已清空');
+                showUsageStatsPanel(rangeDays);
+            };
+            overlay.querySelector('#usage-save').onclick = async () => {
+                const models = [...overlay.querySelectorAll('.usage-price-row')].map(row => {
+                    const value = (f) => row.querySelector(`[data-field="${f}"]`).value.trim();
+                    return {
+                        pattern: value('pattern'),
+                        input: parseFloat(value('input')) || 0,
+                        output: parseFloat(value('output')) || 0,
+                        image: parseFloat(value('image')) || 0
+                    };
+                }).filter(p => p.pattern);
+                await db.dexiData.put({
+                    key: API_PRICE_TABLE_KEY,
+                    value: { currency: overlay.querySelector('#usage-currency').value.trim() || '¥', models }
+                });
+                await db.dexiData.put({
+                    key: API_DAILY_BUDGET_KEY,
+                    value: {
+                        cost: parseFloat(overlay.querySelector('#usage-budget-cost').value) || 0,
+                        tokens: parseInt(overlay.querySelector('#usage-budget-tokens').value, 10) || 0
+                    }
+                });
+                _usageBudgetNoticeDay = null;
+                showToast('✅ 设置已保存');
+                showUsageStatsPanel(rangeDays);
+            };
+        }
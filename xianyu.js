@@ -722,13 +722,13 @@ async function xianyuGenerateAIResponse(goodsId, userMessage, goods) {
         
         const systemPrompt = `你是闲鱼卖家"${sellerName}"，正在和买家"${buyerName}"聊天。${worldView ? `世界观：${worldView}。` : ''}
 商品信息：${goods.title}，当前价格：¥${goods.price}。
-${sellerPersonality}
+${promptSlot('persona')}
 
 请以"${sellerName}"的身份和语气回复。如果你有角色人设，必须严格按照人设的性格来回复。
 你可能会也可能不会意识到买家是谁，这取决于你的判断。`;
 
         const userPrompt = `以下是聊天记录：
-${chatHistory}
+${promptSlot('chat_history')}
 
 回复规则：
 1. 如果买家砍价，你不一定要同意。拒绝时不要提到具体价格数字
@@ -740,6 +740,17 @@ ${chatHistory}
 
 请只回复消息内容，不要加任何前缀。`;
         
+        const assembled = await assemblePrompt({
+            feature: 'xianyu',
+            system: systemPrompt,
+            sections: [
+                { id: 'persona', label: '卖家人设', content: sellerPersonality, priority: 70 },
+                { id: 'chat_history', label: '聊天记录', content: chatHistory, priority: 60, trim: 'head' }
+            ],
+            history: [{ role: 'user', content: userPrompt }],
+            macros: { charName: sellerName, userName: buyerName }
+        });
+        
         const response = await fetch(config.apiUrl, {
             method: 'POST',
             headers: {
@@ -748,10 +759,7 @@ ${chatHistory}
             },
             body: JSON.stringify({
                 model: config.model,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
+                messages: assembled.messages,
                 temperature: config.temperature
             })
         });
@@ -761,6 +769,7 @@ ${chatHistory}
         }
         
         const data = await response.json();
+        recordResponseUsage(data, { feature: 'xianyu', model: config.model, messages: assembled.messages });
         const aiResponse = data.choices[0].message.content.trim();
         
         // 只在AI明确标记【改价:数字】时才改价
@@ -994,6 +1003,10 @@ async function xianyuGenerateBuyerMessage(goodsId, goods) {
 请只回复消息内容，要自然、符合闲鱼买家的语气。`;
             
             try {
+                const messages = [
+                    { role: 'system', content: '你是一个闲鱼买家，正在询问商品信息。' },
+                    { role: 'user', content: prompt }
+                ];
                 const response = await fetch(config.apiUrl, {
                     method: 'POST',
                     headers: {
@@ -1002,16 +1015,14 @@ async function xianyuGenerateBuyerMessage(goodsId, goods) {
                     },
                     body: JSON.stringify({
                         model: config.model,
-                        messages: [
-                            { role: 'system', content: '你是一个闲鱼买家，正在询问商品信息。' },
-                            { role: 'user', content: prompt }
-                        ],
+                        messages,
                         temperature: config.temperature
                     })
                 });
                 
                 if (response.ok) {
                     const data = await response.json();
+                    recordResponseUsage(data, { feature: 'xianyu', model: config.model, messages });
                     buyerMessage = data.choices[0].message.content.trim();
                 }
             } catch (e) {
@@ -1228,6 +1239,10 @@ async function xianyuGenerateGoods() {
 
 至少生成10个商品。`;
         
+        const messages = [
+            { role: 'system', content: '你是一个商品生成助手，专门生成闲鱼商品信息。每个商品都必须有一个卖家名字。' },
+            { role: 'user', content: prompt }
+        ];
         const response = await fetch(config.apiUrl, {
             method: 'POST',
             headers: {
@@ -1236,10 +1251,7 @@ async function xianyuGenerateGoods() {
             },
             body: JSON.stringify({
                 model: config.model,
-                messages: [
-                    { role: 'system', content: '你是一个商品生成助手，专门生成闲鱼商品信息。每个商品都必须有一个卖家名字。' },
-                    { role: 'user', content: prompt }
-                ],
+                messages,
                 temperature: config.temperature
             })
         });
@@ -1249,6 +1261,7 @@ async function xianyuGenerateGoods() {
         }
         
         const data = await response.json();
+        recordResponseUsage(data, { feature: 'xianyu', model: config.model, messages });
         let goodsList = [];
         
         try {